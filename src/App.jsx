@@ -1,18 +1,25 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { Button } from '@/components/ui/button.jsx'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Input } from '@/components/ui/input.jsx'
 import { Label } from '@/components/ui/label.jsx'
 import { Progress } from '@/components/ui/progress.jsx'
-import { Camera, Upload, ZoomIn, Calculator, RotateCcw } from 'lucide-react'
+import { Camera, Upload, ZoomIn, Calculator, RotateCcw, Save } from 'lucide-react'
 import ImageCapture from './components/ImageCapture.jsx'
 import VesselTracker from './components/VesselTracker.jsx'
 import AngleInput from './components/AngleInput.jsx'
 import Bifurcation3D from './components/Bifurcation3D.jsx'
 import ResultsDisplay from './components/ResultsDisplay.jsx'
 import DicomCTViewer from './components/DicomCTViewer.jsx'
+import CaseLibrary from './components/CaseLibrary.jsx'
+import CaseBundleImport from './components/CaseBundleImport.jsx'
+import { createCaseId, saveCase, createThumbnail } from './lib/caseStore'
+import { createCaseBundle, downloadCaseBundle } from './lib/caseBundle'
 import './App.css'
 
+// Edits within a wizard step are saved once they pause this long (ms)
+const AUTOSAVE_DELAY_MS = 1000
+
 function App() {
   const [currentStep, setCurrentStep] = useState(0)
   const [projectData, setProjectData] = useState({
@@ -27,6 +34,45 @@ function App() {
   })
   
   const [workflowMode, setWorkflowMode] = useState(null) // 'angiography' or 'ct'
+  
+  // On-device case persistence
+  const [caseId, setCaseId] = useState(null)
+  const [caseThumbnail, setCaseThumbnail] = useState(null)
+  const savedStepRef = useRef(null) // Case and step of the last save
+
+  useEffect(() => {
+    if (!projectData.image1) {
+      setCaseThumbnail(null)
+      return
+    }
+
+    createThumbnail(projectData.image1)
+      .then(setCaseThumbnail)
+      .catch(error => console.warn('Could not create case thumbnail:', error))
+  }, [projectData.image1])
+
+  // Autosave the case at each step; edits within a step are saved when they pause
+  useEffect(() => {
+    if (!workflowMode || currentStep === 0) return
+
+    const id = caseId || createCaseId()
+    if (!caseId) {
+      setCaseId(id)
+    }
+
+    const save = () => {
+      savedStepRef.current = `${id}:${currentStep}`
+      saveCase({ id, workflowMode, currentStep, projectData, thumbnail: caseThumbnail })
+        .catch(error => console.warn('Could not save case:', error))
+    }
+
+    if (savedStepRef.current !== `${id}:${currentStep}`) {
+      save()
+      return
+    }
+    const timer = setTimeout(save, AUTOSAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [caseId, workflowMode, currentStep, projectData, caseThumbnail])
 
   const steps = [
     { title: 'Welcome', icon: Camera, description: 'Get started with bifurcation angle calculation' },
@@ -56,6 +102,7 @@ function App() {
 
   const handleRestart = () => {
     setCurrentStep(0)
+    setCaseId(null)
     setProjectData({
       image1: null,
       image1Angles: { raoLao: 0, cranialCaudal: 0 },
@@ -63,7 +110,8 @@ function App() {
       image2: null,
       image2Angles: { raoLao: 0, cranialCaudal: 0 },
       image2VesselData: null,
-      results: null
+      results: null,
+      coronaryCTData: null
     })
   }
 
@@ -71,15 +119,50 @@ function App() {
     setProjectData(prev => ({ ...prev, ...updates }))
   }
 
+  const handleResumeCase = (caseRecord) => {
+    setCaseId(caseRecord.id)
+    setWorkflowMode(caseRecord.workflowMode)
+    setProjectData(caseRecord.projectData)
+    setCurrentStep(caseRecord.currentStep)
+  }
+
+  const handleImportBundle = (bundle, step) => {
+    // Imported bundles become a new case in the on-device library
+    setCaseId(null)
+    setWorkflowMode(bundle.workflowMode)
+    setProjectData({
+      image1: null,
+      image2: null,
+      image1Angles: null,
+      image2Angles: null,
+      image1VesselData: null,
+      image2VesselData: null,
+      results: null,
+      coronaryCTData: null,
+      ...bundle.projectData,
+      // The case's own C-arm limits, so its optimal angles are reproduced on any workstation
+      constraintProfile: bundle.parameters?.cArmConstraints || null
+    })
+    setCurrentStep(step)
+  }
+
+  const handleExportCase = (results = null) => {
+    downloadCaseBundle(createCaseBundle({
+      workflowMode,
+      currentStep,
+      projectData,
+      results: results || projectData.results
+    }))
+  }
+
   const renderStepContent = () => {
-    // CT Workflow
-    if (workflowMode === 'ct') {
+    // CT Workflow (results are shared with the angiographic workflow)
+    if (workflowMode === 'ct' && currentStep < steps.length - 1) {
       return (
         <DicomCTViewer
           onCoronaryDataExtracted={(coronaryData) => {
-            updateProjectData({ coronaryCTData: coronaryData })
-            // Could integrate with existing angle calculation workflow
-            alert('Coronary data extracted! Integration with angle calculation coming soon.')
+            updateProjectData({ coronaryCTData: coronaryData, results: null })
+            setCurrentStep(steps.length - 1)
           }}
           onBack={() => {
             setWorkflowMode(null)
@@ -182,6 +265,10 @@ function App() {
                       <strong>Note:</strong> Both workflows focus on the 0.5-1cm segments immediately around the bifurcation point for optimal stenting visualization.
                     </p>
                   </div>
+                  
+                  <CaseLibrary steps={steps} onResume={handleResumeCase} />
+                  
+                  <CaseBundleImport steps={steps} onImport={handleImportBundle} />
                 </>
               ) : (
                 <>
@@ -214,7 +301,7 @@ function App() {
             title="First Angiographic Image"
             description="Take a photo or upload the first angiographic image"
             onImageCapture={(image) => {
-              updateProjectData({ image1: image })
+              updateProjectData({ image1: image, image1VesselData: null })
               handleNext()
             }}
           />
@@ -242,6 +329,7 @@ function App() {
             title="Track Vessels - First Image"
             description="Click along each vessel to place seed points. Algorithm will extract centerlines automatically."
             projectionAngles={projectData.image1Angles}
+            initialVesselData={projectData.image1VesselData}
             onVesselDataExtracted={(vesselData) => {
               updateProjectData({ image1VesselData: vesselData })
               handleNext()
@@ -256,7 +344,7 @@ function App() {
             title="Second Angiographic Image"
             description="Take a photo or upload the second angiographic image from a different projection"
             onImageCapture={(image) => {
-              updateProjectData({ image2: image })
+              updateProjectData({ image2: image, image2VesselData: null })
               handleNext()
             }}
             onBack={handleBack}
@@ -285,6 +373,8 @@ function App() {
             title="Track Vessels - Second Image"
             description="Click along each vessel to place seed points. Algorithm will extract centerlines automatically."
             projectionAngles={projectData.image2Angles}
+            referenceVesselData={projectData.image1VesselData}
+            initialVesselData={projectData.image2VesselData}
             onVesselDataExtracted={(vesselData) => {
               updateProjectData({ image2VesselData: vesselData })
               handleNext()
@@ -302,6 +392,7 @@ function App() {
               image1Angles: projectData.image1Angles,
               image2Angles: projectData.image2Angles
             }}
+            caseConstraintProfile={projectData.constraintProfile}
             onOptimalAnglesFound={(results) => {
               updateProjectData({ results })
               handleNext()
@@ -315,6 +406,7 @@ function App() {
           <ResultsDisplay
             projectData={projectData}
             onRestart={handleRestart}
+            onExportCase={handleExportCase}
           />
         )
 
@@ -378,9 +470,9 @@ function App() {
           {renderStepContent()}
         </div>
 
-        {/* Restart Button (always visible) */}
+        {/* Restart and Export Buttons (always visible) */}
         {currentStep > 0 && (
-          <div className="fixed bottom-4 left-4">
+          <div className="fixed bottom-4 left-4 flex gap-2">
             <Button 
               variant="outline" 
               size="sm" 
@@ -390,6 +482,15 @@ function App() {
               <RotateCcw className="w-4 h-4 mr-2" />
               Restart
             </Button>
+            <Button 
+              variant="outline" 
+              size="sm" 
+              onClick={() => handleExportCase()}
+              className="bg-white shadow-lg"
+            >
+              <Save className="w-4 h-4 mr-2" />
+              Export Case
+            </Button>
           </div>
         )}
       </div>
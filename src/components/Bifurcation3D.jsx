@@ -5,10 +5,18 @@ import { Badge } from '@/components/ui/badge.jsx'
 import { Slider } from '@/components/ui/slider.jsx'
 import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group.jsx'
 import { Eye, RotateCcw, Target, Play, Pause } from 'lucide-react'
+import { calculateOptimalViewingAngles, calculateForeshorteningMap, createCameraRotation } from '../lib/angleEngine'
+import { reconstructBifurcation3D } from '../lib/stereoReconstruction'
+import { loadConstraintProfile, isAngleReachable, getBlockingConstraint } from '../lib/cArmConstraints'
+import { drawForeshorteningHeatmap, heatmapPointToAngles } from '../lib/heatmapRendering'
 
-const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
+const ANGLE_MAP_WIDTH = 360
+const ANGLE_MAP_HEIGHT = 180
+
+const Bifurcation3D = ({ vesselData, caseConstraintProfile, onOptimalAnglesFound, onBack }) => {
   const [webglSupported, setWebglSupported] = useState(true)
   const canvasRef = useRef(null)
+  const angleMapRef = useRef(null)
   const animationRef = useRef(null)
   const glRef = useRef(null)
   const programRef = useRef(null)
@@ -28,6 +36,10 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
   const [cameraDistance, setCameraDistance] = useState(5)
   const [vessels3D, setVessels3D] = useState(null)
   const [optimalAngles, setOptimalAngles] = useState(null)
+  const [reconstruction, setReconstruction] = useState(null)
+  const [reconstructionError, setReconstructionError] = useState(null)
+  const [angleMap, setAngleMap] = useState(null)
+  const [constraintProfile] = useState(() => caseConstraintProfile || loadConstraintProfile())
   
   // WebGL setup
   useEffect(() => {
@@ -61,22 +73,30 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
   useEffect(() => {
     if (vesselData && vesselData.image1VesselData && vesselData.image2VesselData) {
       try {
-        const vessels = reconstruct3DVessels(vesselData)
-        setVessels3D(vessels)
-        
-        // Calculate optimal angles
-        const optimal = calculateOptimalAngles(vessels)
-        setOptimalAngles(optimal)
+        const stereo = reconstructBifurcation3D(vesselData.image1VesselData, vesselData.image2VesselData)
+        setReconstruction(stereo)
+        setReconstructionError(null)
+        setVessels3D(toDisplayVessels(stereo.centerlines3D, stereo.bifurcationPoint3D))
+
+        // Calculate optimal angles from the triangulated vessel directions
+        const directionList = [stereo.directions.main, stereo.directions.branch1, stereo.directions.branch2]
+        setOptimalAngles(calculateOptimalViewingAngles(directionList, { constraints: constraintProfile }))
+        setAngleMap(calculateForeshorteningMap(directionList, { step: 3 }))
       } catch (error) {
-        console.error('Error processing vessel data:', error)
-        // Set default values if processing fails
-        setOptimalAngles({ raoLao: 30, cranialCaudal: 20, score: 0 })
+        console.error('Error reconstructing 3D vessels:', error)
+        setReconstruction(null)
+        setReconstructionError(error.message)
+        setVessels3D(null)
+        setOptimalAngles(null)
+        setAngleMap(null)
       }
     } else {
-      // Set default values if no vessel data
-      setOptimalAngles({ raoLao: 30, cranialCaudal: 20, score: 0 })
+      setReconstruction(null)
+      setVessels3D(null)
+      setOptimalAngles(null)
+      setAngleMap(null)
     }
-  }, [vesselData])
+  }, [vesselData, constraintProfile])
   
   // Animation loop
   useEffect(() => {
@@ -180,321 +200,19 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
     return program
   }
 
-  const reconstruct3DVessels = (data) => {
-    // Reconstruct 3D vessel geometry from two 2D projections
-    if (!data) {
-      console.warn('No vessel data provided for 3D reconstruction')
-      return null
-    }
-    
-    const { image1VesselData, image2VesselData } = data
-    
-    if (!image1VesselData?.adjustedSegments || !image2VesselData?.adjustedSegments) {
-      console.warn('Missing adjusted segments for 3D reconstruction')
-      return null
-    }
-    
+  const toDisplayVessels = (centerlines3D, origin) => {
+    // Center the scene on the bifurcation and convert mm to cm so the tree fits the camera
     const vessels = {}
-    
-    try {
-      // Reconstruct each vessel segment
-      ['main', 'branch1', 'branch2'].forEach(vesselName => {
-        const segment1 = image1VesselData.adjustedSegments[vesselName]
-        const segment2 = image2VesselData.adjustedSegments[vesselName]
-        
-        if (segment1 && segment2 && Array.isArray(segment1) && Array.isArray(segment2)) {
-          vessels[vesselName] = reconstruct3DSegment(
-            segment1,
-            segment2,
-            image1VesselData.projectionAngles,
-            image2VesselData.projectionAngles
-          )
-        } else {
-          console.warn(`Missing or invalid segments for vessel ${vesselName}`)
-        }
-      })
-    } catch (error) {
-      console.error('Error in 3D vessel reconstruction:', error)
-      return null
-    }
-    
-    return vessels
-  }
-
-  const reconstruct3DSegment = (segment1, segment2, angles1, angles2) => {
-    // Triangulate 3D points from two 2D projections
-    const points3D = []
-    
-    const maxPoints = Math.min(segment1.length, segment2.length)
-    
-    for (let i = 0; i < maxPoints; i++) {
-      const point1 = segment1[i]
-      const point2 = segment2[i]
-      
-      // Convert 2D points to 3D using triangulation
-      const point3D = triangulate3DPoint(point1, point2, angles1, angles2)
-      if (point3D) {
-        points3D.push(point3D)
-      }
-    }
-    
-    return points3D
-  }
-
-  const triangulate3DPoint = (point1, point2, angles1, angles2) => {
-    // Proper stereo triangulation using angiographic geometry
-    
-    // Create projection matrices for both views
-    const P1 = createAngiographicProjectionMatrix(angles1.raoLao, angles1.cranialCaudal)
-    const P2 = createAngiographicProjectionMatrix(angles2.raoLao, angles2.cranialCaudal)
-    
-    // Normalize image coordinates to [-1, 1] range
-    const x1 = (point1.x / 400) - 1  // Assuming 800px image width
-    const y1 = 1 - (point1.y / 300)  // Assuming 600px image height, flip Y
-    const x2 = (point2.x / 400) - 1
-    const y2 = 1 - (point2.y / 300)
-    
-    // Triangulate using DLT (Direct Linear Transform)
-    const point3D = triangulatePointDLT(x1, y1, x2, y2, P1, P2)
-    
-    return point3D
-  }
-  
-  const createAngiographicProjectionMatrix = (raoLao, cranialCaudal) => {
-    // Standard angiographic coordinate system
-    const raoRad = (raoLao * Math.PI) / 180
-    const cranialRad = (cranialCaudal * Math.PI) / 180
-    
-    // RAO/LAO rotation around Z-axis (head-foot)
-    const R_rao = [
-      [Math.cos(raoRad), -Math.sin(raoRad), 0],
-      [Math.sin(raoRad),  Math.cos(raoRad), 0],
-      [0,                 0,                1]
-    ]
-    
-    // Cranial/Caudal rotation around X-axis (left-right)
-    const R_cranial = [
-      [1, 0,                    0                   ],
-      [0, Math.cos(cranialRad), -Math.sin(cranialRad)],
-      [0, Math.sin(cranialRad),  Math.cos(cranialRad)]
-    ]
-    
-    // Combined rotation: R = R_cranial * R_rao
-    const R = multiplyMatrices3x3(R_cranial, R_rao)
-    
-    // Standard angiographic geometry: source at distance, detector at origin
-    const sourceDistance = 100  // cm
-    const cameraPosition = [0, 0, sourceDistance]
-    
-    // Apply rotation to camera position
-    const rotatedCamera = [
-      R[0][0] * cameraPosition[0] + R[0][1] * cameraPosition[1] + R[0][2] * cameraPosition[2],
-      R[1][0] * cameraPosition[0] + R[1][1] * cameraPosition[1] + R[1][2] * cameraPosition[2],
-      R[2][0] * cameraPosition[0] + R[2][1] * cameraPosition[1] + R[2][2] * cameraPosition[2]
-    ]
-    
-    // Create 3x4 projection matrix [R | -R*t]
-    const Rt = [
-      -R[0][0] * rotatedCamera[0] - R[0][1] * rotatedCamera[1] - R[0][2] * rotatedCamera[2],
-      -R[1][0] * rotatedCamera[0] - R[1][1] * rotatedCamera[1] - R[1][2] * rotatedCamera[2],
-      -R[2][0] * rotatedCamera[0] - R[2][1] * rotatedCamera[1] - R[2][2] * rotatedCamera[2]
-    ]
-    
-    return [
-      [R[0][0], R[0][1], R[0][2], Rt[0]],
-      [R[1][0], R[1][1], R[1][2], Rt[1]],
-      [R[2][0], R[2][1], R[2][2], Rt[2]]
-    ]
-  }
-  
-  const triangulatePointDLT = (x1, y1, x2, y2, P1, P2) => {
-    // Set up linear system AX = 0 for triangulation
-    const A = [
-      [x1 * P1[2][0] - P1[0][0], x1 * P1[2][1] - P1[0][1], x1 * P1[2][2] - P1[0][2], x1 * P1[2][3] - P1[0][3]],
-      [y1 * P1[2][0] - P1[1][0], y1 * P1[2][1] - P1[1][1], y1 * P1[2][2] - P1[1][2], y1 * P1[2][3] - P1[1][3]],
-      [x2 * P2[2][0] - P2[0][0], x2 * P2[2][1] - P2[0][1], x2 * P2[2][2] - P2[0][2], x2 * P2[2][3] - P2[0][3]],
-      [y2 * P2[2][0] - P2[1][0], y2 * P2[2][1] - P2[1][1], y2 * P2[2][2] - P2[1][2], y2 * P2[2][3] - P2[1][3]]
-    ]
-    
-    // Solve using least squares (simplified SVD)
-    const solution = solveLeastSquares(A)
-    
-    if (Math.abs(solution[3]) < 1e-10) {
-      // Point at infinity, return a reasonable default
-      return { x: 0, y: 0, z: 0 }
-    }
-    
-    // Convert from homogeneous coordinates
-    return {
-      x: solution[0] / solution[3],
-      y: solution[1] / solution[3],
-      z: solution[2] / solution[3]
-    }
-  }
-  
-  const multiplyMatrices3x3 = (A, B) => {
-    const result = Array(3).fill().map(() => Array(3).fill(0))
-    for (let i = 0; i < 3; i++) {
-      for (let j = 0; j < 3; j++) {
-        for (let k = 0; k < 3; k++) {
-          result[i][j] += A[i][k] * B[k][j]
-        }
-      }
-    }
-    return result
-  }
-  
-  const solveLeastSquares = (A) => {
-    // Simplified least squares solver
-    // In practice, would use proper SVD decomposition
-    
-    // For now, use the last column as a reasonable solution
-    // This is a placeholder - proper implementation would use SVD
-    const n = A.length
-    const m = A[0].length
-    
-    // Find the column with minimum norm (simplified approach)
-    let minNorm = Infinity
-    let bestCol = 0
-    
-    for (let j = 0; j < m; j++) {
-      let norm = 0
-      for (let i = 0; i < n; i++) {
-        norm += A[i][j] * A[i][j]
-      }
-      if (norm < minNorm && norm > 1e-10) {
-        minNorm = norm
-        bestCol = j
-      }
-    }
-    
-    // Return a normalized solution
-    const solution = [0, 0, 0, 1]
-    if (bestCol < 3) {
-      solution[bestCol] = 1
-    }
-    
-    return solution
-  }
 
-  const calculateOptimalAngles = (vessels) => {
-    if (!vessels || typeof vessels !== 'object') {
-      console.warn('Invalid vessels for optimal angle calculation:', vessels)
-      return { raoLao: 30, cranialCaudal: 20, score: 0 }
-    }
-    
-    // Validate vessel data
-    const vesselCount = Object.keys(vessels).length
-    if (vesselCount === 0) {
-      console.warn('No vessels found for optimal angle calculation')
-      return { raoLao: 30, cranialCaudal: 20, score: 0 }
-    }
-    
-    // Calculate angles that minimize foreshortening
-    let bestScore = -Infinity
-    let bestAngles = { raoLao: 0, cranialCaudal: 0 }
-    
-    try {
-      // Grid search for optimal angles
-      for (let rao = -90; rao <= 90; rao += 5) {
-        for (let cranial = -45; cranial <= 45; cranial += 5) {
-          const score = calculateForeshorteningScore(vessels, rao, cranial)
-          if (score > bestScore) {
-            bestScore = score
-            bestAngles = { raoLao: rao, cranialCaudal: cranial }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error in optimal angle calculation:', error)
-      return { raoLao: 30, cranialCaudal: 20, score: 0 }
-    }
-    
-    return { ...bestAngles, score: bestScore }
-  }
-
-  const calculateForeshorteningScore = (vessels, raoLao, cranialCaudal) => {
-    // Calculate how much the vessels would be foreshortened at these angles
-    if (!vessels || typeof vessels !== 'object') {
-      console.warn('Invalid vessels object:', vessels)
-      return 0
-    }
-    
-    let totalScore = 0
-    
-    try {
-      Object.values(vessels).forEach(vessel => {
-        if (vessel && Array.isArray(vessel) && vessel.length > 1) {
-          const projectedLength = calculateProjectedLength(vessel, raoLao, cranialCaudal)
-          totalScore += projectedLength
-        }
-      })
-    } catch (error) {
-      console.error('Error calculating foreshortening score:', error)
-      return 0
-    }
-    
-    return totalScore
-  }
+    Object.entries(centerlines3D).forEach(([vesselName, centerline]) => {
+      vessels[vesselName] = centerline.map(point => ({
+        x: (point.x - origin.x) / 10,
+        y: (point.y - origin.y) / 10,
+        z: (point.z - origin.z) / 10
+      }))
+    })
 
-  const calculateProjectedLength = (vessel, raoLao, cranialCaudal) => {
-    if (!vessel || vessel.length < 2) return 0
-    
-    // Calculate viewing direction in angiographic coordinate system
-    const raoRad = (raoLao * Math.PI) / 180
-    const cranialRad = (cranialCaudal * Math.PI) / 180
-    
-    // Viewing direction (from patient toward detector)
-    const viewingDirection = [
-      -Math.sin(raoRad) * Math.cos(cranialRad),  // X: left-right
-      Math.cos(raoRad) * Math.cos(cranialRad),   // Y: anterior-posterior
-      Math.sin(cranialRad)                       // Z: head-foot
-    ]
-    
-    let totalProjectedLength = 0
-    
-    for (let i = 0; i < vessel.length - 1; i++) {
-      const p1 = vessel[i]
-      const p2 = vessel[i + 1]
-      
-      if (!p1 || !p2) continue
-      
-      // 3D vessel segment vector
-      const segmentVector = [
-        p2.x - p1.x,
-        p2.y - p1.y,
-        p2.z - p1.z
-      ]
-      
-      // Calculate 3D segment length
-      const segmentLength3D = Math.sqrt(
-        segmentVector[0] * segmentVector[0] + 
-        segmentVector[1] * segmentVector[1] + 
-        segmentVector[2] * segmentVector[2]
-      )
-      
-      if (segmentLength3D === 0) continue
-      
-      // Normalize segment vector
-      const normalizedSegment = [
-        segmentVector[0] / segmentLength3D,
-        segmentVector[1] / segmentLength3D,
-        segmentVector[2] / segmentLength3D
-      ]
-      
-      // Calculate angle between segment and viewing direction
-      const dotProduct = normalizedSegment[0] * viewingDirection[0] + 
-                        normalizedSegment[1] * viewingDirection[1] + 
-                        normalizedSegment[2] * viewingDirection[2]
-      
-      // Projected length = 3D_length * sin(angle) = 3D_length * sqrt(1 - cos²(angle))
-      const projectionFactor = Math.sqrt(1 - dotProduct * dotProduct)
-      const projectedLength = segmentLength3D * projectionFactor
-      
-      totalProjectedLength += projectedLength
-    }
-    
-    return totalProjectedLength
+    return vessels
   }
 
   const renderScene = () => {
@@ -625,44 +343,41 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
   }
 
   const createModelViewMatrix = (raoLao, cranialCaudal, distance) => {
-    const raoRad = (raoLao * Math.PI) / 180
-    const cranialRad = (cranialCaudal * Math.PI) / 180
-    
-    // Standard angiographic transformations
-    // RAO/LAO rotation around Z-axis (head-foot)
-    const cosRao = Math.cos(raoRad)
-    const sinRao = Math.sin(raoRad)
-    
-    // Cranial/Caudal rotation around X-axis (left-right)
-    const cosCranial = Math.cos(cranialRad)
-    const sinCranial = Math.sin(cranialRad)
+    // Look from the X-ray source toward the detector: GL x = image x, GL y = image up,
+    // GL z = toward the source (see createCameraRotation)
+    const [xAxis, yAxis, viewAxis] = createCameraRotation(raoLao, cranialCaudal)
     
-    // Combined transformation matrix for angiographic viewing
-    // This represents the camera position relative to the patient
+    // Column-major order as expected by WebGL
     return new Float32Array([
-      // Row 0: X-axis transformation
-      cosRao * cosCranial, -sinRao, cosRao * sinCranial, 0,
-      
-      // Row 1: Y-axis transformation  
-      sinRao * cosCranial, cosRao, sinRao * sinCranial, 0,
-      
-      // Row 2: Z-axis transformation
-      -sinCranial, 0, cosCranial, 0,
-      
-      // Row 3: Translation (camera distance)
+      xAxis[0], -yAxis[0], -viewAxis[0], 0,
+      xAxis[1], -yAxis[1], -viewAxis[1], 0,
+      xAxis[2], -yAxis[2], -viewAxis[2], 0,
       0, 0, -distance, 1
     ])
   }
 
+  const setViewAngles = (angles) => {
+    setRaoLaoDirection(angles.raoLao >= 0 ? 'RAO' : 'LAO')
+    setRaoLaoMagnitude(Math.abs(angles.raoLao))
+    setCranialCaudalDirection(angles.cranialCaudal >= 0 ? 'Cranial' : 'Caudal')
+    setCranialCaudalMagnitude(Math.abs(angles.cranialCaudal))
+  }
+
   const goToOptimalAngles = () => {
     if (optimalAngles) {
-      setRaoLaoDirection(optimalAngles.raoLao >= 0 ? 'RAO' : 'LAO')
-      setRaoLaoMagnitude(Math.abs(optimalAngles.raoLao))
-      setCranialCaudalDirection(optimalAngles.cranialCaudal >= 0 ? 'Cranial' : 'Caudal')
-      setCranialCaudalMagnitude(Math.abs(optimalAngles.cranialCaudal))
+      setViewAngles(optimalAngles)
     }
   }
 
+  const handleAngleMapClick = (event) => {
+    if (!angleMap) return
+
+    const rect = angleMapRef.current.getBoundingClientRect()
+    const x = (event.clientX - rect.left) * (ANGLE_MAP_WIDTH / rect.width)
+    const y = (event.clientY - rect.top) * (ANGLE_MAP_HEIGHT / rect.height)
+    setViewAngles(heatmapPointToAngles(angleMap, x, y, ANGLE_MAP_WIDTH, ANGLE_MAP_HEIGHT))
+  }
+
   const resetView = () => {
     setRaoLaoDirection('RAO')
     setRaoLaoMagnitude(30)
@@ -671,8 +386,57 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
     setCameraDistance(5)
   }
 
+  const buildResults = (current) => {
+    if (!reconstruction || !optimalAngles) {
+      return { current, optimal: current, vessels3D: null }
+    }
+
+    return {
+      current,
+      optimal: { raoLao: optimalAngles.raoLao, cranialCaudal: optimalAngles.cranialCaudal },
+      vessels3D: reconstruction.centerlines3D,
+      analysis: {
+        method: 'Stereo Reconstruction + Foreshortening Minimization',
+        constraints: describeConstraints(),
+        source: 'stereo',
+        vesselCount: 3,
+        segmentLength: `${reconstruction.segmentLength}mm around bifurcation`,
+        reprojectionError: reconstruction.reprojectionError,
+        matchedFraction: reconstruction.matchedFraction,
+        vesselDirections: reconstruction.directions
+      }
+    }
+  }
+
+  // Record the profile and where the optimum would be without it
+  const describeConstraints = () => {
+    const { main, branch1, branch2 } = reconstruction.directions
+    const unconstrained = calculateOptimalViewingAngles([main, branch1, branch2])
+    const blockedBy = getBlockingConstraint(constraintProfile, unconstrained.raoLao, unconstrained.cranialCaudal)
+
+    return {
+      profile: constraintProfile,
+      unconstrainedOptimal: blockedBy
+        ? { raoLao: unconstrained.raoLao, cranialCaudal: unconstrained.cranialCaudal, blockedBy }
+        : null
+    }
+  }
+
   const finalRaoLao = raoLaoDirection === 'RAO' ? raoLaoMagnitude : -raoLaoMagnitude
   const finalCranialCaudal = cranialCaudalDirection === 'Cranial' ? cranialCaudalMagnitude : -cranialCaudalMagnitude
+  const currentBlockedBy = getBlockingConstraint(constraintProfile, finalRaoLao, finalCranialCaudal)
+
+  // Reachability map with the current view
+  useEffect(() => {
+    if (!angleMap || !angleMapRef.current) return
+
+    drawForeshorteningHeatmap(angleMapRef.current.getContext('2d'), angleMap, 'combined', {
+      isolineLevels: [0.9],
+      markers: [{ raoLao: finalRaoLao, cranialCaudal: finalCranialCaudal, label: 'View' }],
+      optimal: optimalAngles,
+      reachable: (raoLao, cranialCaudal) => isAngleReachable(constraintProfile, raoLao, cranialCaudal)
+    })
+  }, [angleMap, finalRaoLao, finalCranialCaudal, optimalAngles, constraintProfile])
 
   return (
     <Card className="w-full max-w-6xl mx-auto">
@@ -726,8 +490,34 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
               {Math.abs(finalCranialCaudal)}° {cranialCaudalDirection}
             </Badge>
           </div>
+          {currentBlockedBy && (
+            <div className="mt-2 text-sm text-red-600">
+              Not reachable with {constraintProfile.name}: {currentBlockedBy}
+            </div>
+          )}
         </div>
 
+        {/* C-arm reachability */}
+        {angleMap && (
+          <div className="space-y-1">
+            <div className="flex justify-between text-xs text-gray-500">
+              <span>LAO 90°</span>
+              <span>Foreshortening and C-arm reachability ({constraintProfile.name})</span>
+              <span>RAO 90°</span>
+            </div>
+            <canvas
+              ref={angleMapRef}
+              width={ANGLE_MAP_WIDTH}
+              height={ANGLE_MAP_HEIGHT}
+              onClick={handleAngleMapClick}
+              className="w-full max-w-xl mx-auto block rounded border cursor-crosshair"
+            />
+            <p className="text-xs text-gray-500 text-center">
+              Grey angles cannot be reached. Click the map to move the view; the circle marks the optimum.
+            </p>
+          </div>
+        )}
+
         {/* RAO/LAO Controls */}
         <div className="space-y-4">
           <div className="flex items-center justify-between">
@@ -830,22 +620,18 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
             {autoRotate ? 'Stop' : 'Auto Rotate'}
           </Button>
           
-          <Button onClick={() => onOptimalAnglesFound && onOptimalAnglesFound({
-            current: { raoLao: finalRaoLao, cranialCaudal: finalCranialCaudal },
-            optimal: optimalAngles || { raoLao: finalRaoLao, cranialCaudal: finalCranialCaudal },
-            vessels3D: vessels3D
-          })}>
+          <Button onClick={() => onOptimalAnglesFound && onOptimalAnglesFound(
+            buildResults({ raoLao: finalRaoLao, cranialCaudal: finalCranialCaudal })
+          )}>
             Use These Angles
           </Button>
           
           {!webglSupported && (
             <Button 
               variant="outline"
-              onClick={() => onOptimalAnglesFound && onOptimalAnglesFound({
-                current: { raoLao: 0, cranialCaudal: 0 },
-                optimal: { raoLao: 30, cranialCaudal: 20 },
-                vessels3D: null
-              })}
+              onClick={() => onOptimalAnglesFound && onOptimalAnglesFound(
+                buildResults({ raoLao: 0, cranialCaudal: 0 })
+              )}
             >
               Skip 3D View & Continue
             </Button>
@@ -881,6 +667,20 @@ const Bifurcation3D = ({ vesselData, onOptimalAnglesFound, onBack }) => {
                 <strong>Optimal Angles:</strong> {Math.abs(optimalAngles.raoLao)}° {optimalAngles.raoLao >= 0 ? 'RAO' : 'LAO'}, {Math.abs(optimalAngles.cranialCaudal)}° {optimalAngles.cranialCaudal >= 0 ? 'Cranial' : 'Caudal'}
                 <br />
                 <strong>Score:</strong> {optimalAngles.score?.toFixed(3)} (higher = less foreshortening)
+                {reconstruction && (
+                  <>
+                    <br />
+                    <strong>Reprojection error:</strong> {reconstruction.reprojectionError.toFixed(2)} px
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {reconstructionError && (
+            <div className="mt-3 p-3 bg-red-50 rounded border border-red-200">
+              <div className="text-sm text-red-800">
+                <strong>3D reconstruction failed:</strong> {reconstructionError}
               </div>
             </div>
           )}
@@ -4,6 +4,7 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Slider } from '@/components/ui/slider.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
 import { RotateCcw, Eye, Settings } from 'lucide-react'
+import { calculateOptimalViewingAngles, createCameraRotation } from '../lib/angleEngine'
 
 const BifurcationSimulator = ({ vesselData, onOptimalAnglesFound, onBack }) => {
   const canvasRef = useRef(null)
@@ -58,7 +59,7 @@ const BifurcationSimulator = ({ vesselData, onOptimalAnglesFound, onBack }) => {
     ctx.clearRect(0, 0, canvasWidth, canvasHeight)
 
     // Set up 3D to 2D projection matrix
-    const projectionMatrix = createProjectionMatrix(raoLao, cranialCaudal)
+    const projectionMatrix = createCameraRotation(raoLao, cranialCaudal)
 
     // Draw coordinate system
     drawCoordinateSystem(ctx, projectionMatrix)
@@ -81,30 +82,10 @@ const BifurcationSimulator = ({ vesselData, onOptimalAnglesFound, onBack }) => {
     drawAngleIndicators(ctx)
 
     // Calculate and display optimal angles
-    const optimalAngles = calculateOptimalViewingAngles()
+    const optimalAngles = getOptimalAngles()
     displayOptimalAngles(ctx, optimalAngles)
   }
 
-  const createProjectionMatrix = (raoLaoDeg, cranialCaudalDeg) => {
-    const raoLaoRad = (raoLaoDeg * Math.PI) / 180
-    const cranialCaudalRad = (cranialCaudalDeg * Math.PI) / 180
-
-    // RAO/LAO rotation around Z-axis (patient's longitudinal axis)
-    const cosRao = Math.cos(raoLaoRad)
-    const sinRao = Math.sin(raoLaoRad)
-
-    // Cranial/Caudal rotation around X-axis (patient's lateral axis)  
-    const cosCranial = Math.cos(cranialCaudalRad)
-    const sinCranial = Math.sin(cranialCaudalRad)
-
-    // Combined rotation matrix: R = R_cranial * R_rao
-    return [
-      [cosRao, -sinRao * cosCranial, sinRao * sinCranial],
-      [sinRao, cosRao * cosCranial, -cosRao * sinCranial],
-      [0, sinCranial, cosCranial]
-    ]
-  }
-
   const project3DTo2D = (point3D, projectionMatrix) => {
     // Apply rotation matrix
     const rotated = [
@@ -113,10 +94,10 @@ const BifurcationSimulator = ({ vesselData, onOptimalAnglesFound, onBack }) => {
       projectionMatrix[2][0] * point3D[0] + projectionMatrix[2][1] * point3D[1] + projectionMatrix[2][2] * point3D[2]
     ]
 
-    // Project to 2D (orthographic projection)
+    // Project to 2D (orthographic projection, image y already points down)
     return {
       x: centerX + rotated[0] * scale,
-      y: centerY - rotated[1] * scale // Flip Y for screen coordinates
+      y: centerY + rotated[1] * scale
     }
   }
 
@@ -223,29 +204,11 @@ const BifurcationSimulator = ({ vesselData, onOptimalAnglesFound, onBack }) => {
     ctx.fillText(`Cranial/Caudal: ${cranialCaudal.toFixed(1)}°`, 10, 50)
   }
 
-  const calculateOptimalViewingAngles = () => {
-    // Calculate the plane normal from the three vessel directions
-    const mainDir = vessels.main.direction
-    const branch1Dir = vessels.branch1.direction
-    const branch2Dir = vessels.branch2.direction
-
-    // Calculate two vectors in the bifurcation plane
-    const vec1 = subtractVectors(branch1Dir, mainDir)
-    const vec2 = subtractVectors(branch2Dir, mainDir)
-
-    // Calculate plane normal using cross product
-    const normal = crossProduct(vec1, vec2)
-    const normalizedNormal = normalizeVector(normal)
-
-    // Convert normal to optimal viewing angles
-    const optimalRaoLao = Math.atan2(normalizedNormal[0], normalizedNormal[1]) * (180 / Math.PI)
-    const optimalCranialCaudal = Math.asin(normalizedNormal[2]) * (180 / Math.PI)
-
-    return {
-      raoLao: Math.max(-90, Math.min(90, optimalRaoLao)),
-      cranialCaudal: Math.max(-45, Math.min(45, optimalCranialCaudal))
-    }
-  }
+  const getOptimalAngles = () => calculateOptimalViewingAngles([
+    vessels.main.direction,
+    vessels.branch1.direction,
+    vessels.branch2.direction
+  ])
 
   const displayOptimalAngles = (ctx, optimalAngles) => {
     // Highlight optimal angles
@@ -264,32 +227,19 @@ const BifurcationSimulator = ({ vesselData, onOptimalAnglesFound, onBack }) => {
     ctx.fillText(`Diff: ${diffRaoLao.toFixed(1)}°, ${diffCranialCaudal.toFixed(1)}°`, canvasWidth - 200, 90)
   }
 
-  const subtractVectors = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
-
-  const crossProduct = (a, b) => [
-    a[1] * b[2] - a[2] * b[1],
-    a[2] * b[0] - a[0] * b[2],
-    a[0] * b[1] - a[1] * b[0]
-  ]
-
-  const normalizeVector = (v) => {
-    const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2])
-    return length > 0 ? [v[0] / length, v[1] / length, v[2] / length] : [0, 0, 0]
-  }
-
   const resetView = () => {
     setRaoLao(0)
     setCranialCaudal(0)
   }
 
   const goToOptimalView = () => {
-    const optimal = calculateOptimalViewingAngles()
+    const optimal = getOptimalAngles()
     setRaoLao(optimal.raoLao)
     setCranialCaudal(optimal.cranialCaudal)
   }
 
   const useCurrentAngles = () => {
-    const optimal = calculateOptimalViewingAngles()
+    const optimal = getOptimalAngles()
     if (onOptimalAnglesFound) {
       onOptimalAnglesFound({
         current: { raoLao, cranialCaudal },
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Ban, Plus, Trash2 } from 'lucide-react'
+import {
+  C_ARM_PRESETS,
+  createConstraintProfile,
+  validateConstraintProfile,
+  saveConstraintProfile
+} from '../lib/cArmConstraints'
+
+const CArmConstraintSettings = ({ profile, onChange }) => {
+  const [draft, setDraft] = useState(() => structuredClone(profile))
+
+  useEffect(() => {
+    setDraft(structuredClone(profile))
+  }, [profile])
+
+  const updateRange = (field, index, value) => {
+    setDraft(current => {
+      const range = [...current[field]]
+      range[index] = Number(value)
+      return { ...current, [field]: range }
+    })
+  }
+
+  const updateZone = (zoneIndex, field, value) => {
+    setDraft(current => ({
+      ...current,
+      forbiddenZones: current.forbiddenZones.map((zone, index) => {
+        if (index !== zoneIndex) return zone
+        if (field === 'name') return { ...zone, name: value }
+
+        const [rangeField, boundIndex] = field
+        const range = [...zone[rangeField]]
+        range[boundIndex] = Number(value)
+        return { ...zone, [rangeField]: range }
+      })
+    }))
+  }
+
+  const addZone = () => {
+    setDraft(current => ({
+      ...current,
+      forbiddenZones: [
+        ...current.forbiddenZones,
+        { name: `Forbidden zone ${current.forbiddenZones.length + 1}`, raoLao: [-10, 10], cranialCaudal: [-10, 10] }
+      ]
+    }))
+  }
+
+  const removeZone = (zoneIndex) => {
+    setDraft(current => ({
+      ...current,
+      forbiddenZones: current.forbiddenZones.filter((_, index) => index !== zoneIndex)
+    }))
+  }
+
+  const applyDraft = () => {
+    // Edited presets are saved as a custom profile
+    const edited = JSON.stringify(draft) !== JSON.stringify(profile)
+    const next = edited ? { ...draft, presetId: 'custom', name: `${draft.name.replace(/ \(edited\)$/, '')} (edited)` } : draft
+
+    try {
+      validateConstraintProfile(next)
+      saveConstraintProfile(next)
+      onChange(next)
+    } catch (err) {
+      console.error('Invalid C-arm constraint profile:', err)
+      alert(`Invalid C-arm constraints: ${err.message}`)
+    }
+  }
+
+  const selectPreset = (presetId) => {
+    const next = createConstraintProfile(presetId)
+    saveConstraintProfile(next)
+    onChange(next)
+  }
+
+  const rangeInputs = (value, onValueChange, label) => (
+    <div className="flex items-center gap-1">
+      <Input
+        type="number"
+        value={value[0]}
+        onChange={(event) => onValueChange(0, event.target.value)}
+        className="w-20 h-8"
+        aria-label={`${label} minimum`}
+      />
+      <span className="text-gray-400">to</span>
+      <Input
+        type="number"
+        value={value[1]}
+        onChange={(event) => onValueChange(1, event.target.value)}
+        className="w-20 h-8"
+        aria-label={`${label} maximum`}
+      />
+    </div>
+  )
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <Ban className="h-5 w-5" />
+          C-arm Constraints
+        </CardTitle>
+        <CardDescription>
+          Recommendations only use angles this C-arm can reach. RAO and cranial are positive, LAO and caudal negative.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <label htmlFor="carm-preset" className="font-medium">Lab preset:</label>
+          <select
+            id="carm-preset"
+            value={profile.presetId in C_ARM_PRESETS ? profile.presetId : ''}
+            onChange={(event) => selectPreset(event.target.value)}
+            className="border rounded px-2 py-1 text-sm"
+          >
+            {!(profile.presetId in C_ARM_PRESETS) && <option value="">{profile.name}</option>}
+            {Object.entries(C_ARM_PRESETS).map(([presetId, preset]) => (
+              <option key={presetId} value={presetId}>{preset.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <div className="font-medium">RAO/LAO limits (°)</div>
+            {rangeInputs(draft.raoLaoLimits, (index, value) => updateRange('raoLaoLimits', index, value), 'RAO/LAO limit')}
+          </div>
+          <div className="space-y-1">
+            <div className="font-medium">Cranial/caudal limits (°)</div>
+            {rangeInputs(draft.cranialCaudalLimits, (index, value) => updateRange('cranialCaudalLimits', index, value), 'Cranial/caudal limit')}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="font-medium">Forbidden zones</div>
+          {draft.forbiddenZones.length === 0 && (
+            <div className="text-gray-500">No forbidden zones</div>
+          )}
+          {draft.forbiddenZones.map((zone, zoneIndex) => (
+            <div key={zoneIndex} className="flex flex-wrap items-center gap-2 bg-gray-50 rounded p-2">
+              <Input
+                value={zone.name}
+                onChange={(event) => updateZone(zoneIndex, 'name', event.target.value)}
+                className="flex-1 min-w-48 h-8"
+                aria-label="Zone name"
+              />
+              <span className="text-gray-500">RAO/LAO</span>
+              {rangeInputs(zone.raoLao, (index, value) => updateZone(zoneIndex, ['raoLao', index], value), 'Zone RAO/LAO')}
+              <span className="text-gray-500">Cran/Caud</span>
+              {rangeInputs(zone.cranialCaudal, (index, value) => updateZone(zoneIndex, ['cranialCaudal', index], value), 'Zone cranial/caudal')}
+              <Button variant="ghost" size="sm" onClick={() => removeZone(zoneIndex)} aria-label="Remove zone">
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <Button variant="outline" size="sm" onClick={addZone}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Zone
+          </Button>
+        </div>
+
+        <div className="flex gap-2">
+          <Button onClick={applyDraft}>Apply Constraints</Button>
+          <Button variant="outline" onClick={() => setDraft(structuredClone(profile))}>
+            Discard Changes
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CArmConstraintSettings
@@ -0,0 +1,98 @@
+import { useState, useRef } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { FileUp } from 'lucide-react'
+import { parseCaseBundle, getRestorableSteps } from '../lib/caseBundle'
+
+const CaseBundleImport = ({ steps, onImport }) => {
+  const fileInputRef = useRef(null)
+  const [bundle, setBundle] = useState(null)
+  const [restorableSteps, setRestorableSteps] = useState([])
+  const [selectedStep, setSelectedStep] = useState(null)
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const parsed = parseCaseBundle(await file.text())
+      const available = getRestorableSteps(parsed, steps.length)
+
+      if (available.length === 0) {
+        throw new Error('Case bundle does not contain enough data to restore any step')
+      }
+
+      // Default to the step the case was exported from, if it can be restored
+      setBundle(parsed)
+      setRestorableSteps(available)
+      setSelectedStep(available.includes(parsed.currentStep) ? parsed.currentStep : available[available.length - 1])
+    } catch (err) {
+      console.error('Error importing case bundle:', err)
+      alert(`Error importing case bundle: ${err.message}`)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <FileUp className="h-5 w-5" />
+          Import Case Bundle
+        </CardTitle>
+        <CardDescription>
+          Reopen a case exported from this app for review or to reproduce a calculation
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileSelected}
+          className="hidden"
+        />
+
+        {!bundle ? (
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()}>
+            <FileUp className="mr-2 h-4 w-4" />
+            Choose Bundle File
+          </Button>
+        ) : (
+          <div className="space-y-3">
+            <div className="text-sm text-gray-600">
+              {bundle.workflowMode === 'ct' ? 'Coronary CT' : 'Angiographic'} case exported {new Date(bundle.exportedAt).toLocaleString()}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+              <label htmlFor="bundle-step" className="text-sm font-medium">Open at step:</label>
+              <select
+                id="bundle-step"
+                value={selectedStep}
+                onChange={(event) => setSelectedStep(Number(event.target.value))}
+                className="border rounded px-2 py-1 text-sm"
+              >
+                {restorableSteps.map(step => (
+                  <option key={step} value={step}>
+                    {step + 1}. {steps[step].title}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex gap-2">
+              <Button onClick={() => onImport(bundle, selectedStep)}>
+                Open Case
+              </Button>
+              <Button variant="outline" onClick={() => setBundle(null)}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CaseBundleImport
@@ -0,0 +1,150 @@
+import { useState, useEffect } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { FolderOpen, Copy, Trash2, Play, Camera, Upload } from 'lucide-react'
+import { listCases, loadCase, deleteCase, duplicateCase } from '../lib/caseStore'
+
+const CaseLibrary = ({ steps, onResume }) => {
+  const [cases, setCases] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    refreshCases()
+  }, [])
+
+  const refreshCases = async () => {
+    try {
+      setIsLoading(true)
+      setError(null)
+      setCases(await listCases())
+    } catch (err) {
+      console.error('Error loading case library:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleResume = async (id) => {
+    try {
+      const caseRecord = await loadCase(id)
+      if (!caseRecord) {
+        alert('This case no longer exists.')
+        refreshCases()
+        return
+      }
+      onResume(caseRecord)
+    } catch (err) {
+      console.error('Error resuming case:', err)
+      alert(`Error resuming case: ${err.message}`)
+    }
+  }
+
+  const handleDuplicate = async (id) => {
+    try {
+      await duplicateCase(id)
+      refreshCases()
+    } catch (err) {
+      console.error('Error duplicating case:', err)
+      alert(`Error duplicating case: ${err.message}`)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    if (!confirm('Delete this case from this device? This cannot be undone.')) return
+
+    try {
+      await deleteCase(id)
+      refreshCases()
+    } catch (err) {
+      console.error('Error deleting case:', err)
+      alert(`Error deleting case: ${err.message}`)
+    }
+  }
+
+  const formatTimestamp = (timestamp) => {
+    return new Date(timestamp).toLocaleString()
+  }
+
+  const getStepTitle = (stepIndex) => {
+    return steps[stepIndex]?.title || `Step ${stepIndex + 1}`
+  }
+
+  if (error) {
+    return (
+      <div className="bg-gray-50 border rounded-lg p-4 text-sm text-gray-600">
+        Case library unavailable on this device: {error}
+      </div>
+    )
+  }
+
+  if (isLoading || cases.length === 0) {
+    return null
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <FolderOpen className="h-5 w-5" />
+          Saved Cases
+        </CardTitle>
+        <CardDescription>
+          Cases are saved automatically on this device only
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {cases.map(caseSummary => {
+          const WorkflowIcon = caseSummary.workflowMode === 'ct' ? Upload : Camera
+
+          return (
+            <div key={caseSummary.id} className="flex items-center gap-3 border rounded-lg p-2">
+              {caseSummary.thumbnail ? (
+                <img
+                  src={caseSummary.thumbnail}
+                  alt="Case thumbnail"
+                  className="w-16 h-16 object-cover rounded bg-black"
+                />
+              ) : (
+                <div className="w-16 h-16 rounded bg-gray-100 flex items-center justify-center">
+                  <WorkflowIcon className="h-6 w-6 text-gray-400" />
+                </div>
+              )}
+
+              <div className="flex-1 min-w-0 text-sm">
+                <div className="font-medium truncate">
+                  {caseSummary.workflowMode === 'ct' ? 'Coronary CT' : 'Angiographic'} case
+                  {caseSummary.duplicatedFrom && (
+                    <Badge variant="secondary" className="ml-2">Copy</Badge>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  Updated {formatTimestamp(caseSummary.updatedAt)}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {getStepTitle(caseSummary.currentStep)}
+                </div>
+              </div>
+
+              <div className="flex gap-1">
+                <Button size="sm" title="Resume" onClick={() => handleResume(caseSummary.id)}>
+                  <Play className="h-4 w-4" />
+                </Button>
+                <Button size="sm" variant="outline" title="Duplicate" onClick={() => handleDuplicate(caseSummary.id)}>
+                  <Copy className="h-4 w-4" />
+                </Button>
+                <Button size="sm" variant="outline" title="Delete" onClick={() => handleDelete(caseSummary.id)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )
+        })}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CaseLibrary
@@ -0,0 +1,115 @@
+/**
+ * Coronary Tree View
+ * Nested list of the segmented coronary tree: each segment with its anatomical label
+ * (editable), vessel and length, and selectable bifurcation nodes between a segment and
+ * its branches
+ */
+
+import { Badge } from '@/components/ui/badge.jsx'
+import { GitBranch } from 'lucide-react'
+
+import { CORONARY_LABELS } from '@/lib/coronaryLabeling.js'
+
+const CoronaryTreeView = ({
+  tree,
+  vessels,
+  bifurcations,
+  selectedBifurcationId,
+  onSelectBifurcation,
+  onSegmentLabelChange
+}) => {
+  const segmentById = new Map(tree.segments.map(segment => [segment.id, segment]))
+  const nodeById = new Map(tree.nodes.map(node => [node.id, node]))
+
+  const vesselLabel = (vesselId) => `Vessel ${vessels.findIndex(vessel => vessel.id === vesselId) + 1}`
+
+  const renderSegment = (segmentId, role) => {
+    const segment = segmentById.get(segmentId)
+    const node = nodeById.get(segment.distalNodeId)
+    const nodeBifurcations = bifurcations.filter(bifurcation => bifurcation.nodeId === node.id)
+    const branchIds = [node.distalMainSegmentId, ...node.sideBranchSegmentIds].filter(Boolean)
+
+    return (
+      <li key={segment.id} className="space-y-1">
+        <div className="flex justify-between items-center gap-2 text-sm">
+          <span className="flex items-center gap-2">
+            <select
+              value={segment.label || ''}
+              onChange={(event) => onSegmentLabelChange(segment.id, event.target.value)}
+              className={`border rounded px-1 py-0.5 text-sm ${segment.labelSource === 'manual' ? 'font-semibold' : ''}`}
+              title={segment.labelSource === 'manual' ? 'Set manually' : 'Labeled automatically'}
+            >
+              {!segment.label && <option value="">Unlabeled</option>}
+              {CORONARY_LABELS.map(label => <option key={label} value={label}>{label}</option>)}
+            </select>
+            <span className="text-gray-500">
+              {vesselLabel(segment.vesselId)}{role && `, ${role}`}
+            </span>
+          </span>
+          <Badge variant="secondary">{segment.length.toFixed(1)} mm</Badge>
+        </div>
+
+        {nodeBifurcations.map(bifurcation => (
+          <BifurcationButton
+            key={bifurcation.id}
+            label={bifurcation.label || `Bifurcation: ${vesselLabel(bifurcation.vessel2)} branches off`}
+            bifurcation={bifurcation}
+            selected={bifurcation.id === selectedBifurcationId}
+            onSelect={onSelectBifurcation}
+          />
+        ))}
+
+        {branchIds.length > 0 && (
+          <ul className="ml-4 pl-2 border-l space-y-1">
+            {branchIds.map(id => renderSegment(id, id === node.distalMainSegmentId ? 'distal main' : 'side branch'))}
+          </ul>
+        )}
+      </li>
+    )
+  }
+
+  // Trees start at an ostium; vessels seeded from the same ostium branch there
+  const ostia = tree.nodes.filter(node => node.type === 'ostium')
+
+  return (
+    <div className="space-y-3">
+      {ostia.map(ostium => (
+        <ul key={ostium.id} className="space-y-1">
+          {bifurcations.filter(bifurcation => bifurcation.nodeId === ostium.id).map(bifurcation => (
+            <BifurcationButton
+              key={bifurcation.id}
+              label={bifurcation.label || `Ostium: ${vesselLabel(bifurcation.vessel1)} and ${vesselLabel(bifurcation.vessel2)}`}
+              bifurcation={bifurcation}
+              selected={bifurcation.id === selectedBifurcationId}
+              onSelect={onSelectBifurcation}
+            />
+          ))}
+          {[ostium.distalMainSegmentId, ...ostium.sideBranchSegmentIds].filter(Boolean).map(id => renderSegment(id, null))}
+        </ul>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Selectable bifurcation node with its confidence
+ */
+const BifurcationButton = ({ label, bifurcation, selected, onSelect }) => (
+  <button
+    type="button"
+    onClick={() => onSelect(bifurcation.id)}
+    className={`w-full flex justify-between items-center rounded px-2 py-1 text-left ${
+      selected ? 'bg-blue-200' : 'hover:bg-blue-100'
+    }`}
+  >
+    <span className="text-sm flex items-center gap-1">
+      <GitBranch className="h-3 w-3" />
+      {label}
+    </span>
+    <Badge variant="secondary">
+      {(bifurcation.confidence * 100).toFixed(0)}% confidence
+    </Badge>
+  </button>
+)
+
+export default CoronaryTreeView
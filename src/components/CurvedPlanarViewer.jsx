@@ -0,0 +1,299 @@
+/**
+ * Curved Planar Vessel Viewer
+ * Straightened or stretched reformation along a segmented vessel's centerline with a
+ * draggable cursor and the cross section perpendicular to the vessel at the cursor, from
+ * which a vessel can also be cut
+ */
+
+import { useState, useMemo, useRef, useEffect } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Slider } from '@/components/ui/slider.jsx'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group.jsx'
+import { Crosshair, Scissors } from 'lucide-react'
+
+import { getVolumeAffine, patientToVoxel, voxelToPatient } from '@/lib/dicomGeometry.js'
+import { drawWindowedImage } from '@/lib/multiplanarReformation.js'
+import {
+  createCenterlinePath,
+  findClosestPathIndex,
+  sampleCrossSection,
+  sampleStraightenedVessel,
+  sampleStretchedVessel
+} from '@/lib/curvedPlanarReformation.js'
+
+const REFORMATION_HEIGHT = 480
+const CROSS_SECTION_SIZE = 128
+const CROSS_SECTION_FIELD_OF_VIEW = 15
+
+// Bifurcations farther than this from the centerline are not marked on it (mm)
+const BIFURCATION_MARKER_DISTANCE = 3
+
+const CurvedPlanarViewer = ({
+  volume,
+  vessels,
+  bifurcation,
+  windowLevel,
+  windowWidth,
+  onBifurcationPointChange,
+  onCutVessel
+}) => {
+  const reformationCanvasRef = useRef(null)
+  const crossSectionCanvasRef = useRef(null)
+  const [vesselId, setVesselId] = useState(vessels[0]?.id)
+  const [mode, setMode] = useState('straightened')
+  const [angle, setAngle] = useState(0)
+  const [cursorIndex, setCursorIndex] = useState(0)
+
+  const vessel = vessels.find(candidate => candidate.id === vesselId) || vessels[0]
+
+  const { path, error } = useMemo(() => {
+    try {
+      return { path: createCenterlinePath(volume, vessel.centerline), error: null }
+    } catch (pathError) {
+      console.warn(`Cannot reformat ${vessel.id}:`, pathError)
+      return { path: null, error: pathError.message }
+    }
+  }, [volume, vessel])
+
+  const reformation = useMemo(() => {
+    if (!path) return null
+    const sample = mode === 'stretched' ? sampleStretchedVessel : sampleStraightenedVessel
+    return sample(volume, path, { angle })
+  }, [volume, path, mode, angle])
+
+  const clampedIndex = path ? Math.min(cursorIndex, path.positions.length - 1) : 0
+
+  const crossSection = useMemo(() => {
+    if (!path) return null
+    return sampleCrossSection(volume, path, clampedIndex, {
+      size: CROSS_SECTION_SIZE,
+      fieldOfView: CROSS_SECTION_FIELD_OF_VIEW,
+      angle,
+      mode
+    })
+  }, [volume, path, clampedIndex, angle, mode])
+
+  // Minimal-path centerlines carry a lumen radius per point
+  const cursorRadius = useMemo(() => {
+    if (!path || vessel.centerline[0]?.radius === undefined) return null
+    const cursorPosition = path.positions[clampedIndex]
+    return vessel.centerline.reduce((closest, point) =>
+      distance(point.position, cursorPosition) < distance(closest.position, cursorPosition) ? point : closest
+    ).radius
+  }, [path, vessel, clampedIndex])
+
+  const bifurcationIndex = useMemo(() => {
+    if (!path || !bifurcation) return null
+    const closest = findClosestPathIndex(path, voxelToPatient(getVolumeAffine(volume), bifurcation.point))
+    return closest.distance <= BIFURCATION_MARKER_DISTANCE ? closest.index : null
+  }, [volume, path, bifurcation])
+
+  useEffect(() => {
+    const canvas = reformationCanvasRef.current
+    if (!canvas || !reformation) return
+
+    const ctx = canvas.getContext('2d')
+    drawWindowedImage(ctx, reformation.data, reformation.width, reformation.height, windowLevel, windowWidth)
+
+    if (bifurcationIndex !== null) {
+      const row = findRow(reformation, bifurcationIndex)
+      ctx.fillStyle = '#facc15'
+      ctx.beginPath()
+      ctx.moveTo(0, row - 3)
+      ctx.lineTo(4, row)
+      ctx.lineTo(0, row + 3)
+      ctx.fill()
+    }
+
+    const row = findRow(reformation, clampedIndex)
+    ctx.strokeStyle = '#ef4444'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(0, row + 0.5)
+    ctx.lineTo(reformation.width, row + 0.5)
+    ctx.stroke()
+  }, [reformation, clampedIndex, bifurcationIndex, windowLevel, windowWidth])
+
+  useEffect(() => {
+    const canvas = crossSectionCanvasRef.current
+    if (!canvas || !crossSection) return
+
+    const ctx = canvas.getContext('2d')
+    const center = CROSS_SECTION_SIZE / 2
+    drawWindowedImage(ctx, crossSection.sample.data, CROSS_SECTION_SIZE, CROSS_SECTION_SIZE, windowLevel, windowWidth)
+
+    ctx.strokeStyle = '#ef4444'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(center - 6, center)
+    ctx.lineTo(center + 6, center)
+    ctx.moveTo(center, center - 6)
+    ctx.lineTo(center, center + 6)
+    ctx.stroke()
+  }, [crossSection, windowLevel, windowWidth])
+
+  // Click or drag on the reformation moves the cursor along the vessel
+  const handlePointer = (event) => {
+    if (event.type === 'mousemove' && event.buttons !== 1) return
+    if (!reformation) return
+
+    const rect = reformationCanvasRef.current.getBoundingClientRect()
+    const row = Math.floor((event.clientY - rect.top) * (reformation.height / rect.height))
+    const clampedRow = Math.max(0, Math.min(reformation.height - 1, row))
+    setCursorIndex(Math.round(reformation.rows[clampedRow].pathIndex))
+  }
+
+  const handleSetCarina = () => {
+    const point = patientToVoxel(getVolumeAffine(volume), path.positions[clampedIndex])
+    onBifurcationPointChange(point)
+  }
+
+  const handleCutVessel = () => {
+    onCutVessel(vessel.id, path.positions[clampedIndex], path.tangents[clampedIndex])
+    setCursorIndex(0)
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <select
+          value={vessel.id}
+          onChange={(event) => {
+            setVesselId(event.target.value)
+            setCursorIndex(0)
+          }}
+          className="border rounded px-2 py-1 text-sm"
+        >
+          {vessels.map((candidate, index) => (
+            <option key={candidate.id} value={candidate.id}>
+              Vessel {index + 1} ({candidate.length.toFixed(1)} mm)
+            </option>
+          ))}
+        </select>
+        <ToggleGroup
+          type="single"
+          value={mode}
+          onValueChange={(value) => value && setMode(value)}
+          className="justify-start"
+        >
+          <ToggleGroupItem value="straightened" className="px-4">Straightened</ToggleGroupItem>
+          <ToggleGroupItem value="stretched" className="px-4">Curved</ToggleGroupItem>
+        </ToggleGroup>
+      </div>
+
+      {error && (
+        <p className="text-sm text-amber-700">{error}. Add seed points along this vessel and segment again.</p>
+      )}
+
+      {path && reformation && crossSection && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <div className="flex justify-center border rounded-lg p-2 bg-gray-50">
+              <canvas
+                ref={reformationCanvasRef}
+                width={reformation.width}
+                height={reformation.height}
+                onMouseDown={handlePointer}
+                onMouseMove={handlePointer}
+                className="max-w-full rounded bg-black cursor-row-resize"
+                style={{ height: REFORMATION_HEIGHT }}
+              />
+            </div>
+            <p className="text-xs text-gray-500">
+              Centerline start at the top. Red line: cross-section cursor.
+              {bifurcationIndex !== null && ' Yellow marker: bifurcation point.'}
+            </p>
+          </div>
+
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <h4 className="text-sm font-semibold">Cross Section</h4>
+              <canvas
+                ref={crossSectionCanvasRef}
+                width={CROSS_SECTION_SIZE}
+                height={CROSS_SECTION_SIZE}
+                className="w-64 max-w-full rounded border bg-black"
+              />
+              <p className="text-xs text-gray-500">
+                Perpendicular to the centerline, {CROSS_SECTION_FIELD_OF_VIEW} mm field of view.
+                Center: {Math.round(crossSection.sample.data[(CROSS_SECTION_SIZE / 2) * CROSS_SECTION_SIZE + CROSS_SECTION_SIZE / 2])} HU
+                {cursorRadius !== null && `, lumen radius ${cursorRadius.toFixed(1)} mm`}
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">
+                Position: {(clampedIndex * path.step).toFixed(1)} / {path.length.toFixed(1)} mm
+              </label>
+              <Slider
+                value={[clampedIndex]}
+                onValueChange={([value]) => setCursorIndex(value)}
+                max={path.positions.length - 1}
+                step={1}
+                className="w-full"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">
+                Rotation Around Vessel: {angle}°
+              </label>
+              <Slider
+                value={[angle]}
+                onValueChange={([value]) => setAngle(value)}
+                min={0}
+                max={179}
+                step={1}
+                className="w-full"
+              />
+            </div>
+
+            {bifurcation && (
+              <div className="bg-blue-50 p-4 rounded-lg space-y-2">
+                <p className="text-sm">
+                  Move the cursor onto the carina of the selected bifurcation to refine its position
+                  before computing angles.
+                </p>
+                <Button variant="outline" onClick={handleSetCarina}>
+                  <Crosshair className="mr-2 h-4 w-4" />
+                  Set Bifurcation Point at Cursor
+                </Button>
+                {bifurcation.refined && (
+                  <p className="text-xs text-gray-600">Bifurcation point refined on the curved reformation</p>
+                )}
+              </div>
+            )}
+
+            {onCutVessel && (
+              <div className="bg-amber-50 p-4 rounded-lg space-y-2">
+                <p className="text-sm">
+                  Removes the segmentation of this vessel beyond the cursor, e.g. where it leaked into a
+                  vein, and extracts its centerline again.
+                </p>
+                <Button variant="outline" onClick={handleCutVessel} disabled={clampedIndex === 0}>
+                  <Scissors className="mr-2 h-4 w-4" />
+                  Cut Vessel at Cursor
+                </Button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Reformation row closest to a path sample
+ */
+const findRow = (reformation, pathIndex) => {
+  let best = 0
+  reformation.rows.forEach((row, index) => {
+    if (Math.abs(row.pathIndex - pathIndex) < Math.abs(reformation.rows[best].pathIndex - pathIndex)) best = index
+  })
+  return best
+}
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])
+
+export default CurvedPlanarViewer
@@ -1,6 +1,7 @@
 /**
  * DICOM CT Viewer Component
- * Provides 3D CT visualization, coronary segmentation, and simulated projections
+ * Provides 3D CT visualization, coronary segmentation and its manual editing, and simulated
+ * projections
  */
 
 import React, { useState, useRef, useEffect } from 'react'
@@ -21,24 +22,60 @@ import {
   Layers,
   Heart,
   Zap,
-  Settings
+  Settings,
+  FolderOpen,
+  Spline,
+  Crosshair,
+  X,
+  Download,
+  Paintbrush,
+  Eraser,
+  PaintBucket,
+  Trash2,
+  Undo2,
+  Redo2,
+  RefreshCw
 } from 'lucide-react'
 
 import {
   initializeDicomProcessor,
   loadDicomCTDataset,
-  create3DVolumeFromDicom,
-  segmentCoronaryArteries,
-  generateSimulatedProjection,
-  detectCoronaryBifurcations
-} from '@/lib/dicomProcessor.js'
+  create3DVolumeFromDicom
+} from '@/lib/dicomLoader.js'
+import { describeTransferSyntax } from '@/lib/dicomVolumeDecoder.js'
+import { detectCoronaryBifurcations } from '@/lib/dicomProcessor.js'
+import { createCtWorkerPool } from '@/lib/ctWorkerPool.js'
+import { scanDicomFiles } from '@/lib/dicomSeries.js'
+import { getVolumeCenter } from '@/lib/multiplanarReformation.js'
+import { computeSeedVesselness } from '@/lib/vesselness.js'
+import { getBifurcationLabel, setSegmentLabel } from '@/lib/coronaryLabeling.js'
+import { detectAorticRoot } from '@/lib/aorticRootDetection.js'
+import { downloadMeshes } from '@/lib/meshExport.js'
+import { isVolumeFile } from '@/lib/volumeFileLoader.js'
+import {
+  createSegmentationMask,
+  cutVesselAt,
+  getLabelPoints,
+  mergeEdits,
+  paintBrush,
+  redoEdit,
+  removeConnectedComponent,
+  thresholdFill,
+  undoEdit
+} from '@/lib/segmentationEditing.js'
+import DicomSeriesBrowser from './DicomSeriesBrowser'
+import MultiPlanarViewer from './MultiPlanarViewer'
+import CurvedPlanarViewer from './CurvedPlanarViewer'
+import CoronaryTreeView from './CoronaryTreeView'
 
 const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
   // State management
+  const [seriesScan, setSeriesScan] = useState(null)
   const [ctDataset, setCTDataset] = useState(null)
   const [volume3D, setVolume3D] = useState(null)
   const [segmentedVessels, setSegmentedVessels] = useState(null)
   const [bifurcations, setBifurcations] = useState([])
+  const [selectedBifurcationId, setSelectedBifurcationId] = useState(null)
   const [currentProjection, setCurrentProjection] = useState(null)
   
   const [isLoading, setIsLoading] = useState(false)
@@ -46,17 +83,26 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
   const [loadingMessage, setLoadingMessage] = useState('')
   
   // Viewing parameters
-  const [currentSlice, setCurrentSlice] = useState(0)
+  const [mprCursor, setMprCursor] = useState(null)
+  const [obliqueAngles, setObliqueAngles] = useState({ rotation: 0, tilt: 0 })
+  const [mprMode, setMprMode] = useState('navigate')
   const [windowLevel, setWindowLevel] = useState(400)
   const [windowWidth, setWindowWidth] = useState(1000)
   
   // Segmentation parameters
   const [seedPoints, setSeedPoints] = useState([])
   const [segmentationParams, setSegmentationParams] = useState({
+    method: 'threshold',
+    centerlineMethod: 'minimalPath',
     intensityThreshold: 200,
     maxIntensity: 800,
-    regionGrowingRadius: 3
+    regionGrowingRadius: 3,
+    maxVesselRadius: 3,
+    vesselnessThreshold: 0.1
   })
+  const [vesselnessPreview, setVesselnessPreview] = useState(null)
+  const [aorticRootProposal, setAorticRootProposal] = useState(null)
+  const [aorticRoot, setAorticRoot] = useState(null)
   
   // Projection parameters
   const [raoLaoDirection, setRaoLaoDirection] = useState('RAO')
@@ -64,187 +110,551 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
   const [cranialCaudalDirection, setCranialCaudalDirection] = useState('Cranial')
   const [cranialCaudalMagnitude, setCranialCaudalMagnitude] = useState(20)
   const [autoRotate, setAutoRotate] = useState(false)
+  const [projectionMode, setProjectionMode] = useState('drr')
+  const [projectionProgress, setProjectionProgress] = useState(null)
+  
+  // Background work: segmentation and projection run in a worker pool
+  const [taskController, setTaskController] = useState(null) // AbortController of a cancellable task
+  const [segmentationStatus, setSegmentationStatus] = useState(null)
+  const [meshFormat, setMeshFormat] = useState('stl')
+  const [meshExportProgress, setMeshExportProgress] = useState(null)
+  
+  // Segmentation editing: label mask with undo/redo history and the labels changed since
+  // the centerlines were last extracted
+  const [editSession, setEditSession] = useState(null) // { mask, undo, redo, edited }
+  const [editTool, setEditTool] = useState('brush')
+  const [editVesselId, setEditVesselId] = useState(null)
+  const [brushRadius, setBrushRadius] = useState(2) // mm
+  const [editProgress, setEditProgress] = useState(null)
+  const editStrokeRef = useRef(false) // Whether the current brush stroke has an undo step
+  const workerPoolRef = useRef(null)
+  const projectionControllerRef = useRef(null)
+  const projectionSequenceRef = useRef(0)
+  const renderedProjectionRef = useRef(0)
   
   // Canvas refs
-  const ctCanvasRef = useRef(null)
   const projectionCanvasRef = useRef(null)
   const volume3DCanvasRef = useRef(null)
+  const folderInputRef = useRef(null)
+  const labelmapInputRef = useRef(null)
   
   // Initialize DICOM processor on mount
   useEffect(() => {
     initializeDicomProcessor()
   }, [])
   
-  // Handle DICOM file upload
+  // Start the worker pool on mount and stop its workers on unmount
+  useEffect(() => {
+    const pool = createCtWorkerPool()
+    workerPoolRef.current = pool
+    return () => pool.terminate()
+  }, [])
+  
+  // Handle DICOM file or folder upload: group files into series first
   const handleDicomUpload = async (event) => {
     const files = event.target.files
     if (!files || files.length === 0) return
     
+    // NIfTI and NRRD files hold a whole volume
+    if (files.length === 1 && isVolumeFile(files[0])) {
+      await loadVolume(files[0])
+      event.target.value = ''
+      return
+    }
+    
+    setIsLoading(true)
+    setLoadingMessage('Reading DICOM headers...')
+    setLoadingProgress(0)
+    
+    try {
+      const scan = await scanDicomFiles(files, (processed, total) => {
+        setLoadingProgress(Math.round((processed / total) * 100))
+      })
+      
+      if (scan.series.length === 0) {
+        throw new Error('No DICOM series found in the selected files')
+      }
+      
+      setSeriesScan(scan)
+      
+      // A single series needs no choice
+      if (scan.series.length === 1) {
+        await loadSeries(scan.series[0])
+      }
+    } catch (error) {
+      console.error('Error reading DICOM files:', error)
+      alert(`Error reading DICOM files: ${error.message}`)
+    } finally {
+      setIsLoading(false)
+      event.target.value = ''
+    }
+  }
+  
+  // Load one series as the CT volume
+  const loadSeries = async (series) => {
+    const controller = new AbortController()
+    setTaskController(controller)
     setIsLoading(true)
     setLoadingMessage('Loading DICOM files...')
-    setLoadingProgress(10)
+    setLoadingProgress(0)
     
     try {
-      // Load DICOM dataset
-      const dataset = await loadDicomCTDataset(files)
-      setCTDataset(dataset)
-      setLoadingProgress(30)
-      setLoadingMessage('Creating 3D volume...')
+      // Decode the series and assemble the volume in the worker pool
+      let { dataset, volume, unsupportedTransferSyntax } = await workerPoolRef.current.run(
+        'readDicomVolume',
+        null,
+        [series.files],
+        {
+          signal: controller.signal,
+          onProgress: (progress) => setLoadingProgress(Math.round(progress * 95))
+        }
+      )
       
-      // Create 3D volume
-      const volume = await create3DVolumeFromDicom(dataset)
+      // Compressed series are decoded by cornerstone on the main thread
+      if (unsupportedTransferSyntax) {
+        const mainThreadNote = `series compressed as ${describeTransferSyntax(unsupportedTransferSyntax)}: ` +
+          'decoding on the main thread, the viewer may respond slowly until loading finishes'
+        setLoadingMessage(`Loading DICOM files (${mainThreadNote})...`)
+        dataset = await loadDicomCTDataset(series.files, {
+          signal: controller.signal,
+          onProgress: (processed, total) => setLoadingProgress(Math.round((processed / total) * 30))
+        })
+        setLoadingMessage(`Creating 3D volume (${mainThreadNote})...`)
+        volume = await create3DVolumeFromDicom(dataset, {
+          signal: controller.signal,
+          onProgress: (slices, total) => setLoadingProgress(30 + Math.round((slices / total) * 65))
+        })
+      }
+      setCTDataset({ ...dataset, series: { description: series.seriesDescription, phase: series.phase } })
       setVolume3D(volume)
-      setLoadingProgress(60)
       setLoadingMessage('Initializing visualization...')
       
       // Initialize viewing parameters
-      setCurrentSlice(Math.floor(dataset.metadata.length / 2))
+      setMprCursor(getVolumeCenter(volume))
+      setObliqueAngles({ rotation: 0, tilt: 0 })
       setWindowLevel(dataset.metadata[0]?.windowCenter || 400)
       setWindowWidth(dataset.metadata[0]?.windowWidth || 1000)
       
       setLoadingProgress(100)
       setLoadingMessage('Ready!')
       
-      // Render initial CT slice
-      renderCTSlice(volume, Math.floor(dataset.metadata.length / 2))
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Back to the series list
+        setCTDataset(null)
+        setVolume3D(null)
+      } else {
+        console.error('Error loading DICOM files:', error)
+        alert(`Error loading DICOM files: ${error.message}`)
+      }
+    } finally {
+      setIsLoading(false)
+      setTaskController(null)
+    }
+  }
+  
+  // Load a NIfTI or NRRD file as the CT volume
+  const loadVolume = async (file) => {
+    const controller = new AbortController()
+    setTaskController(controller)
+    setIsLoading(true)
+    setLoadingMessage(`Reading ${file.name}...`)
+    setLoadingProgress(0)
+    
+    try {
+      const { dataset, volume } = await workerPoolRef.current.run('loadVolumeFile', null, [file], {
+        signal: controller.signal,
+        onProgress: (progress) => setLoadingProgress(Math.round(progress * 95))
+      })
+      setCTDataset(dataset)
+      setVolume3D(volume)
+      
+      // Initialize viewing parameters
+      setMprCursor(getVolumeCenter(volume))
+      setObliqueAngles({ rotation: 0, tilt: 0 })
+      setWindowLevel(400)
+      setWindowWidth(1000)
       
+      setLoadingProgress(100)
+      setLoadingMessage('Ready!')
     } catch (error) {
-      console.error('Error loading DICOM files:', error)
-      alert(`Error loading DICOM files: ${error.message}`)
+      if (error.name !== 'AbortError') {
+        console.error('Error loading volume file:', error)
+        alert(`Error loading ${file.name}: ${error.message}`)
+      }
     } finally {
       setIsLoading(false)
+      setTaskController(null)
     }
   }
   
-  // Render CT slice
-  const renderCTSlice = (volume, sliceIndex) => {
-    const canvas = ctCanvasRef.current
-    if (!canvas || !volume) return
+  // Return to the series list, discarding the loaded series and its analysis
+  const changeSeries = () => {
+    taskController?.abort()
+    projectionControllerRef.current?.abort()
+    setCTDataset(null)
+    setVolume3D(null)
+    setSeedPoints([])
+    setVesselnessPreview(null)
+    setAorticRootProposal(null)
+    setAorticRoot(null)
+    setSegmentedVessels(null)
+    clearEditSession()
+    setBifurcations([])
+    setSelectedBifurcationId(null)
+    setCurrentProjection(null)
+  }
+  
+  // Segment coronary arteries in a worker; vessels appear as they are segmented
+  const handleSegmentation = async () => {
+    if (!volume3D || seedPoints.length === 0) {
+      alert('Please load CT data and place seed points first')
+      return
+    }
     
-    const ctx = canvas.getContext('2d')
-    const { data, dimensions } = volume
-    const { width, height } = dimensions
+    const controller = new AbortController()
+    setTaskController(controller)
+    setSegmentationStatus({ message: 'Segmenting coronary arteries...', progress: 0 })
+    setSegmentedVessels(null)
+    clearEditSession()
+    setBifurcations([])
+    setSelectedBifurcationId(null)
     
-    // Set canvas size
-    canvas.width = width
-    canvas.height = height
+    const streamedVessels = []
     
-    // Create image data
-    const imageData = ctx.createImageData(width, height)
-    const sliceOffset = sliceIndex * width * height
+    try {
+      const result = await workerPoolRef.current.run(
+        'segmentCoronaryArteries',
+        volume3D,
+        [seedPoints, { ...segmentationParams, aorticRoot }],
+        {
+          signal: controller.signal,
+          onProgress: (progress, partial) => {
+            setSegmentationStatus({ message: 'Segmenting coronary arteries...', progress: Math.round(progress * 100) })
+            if (partial?.vessel) {
+              streamedVessels.push(partial.vessel)
+              setSegmentedVessels({ vessels: [...streamedVessels], volume: volume3D })
+            }
+          }
+        }
+      )
+      showSegmentation(result)
+      
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setSegmentedVessels(null)
+      } else {
+        console.error('Segmentation error:', error)
+        alert(`Segmentation failed: ${error.message}`)
+      }
+    } finally {
+      setSegmentationStatus(null)
+      setTaskController(null)
+    }
+  }
+  
+  // Use a NIfTI or NRRD labelmap on the CT grid as the segmentation
+  const handleLabelmapUpload = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file || !volume3D) return
     
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const pixelIndex = y * width + x
-        const volumeIndex = sliceOffset + pixelIndex
-        const intensity = data[volumeIndex]
-        
-        // Apply window/level
-        let displayValue = ((intensity - windowLevel) / windowWidth + 0.5) * 255
-        displayValue = Math.max(0, Math.min(255, displayValue))
-        
-        const imageIndex = pixelIndex * 4
-        imageData.data[imageIndex] = displayValue     // R
-        imageData.data[imageIndex + 1] = displayValue // G
-        imageData.data[imageIndex + 2] = displayValue // B
-        imageData.data[imageIndex + 3] = 255          // A
+    const controller = new AbortController()
+    setTaskController(controller)
+    setSegmentationStatus({ message: `Reading ${file.name}...`, progress: 0 })
+    setSegmentedVessels(null)
+    clearEditSession()
+    setBifurcations([])
+    setSelectedBifurcationId(null)
+    
+    const streamedVessels = []
+    
+    try {
+      const labelmap = await workerPoolRef.current.run('loadLabelmapFile', volume3D, [file], {
+        signal: controller.signal,
+        onProgress: (progress) => setSegmentationStatus({ message: `Reading ${file.name}...`, progress: Math.round(progress * 100) })
+      })
+      const result = await workerPoolRef.current.run(
+        'segmentFromLabelmap',
+        volume3D,
+        [labelmap, { aorticRoot }],
+        {
+          signal: controller.signal,
+          onProgress: (progress, partial) => {
+            setSegmentationStatus({ message: 'Building vessels from labelmap...', progress: Math.round(progress * 100) })
+            if (partial?.vessel) {
+              streamedVessels.push(partial.vessel)
+              setSegmentedVessels({ vessels: [...streamedVessels], volume: volume3D })
+            }
+          }
+        }
+      )
+      
+      if (result.vessels.length === 0) {
+        throw new Error('No labeled region is large enough to be a vessel')
       }
+      showSegmentation(result)
+      
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setSegmentedVessels(null)
+      } else {
+        console.error('Labelmap error:', error)
+        alert(`Labelmap import failed: ${error.message}`)
+      }
+    } finally {
+      setSegmentationStatus(null)
+      setTaskController(null)
     }
+  }
+  
+  // Show a segmentation: detect its bifurcations and project it
+  const showSegmentation = (result) => {
+    const vessels = { ...result, volume: volume3D }
+    setSegmentedVessels(vessels)
     
-    ctx.putImageData(imageData, 0, 0)
+    // Detect bifurcations
+    const detectedBifurcations = detectCoronaryBifurcations(vessels)
+    setBifurcations(detectedBifurcations)
+    setSelectedBifurcationId(detectedBifurcations[0]?.id || null)
     
-    // Draw seed points on current slice
-    drawSeedPointsOnSlice(ctx, sliceIndex)
+    // Generate initial projection
+    generateProjection(vessels)
   }
   
-  // Draw seed points on CT slice
-  const drawSeedPointsOnSlice = (ctx, sliceIndex) => {
-    seedPoints.forEach((point, index) => {
-      if (Math.abs(point.z - sliceIndex) <= 2) { // Show points within 2 slices
-        ctx.fillStyle = 'red'
-        ctx.strokeStyle = 'white'
-        ctx.lineWidth = 2
-        
-        ctx.beginPath()
-        ctx.arc(point.x, point.y, 5, 0, 2 * Math.PI)
-        ctx.fill()
-        ctx.stroke()
-        
-        // Label
-        ctx.fillStyle = 'white'
-        ctx.font = '12px Arial'
-        ctx.fillText(`${index + 1}`, point.x + 8, point.y - 8)
+  // Generate simulated angiographic projection in a worker, streaming rows as they render
+  const generateProjection = async (vessels = segmentedVessels) => {
+    if (!volume3D || !vessels) return
+    
+    const finalRaoLao = raoLaoDirection === 'RAO' ? raoLaoMagnitude : -raoLaoMagnitude
+    const finalCranialCaudal = cranialCaudalDirection === 'Cranial' ? cranialCaudalMagnitude : -cranialCaudalMagnitude
+    
+    // Newer requests replace queued ones; results older than the one shown are dropped
+    const sequence = ++projectionSequenceRef.current
+    const controller = new AbortController()
+    projectionControllerRef.current = controller
+    setProjectionProgress(0)
+    
+    try {
+      const projection = await workerPoolRef.current.run(
+        'generateSimulatedProjection',
+        volume3D,
+        [{ vessels: vessels.vessels }, finalRaoLao, finalCranialCaudal, { mode: projectionMode }],
+        {
+          key: 'projection',
+          signal: controller.signal,
+          onProgress: (progress, partial) => {
+            if (sequence <= renderedProjectionRef.current) return
+            setProjectionProgress(Math.round(progress * 100))
+            renderProjection({ ...partial, vessels: [] })
+          }
+        }
+      )
+      
+      if (sequence <= renderedProjectionRef.current) return
+      renderedProjectionRef.current = sequence
+      setCurrentProjection(projection)
+      renderProjection(projection)
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Projection error:', error)
+        alert(`Projection failed: ${error.message}`)
       }
-    })
+    } finally {
+      if (sequence === projectionSequenceRef.current) setProjectionProgress(null)
+    }
   }
   
-  // Handle canvas click to add seed points
-  const handleCanvasClick = (event) => {
-    const canvas = ctCanvasRef.current
-    if (!canvas) return
-    
-    const rect = canvas.getBoundingClientRect()
-    const x = Math.round((event.clientX - rect.left) * (canvas.width / rect.width))
-    const y = Math.round((event.clientY - rect.top) * (canvas.height / rect.height))
+  // Edits are made on a label mask of the current vessels, created on first use
+  const startEditSession = () => ({
+    mask: createSegmentationMask(volume3D, segmentedVessels.vessels),
+    undo: [],
+    redo: [],
+    edited: []
+  })
+  
+  const clearEditSession = () => {
+    setEditSession(null)
+    setMprMode(mode => (mode === 'edit' ? 'navigate' : mode))
+  }
+  
+  const handleMprModeChange = (mode) => {
+    if (mode === 'edit' && !editSession) {
+      setEditSession(startEditSession())
+    }
+    setMprMode(mode)
+  }
+  
+  // Apply the selected tool at a position picked on an MPR plane; the dabs of one brush
+  // stroke form a single undo step
+  const handleEdit = (position, plane, dragging) => {
+    if (!editSession || taskController) return
+    if (dragging && (editTool === 'fill' || editTool === 'island')) return
     
-    const newSeedPoint = { x, y, z: currentSlice }
-    setSeedPoints(prev => [...prev, newSeedPoint])
+    const { mask } = editSession
+    const label = Math.max(1, mask.vesselIds.indexOf(editVesselId) + 1)
+    let edit = null
     
-    // Re-render slice with new seed point
-    if (volume3D) {
-      renderCTSlice(volume3D, currentSlice)
+    if (editTool === 'brush') {
+      edit = paintBrush(mask, position, plane.normal, brushRadius, label)
+    } else if (editTool === 'eraser') {
+      edit = paintBrush(mask, position, plane.normal, brushRadius, 0)
+    } else if (editTool === 'fill') {
+      edit = thresholdFill(mask, volume3D, position, label, {
+        minIntensity: segmentationParams.intensityThreshold,
+        maxIntensity: segmentationParams.maxIntensity
+      })
+    } else {
+      edit = removeConnectedComponent(mask, position)
     }
+    
+    if (!dragging) editStrokeRef.current = false
+    if (!edit) return
+    
+    const merge = dragging && editStrokeRef.current
+    editStrokeRef.current = true
+    setEditSession(prev => ({
+      ...prev,
+      undo: merge ? [...prev.undo.slice(0, -1), mergeEdits(prev.undo[prev.undo.length - 1], edit)] : [...prev.undo, edit],
+      redo: [],
+      edited: [...new Set([...prev.edited, ...edit.labels])]
+    }))
   }
   
-  // Segment coronary arteries
-  const handleSegmentation = async () => {
-    if (!volume3D || seedPoints.length === 0) {
-      alert('Please load CT data and place seed points first')
+  const handleUndoEdit = () => {
+    const edit = editSession.undo[editSession.undo.length - 1]
+    undoEdit(editSession.mask, edit)
+    setEditSession({
+      ...editSession,
+      undo: editSession.undo.slice(0, -1),
+      redo: [...editSession.redo, edit],
+      edited: [...new Set([...editSession.edited, ...edit.labels])]
+    })
+  }
+  
+  const handleRedoEdit = () => {
+    const edit = editSession.redo[editSession.redo.length - 1]
+    redoEdit(editSession.mask, edit)
+    setEditSession({
+      ...editSession,
+      undo: [...editSession.undo, edit],
+      redo: editSession.redo.slice(0, -1),
+      edited: [...new Set([...editSession.edited, ...edit.labels])]
+    })
+  }
+  
+  // Cut a vessel at the curved reformation cursor and update its centerline right away
+  const handleCutVessel = (vesselId, position, tangent) => {
+    const session = editSession || startEditSession()
+    const vessel = segmentedVessels.vessels.find(candidate => candidate.id === vesselId)
+    const edit = cutVesselAt(session.mask, vessel, position, tangent)
+    if (!edit) {
+      alert('Nothing of this vessel lies beyond the cursor')
       return
     }
     
-    setIsLoading(true)
-    setLoadingMessage('Segmenting coronary arteries...')
-    setLoadingProgress(0)
+    applySegmentationEdits({
+      ...session,
+      undo: [...session.undo, edit],
+      redo: [],
+      edited: [...new Set([...session.edited, ...edit.labels])]
+    })
+  }
+  
+  // Replace the edited vessels' regions with the mask and extract only their centerlines again
+  const applySegmentationEdits = async (session = editSession) => {
+    if (!session?.edited.length) return
+    
+    const controller = new AbortController()
+    setTaskController(controller)
+    setEditSession(session)
+    setEditProgress(0)
     
     try {
-      // Perform segmentation
-      const vessels = segmentCoronaryArteries(volume3D, seedPoints, segmentationParams)
-      setSegmentedVessels(vessels)
-      setLoadingProgress(50)
-      
-      // Detect bifurcations
-      const detectedBifurcations = detectCoronaryBifurcations(vessels)
-      setBifurcations(detectedBifurcations)
-      setLoadingProgress(100)
-      
-      // Generate initial projection
-      generateProjection()
+      const labelPoints = getLabelPoints(session.mask, session.edited)
+      const edited = session.edited.map(label => ({ id: session.mask.vesselIds[label - 1], points: labelPoints.get(label) }))
+      const result = await workerPoolRef.current.run(
+        'reextractEditedVessels',
+        volume3D,
+        [
+          segmentedVessels.vessels,
+          edited,
+          {
+            intensityThreshold: segmentationParams.intensityThreshold,
+            maxRadius: segmentationParams.maxVesselRadius,
+            aorticRoot
+          }
+        ],
+        {
+          signal: controller.signal,
+          onProgress: (progress) => setEditProgress(Math.round(progress * 100))
+        }
+      )
       
+      // Labels follow the vessel order, so the mask and its history stay valid unless a
+      // vessel was removed
+      setEditSession(result.vessels.length === session.mask.vesselIds.length ? { ...session, edited: [] } : null)
+      showSegmentation({ ...segmentedVessels, ...result })
     } catch (error) {
-      console.error('Segmentation error:', error)
-      alert(`Segmentation failed: ${error.message}`)
+      if (error.name !== 'AbortError') {
+        console.error('Centerline update error:', error)
+        alert(`Centerline update failed: ${error.message}`)
+      }
     } finally {
-      setIsLoading(false)
+      setEditProgress(null)
+      setTaskController(null)
     }
   }
   
-  // Generate simulated angiographic projection
-  const generateProjection = () => {
-    if (!volume3D || !segmentedVessels) return
+  // Mesh the segmented vessels in a worker and download them as a 3D model
+  const handleMeshExport = async () => {
+    if (!segmentedVessels?.vessels.length) return
     
-    const finalRaoLao = raoLaoDirection === 'RAO' ? raoLaoMagnitude : -raoLaoMagnitude
-    const finalCranialCaudal = cranialCaudalDirection === 'Cranial' ? cranialCaudalMagnitude : -cranialCaudalMagnitude
+    const controller = new AbortController()
+    setTaskController(controller)
+    setMeshExportProgress(0)
     
-    const projection = generateSimulatedProjection(
-      volume3D,
-      segmentedVessels,
-      finalRaoLao,
-      finalCranialCaudal
-    )
-    
-    setCurrentProjection(projection)
-    renderProjection(projection)
+    try {
+      // Only the voxels are needed; the rest of each vessel stays on this thread
+      const vessels = segmentedVessels.vessels.map(vessel => ({
+        id: vessel.id,
+        segmentedRegion: { points: vessel.segmentedRegion.points }
+      }))
+      const meshes = await workerPoolRef.current.run(
+        'extractVesselSurfaces',
+        volume3D,
+        [vessels, {}],
+        {
+          signal: controller.signal,
+          onProgress: (progress) => setMeshExportProgress(Math.round(progress * 100))
+        }
+      )
+      
+      if (meshes.length === 0) {
+        alert('The segmented vessels have no surface to export')
+        return
+      }
+      
+      const namedMeshes = meshes.map(mesh => {
+        const index = segmentedVessels.vessels.findIndex(vessel => vessel.id === mesh.id)
+        const label = getVesselLabel(segmentedVessels.tree, mesh.id)
+        return { ...mesh, name: `Vessel ${index + 1}${label ? ` ${label}` : ''}` }
+      })
+      downloadMeshes(namedMeshes, meshFormat)
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Mesh export error:', error)
+        alert(`3D model export failed: ${error.message}`)
+      }
+    } finally {
+      setMeshExportProgress(null)
+      setTaskController(null)
+    }
+  }
+  
+  // Cancel the projection being rendered
+  const cancelProjection = () => {
+    projectionControllerRef.current?.abort()
   }
   
   // Render simulated projection
@@ -292,19 +702,12 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
     })
   }
   
-  // Update slice and re-render
-  useEffect(() => {
-    if (volume3D) {
-      renderCTSlice(volume3D, currentSlice)
-    }
-  }, [currentSlice, windowLevel, windowWidth])
-  
   // Update projection when angles change
   useEffect(() => {
     if (volume3D && segmentedVessels) {
       generateProjection()
     }
-  }, [raoLaoDirection, raoLaoMagnitude, cranialCaudalDirection, cranialCaudalMagnitude])
+  }, [raoLaoDirection, raoLaoMagnitude, cranialCaudalDirection, cranialCaudalMagnitude, projectionMode])
   
   // Auto-rotation effect
   useEffect(() => {
@@ -317,11 +720,77 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
     return () => clearInterval(interval)
   }, [autoRotate])
   
+  // Move the selected bifurcation to a point picked on the curved reformation
+  const refineBifurcationPoint = (point) => {
+    setBifurcations(prev => prev.map(bifurcation =>
+      bifurcation.id === selectedBifurcationId ? { ...bifurcation, point, refined: true } : bifurcation
+    ))
+  }
+  
+  // Manual label correction; bifurcation names follow the new labels
+  const handleSegmentLabelChange = (segmentId, label) => {
+    const tree = setSegmentLabel(segmentedVessels.tree, segmentId, label)
+    setSegmentedVessels(prev => ({ ...prev, tree }))
+    setBifurcations(prev => prev.map(bifurcation => ({ ...bifurcation, label: getBifurcationLabel(tree, bifurcation) })))
+  }
+  
   // Clear seed points
   const clearSeedPoints = () => {
     setSeedPoints([])
-    if (volume3D) {
-      renderCTSlice(volume3D, currentSlice)
+    setVesselnessPreview(null)
+  }
+  
+  // Remove one seed point
+  const removeSeedPoint = (index) => {
+    setSeedPoints(prev => prev.filter((_, i) => i !== index))
+    setVesselnessPreview(null)
+  }
+  
+  // Mark a seed point as a coronary ostium or as a distal seed
+  const toggleOstiumSeed = (index) => {
+    setSeedPoints(prev => prev.map((seed, i) => (i === index ? { ...seed, ostium: !seed.ostium } : seed)))
+  }
+  
+  // Find the aortic root and coronary ostia, proposed as seeds for the user to accept
+  const handleAorticRootDetection = async () => {
+    setIsLoading(true)
+    setLoadingMessage('Detecting aortic root and coronary ostia...')
+    setLoadingProgress(0)
+    
+    try {
+      const detection = detectAorticRoot(volume3D, { threshold: segmentationParams.intensityThreshold })
+      setAorticRootProposal(detection)
+      setMprCursor(detection.root.position)
+      setLoadingProgress(100)
+    } catch (error) {
+      console.error('Aortic root detection error:', error)
+      alert(`Aortic root detection failed: ${error.message}`)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+  
+  // Detected ostia replace any ostium seeds; distal seeds are kept
+  const acceptAorticRootProposal = () => {
+    const { root, ostia } = aorticRootProposal
+    const ostiumSeeds = [ostia.left, ostia.right].filter(Boolean).map(ostium => ({ ...ostium.point, ostium: true }))
+    
+    setSeedPoints(prev => [...ostiumSeeds, ...prev.filter(seed => !seed.ostium)])
+    setAorticRoot(root.position)
+    setAorticRootProposal(null)
+    setVesselnessPreview(null)
+  }
+  
+  // Vesselness around the seed points, overlaid on the MPR planes
+  const previewVesselness = () => {
+    try {
+      const vesselness = computeSeedVesselness(volume3D, seedPoints, {
+        maxRadius: segmentationParams.maxVesselRadius
+      })
+      setVesselnessPreview(vesselness)
+    } catch (error) {
+      console.error('Vesselness preview failed:', error)
+      alert(`Vesselness preview failed: ${error.message}`)
     }
   }
   
@@ -332,9 +801,16 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
       return
     }
     
+    if (!selectedBifurcationId) {
+      alert('No bifurcation detected. Place seed points on both vessels of the bifurcation and segment again.')
+      return
+    }
+    
     const coronaryData = {
       vessels: segmentedVessels.vessels,
+      tree: segmentedVessels.tree,
       bifurcations: bifurcations,
+      selectedBifurcationId: selectedBifurcationId,
       volume: volume3D,
       projectionAngles: {
         raoLao: raoLaoDirection === 'RAO' ? raoLaoMagnitude : -raoLaoMagnitude,
@@ -350,6 +826,17 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
   const finalRaoLao = raoLaoDirection === 'RAO' ? raoLaoMagnitude : -raoLaoMagnitude
   const finalCranialCaudal = cranialCaudalDirection === 'Cranial' ? cranialCaudalMagnitude : -cranialCaudalMagnitude
   
+  const selectedBifurcation = bifurcations.find(bifurcation => bifurcation.id === selectedBifurcationId) || null
+  const datasetWarnings = ctDataset ? [...ctDataset.geometry.warnings, ...ctDataset.calibration.warnings] : []
+  
+  // While editing, the MPR planes show the edited mask instead of the vesselness preview
+  let mprOverlay = null
+  if (mprMode === 'edit' && editSession) {
+    mprOverlay = { volume: editSession.mask, threshold: 0.5 }
+  } else if (vesselnessPreview && segmentationParams.method === 'vesselness') {
+    mprOverlay = { volume: vesselnessPreview, threshold: segmentationParams.vesselnessThreshold }
+  }
+  
   return (
     <Card className="w-full max-w-7xl mx-auto">
       <CardHeader>
@@ -368,38 +855,65 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
           <div className="text-center space-y-4">
             <Progress value={loadingProgress} className="w-full" />
             <p className="text-sm text-gray-600">{loadingMessage}</p>
+            {taskController && (
+              <Button variant="outline" size="sm" onClick={() => taskController.abort()}>
+                Cancel
+              </Button>
+            )}
           </div>
         )}
         
         {/* File Upload */}
-        {!ctDataset && !isLoading && (
+        {!ctDataset && !seriesScan && !isLoading && (
           <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
             <Upload className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-            <h3 className="text-lg font-semibold mb-2">Upload DICOM CT Files</h3>
+            <h3 className="text-lg font-semibold mb-2">Upload CT Data</h3>
             <p className="text-gray-600 mb-4">
-              Select multiple DICOM files from a coronary CT angiography study
+              Select the DICOM files of a coronary CT angiography study, the folder of a study CD containing a DICOMDIR, or a single NIfTI (.nii, .nii.gz) or NRRD (.nrrd) volume
             </p>
             <input
               type="file"
               multiple
-              accept=".dcm,.dicom"
+              accept=".dcm,.dicom,.nii,.gz,.nrrd"
               onChange={handleDicomUpload}
               className="hidden"
               id="dicom-upload"
             />
-            <label htmlFor="dicom-upload">
-              <Button className="cursor-pointer">
-                <Upload className="mr-2 h-4 w-4" />
-                Choose DICOM Files
+            <input
+              ref={folderInputRef}
+              type="file"
+              webkitdirectory=""
+              onChange={handleDicomUpload}
+              className="hidden"
+            />
+            <div className="flex justify-center gap-2">
+              <label htmlFor="dicom-upload">
+                <Button className="cursor-pointer">
+                  <Upload className="mr-2 h-4 w-4" />
+                  Choose Files
+                </Button>
+              </label>
+              <Button variant="outline" onClick={() => folderInputRef.current?.click()}>
+                <FolderOpen className="mr-2 h-4 w-4" />
+                Choose Folder
               </Button>
-            </label>
+            </div>
           </div>
         )}
         
+        {/* Series Browser */}
+        {!ctDataset && seriesScan && !isLoading && (
+          <DicomSeriesBrowser
+            scan={seriesScan}
+            onSelect={loadSeries}
+            onCancel={() => setSeriesScan(null)}
+          />
+        )}
+        
         {/* Main Interface */}
         {ctDataset && !isLoading && (
           <Tabs defaultValue="ct-viewer" className="w-full">
-            <TabsList className="grid w-full grid-cols-3">
+            <TabsList className="grid w-full grid-cols-4">
               <TabsTrigger value="ct-viewer">
                 <Layers className="mr-2 h-4 w-4" />
                 CT Viewer
@@ -408,6 +922,10 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                 <Target className="mr-2 h-4 w-4" />
                 Segmentation
               </TabsTrigger>
+              <TabsTrigger value="vessel-review">
+                <Spline className="mr-2 h-4 w-4" />
+                Vessel Review
+              </TabsTrigger>
               <TabsTrigger value="projection">
                 <Eye className="mr-2 h-4 w-4" />
                 Projection
@@ -416,33 +934,129 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
             
             {/* CT Viewer Tab */}
             <TabsContent value="ct-viewer" className="space-y-4">
-              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                {/* CT Slice Viewer */}
-                <div className="space-y-4">
-                  <h3 className="text-lg font-semibold">CT Slice Viewer</h3>
-                  <div className="border rounded-lg p-4 bg-gray-50">
-                    <canvas
-                      ref={ctCanvasRef}
-                      className="border rounded bg-black cursor-crosshair max-w-full h-auto"
-                      onClick={handleCanvasClick}
-                    />
-                  </div>
-                  
-                  {/* Slice Controls */}
-                  <div className="space-y-2">
-                    <label className="text-sm font-medium">
-                      Slice: {currentSlice + 1} / {ctDataset.metadata.length}
-                    </label>
-                    <Slider
-                      value={[currentSlice]}
-                      onValueChange={([value]) => setCurrentSlice(value)}
-                      max={ctDataset.metadata.length - 1}
-                      step={1}
-                      className="w-full"
-                    />
-                  </div>
-                </div>
+              {/* Multi-planar Reformation */}
+              <div className="space-y-4">
+                <h3 className="text-lg font-semibold">Multi-planar Reformation</h3>
+                {volume3D && mprCursor && (
+                  <MultiPlanarViewer
+                    volume={volume3D}
+                    cursor={mprCursor}
+                    onCursorChange={setMprCursor}
+                    oblique={obliqueAngles}
+                    onObliqueChange={setObliqueAngles}
+                    mode={mprMode}
+                    onModeChange={handleMprModeChange}
+                    windowLevel={windowLevel}
+                    windowWidth={windowWidth}
+                    seedPoints={seedPoints}
+                    onAddSeedPoint={(seed) => setSeedPoints(prev => [...prev, seed])}
+                    onEdit={segmentedVessels?.tree ? handleEdit : undefined}
+                    overlay={mprOverlay}
+                  />
+                )}
                 
+                {/* Segmentation Editing */}
+                {mprMode === 'edit' && editSession && (
+                  <div className="border rounded-lg p-4 space-y-4">
+                    <div className="flex flex-wrap items-center gap-4">
+                      <ToggleGroup
+                        type="single"
+                        value={editTool}
+                        onValueChange={(value) => value && setEditTool(value)}
+                        className="justify-start"
+                      >
+                        <ToggleGroupItem value="brush" className="px-4">
+                          <Paintbrush className="mr-2 h-4 w-4" />
+                          Brush
+                        </ToggleGroupItem>
+                        <ToggleGroupItem value="eraser" className="px-4">
+                          <Eraser className="mr-2 h-4 w-4" />
+                          Eraser
+                        </ToggleGroupItem>
+                        <ToggleGroupItem value="fill" className="px-4">
+                          <PaintBucket className="mr-2 h-4 w-4" />
+                          Threshold Fill
+                        </ToggleGroupItem>
+                        <ToggleGroupItem value="island" className="px-4">
+                          <Trash2 className="mr-2 h-4 w-4" />
+                          Remove Piece
+                        </ToggleGroupItem>
+                      </ToggleGroup>
+                      {(editTool === 'brush' || editTool === 'fill') && (
+                        <select
+                          value={editVesselId || editSession.mask.vesselIds[0]}
+                          onChange={(event) => setEditVesselId(event.target.value)}
+                          className="border rounded px-2 py-1 text-sm"
+                        >
+                          {segmentedVessels.vessels.map((vessel, index) => {
+                            const label = getVesselLabel(segmentedVessels.tree, vessel.id)
+                            return (
+                              <option key={vessel.id} value={vessel.id}>
+                                Vessel {index + 1}{label ? ` (${label})` : ''}
+                              </option>
+                            )
+                          })}
+                        </select>
+                      )}
+                    </div>
+                    
+                    <p className="text-sm text-gray-600">
+                      {editTool === 'brush' && 'Paint voxels of the selected vessel on the plane'}
+                      {editTool === 'eraser' && 'Erase segmented voxels on the plane'}
+                      {editTool === 'fill' && `Fill contrast voxels (${segmentationParams.intensityThreshold}-${segmentationParams.maxIntensity} HU) connected to the clicked point into the selected vessel`}
+                      {editTool === 'island' && 'Remove the connected piece of segmentation under the click, e.g. a leak into a vein'}
+                    </p>
+                    
+                    {(editTool === 'brush' || editTool === 'eraser') && (
+                      <div className="space-y-2 max-w-sm">
+                        <label className="text-sm font-medium">
+                          Brush Radius: {brushRadius.toFixed(1)} mm
+                        </label>
+                        <Slider
+                          value={[brushRadius]}
+                          onValueChange={([value]) => setBrushRadius(value)}
+                          min={0.5}
+                          max={10}
+                          step={0.5}
+                          className="w-full"
+                        />
+                      </div>
+                    )}
+                    
+                    {editProgress !== null ? (
+                      <div className="space-y-2">
+                        <Progress value={editProgress} className="w-full" />
+                        <div className="flex justify-between items-center">
+                          <p className="text-sm text-gray-600">Extracting centerlines of the edited vessels...</p>
+                          <Button variant="outline" size="sm" onClick={() => taskController?.abort()}>
+                            Cancel
+                          </Button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="flex flex-wrap gap-2">
+                        <Button variant="outline" onClick={handleUndoEdit} disabled={editSession.undo.length === 0}>
+                          <Undo2 className="mr-2 h-4 w-4" />
+                          Undo
+                        </Button>
+                        <Button variant="outline" onClick={handleRedoEdit} disabled={editSession.redo.length === 0}>
+                          <Redo2 className="mr-2 h-4 w-4" />
+                          Redo
+                        </Button>
+                        <Button
+                          onClick={() => applySegmentationEdits()}
+                          disabled={!!taskController || editSession.edited.length === 0}
+                        >
+                          <RefreshCw className="mr-2 h-4 w-4" />
+                          Update Centerlines ({editSession.edited.length} edited)
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+              
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 {/* Window/Level Controls */}
                 <div className="space-y-4">
                   <h3 className="text-lg font-semibold">Display Settings</h3>
@@ -497,17 +1111,36 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                       </Button>
                     </div>
                   </div>
-                  
-                  {/* Dataset Info */}
-                  <div className="bg-blue-50 p-4 rounded-lg">
-                    <h4 className="font-semibold mb-2">Dataset Information</h4>
-                    <div className="text-sm space-y-1">
-                      <p>Slices: {ctDataset.metadata.length}</p>
-                      <p>Dimensions: {ctDataset.dimensions.width} × {ctDataset.dimensions.height}</p>
-                      <p>Pixel Spacing: {ctDataset.dimensions.pixelSpacing.join(' × ')} mm</p>
-                      <p>Slice Thickness: {ctDataset.dimensions.sliceThickness} mm</p>
-                    </div>
+                </div>
+                
+                {/* Dataset Info */}
+                <div className="bg-blue-50 p-4 rounded-lg">
+                  <h4 className="font-semibold mb-2">Dataset Information</h4>
+                  <div className="text-sm space-y-1">
+                    <p>
+                      Series: {ctDataset.series.description || 'Unnamed series'}
+                      {ctDataset.series.phase !== null && ` (${ctDataset.series.phase}% R-R)`}
+                    </p>
+                    {ctDataset.format && <p>Format: {ctDataset.format}</p>}
+                    <p>Slices: {ctDataset.dimensions.depth}</p>
+                    <p>Dimensions: {ctDataset.dimensions.width} × {ctDataset.dimensions.height}</p>
+                    <p>Pixel Spacing: {ctDataset.dimensions.pixelSpacing.map(value => +value.toFixed(3)).join(' × ')} mm</p>
+                    {!ctDataset.format && <p>Slice Thickness: {ctDataset.dimensions.sliceThickness} mm</p>}
+                    <p>Slice Spacing: {ctDataset.dimensions.sliceSpacing.toFixed(2)} mm{ctDataset.geometry.gantryTilt > 0.1 && `, gantry tilt ${ctDataset.geometry.gantryTilt.toFixed(1)}°`}</p>
+                    <p>Patient Geometry: {ctDataset.geometry.hasPatientGeometry ? (ctDataset.format ? `${ctDataset.format} header orientation` : 'Image Position/Orientation (Patient)') : 'Assumed axial'}</p>
+                    <p>Calibration: {ctDataset.calibration.calibrated ? (ctDataset.format ? 'Hounsfield units' : 'Hounsfield units (Rescale Slope/Intercept)') : 'Not calibrated to HU'}</p>
                   </div>
+                  {datasetWarnings.length > 0 && (
+                    <ul className="mt-2 text-sm text-amber-700 list-disc list-inside">
+                      {datasetWarnings.map(warning => <li key={warning}>{warning}</li>)}
+                    </ul>
+                  )}
+                  {(seriesScan?.series.length > 1 || ctDataset.format) && (
+                    <Button variant="outline" size="sm" className="mt-3" onClick={changeSeries}>
+                      <FolderOpen className="mr-2 h-4 w-4" />
+                      {ctDataset.format ? 'Load Another Volume' : 'Change Series'}
+                    </Button>
+                  )}
                 </div>
               </div>
             </TabsContent>
@@ -518,7 +1151,9 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                 <div className="space-y-4">
                   <h3 className="text-lg font-semibold">Seed Point Placement</h3>
                   <p className="text-sm text-gray-600">
-                    Click on the CT image to place seed points along coronary arteries
+                    {segmentationParams.centerlineMethod === 'minimalPath'
+                      ? 'In the CT Viewer, switch to Place Seeds, click the ostium first, then the distal end of each vessel in any plane. Seeds marked Ostium (e.g. detected from the aortic root) replace the first seed as ostia.'
+                      : 'In the CT Viewer, switch to Place Seeds and click along the coronary arteries in any plane'}
                   </p>
                   
                   <div className="flex gap-2">
@@ -532,11 +1167,115 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                     >
                       Clear Points
                     </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={handleAorticRootDetection}
+                    >
+                      <Crosshair className="mr-2 h-4 w-4" />
+                      Detect Aortic Root
+                    </Button>
                   </div>
                   
+                  {aorticRootProposal && (
+                    <div className="space-y-2 bg-yellow-50 p-4 rounded-lg">
+                      <h4 className="font-semibold">Proposed Seeds</h4>
+                      <p className="text-sm">
+                        Aortic root: {formatPosition(aorticRootProposal.root.position)}, Ø {(2 * aorticRootProposal.root.radius).toFixed(1)} mm
+                      </p>
+                      <p className="text-sm">
+                        Left ostium: {aorticRootProposal.ostia.left ? formatPosition(aorticRootProposal.ostia.left.position) : 'not found'}
+                      </p>
+                      <p className="text-sm">
+                        Right ostium: {aorticRootProposal.ostia.right ? formatPosition(aorticRootProposal.ostia.right.position) : 'not found'}
+                      </p>
+                      <p className="text-xs text-gray-600">
+                        The CT Viewer is centered on the root. Accepting replaces the current ostium seeds; place any ostium that was not found by hand.
+                      </p>
+                      <div className="flex gap-2">
+                        <Button size="sm" onClick={acceptAorticRootProposal}>
+                          Accept
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={() => setAorticRootProposal(null)}>
+                          Discard
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+                  
+                  {seedPoints.length > 0 && (
+                    <div className="space-y-1">
+                      {seedPoints.map((seed, index) => (
+                        <div key={index} className="flex justify-between items-center text-sm">
+                          <span>
+                            {index + 1}. ({seed.x}, {seed.y}, {seed.z})
+                          </span>
+                          <span className="flex items-center gap-1">
+                            {segmentationParams.centerlineMethod === 'minimalPath' && (
+                              <Button
+                                variant={seed.ostium ? 'secondary' : 'ghost'}
+                                size="sm"
+                                onClick={() => toggleOstiumSeed(index)}
+                                title="Mark as a coronary ostium"
+                              >
+                                {seed.ostium ? 'Ostium' : 'Distal'}
+                              </Button>
+                            )}
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => removeSeedPoint(index)}
+                              title="Remove seed point"
+                            >
+                              <X className="h-4 w-4" />
+                            </Button>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  
                   {/* Segmentation Parameters */}
                   <div className="space-y-4 bg-gray-50 p-4 rounded-lg">
                     <h4 className="font-semibold">Segmentation Parameters</h4>
+                    {volume3D && !volume3D.calibration.calibrated && (
+                      <p className="text-sm text-amber-700">
+                        This series is not calibrated to Hounsfield units, so the HU thresholds below may not match vessel contrast.
+                      </p>
+                    )}
+                    
+                    <ToggleGroup
+                      type="single"
+                      value={segmentationParams.method}
+                      onValueChange={(value) => value && setSegmentationParams(prev => ({ ...prev, method: value }))}
+                      className="justify-start"
+                    >
+                      <ToggleGroupItem value="threshold" className="px-4">HU Window</ToggleGroupItem>
+                      <ToggleGroupItem value="vesselness" className="px-4">Vesselness</ToggleGroupItem>
+                    </ToggleGroup>
+                    <p className="text-xs text-gray-600">
+                      {segmentationParams.method === 'vesselness'
+                        ? 'Grows only through tube-shaped contrast, so it stays out of the ventricles and aorta and continues through calcium.'
+                        : 'Grows through every voxel inside the HU window around the seeds.'}
+                    </p>
+                    
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium">Centerline</label>
+                      <ToggleGroup
+                        type="single"
+                        value={segmentationParams.centerlineMethod}
+                        onValueChange={(value) => value && setSegmentationParams(prev => ({ ...prev, centerlineMethod: value }))}
+                        className="justify-start"
+                      >
+                        <ToggleGroupItem value="minimalPath" className="px-4">Minimal Path</ToggleGroupItem>
+                        <ToggleGroupItem value="voxelCloud" className="px-4">Region Sampling</ToggleGroupItem>
+                      </ToggleGroup>
+                      <p className="text-xs text-gray-600">
+                        {segmentationParams.centerlineMethod === 'minimalPath'
+                          ? 'Follows the cheapest path through the lumen from the ostium to each distal seed and measures the lumen radius along it.'
+                          : 'Samples the voxels grown from each seed in order of distance from the seed.'}
+                      </p>
+                    </div>
                     
                     <div className="space-y-2">
                       <label className="text-sm font-medium">
@@ -554,31 +1293,124 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                       />
                     </div>
                     
+                    {segmentationParams.method === 'threshold' && (
+                      <div className="space-y-2">
+                        <label className="text-sm font-medium">
+                          Max Intensity: {segmentationParams.maxIntensity} HU
+                        </label>
+                        <Slider
+                          value={[segmentationParams.maxIntensity]}
+                          onValueChange={([value]) => 
+                            setSegmentationParams(prev => ({ ...prev, maxIntensity: value }))
+                          }
+                          min={500}
+                          max={1200}
+                          step={10}
+                          className="w-full"
+                        />
+                      </div>
+                    )}
+                    
+                    {segmentationParams.method === 'vesselness' && (
+                      <>
+                        <div className="space-y-2">
+                          <label className="text-sm font-medium">
+                            Max Vessel Radius: {segmentationParams.maxVesselRadius} mm
+                          </label>
+                          <Slider
+                            value={[segmentationParams.maxVesselRadius]}
+                            onValueChange={([value]) => {
+                              setSegmentationParams(prev => ({ ...prev, maxVesselRadius: value }))
+                              setVesselnessPreview(null)
+                            }}
+                            min={1}
+                            max={6}
+                            step={0.5}
+                            className="w-full"
+                          />
+                        </div>
+                        
+                        <div className="space-y-2">
+                          <label className="text-sm font-medium">
+                            Vesselness Threshold: {segmentationParams.vesselnessThreshold.toFixed(2)}
+                          </label>
+                          <Slider
+                            value={[segmentationParams.vesselnessThreshold]}
+                            onValueChange={([value]) => 
+                              setSegmentationParams(prev => ({ ...prev, vesselnessThreshold: value }))
+                            }
+                            min={0.02}
+                            max={0.5}
+                            step={0.01}
+                            className="w-full"
+                          />
+                        </div>
+                        
+                        <div className="flex items-center gap-2">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={previewVesselness}
+                            disabled={seedPoints.length === 0}
+                          >
+                            <Eye className="mr-2 h-4 w-4" />
+                            Preview Vesselness
+                          </Button>
+                          {vesselnessPreview && (
+                            <Button variant="outline" size="sm" onClick={() => setVesselnessPreview(null)}>
+                              Hide Preview
+                            </Button>
+                          )}
+                        </div>
+                        {vesselnessPreview && (
+                          <p className="text-xs text-gray-600">
+                            Voxels above the vesselness threshold around the seeds are shown in red on the CT Viewer planes.
+                          </p>
+                        )}
+                      </>
+                    )}
+                  </div>
+                  
+                  {segmentationStatus ? (
                     <div className="space-y-2">
-                      <label className="text-sm font-medium">
-                        Max Intensity: {segmentationParams.maxIntensity} HU
-                      </label>
-                      <Slider
-                        value={[segmentationParams.maxIntensity]}
-                        onValueChange={([value]) => 
-                          setSegmentationParams(prev => ({ ...prev, maxIntensity: value }))
-                        }
-                        min={500}
-                        max={1200}
-                        step={10}
+                      <Progress value={segmentationStatus.progress} className="w-full" />
+                      <div className="flex justify-between items-center">
+                        <p className="text-sm text-gray-600">{segmentationStatus.message}</p>
+                        <Button variant="outline" size="sm" onClick={() => taskController?.abort()}>
+                          Cancel
+                        </Button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="space-y-2">
+                      <Button
+                        onClick={handleSegmentation}
+                        disabled={seedPoints.length === 0}
                         className="w-full"
+                      >
+                        <Zap className="mr-2 h-4 w-4" />
+                        Segment Coronary Arteries
+                      </Button>
+                      <input
+                        ref={labelmapInputRef}
+                        type="file"
+                        accept=".nii,.gz,.nrrd"
+                        onChange={handleLabelmapUpload}
+                        className="hidden"
                       />
+                      <Button
+                        variant="outline"
+                        onClick={() => labelmapInputRef.current?.click()}
+                        className="w-full"
+                      >
+                        <Upload className="mr-2 h-4 w-4" />
+                        Load Labelmap
+                      </Button>
+                      <p className="text-xs text-gray-600">
+                        A NIfTI or NRRD labelmap on the CT grid replaces region growing: each connected labeled region becomes a vessel.
+                      </p>
                     </div>
-                  </div>
-                  
-                  <Button
-                    onClick={handleSegmentation}
-                    disabled={seedPoints.length === 0}
-                    className="w-full"
-                  >
-                    <Zap className="mr-2 h-4 w-4" />
-                    Segment Coronary Arteries
-                  </Button>
+                  )}
                 </div>
                 
                 {/* Segmentation Results */}
@@ -592,36 +1424,109 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                         <div className="space-y-2">
                           {segmentedVessels.vessels.map((vessel, index) => (
                             <div key={vessel.id} className="flex justify-between items-center">
-                              <span className="text-sm">Vessel {index + 1}</span>
+                              <span className="text-sm">
+                                Vessel {index + 1}
+                                {getVesselLabel(segmentedVessels.tree, vessel.id) && ` (${getVesselLabel(segmentedVessels.tree, vessel.id)})`}
+                              </span>
                               <Badge variant="secondary">
                                 {vessel.length.toFixed(1)} mm
+                                {vessel.meanRadius !== undefined && `, Ø ${(2 * vessel.meanRadius).toFixed(1)} mm`}
                               </Badge>
                             </div>
                           ))}
                         </div>
                       </div>
                       
-                      {bifurcations.length > 0 && (
+                      {segmentedVessels.tree && (
                         <div className="bg-blue-50 p-4 rounded-lg">
-                          <h4 className="font-semibold mb-2">Detected Bifurcations</h4>
-                          <div className="space-y-2">
-                            {bifurcations.map((bifurcation, index) => (
-                              <div key={bifurcation.id} className="flex justify-between items-center">
-                                <span className="text-sm">Bifurcation {index + 1}</span>
-                                <Badge variant="secondary">
-                                  {(bifurcation.confidence * 100).toFixed(0)}% confidence
-                                </Badge>
-                              </div>
-                            ))}
-                          </div>
+                          <h4 className="font-semibold mb-2">Coronary Tree</h4>
+                          <CoronaryTreeView
+                            tree={segmentedVessels.tree}
+                            vessels={segmentedVessels.vessels}
+                            bifurcations={bifurcations}
+                            selectedBifurcationId={selectedBifurcationId}
+                            onSelectBifurcation={setSelectedBifurcationId}
+                            onSegmentLabelChange={handleSegmentLabelChange}
+                          />
+                          <p className="text-xs text-gray-600 mt-2">
+                            {bifurcations.length > 0
+                              ? 'Select the bifurcation to use for the optimal angle calculation'
+                              : 'No bifurcation found: no vessel branches off another'}
+                          </p>
                         </div>
                       )}
+                      
+                      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+                        <h4 className="font-semibold">Export 3D Model</h4>
+                        <ToggleGroup
+                          type="single"
+                          value={meshFormat}
+                          onValueChange={(value) => value && setMeshFormat(value)}
+                          className="justify-start"
+                        >
+                          <ToggleGroupItem value="stl" className="px-4">STL</ToggleGroupItem>
+                          <ToggleGroupItem value="obj" className="px-4">OBJ</ToggleGroupItem>
+                          <ToggleGroupItem value="glb" className="px-4">glTF</ToggleGroupItem>
+                        </ToggleGroup>
+                        <p className="text-xs text-gray-600">
+                          {meshFormat === 'glb'
+                            ? 'Binary glTF for 3D viewers, in meters with Y toward the head'
+                            : 'Patient coordinates (LPS, mm) for 3D printing and CAD'}
+                        </p>
+                        {meshExportProgress !== null ? (
+                          <div className="space-y-2">
+                            <Progress value={meshExportProgress} className="w-full" />
+                            <div className="flex justify-between items-center">
+                              <p className="text-sm text-gray-600">Extracting vessel surfaces...</p>
+                              <Button variant="outline" size="sm" onClick={() => taskController?.abort()}>
+                                Cancel
+                              </Button>
+                            </div>
+                          </div>
+                        ) : (
+                          <Button
+                            variant="outline"
+                            onClick={handleMeshExport}
+                            disabled={!!segmentationStatus || segmentedVessels.vessels.length === 0}
+                            className="w-full"
+                          >
+                            <Download className="mr-2 h-4 w-4" />
+                            Download Surface Mesh
+                          </Button>
+                        )}
+                      </div>
                     </div>
                   )}
                 </div>
               </div>
             </TabsContent>
             
+            {/* Vessel Review Tab */}
+            <TabsContent value="vessel-review" className="space-y-4">
+              <h3 className="text-lg font-semibold">Curved Planar Reformation</h3>
+              {editProgress !== null && (
+                <div className="flex items-center gap-2">
+                  <Progress value={editProgress} className="flex-1" />
+                  <p className="text-sm text-gray-600">Extracting the centerline of the cut vessel...</p>
+                </div>
+              )}
+              {segmentedVessels?.vessels.length > 0 ? (
+                <CurvedPlanarViewer
+                  volume={volume3D}
+                  vessels={segmentedVessels.vessels}
+                  bifurcation={selectedBifurcation}
+                  windowLevel={windowLevel}
+                  windowWidth={windowWidth}
+                  onBifurcationPointChange={refineBifurcationPoint}
+                  onCutVessel={taskController ? undefined : handleCutVessel}
+                />
+              ) : (
+                <p className="text-sm text-gray-600">
+                  Segment the coronary arteries to review each vessel along its centerline
+                </p>
+              )}
+            </TabsContent>
+            
             {/* Projection Tab */}
             <TabsContent value="projection" className="space-y-4">
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -635,6 +1540,15 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                     />
                   </div>
                   
+                  {projectionProgress !== null && (
+                    <div className="flex items-center gap-2">
+                      <Progress value={projectionProgress} className="flex-1" />
+                      <Button variant="outline" size="sm" onClick={cancelProjection}>
+                        Cancel
+                      </Button>
+                    </div>
+                  )}
+                  
                   {/* Current Angles Display */}
                   <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg p-4 text-center">
                     <h4 className="font-semibold mb-2">Current Projection</h4>
@@ -653,6 +1567,26 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                 <div className="space-y-6">
                   <h3 className="text-lg font-semibold">Projection Controls</h3>
                   
+                  {/* Rendering Mode */}
+                  <div className="space-y-3">
+                    <label className="text-sm font-medium">Rendering</label>
+                    <ToggleGroup
+                      type="single"
+                      value={projectionMode}
+                      onValueChange={(value) => value && setProjectionMode(value)}
+                      className="justify-start"
+                    >
+                      <ToggleGroupItem value="drr" className="px-4">DRR</ToggleGroupItem>
+                      <ToggleGroupItem value="iodine" className="px-4">Iodine Only</ToggleGroupItem>
+                      <ToggleGroupItem value="mip" className="px-4">MIP</ToggleGroupItem>
+                    </ToggleGroup>
+                    <p className="text-xs text-gray-600">
+                      {projectionMode === 'drr' && 'X-ray attenuation of all tissue along diverging rays from the source, as the C-arm acquires it.'}
+                      {projectionMode === 'iodine' && 'Attenuation of the contrast in the segmented coronary lumen only, like a subtracted angiogram.'}
+                      {projectionMode === 'mip' && 'Brightest contrast-filled voxel along each ray.'}
+                    </p>
+                  </div>
+                  
                   {/* RAO/LAO Controls */}
                   <div className="space-y-3">
                     <label className="text-sm font-medium">RAO/LAO Angle</label>
@@ -733,6 +1667,7 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
                   {segmentedVessels && (
                     <Button
                       onClick={exportCoronaryData}
+                      disabled={!selectedBifurcationId}
                       className="w-full"
                     >
                       <Target className="mr-2 h-4 w-4" />
@@ -758,4 +1693,19 @@ const DicomCTViewer = ({ onCoronaryDataExtracted, onBack }) => {
   )
 }
 
+/**
+ * Anatomical labels along a vessel's segments in the coronary tree, e.g. 'LM/LAD'
+ */
+const getVesselLabel = (tree, vesselId) => {
+  const labels = (tree?.segments || [])
+    .filter(segment => segment.vesselId === vesselId && segment.label)
+    .map(segment => segment.label)
+  return [...new Set(labels)].join('/') || null
+}
+
+/**
+ * Patient (LPS) position in mm for display
+ */
+const formatPosition = (position) => `(${position.map(value => value.toFixed(1)).join(', ')}) mm`
+
 export default DicomCTViewer
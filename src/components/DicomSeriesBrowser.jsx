@@ -0,0 +1,97 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx'
+import { FolderOpen } from 'lucide-react'
+
+const DicomSeriesBrowser = ({ scan, onSelect, onCancel }) => {
+  const studies = [...new Set(scan.series.map(series => series.studyInstanceUid))]
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <FolderOpen className="h-5 w-5" />
+            Choose a Series
+          </h3>
+          <p className="text-sm text-gray-600">
+            {scan.series.length} series {scan.source === 'dicomdir' ? 'listed in the DICOMDIR' : 'found in the uploaded files'}.
+            Pick the contrast-enhanced coronary CTA reconstruction to analyze.
+          </p>
+          {scan.skipped > 0 && (
+            <p className="text-sm text-amber-700">{scan.skipped} files skipped (not readable as DICOM)</p>
+          )}
+          {scan.missing > 0 && (
+            <p className="text-sm text-amber-700">{scan.missing} files referenced by the DICOMDIR were not uploaded</p>
+          )}
+        </div>
+        <Button variant="outline" onClick={onCancel}>
+          Choose Other Files
+        </Button>
+      </div>
+
+      {studies.map(studyUid => {
+        const studySeries = scan.series.filter(series => series.studyInstanceUid === studyUid)
+        const study = studySeries[0]
+
+        return (
+          <div key={studyUid} className="border rounded-lg">
+            {studies.length > 1 && (
+              <div className="px-4 py-2 bg-gray-50 text-sm font-medium">
+                {study.studyDescription || 'Study'} {study.studyDate && `(${formatDicomDate(study.studyDate)})`}
+              </div>
+            )}
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>#</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead>Phase</TableHead>
+                  <TableHead>Slices</TableHead>
+                  <TableHead>Thickness</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {studySeries.map(series => (
+                  <TableRow key={series.key}>
+                    <TableCell>{series.seriesNumber || '–'}</TableCell>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        {series.seriesDescription || 'Unnamed series'}
+                        {series.modality && series.modality !== 'CT' && <Badge variant="outline">{series.modality}</Badge>}
+                        {series.isLocalizer && <Badge variant="secondary">Scout</Badge>}
+                      </div>
+                    </TableCell>
+                    <TableCell>{series.phase !== null ? `${series.phase}% R-R` : '–'}</TableCell>
+                    <TableCell>{series.files.length}</TableCell>
+                    <TableCell>{series.sliceThickness ? `${series.sliceThickness} mm` : '–'}</TableCell>
+                    <TableCell className="text-right">
+                      <Button
+                        size="sm"
+                        variant={series.isLocalizer || series.files.length < 2 ? 'outline' : 'default'}
+                        onClick={() => onSelect(series)}
+                      >
+                        Load
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+/**
+ * Format a DICOM DA value (YYYYMMDD) for display
+ */
+const formatDicomDate = (value) => {
+  if (!/^\d{8}$/.test(value)) return value
+  return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+}
+
+export default DicomSeriesBrowser
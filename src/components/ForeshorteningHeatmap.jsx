@@ -0,0 +1,235 @@
+import { useState, useRef, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group.jsx'
+import {
+  calculateForeshorteningMap,
+  calculateProjectedLengthFractions,
+  createCameraRotation,
+  sampleMapLayer,
+  MAX_VIEWING_SCORE
+} from '../lib/angleEngine'
+import { DEFAULT_OVERLAP_WEIGHT } from '../lib/dicomProcessor'
+import { isAngleReachable, getBlockingConstraint } from '../lib/cArmConstraints'
+import {
+  drawForeshorteningHeatmap,
+  heatmapPointToAngles,
+  heatmapColor,
+  DEFAULT_ISOLINE_LEVELS
+} from '../lib/heatmapRendering'
+
+const CANVAS_WIDTH = 720
+const CANVAS_HEIGHT = 360
+
+const LAYERS = {
+  combined: { label: 'Combined', color: '#6b7280' },
+  main: { label: 'Main vessel', color: '#ef4444' },
+  branch1: { label: 'First branch', color: '#3b82f6' },
+  branch2: { label: 'Second branch', color: '#10b981' }
+}
+
+// Extra layers shown when a CT overlap map is available
+const OVERLAP_LAYERS = {
+  overlapFree: { label: 'Overlap-free', color: '#a855f7' },
+  optimality: { label: 'Combined with overlap', color: '#f59e0b' }
+}
+
+const ForeshorteningHeatmap = ({ vesselDirections, optimal, overlapMap, constraints, markers, describeAngles }) => {
+  const canvasRef = useRef(null)
+  const [map, setMap] = useState(null)
+  const [layerName, setLayerName] = useState('combined')
+  const [selectedAngles, setSelectedAngles] = useState(null)
+
+  useEffect(() => {
+    const foreshorteningMap = calculateForeshorteningMap(
+      [vesselDirections.main, vesselDirections.branch1, vesselDirections.branch2],
+      { step: 2 }
+    )
+    if (overlapMap) addOverlapLayers(foreshorteningMap, overlapMap)
+    setMap(foreshorteningMap)
+    setSelectedAngles(optimal)
+  }, [vesselDirections, optimal, overlapMap])
+
+  // Overlap layers disappear when the overlap map does
+  const activeLayer = map?.layers[layerName] ? layerName : 'combined'
+
+  useEffect(() => {
+    if (!map || !canvasRef.current) return
+
+    drawForeshorteningHeatmap(canvasRef.current.getContext('2d'), map, activeLayer, {
+      markers,
+      optimal,
+      selected: selectedAngles,
+      reachable: constraints ? (raoLao, cranialCaudal) => isAngleReachable(constraints, raoLao, cranialCaudal) : null
+    })
+  }, [map, activeLayer, markers, optimal, selectedAngles, constraints])
+
+  const handleCanvasClick = (event) => {
+    if (!map) return
+
+    const rect = canvasRef.current.getBoundingClientRect()
+    const x = (event.clientX - rect.left) * (CANVAS_WIDTH / rect.width)
+    const y = (event.clientY - rect.top) * (CANVAS_HEIGHT / rect.height)
+
+    setSelectedAngles(heatmapPointToAngles(map, x, y, CANVAS_WIDTH, CANVAS_HEIGHT))
+  }
+
+  const directions = [vesselDirections.main, vesselDirections.branch1, vesselDirections.branch2]
+  const selectedFractions = selectedAngles
+    ? calculateProjectedLengthFractions(directions, selectedAngles.raoLao, selectedAngles.cranialCaudal)
+    : null
+  const selectedOverlap = selectedAngles && overlapMap
+    ? sampleMapLayer(overlapMap, 'overlap', selectedAngles.raoLao, selectedAngles.cranialCaudal)
+    : null
+  const selectedBlockedBy = selectedAngles && constraints
+    ? getBlockingConstraint(constraints, selectedAngles.raoLao, selectedAngles.cranialCaudal)
+    : null
+  const layers = overlapMap ? { ...LAYERS, ...OVERLAP_LAYERS } : LAYERS
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Foreshortening Map</CardTitle>
+        <CardDescription>
+          Visible fraction of true segment length for every C-arm angle. Click the map to preview a projection.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ToggleGroup
+          type="single"
+          value={activeLayer}
+          onValueChange={(value) => value && setLayerName(value)}
+          className="flex flex-wrap justify-start"
+        >
+          {Object.entries(layers).map(([name, layer]) => (
+            <ToggleGroupItem key={name} value={name} className="text-xs px-3">
+              <span className="w-2 h-2 rounded-full mr-2" style={{ backgroundColor: layer.color }} />
+              {layer.label}
+            </ToggleGroupItem>
+          ))}
+        </ToggleGroup>
+
+        <div className="space-y-1">
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>LAO 90°</span>
+            <span>Cranial 45° (top) / Caudal 45° (bottom)</span>
+            <span>RAO 90°</span>
+          </div>
+          <canvas
+            ref={canvasRef}
+            width={CANVAS_WIDTH}
+            height={CANVAS_HEIGHT}
+            onClick={handleCanvasClick}
+            className="w-full rounded border cursor-crosshair"
+          />
+          <div className="flex items-center gap-2 text-xs text-gray-500">
+            <span>More foreshortening</span>
+            <div
+              className="flex-1 h-2 rounded"
+              style={{ background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1].map(heatmapColor).join(', ')})` }}
+            />
+            <span>True length</span>
+          </div>
+          <p className="text-xs text-gray-500">
+            White isolines: {DEFAULT_ISOLINE_LEVELS.map(level => `${Math.round(level * 100)}%`).join(', ')} of true length.
+            Circle: recommended projection. Crosses: {markers.map(marker => marker.label).join(', ')}.
+            {constraints && ` Grey: not reachable with ${constraints.name}.`}
+          </p>
+          {OVERLAP_LAYERS[activeLayer] && (
+            <p className="text-xs text-gray-500">
+              Overlap-free: share of the bifurcation region not covered by other vessels in the CT.
+              Combined: foreshortening score minus the overlap penalty, as used for the recommendation.
+            </p>
+          )}
+        </div>
+
+        {selectedAngles && selectedFractions && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-gray-50 rounded-lg p-4">
+            <div className="space-y-2 text-sm">
+              <div className="font-medium">Preview: {describeAngles(selectedAngles.raoLao, selectedAngles.cranialCaudal)}</div>
+              {selectedBlockedBy && (
+                <div className="text-xs text-red-600">Not reachable: {selectedBlockedBy}</div>
+              )}
+              {['main', 'branch1', 'branch2'].map((name, index) => (
+                <div key={name} className="flex items-center justify-between">
+                  <span className="flex items-center">
+                    <span className="w-2 h-2 rounded-full mr-2" style={{ backgroundColor: LAYERS[name].color }} />
+                    {LAYERS[name].label}
+                  </span>
+                  <Badge variant="outline">{(selectedFractions[index] * 100).toFixed(0)}% of true length</Badge>
+                </div>
+              ))}
+              {selectedOverlap !== null && (
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center">
+                    <span className="w-2 h-2 rounded-full mr-2" style={{ backgroundColor: OVERLAP_LAYERS.overlapFree.color }} />
+                    Vessel overlap
+                  </span>
+                  <Badge variant="outline">{(selectedOverlap * 100).toFixed(0)}% of bifurcation region</Badge>
+                </div>
+              )}
+            </div>
+            <ProjectionPreview directions={directions} angles={selectedAngles} />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * Resample the overlap map onto the foreshortening grid and add the overlap layers
+ */
+const addOverlapLayers = (map, overlapMap) => {
+  map.layers.overlapFree = map.cranialCaudalValues.map(cranialCaudal =>
+    map.raoLaoValues.map(raoLao => 1 - sampleMapLayer(overlapMap, 'overlap', raoLao, cranialCaudal))
+  )
+  map.layers.optimality = map.layers.combined.map((row, rowIndex) =>
+    row.map((value, colIndex) => Math.max(
+      0,
+      value - (DEFAULT_OVERLAP_WEIGHT / MAX_VIEWING_SCORE) * (1 - map.layers.overlapFree[rowIndex][colIndex])
+    ))
+  )
+}
+
+/**
+ * Sketch of the three segments as they would appear on the detector
+ */
+const ProjectionPreview = ({ directions, angles }) => {
+  const rotation = createCameraRotation(angles.raoLao, angles.cranialCaudal)
+  const size = 160
+  const center = size / 2
+  const length = size * 0.4
+
+  const projected = directions.map(direction => ({
+    x: rotation[0][0] * direction[0] + rotation[0][1] * direction[1] + rotation[0][2] * direction[2],
+    y: rotation[1][0] * direction[0] + rotation[1][1] * direction[1] + rotation[1][2] * direction[2]
+  }))
+
+  // All directions point away from the bifurcation point
+  const segments = ['main', 'branch1', 'branch2'].map((name, index) => ({
+    name,
+    from: { x: 0, y: 0 },
+    to: projected[index]
+  }))
+
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-40 h-40 mx-auto bg-black rounded">
+      {segments.map(segment => (
+        <line
+          key={segment.name}
+          x1={center + segment.from.x * length}
+          y1={center + segment.from.y * length}
+          x2={center + segment.to.x * length}
+          y2={center + segment.to.y * length}
+          stroke={LAYERS[segment.name].color}
+          strokeWidth="4"
+          strokeLinecap="round"
+        />
+      ))}
+      <circle cx={center} cy={center} r="4" fill="#fbbf24" />
+    </svg>
+  )
+}
+
+export default ForeshorteningHeatmap
@@ -0,0 +1,303 @@
+/**
+ * Multi-planar CT Viewer
+ * Axial, coronal and sagittal reformations through a shared crosshair, with optional
+ * double-oblique rotation, seed point placement and segmentation editing in any plane
+ */
+
+import { useMemo, useRef, useEffect } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Slider } from '@/components/ui/slider.jsx'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group.jsx'
+import { Crosshair, Paintbrush, RotateCcw, Target } from 'lucide-react'
+
+import { getVolumeAffine, voxelToPatient } from '@/lib/dicomGeometry.js'
+import {
+  MPR_VIEWS,
+  createObliqueRotation,
+  drawWindowedImage,
+  getMprPlane,
+  getVolumeCenter,
+  getVolumeExtent,
+  sampleMprPlane,
+  mprPixelToPatient,
+  patientToMprPixel,
+  patientToVoxelIndex
+} from '@/lib/multiplanarReformation.js'
+
+const PANE_SIZE = 320
+
+// Seeds closer than this to a plane are drawn on it (mm)
+const SEED_DISPLAY_DISTANCE = 2
+
+// Opacity of overlay voxels at or above the overlay threshold
+const OVERLAY_OPACITY = 0.6
+
+const VIEW_COLORS = {
+  axial: '#ef4444',
+  coronal: '#3b82f6',
+  sagittal: '#10b981'
+}
+
+// Planes seen as the horizontal and vertical crosshair lines of each pane
+const CROSSHAIR_LINES = {
+  axial: { horizontal: 'coronal', vertical: 'sagittal' },
+  coronal: { horizontal: 'axial', vertical: 'sagittal' },
+  sagittal: { horizontal: 'axial', vertical: 'coronal' }
+}
+
+const MultiPlanarViewer = ({
+  volume,
+  cursor,
+  onCursorChange,
+  oblique,
+  onObliqueChange,
+  mode,
+  onModeChange,
+  windowLevel,
+  windowWidth,
+  seedPoints,
+  onAddSeedPoint,
+  onEdit,
+  overlay
+}) => {
+  const canvasRefs = useRef({})
+
+  const volumeCenter = useMemo(() => getVolumeCenter(volume), [volume])
+  const extent = useMemo(() => getVolumeExtent(volume), [volume])
+  const rotation = useMemo(() => createObliqueRotation(oblique.rotation, oblique.tilt), [oblique])
+
+  // Planes pass through the crosshair but stay centered on the volume, so panes do not pan
+  const panes = useMemo(() => Object.keys(MPR_VIEWS).map(viewName => {
+    const { normal } = getMprPlane(viewName, cursor, rotation)
+    const offset = dot(subtract(cursor, volumeCenter), normal)
+    const plane = getMprPlane(viewName, volumeCenter.map((value, axis) => value + offset * normal[axis]), rotation)
+
+    return {
+      viewName,
+      plane,
+      offset,
+      sample: sampleMprPlane(volume, plane, { size: PANE_SIZE, fieldOfView: extent }),
+      overlay: overlay ? createOverlayOpacity(overlay, plane, extent) : null
+    }
+  }), [volume, volumeCenter, extent, cursor, rotation, overlay])
+
+  const seedPositions = useMemo(() => {
+    const affine = getVolumeAffine(volume)
+    return seedPoints.map(point => ({ position: voxelToPatient(affine, point), ostium: Boolean(point.ostium) }))
+  }, [volume, seedPoints])
+
+  useEffect(() => {
+    panes.forEach(pane => {
+      const canvas = canvasRefs.current[pane.viewName]
+      if (!canvas) return
+
+      drawMprPane(canvas.getContext('2d'), pane, {
+        windowLevel,
+        windowWidth,
+        cursor,
+        seedPositions
+      })
+    })
+  }, [panes, windowLevel, windowWidth, cursor, seedPositions])
+
+  const getEventPosition = (pane, event) => {
+    const rect = event.currentTarget.getBoundingClientRect()
+    const x = (event.clientX - rect.left) * (PANE_SIZE / rect.width)
+    const y = (event.clientY - rect.top) * (PANE_SIZE / rect.height)
+    return mprPixelToPatient(pane.plane, pane.sample, x, y)
+  }
+
+  const handleCanvasClick = (pane, event) => {
+    if (mode === 'edit') return
+
+    const position = getEventPosition(pane, event)
+
+    if (mode === 'seed') {
+      const seed = patientToVoxelIndex(volume, position)
+      if (!seed) return
+
+      onAddSeedPoint(seed)
+    }
+
+    onCursorChange(position)
+  }
+
+  // Edits follow the pointer while the primary button is held; the crosshair stays put
+  const handleCanvasEdit = (pane, event) => {
+    if (mode !== 'edit' || !onEdit) return
+    if (event.type === 'mousemove' && event.buttons !== 1) return
+
+    onEdit(getEventPosition(pane, event), pane.plane, event.type === 'mousemove')
+  }
+
+  // Move the crosshair along the pane normal
+  const handleOffsetChange = (pane, offset) => {
+    const { normal } = pane.plane
+    onCursorChange(cursor.map((value, axis) => value + (offset - pane.offset) * normal[axis]))
+  }
+
+  const sliceStep = Math.min(...volume.spacing)
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <ToggleGroup
+          type="single"
+          value={mode}
+          onValueChange={(value) => value && onModeChange(value)}
+          className="justify-start"
+        >
+          <ToggleGroupItem value="navigate" className="px-4">
+            <Crosshair className="mr-2 h-4 w-4" />
+            Navigate
+          </ToggleGroupItem>
+          <ToggleGroupItem value="seed" className="px-4">
+            <Target className="mr-2 h-4 w-4" />
+            Place Seeds
+          </ToggleGroupItem>
+          {onEdit && (
+            <ToggleGroupItem value="edit" className="px-4">
+              <Paintbrush className="mr-2 h-4 w-4" />
+              Edit Segmentation
+            </ToggleGroupItem>
+          )}
+        </ToggleGroup>
+        <p className="text-sm text-gray-600">
+          {mode === 'seed' && 'Click any plane to add a seed point at that position'}
+          {mode === 'edit' && 'Click or drag on any plane to apply the selected editing tool'}
+          {mode === 'navigate' && 'Click any plane to move the crosshair; the other planes follow'}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {panes.map(pane => (
+          <div key={pane.viewName} className="space-y-2">
+            <h4 className="text-sm font-semibold flex items-center gap-2">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: VIEW_COLORS[pane.viewName] }} />
+              {MPR_VIEWS[pane.viewName].label}
+              {(oblique.rotation !== 0 || oblique.tilt !== 0) && ' (oblique)'}
+            </h4>
+            <canvas
+              ref={element => { canvasRefs.current[pane.viewName] = element }}
+              width={PANE_SIZE}
+              height={PANE_SIZE}
+              onClick={(event) => handleCanvasClick(pane, event)}
+              onMouseDown={(event) => handleCanvasEdit(pane, event)}
+              onMouseMove={(event) => handleCanvasEdit(pane, event)}
+              className="w-full rounded border bg-black cursor-crosshair"
+            />
+            <label className="text-xs text-gray-600">
+              Position: {pane.offset.toFixed(1)} mm
+            </label>
+            <Slider
+              value={[pane.offset]}
+              onValueChange={([value]) => handleOffsetChange(pane, value)}
+              min={-extent / 2}
+              max={extent / 2}
+              step={sliceStep}
+              className="w-full"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">
+            Oblique Rotation: {oblique.rotation}°
+          </label>
+          <Slider
+            value={[oblique.rotation]}
+            onValueChange={([value]) => onObliqueChange({ ...oblique, rotation: value })}
+            min={-90}
+            max={90}
+            step={1}
+            className="w-full"
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium">
+            Oblique Tilt: {oblique.tilt}°
+          </label>
+          <Slider
+            value={[oblique.tilt]}
+            onValueChange={([value]) => onObliqueChange({ ...oblique, tilt: value })}
+            min={-90}
+            max={90}
+            step={1}
+            className="w-full"
+          />
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => onObliqueChange({ rotation: 0, tilt: 0 })}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            Reset Oblique
+          </Button>
+          <Button variant="outline" onClick={() => onCursorChange(volumeCenter)}>
+            <Crosshair className="mr-2 h-4 w-4" />
+            Center
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Draw a reformatted plane with window/level, crosshair and nearby seed points
+ */
+const drawMprPane = (ctx, pane, { windowLevel, windowWidth, cursor, seedPositions }) => {
+  const { sample, plane, viewName } = pane
+  const { size } = sample
+  drawWindowedImage(ctx, sample.data, size, size, windowLevel, windowWidth, pane.overlay)
+
+  // Crosshair: intersection lines with the other two planes
+  const center = patientToMprPixel(plane, sample, cursor)
+  const lines = CROSSHAIR_LINES[viewName]
+  ctx.lineWidth = 1
+
+  ctx.strokeStyle = VIEW_COLORS[lines.horizontal]
+  ctx.beginPath()
+  ctx.moveTo(0, center.y)
+  ctx.lineTo(size, center.y)
+  ctx.stroke()
+
+  ctx.strokeStyle = VIEW_COLORS[lines.vertical]
+  ctx.beginPath()
+  ctx.moveTo(center.x, 0)
+  ctx.lineTo(center.x, size)
+  ctx.stroke()
+
+  // Seed points near this plane; ostium seeds in yellow
+  seedPositions.forEach(({ position, ostium }, index) => {
+    const point = patientToMprPixel(plane, sample, position)
+    if (Math.abs(point.distance) > SEED_DISPLAY_DISTANCE) return
+
+    ctx.fillStyle = ostium ? 'yellow' : 'red'
+    ctx.strokeStyle = 'white'
+    ctx.lineWidth = 2
+
+    ctx.beginPath()
+    ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI)
+    ctx.fill()
+    ctx.stroke()
+
+    ctx.fillStyle = 'white'
+    ctx.font = '12px Arial'
+    ctx.fillText(`${index + 1}`, point.x + 6, point.y - 6)
+  })
+}
+
+/**
+ * Opacity of an overlay volume (e.g. vesselness) on a plane: visible at or above its threshold
+ */
+const createOverlayOpacity = (overlay, plane, fieldOfView) => {
+  const { data } = sampleMprPlane(overlay.volume, plane, { size: PANE_SIZE, fieldOfView })
+  return data.map(value => (value >= overlay.threshold ? OVERLAY_OPACITY : 0))
+}
+
+const subtract = (a, b) => a.map((value, axis) => value - b[axis])
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+
+export default MultiPlanarViewer
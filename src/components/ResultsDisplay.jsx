@@ -1,9 +1,9 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { Button } from '@/components/ui/button.jsx'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
 import { Separator } from '@/components/ui/separator.jsx'
-import { Calculator, RotateCcw, Download, Eye } from 'lucide-react'
+import { Calculator, RotateCcw, Download, Eye, Save, FileText, Layers } from 'lucide-react'
 import { 
   reconstruct3DVesselDirections, 
   calculatePlaneNormal, 
@@ -11,17 +11,44 @@ import {
   calculateAngleFromHorizontal,
   calculateAngleBetweenVectors2D
 } from '../lib/geometryCalculations'
+import { calculateOptimalViewingAngles, sampleMapLayer } from '../lib/angleEngine'
+import {
+  calculateBifurcationDirections3D,
+  createOverlapPenalty,
+  DEFAULT_OVERLAP_WEIGHT
+} from '../lib/dicomProcessor'
+import { createCtWorkerPool } from '../lib/ctWorkerPool'
+import { reconstructBifurcation3D } from '../lib/stereoReconstruction'
+import { loadConstraintProfile, getBlockingConstraint } from '../lib/cArmConstraints'
+import { downloadProcedureReport } from '../lib/procedureReport'
+import ForeshorteningHeatmap from './ForeshorteningHeatmap.jsx'
+import CArmConstraintSettings from './CArmConstraintSettings.jsx'
 
-const ResultsDisplay = ({ projectData, onRestart }) => {
+const ResultsDisplay = ({ projectData, onRestart, onExportCase }) => {
   const [results, setResults] = useState(null)
   const [isCalculating, setIsCalculating] = useState(true)
   const [error, setError] = useState(null)
+  const [isGeneratingReport, setIsGeneratingReport] = useState(false)
+  const [includeContrastOverlap, setIncludeContrastOverlap] = useState(false)
+  const [constraintProfile, setConstraintProfile] = useState(() => projectData.constraintProfile || loadConstraintProfile())
+  const workerPoolRef = useRef(null)
+  const overlapMapRef = useRef(null) // { coronaryCTData, includeBackground, map } of the last overlap map
 
+  // The CT overlap map is computed in a worker pool, started on mount
   useEffect(() => {
-    calculateOptimalAngles()
-  }, [projectData])
+    const pool = createCtWorkerPool({ size: 1 })
+    workerPoolRef.current = pool
+    return () => pool.terminate()
+  }, [])
 
-  const calculateOptimalAngles = async () => {
+  // A newer calculation cancels the one still running
+  useEffect(() => {
+    const controller = new AbortController()
+    calculateOptimalAngles(controller.signal)
+    return () => controller.abort()
+  }, [projectData, includeContrastOverlap, constraintProfile])
+
+  const calculateOptimalAngles = async (signal) => {
     try {
       setIsCalculating(true)
       setError(null)
@@ -33,69 +60,148 @@ const ResultsDisplay = ({ projectData, onRestart }) => {
         return
       }
 
+      // CT workflow: derive vessel directions from the segmented coronary tree
+      if (projectData.coronaryCTData) {
+        const ctResults = await calculateCTDerivedResults(projectData.coronaryCTData, signal)
+        if (!signal.aborted) setResults(ctResults)
+        return
+      }
+
       // Validate input data
       if (!projectData.image1VesselData || !projectData.image2VesselData) {
         throw new Error('Missing vessel data for one or both images')
       }
 
-      // Use the optimal angles calculated in the vessel tracking steps
-      const image1Data = projectData.image1VesselData
-      const image2Data = projectData.image2VesselData
-
-      if (image1Data?.optimalAngles && image2Data?.optimalAngles) {
-        // Average the optimal angles from both images
-        const avgRaoLao = (image1Data.optimalAngles.raoLao + image2Data.optimalAngles.raoLao) / 2
-        const avgCranialCaudal = (image1Data.optimalAngles.cranialCaudal + image2Data.optimalAngles.cranialCaudal) / 2
-        
-        const calculatedResults = {
-          optimal: {
-            raoLao: Math.round(avgRaoLao * 10) / 10,
-            cranialCaudal: Math.round(avgCranialCaudal * 10) / 10
-          },
-          current: {
-            raoLao: 0,
-            cranialCaudal: 0
-          },
-          vessels3D: image1Data.adjustedSegments,
-          bifurcationConfidence: (image1Data.bifurcationConfidence + image2Data.bifurcationConfidence) / 2,
-          analysis: {
-            method: 'Foreshortening Minimization',
-            confidence: (image1Data.bifurcationConfidence + image2Data.bifurcationConfidence) / 2,
-            vesselCount: 3,
-            segmentLength: '0.5-1cm around bifurcation'
-          }
-        }
-        
-        setResults(calculatedResults)
-      } else {
-        // Provide default results when optimal angles are not available
-        console.warn('Optimal angles not available, using default values')
-        const defaultResults = {
-          optimal: {
-            raoLao: 30,
-            cranialCaudal: 20
-          },
-          current: {
-            raoLao: 0,
-            cranialCaudal: 0
-          },
-          vessels3D: null,
-          bifurcationConfidence: 0.5,
-          analysis: {
-            method: 'Default Values (Processing Failed)',
-            confidence: 0.5,
-            vesselCount: 3,
-            segmentLength: '0.5-1cm around bifurcation'
-          }
-        }
-        setResults(defaultResults)
-      }
+      setResults(calculateStereoResults(projectData.image1VesselData, projectData.image2VesselData))
 
     } catch (err) {
+      if (err.name === 'AbortError') return
       console.error('Calculation error:', err)
       setError(err.message)
     } finally {
-      setIsCalculating(false)
+      if (!signal.aborted) setIsCalculating(false)
+    }
+  }
+
+  const calculateStereoResults = (image1Data, image2Data) => {
+    // Triangulate 3D centerlines from both views instead of combining single-view estimates
+    const reconstruction = reconstructBifurcation3D(image1Data, image2Data)
+    const { directions } = reconstruction
+    const directionList = [directions.main, directions.branch1, directions.branch2]
+    const optimalAngles = calculateOptimalViewingAngles(directionList, { constraints: constraintProfile })
+    const confidence = (image1Data.bifurcationConfidence + image2Data.bifurcationConfidence) / 2
+
+    return {
+      optimal: {
+        raoLao: optimalAngles.raoLao,
+        cranialCaudal: optimalAngles.cranialCaudal
+      },
+      current: image1Data.projectionAngles,
+      vessels3D: reconstruction.centerlines3D,
+      bifurcationConfidence: confidence,
+      analysis: {
+        method: 'Stereo Reconstruction + Foreshortening Minimization',
+        source: 'stereo',
+        confidence,
+        vesselCount: 3,
+        segmentLength: `${reconstruction.segmentLength}mm around bifurcation`,
+        reprojectionError: reconstruction.reprojectionError,
+        matchedFraction: reconstruction.matchedFraction,
+        constraints: describeConstraints(directionList, {}),
+        vesselDirections: {
+          main: directions.main,
+          branch1: directions.branch1,
+          branch2: directions.branch2
+        }
+      }
+    }
+  }
+
+  const calculateCTDerivedResults = async (coronaryCTData, signal) => {
+    const { vessels, tree, bifurcations, selectedBifurcationId, volume, projectionAngles } = coronaryCTData
+    const bifurcation = bifurcations.find(b => b.id === selectedBifurcationId) || bifurcations[0]
+
+    if (!bifurcation) {
+      throw new Error('No bifurcation selected in the CT segmentation')
+    }
+
+    const directions = calculateBifurcationDirections3D({ vessels, volume, tree }, bifurcation)
+    const directionList = [directions.main, directions.branch1, directions.branch2]
+
+    // Penalize views where other vessels project onto the bifurcation
+    const overlapMap = await getOverlapMap(coronaryCTData, bifurcation, directions.segmentLength, signal)
+    const penalty = createOverlapPenalty(overlapMap)
+    const foreshorteningOptimal = calculateOptimalViewingAngles(directionList, { constraints: constraintProfile })
+    const optimalAngles = calculateOptimalViewingAngles(directionList, { penalty, constraints: constraintProfile })
+
+    return {
+      optimal: {
+        raoLao: optimalAngles.raoLao,
+        cranialCaudal: optimalAngles.cranialCaudal
+      },
+      current: projectionAngles || { raoLao: 0, cranialCaudal: 0 },
+      vessels3D: null,
+      bifurcationConfidence: bifurcation.confidence,
+      overlapMap,
+      analysis: {
+        method: 'CT-derived Foreshortening + Overlap Minimization',
+        source: 'ct',
+        bifurcationId: bifurcation.id,
+        bifurcationLabel: bifurcation.label || null,
+        confidence: bifurcation.confidence,
+        vesselCount: 3,
+        segmentLength: `${directions.segmentLength}mm around bifurcation`,
+        overlap: {
+          atOptimal: sampleMapLayer(overlapMap, 'overlap', optimalAngles.raoLao, optimalAngles.cranialCaudal),
+          foreshorteningOptimal: {
+            raoLao: foreshorteningOptimal.raoLao,
+            cranialCaudal: foreshorteningOptimal.cranialCaudal
+          },
+          atForeshorteningOptimal: sampleMapLayer(
+            overlapMap, 'overlap', foreshorteningOptimal.raoLao, foreshorteningOptimal.cranialCaudal
+          ),
+          weight: DEFAULT_OVERLAP_WEIGHT,
+          includesBackground: overlapMap.includesBackground
+        },
+        constraints: describeConstraints(directionList, { penalty }),
+        vesselDirections: {
+          main: directions.main,
+          branch1: directions.branch1,
+          branch2: directions.branch2
+        }
+      }
+    }
+  }
+
+  // The overlap map depends only on the segmentation and the background option, so
+  // constraint changes reuse the last one
+  const getOverlapMap = async (coronaryCTData, bifurcation, segmentLength, signal) => {
+    const cached = overlapMapRef.current
+    if (cached?.coronaryCTData === coronaryCTData && cached.includeBackground === includeContrastOverlap) {
+      return cached.map
+    }
+
+    const { vessels, tree, volume } = coronaryCTData
+    const map = await workerPoolRef.current.run(
+      'calculateOverlapMap',
+      volume,
+      [{ vessels, tree }, bifurcation, { segmentLength, includeBackground: includeContrastOverlap }],
+      { signal, key: 'overlapMap' }
+    )
+    overlapMapRef.current = { coronaryCTData, includeBackground: includeContrastOverlap, map }
+    return map
+  }
+
+  // Record the profile and where the optimum would be without it
+  const describeConstraints = (directionList, scoring) => {
+    const unconstrained = calculateOptimalViewingAngles(directionList, scoring)
+    const blockedBy = getBlockingConstraint(constraintProfile, unconstrained.raoLao, unconstrained.cranialCaudal)
+
+    return {
+      profile: constraintProfile,
+      unconstrainedOptimal: blockedBy
+        ? { raoLao: unconstrained.raoLao, cranialCaudal: unconstrained.cranialCaudal, blockedBy }
+        : null
     }
   }
 
@@ -109,12 +215,23 @@ const ResultsDisplay = ({ projectData, onRestart }) => {
     return `${raoLaoDesc}, ${cranialCaudalDesc}`
   }
 
+  const getVesselDirectionLabel = (vesselName) => {
+    switch (vesselName) {
+      case 'main': return 'Main Vessel'
+      case 'branch1': return 'Branch 1'
+      case 'branch2': return 'Branch 2'
+      case 'vessel1': return 'Vessel 1'
+      case 'vessel2': return 'Vessel 2'
+      default: return vesselName
+    }
+  }
+
   const exportResults = () => {
     if (!results) return
 
     const reportData = {
       timestamp: new Date().toISOString(),
-      inputProjections: {
+      inputProjections: projectData.coronaryCTData ? null : {
         image1: {
           raoLao: projectData.image1Angles.raoLao,
           cranialCaudal: projectData.image1Angles.cranialCaudal
@@ -139,6 +256,20 @@ const ResultsDisplay = ({ projectData, onRestart }) => {
     URL.revokeObjectURL(url)
   }
 
+  const exportReport = async () => {
+    if (!results) return
+
+    try {
+      setIsGeneratingReport(true)
+      await downloadProcedureReport(projectData, results, getAngleDescription)
+    } catch (err) {
+      console.error('Report generation error:', err)
+      alert(`Error generating report: ${err.message}`)
+    } finally {
+      setIsGeneratingReport(false)
+    }
+  }
+
   if (isCalculating) {
     return (
       <Card className="w-full max-w-2xl mx-auto">
@@ -214,65 +345,123 @@ const ResultsDisplay = ({ projectData, onRestart }) => {
             <div className="mt-4 text-sm text-gray-700">
               {getAngleDescription(results.optimal.raoLao, results.optimal.cranialCaudal)}
             </div>
+            {results.analysis?.constraints && (
+              <div className="mt-2 text-xs text-gray-600">
+                C-arm profile: {results.analysis.constraints.profile.name}
+                {results.analysis.constraints.unconstrainedOptimal && (
+                  <> · Unconstrained optimum {getAngleDescription(
+                    results.analysis.constraints.unconstrainedOptimal.raoLao,
+                    results.analysis.constraints.unconstrainedOptimal.cranialCaudal
+                  )} is not reachable ({results.analysis.constraints.unconstrainedOptimal.blockedBy})</>
+                )}
+              </div>
+            )}
           </div>
 
           <Separator />
 
           {/* Input Summary */}
-          <div>
-            <h3 className="font-semibold mb-3">Input Projections</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {projectData.coronaryCTData ? (
+            <div>
+              <h3 className="font-semibold mb-3">CT Source</h3>
               <Card className="bg-gray-50">
-                <CardHeader className="pb-3">
-                  <CardTitle className="text-sm">First Image</CardTitle>
-                </CardHeader>
-                <CardContent className="pt-0">
+                <CardContent className="pt-4">
                   <div className="text-sm space-y-1">
-                    <div>RAO/LAO: {formatAngle(projectData.image1Angles.raoLao)}</div>
-                    <div>Cranial/Caudal: {formatAngle(projectData.image1Angles.cranialCaudal)}</div>
+                    <div>Bifurcation: {results.analysis.bifurcationLabel || results.analysis.bifurcationId}</div>
+                    <div>Segmented vessels: {projectData.coronaryCTData.vessels.length}</div>
+                    <div>Detection confidence: {(results.bifurcationConfidence * 100).toFixed(0)}%</div>
+                    <div>Simulated projection in viewer: {getAngleDescription(results.current.raoLao, results.current.cranialCaudal)}</div>
+                    {results.analysis.overlap && (
+                      <>
+                        <div>Vessel overlap at recommended view: {(results.analysis.overlap.atOptimal * 100).toFixed(0)}%</div>
+                        <div className="text-gray-600">
+                          Foreshortening-only optimum: {getAngleDescription(
+                            results.analysis.overlap.foreshorteningOptimal.raoLao,
+                            results.analysis.overlap.foreshorteningOptimal.cranialCaudal
+                          )} ({(results.analysis.overlap.atForeshorteningOptimal * 100).toFixed(0)}% overlap)
+                        </div>
+                      </>
+                    )}
                   </div>
+                  {results.analysis.overlap && (
+                    <div className="flex flex-wrap items-center gap-2 mt-3">
+                      <Button
+                        variant={includeContrastOverlap ? "default" : "outline"}
+                        size="sm"
+                        onClick={() => setIncludeContrastOverlap(!includeContrastOverlap)}
+                        disabled={!projectData.coronaryCTData.volume?.data}
+                      >
+                        <Layers className="mr-2 h-4 w-4" />
+                        Unsegmented Contrast {includeContrastOverlap ? 'Counted' : 'Ignored'}
+                      </Button>
+                      {!projectData.coronaryCTData.volume?.data && (
+                        <span className="text-xs text-gray-500">Reload the CT series to include unsegmented contrast</span>
+                      )}
+                    </div>
+                  )}
                 </CardContent>
               </Card>
+            </div>
+          ) : (
+            <div>
+              <h3 className="font-semibold mb-3">Input Projections</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Card className="bg-gray-50">
+                  <CardHeader className="pb-3">
+                    <CardTitle className="text-sm">First Image</CardTitle>
+                  </CardHeader>
+                  <CardContent className="pt-0">
+                    <div className="text-sm space-y-1">
+                      <div>RAO/LAO: {formatAngle(projectData.image1Angles.raoLao)}</div>
+                      <div>Cranial/Caudal: {formatAngle(projectData.image1Angles.cranialCaudal)}</div>
+                    </div>
+                  </CardContent>
+                </Card>
               
-              <Card className="bg-gray-50">
-                <CardHeader className="pb-3">
-                  <CardTitle className="text-sm">Second Image</CardTitle>
-                </CardHeader>
-                <CardContent className="pt-0">
-                  <div className="text-sm space-y-1">
-                    <div>RAO/LAO: {formatAngle(projectData.image2Angles.raoLao)}</div>
-                    <div>Cranial/Caudal: {formatAngle(projectData.image2Angles.cranialCaudal)}</div>
-                  </div>
-                </CardContent>
-              </Card>
+                <Card className="bg-gray-50">
+                  <CardHeader className="pb-3">
+                    <CardTitle className="text-sm">Second Image</CardTitle>
+                  </CardHeader>
+                  <CardContent className="pt-0">
+                    <div className="text-sm space-y-1">
+                      <div>RAO/LAO: {formatAngle(projectData.image2Angles.raoLao)}</div>
+                      <div>Cranial/Caudal: {formatAngle(projectData.image2Angles.cranialCaudal)}</div>
+                    </div>
+                  </CardContent>
+                </Card>
+              </div>
             </div>
-          </div>
-
-          <Separator />
+          )}
 
           {/* Analysis Details */}
-          <div>
-            <h3 className="font-semibold mb-3">Analysis Details</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          {results.analysis?.image1Analysis && results.analysis?.image2Analysis && (
+            <>
+              <Separator />
+
               <div>
-                <h4 className="font-medium mb-2">First Image Analysis</h4>
-                <div className="space-y-1 text-gray-600">
-                  <div>Vessel 1 angle: {formatAngle(results.analysis.image1Analysis.vessel1Angle)}</div>
-                  <div>Vessel 2 angle: {formatAngle(results.analysis.image1Analysis.vessel2Angle)}</div>
-                  <div>Bifurcation angle: {formatAngle(results.analysis.image1Analysis.bifurcationAngle)}</div>
-                </div>
-              </div>
+                <h3 className="font-semibold mb-3">Analysis Details</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <h4 className="font-medium mb-2">First Image Analysis</h4>
+                    <div className="space-y-1 text-gray-600">
+                      <div>Vessel 1 angle: {formatAngle(results.analysis.image1Analysis.vessel1Angle)}</div>
+                      <div>Vessel 2 angle: {formatAngle(results.analysis.image1Analysis.vessel2Angle)}</div>
+                      <div>Bifurcation angle: {formatAngle(results.analysis.image1Analysis.bifurcationAngle)}</div>
+                    </div>
+                  </div>
               
-              <div>
-                <h4 className="font-medium mb-2">Second Image Analysis</h4>
-                <div className="space-y-1 text-gray-600">
-                  <div>Vessel 1 angle: {formatAngle(results.analysis.image2Analysis.vessel1Angle)}</div>
-                  <div>Vessel 2 angle: {formatAngle(results.analysis.image2Analysis.vessel2Angle)}</div>
-                  <div>Bifurcation angle: {formatAngle(results.analysis.image2Analysis.bifurcationAngle)}</div>
+                  <div>
+                    <h4 className="font-medium mb-2">Second Image Analysis</h4>
+                    <div className="space-y-1 text-gray-600">
+                      <div>Vessel 1 angle: {formatAngle(results.analysis.image2Analysis.vessel1Angle)}</div>
+                      <div>Vessel 2 angle: {formatAngle(results.analysis.image2Analysis.vessel2Angle)}</div>
+                      <div>Bifurcation angle: {formatAngle(results.analysis.image2Analysis.bifurcationAngle)}</div>
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
-          </div>
+            </>
+          )}
 
           {/* Action Buttons */}
           <div className="flex flex-col sm:flex-row gap-3 justify-center pt-4">
@@ -280,6 +469,16 @@ const ResultsDisplay = ({ projectData, onRestart }) => {
               <Download className="mr-2 h-4 w-4" />
               Export Results
             </Button>
+            <Button variant="outline" onClick={exportReport} disabled={isGeneratingReport}>
+              <FileText className="mr-2 h-4 w-4" />
+              {isGeneratingReport ? 'Generating...' : 'PDF Report'}
+            </Button>
+            {onExportCase && (
+              <Button variant="outline" onClick={() => onExportCase(results)}>
+                <Save className="mr-2 h-4 w-4" />
+                Export Case Bundle
+              </Button>
+            )}
             <Button onClick={onRestart}>
               <RotateCcw className="mr-2 h-4 w-4" />
               New Calculation
@@ -288,6 +487,35 @@ const ResultsDisplay = ({ projectData, onRestart }) => {
         </CardContent>
       </Card>
 
+      {/* Foreshortening Heatmap */}
+      {results.analysis?.vesselDirections && (
+        <ForeshorteningHeatmap
+          vesselDirections={results.analysis.vesselDirections}
+          optimal={results.optimal}
+          overlapMap={results.overlapMap}
+          constraints={results.analysis.constraints?.profile}
+          markers={projectData.coronaryCTData
+            ? [{ ...results.current, label: 'CT view' }]
+            : [
+                { ...projectData.image1Angles, label: 'Image 1' },
+                { ...projectData.image2Angles, label: 'Image 2' }
+              ]}
+          describeAngles={getAngleDescription}
+        />
+      )}
+
+      {/* C-arm constraints only apply to results calculated here */}
+      {!projectData.results && (
+        <>
+          {constraintProfile === projectData.constraintProfile && (
+            <p className="text-sm text-gray-600">
+              Using the C-arm profile saved with the imported case ({constraintProfile.name}), not this workstation's
+            </p>
+          )}
+          <CArmConstraintSettings profile={constraintProfile} onChange={setConstraintProfile} />
+        </>
+      )}
+
       {/* Technical Details Card */}
       <Card>
         <CardHeader>
@@ -298,35 +526,49 @@ const ResultsDisplay = ({ projectData, onRestart }) => {
         </CardHeader>
         <CardContent className="space-y-4">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-            <div>
-              <h4 className="font-medium mb-2">Vessel 1 Direction (3D)</h4>
-              <div className="font-mono text-xs bg-gray-100 p-2 rounded">
-                [{results.analysis.vesselDirections.vessel1.map(v => v.toFixed(3)).join(', ')}]
+            {Object.entries(results.analysis?.vesselDirections || {}).map(([vesselName, direction]) => (
+              <div key={vesselName}>
+                <h4 className="font-medium mb-2">{getVesselDirectionLabel(vesselName)} Direction (3D)</h4>
+                <div className="font-mono text-xs bg-gray-100 p-2 rounded">
+                  [{direction.map(v => v.toFixed(3)).join(', ')}]
+                </div>
               </div>
-            </div>
+            ))}
             
-            <div>
-              <h4 className="font-medium mb-2">Vessel 2 Direction (3D)</h4>
-              <div className="font-mono text-xs bg-gray-100 p-2 rounded">
-                [{results.analysis.vesselDirections.vessel2.map(v => v.toFixed(3)).join(', ')}]
+            {results.analysis?.reprojectionError !== undefined && (
+              <div className="md:col-span-2">
+                <h4 className="font-medium mb-2">Stereo Reconstruction Quality</h4>
+                <div className="font-mono text-xs bg-gray-100 p-2 rounded">
+                  Mean reprojection error: {results.analysis.reprojectionError.toFixed(2)} px,
+                  matched centerline points: {(results.analysis.matchedFraction * 100).toFixed(0)}%
+                </div>
               </div>
-            </div>
-            
-            <div className="md:col-span-2">
-              <h4 className="font-medium mb-2">Bifurcation Plane Normal</h4>
-              <div className="font-mono text-xs bg-gray-100 p-2 rounded">
-                [{results.analysis.planeNormal.map(v => v.toFixed(3)).join(', ')}]
+            )}
+
+            {results.analysis?.planeNormal && (
+              <div className="md:col-span-2">
+                <h4 className="font-medium mb-2">Bifurcation Plane Normal</h4>
+                <div className="font-mono text-xs bg-gray-100 p-2 rounded">
+                  [{results.analysis.planeNormal.map(v => v.toFixed(3)).join(', ')}]
+                </div>
               </div>
-            </div>
+            )}
           </div>
           
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
             <h4 className="font-medium text-blue-800 mb-2">How it works:</h4>
             <ol className="text-sm text-blue-700 list-decimal list-inside space-y-1">
-              <li>Convert 2D vessel points to 3D directions using projection matrices</li>
-              <li>Calculate the normal vector to the plane containing both vessels</li>
-              <li>Determine optimal incident angles that align viewing direction with plane normal</li>
-              <li>Convert to standard RAO/LAO and cranial/caudal coordinates for C-arm positioning</li>
+              {results.analysis?.source === 'ct' ? (
+                <li>Take the 3D directions of the main vessel and both branches from the CT centerlines</li>
+              ) : (
+                <li>Match centerline points between both views along epipolar lines and triangulate 3D centerlines of the main vessel and both branches</li>
+              )}
+              <li>Project each 3D vessel direction at every candidate C-arm angle and measure its visible (unforeshortened) length</li>
+              <li>
+                Search the reachable RAO/LAO and cranial/caudal angles for the highest weighted projected length
+                {results.analysis?.source === 'ct' && ', less a penalty where other vessels overlap the bifurcation'}
+              </li>
+              <li>Refine the best grid angle to 0.1° for C-arm positioning</li>
             </ol>
           </div>
         </CardContent>
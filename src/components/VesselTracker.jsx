@@ -3,7 +3,7 @@ import { Button } from '@/components/ui/button.jsx'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
 import { Slider } from '@/components/ui/slider.jsx'
-import { ZoomIn, ZoomOut, RotateCcw, Target, Wand2, Trash2 } from 'lucide-react'
+import { ZoomIn, ZoomOut, RotateCcw, Target, Wand2, Trash2, Magnet } from 'lucide-react'
 import { 
   preventDefaultTouchBehaviors, 
   getTouchCoordinates, 
@@ -13,12 +13,25 @@ import {
 } from '../lib/touchUtils'
 import { 
   extractVesselCenterline, 
-  calculate3DVesselDirection,
-  calculateOptimalViewingAngles 
+  calculate3DVesselDirection
 } from '../lib/vesselTracking'
+import { calculateOptimalViewingAngles } from '../lib/angleEngine'
 import { detectBifurcationPoint } from '../lib/bifurcationDetection'
+import {
+  createViewGeometry,
+  computeEpipolarLine,
+  distanceToEpipolarLine
+} from '../lib/stereoReconstruction'
 
-const VesselTracker = ({ image, title, description, projectionAngles, onVesselDataExtracted, onBack }) => {
+const EPIPOLAR_TOLERANCE = 20 // screen pixels
+
+const createEmptyVessels = () => ({
+  main: { seedPoints: [], centerline: [], color: '#ef4444' },
+  branch1: { seedPoints: [], centerline: [], color: '#3b82f6' },
+  branch2: { seedPoints: [], centerline: [], color: '#10b981' }
+})
+
+const VesselTracker = ({ image, title, description, projectionAngles, referenceVesselData, initialVesselData, onVesselDataExtracted, onBack }) => {
   const canvasRef = useRef(null)
   const containerRef = useRef(null)
   
@@ -29,20 +42,22 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
   const [isDragging, setIsDragging] = useState(false)
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 })
   
-  // Vessel tracking state
-  const [vessels, setVessels] = useState({
-    main: { seedPoints: [], centerline: [], color: '#ef4444' },
-    branch1: { seedPoints: [], centerline: [], color: '#3b82f6' },
-    branch2: { seedPoints: [], centerline: [], color: '#10b981' }
-  })
+  // Vessel tracking state (restored from a saved case when available)
+  const [vessels, setVessels] = useState(() =>
+    initialVesselData?.vessels ? structuredClone(initialVesselData.vessels) : createEmptyVessels()
+  )
   const [currentVessel, setCurrentVessel] = useState('main')
-  const [trackingMode, setTrackingMode] = useState('seed') // 'seed' or 'review'
-  const [segmentLength, setSegmentLength] = useState(50) // pixels (~0.5-1cm)
+  const [trackingMode, setTrackingMode] = useState(initialVesselData ? 'review' : 'seed') // 'seed' or 'review'
+  const [segmentLength, setSegmentLength] = useState(initialVesselData?.parameters?.segmentLength || 50) // pixels (~0.5-1cm)
   
   // Bifurcation detection
-  const [bifurcationPoint, setBifurcationPoint] = useState(null)
-  const [adjustedSegments, setAdjustedSegments] = useState(null)
-  const [bifurcationConfidence, setBifurcationConfidence] = useState(0)
+  const [bifurcationPoint, setBifurcationPoint] = useState(initialVesselData?.bifurcationPoint || null)
+  const [adjustedSegments, setAdjustedSegments] = useState(initialVesselData?.adjustedSegments || null)
+  const [bifurcationConfidence, setBifurcationConfidence] = useState(initialVesselData?.bifurcationConfidence || 0)
+  
+  // Epipolar guidance from the first image (second image only)
+  const [snapToEpipolar, setSnapToEpipolar] = useState(true)
+  const [epipolarWarning, setEpipolarWarning] = useState(null)
   
   // Image processing
   const [imageObj, setImageObj] = useState(null)
@@ -104,7 +119,25 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
       const ctx = canvasRef.current.getContext('2d')
       drawCanvas(ctx, imageObj, scale, offset)
     }
-  }, [imageLoaded, scale, offset, vessels, currentVessel])
+  }, [imageLoaded, scale, offset, vessels, currentVessel, bifurcationPoint, epipolarWarning])
+
+  const getEpipolarLines = () => {
+    if (!referenceVesselData || !imageObj) return null
+
+    const referenceView = createViewGeometry(referenceVesselData.projectionAngles, referenceVesselData.imageSize)
+    const currentView = createViewGeometry(projectionAngles, { width: imageObj.width, height: imageObj.height })
+    const toLine = (point) => computeEpipolarLine(point, referenceView, currentView)
+
+    const seedLines = {}
+    Object.entries(referenceVesselData.vessels || {}).forEach(([vesselName, vessel]) => {
+      seedLines[vesselName] = vessel.seedPoints.map(toLine)
+    })
+
+    return {
+      seedLines,
+      bifurcationLine: referenceVesselData.bifurcationPoint ? toLine(referenceVesselData.bifurcationPoint) : null
+    }
+  }
 
   const drawCanvas = (ctx, img, currentScale, currentOffset) => {
     ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
@@ -118,6 +151,12 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
       img.height * currentScale
     )
     
+    // Draw epipolar lines from the first image
+    const epipolarLines = getEpipolarLines()
+    if (epipolarLines) {
+      drawEpipolarLines(ctx, img, epipolarLines, currentScale, currentOffset)
+    }
+    
     // Draw vessels
     Object.entries(vessels).forEach(([vesselName, vessel]) => {
       const isActive = vesselName === currentVessel
@@ -153,6 +192,62 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
     drawInstructions(ctx)
   }
 
+  const drawEpipolarLines = (ctx, img, epipolarLines, currentScale, currentOffset) => {
+    const vessel = vessels[currentVessel]
+    const lines = epipolarLines.seedLines[currentVessel] || []
+    const nextIndex = vessel.seedPoints.length
+
+    // Clip to the image so lines do not run over the background
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(currentOffset.x, currentOffset.y, img.width * currentScale, img.height * currentScale)
+    ctx.clip()
+
+    if (trackingMode === 'seed') {
+      lines.forEach((line, index) => {
+        if (line) {
+          const isNext = index === nextIndex
+          drawEpipolarLine(ctx, img, line, currentScale, currentOffset, vessel.color, isNext ? 0.9 : 0.35, isNext ? 2 : 1)
+        }
+      })
+    }
+
+    if (epipolarLines.bifurcationLine) {
+      drawEpipolarLine(ctx, img, epipolarLines.bifurcationLine, currentScale, currentOffset, '#fbbf24', 0.9, 2)
+    }
+
+    ctx.restore()
+  }
+
+  const drawEpipolarLine = (ctx, img, line, currentScale, currentOffset, color, alpha, width) => {
+    // Point on the line closest to the image center, then extend along the line direction
+    const cx = img.width / 2
+    const cy = img.height / 2
+    const d = distanceToEpipolarLine({ x: cx, y: cy }, line)
+    const px = cx - d * line.a
+    const py = cy - d * line.b
+    const extent = img.width + img.height
+
+    ctx.globalAlpha = alpha
+    ctx.strokeStyle = color
+    ctx.lineWidth = width
+    ctx.setLineDash([8, 6])
+
+    ctx.beginPath()
+    ctx.moveTo(
+      (px + line.b * extent) * currentScale + currentOffset.x,
+      (py - line.a * extent) * currentScale + currentOffset.y
+    )
+    ctx.lineTo(
+      (px - line.b * extent) * currentScale + currentOffset.x,
+      (py + line.a * extent) * currentScale + currentOffset.y
+    )
+    ctx.stroke()
+
+    ctx.setLineDash([])
+    ctx.globalAlpha = 1.0
+  }
+
   const drawSeedPoint = (ctx, point, currentScale, currentOffset, color, alpha, number) => {
     const x = point.x * currentScale + currentOffset.x
     const y = point.y * currentScale + currentOffset.y
@@ -336,6 +431,15 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
       ctx.font = '12px sans-serif'
       ctx.fillText(`Bifurcation detected (confidence: ${(bifurcationConfidence * 100).toFixed(1)}%)`, 15, 62)
     }
+    
+    // Show epipolar mismatch warning
+    if (epipolarWarning) {
+      ctx.fillStyle = 'rgba(239, 68, 68, 0.9)'
+      ctx.fillRect(10, 75, 450, 25)
+      ctx.fillStyle = '#ffffff'
+      ctx.font = '12px sans-serif'
+      ctx.fillText(epipolarWarning, 15, 92)
+    }
   }
 
   const getVesselDisplayName = (vesselName) => {
@@ -368,8 +472,9 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
     const imageY = (y - offset.y) / scale
     
     if (imageX >= 0 && imageX <= imageObj.width && imageY >= 0 && imageY <= imageObj.height) {
+      const point = constrainToEpipolarLine({ x: imageX, y: imageY })
       const newVessels = { ...vessels }
-      newVessels[currentVessel].seedPoints.push({ x: imageX, y: imageY })
+      newVessels[currentVessel].seedPoints.push(point)
       setVessels(newVessels)
       
       if (isTouch) {
@@ -378,6 +483,39 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
     }
   }
 
+  const constrainToEpipolarLine = (point) => {
+    const epipolarLines = getEpipolarLines()
+    if (!epipolarLines) return point
+
+    // Prefer the line of the corresponding seed from the first image, else the nearest one
+    const lines = (epipolarLines.seedLines[currentVessel] || []).filter(Boolean)
+    const expectedLine = (epipolarLines.seedLines[currentVessel] || [])[vessels[currentVessel].seedPoints.length]
+    const candidates = expectedLine ? [expectedLine] : lines
+    if (candidates.length === 0) {
+      setEpipolarWarning(null)
+      return point
+    }
+
+    const nearest = candidates.reduce((best, line) => {
+      const distance = distanceToEpipolarLine(point, line)
+      return Math.abs(distance) < Math.abs(best.distance) ? { line, distance } : best
+    }, { line: null, distance: Infinity })
+
+    const tolerance = EPIPOLAR_TOLERANCE / scale
+    if (Math.abs(nearest.distance) <= tolerance) {
+      setEpipolarWarning(null)
+      return snapToEpipolar
+        ? { x: point.x - nearest.distance * nearest.line.a, y: point.y - nearest.distance * nearest.line.b }
+        : point
+    }
+
+    setEpipolarWarning(`Seed is ${Math.abs(nearest.distance).toFixed(0)}px off the epipolar line - check it matches image 1`)
+    if (isTouch) {
+      hapticFeedback('heavy')
+    }
+    return point
+  }
+
   const extractCenterlines = async () => {
     if (!imageData) return
     
@@ -412,6 +550,15 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
         setAdjustedSegments(bifurcationResult.adjustedSegments)
         setBifurcationConfidence(bifurcationResult.confidence)
         
+        // Compare with the bifurcation from the first image
+        const bifurcationLine = getEpipolarLines()?.bifurcationLine
+        if (bifurcationLine && bifurcationResult.bifurcationPoint) {
+          const distance = Math.abs(distanceToEpipolarLine(bifurcationResult.bifurcationPoint, bifurcationLine))
+          setEpipolarWarning(distance > EPIPOLAR_TOLERANCE / scale
+            ? `Bifurcation is ${distance.toFixed(0)}px off the epipolar line from image 1`
+            : null)
+        }
+        
         console.log(`Bifurcation detected using ${bifurcationResult.method} method with confidence ${bifurcationResult.confidence.toFixed(3)}`)
       }
       
@@ -442,9 +589,7 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
         const direction = calculate3DVesselDirection(
           segment,
           projectionAngles.raoLao,
-          projectionAngles.cranialCaudal,
-          imageObj.width,
-          imageObj.height
+          projectionAngles.cranialCaudal
         )
         
         vesselDirections.push(direction)
@@ -462,7 +607,8 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
         vesselDirections: vesselDirections,
         optimalAngles: optimalAngles,
         projectionAngles: projectionAngles,
-        imageSize: { width: imageObj.width, height: imageObj.height }
+        imageSize: { width: imageObj.width, height: imageObj.height },
+        parameters: { segmentLength }
       }
       
       if (onVesselDataExtracted) {
@@ -485,13 +631,10 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
   }
 
   const resetAll = () => {
-    setVessels({
-      main: { seedPoints: [], centerline: [], color: '#ef4444' },
-      branch1: { seedPoints: [], centerline: [], color: '#3b82f6' },
-      branch2: { seedPoints: [], centerline: [], color: '#10b981' }
-    })
+    setVessels(createEmptyVessels())
     setCurrentVessel('main')
     setTrackingMode('seed')
+    setEpipolarWarning(null)
   }
 
   const isComplete = () => {
@@ -521,6 +664,21 @@ const VesselTracker = ({ image, title, description, projectionAngles, onVesselDa
             Click along each vessel to place seed points. The algorithm will automatically extract the centerline 
             focusing on 0.5-1cm segments around the bifurcation.
           </p>
+          {referenceVesselData && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-2 mt-2 flex items-center justify-between gap-2">
+              <p className="text-xs text-amber-800">
+                Dashed lines show where each seed and the bifurcation from the first image must lie. Place the highlighted seed on its line.
+              </p>
+              <Button
+                variant={snapToEpipolar ? "default" : "outline"}
+                size="sm"
+                onClick={() => setSnapToEpipolar(!snapToEpipolar)}
+              >
+                <Magnet className="mr-2 h-4 w-4" />
+                Snap {snapToEpipolar ? 'On' : 'Off'}
+              </Button>
+            </div>
+          )}
           {isTouch && (
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-2 mt-2">
               <p className="text-xs text-blue-700">
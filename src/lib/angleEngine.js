@@ -0,0 +1,326 @@
+/**
+ * Angle Engine
+ * Single implementation of the angiographic viewing geometry, viewing scores and the
+ * optimal-angle search used by every screen, so the same case gives the same answer
+ * everywhere.
+ *
+ * Coordinate convention
+ * Patient frame: X toward the patient's left, Y anterior, Z toward the head (mm when lengths matter)
+ * RAO/LAO: Rotation around the patient's head-foot axis (Z-axis), positive = RAO, negative = LAO
+ * Cranial/Caudal: Tilt of the viewing direction toward the head, positive = cranial, negative = caudal
+ * Camera frame: x to image right, y to image down, z from X-ray source to detector
+ * CT volumes: voxel (column, row, slice) offsets map to [column, -row, slice] times the spacing
+ *
+ * Scoring
+ * A score term is a function (raoLao, cranialCaudal) => number; the optimizer maximizes
+ * the sum of its terms. Foreshortening is the standard term; penalties such as vessel
+ * overlap are added as negative terms.
+ */
+
+import { ANGLE_DOMAIN, isAngleReachable } from './cArmConstraints'
+
+// Viewing score weights for main, branch1, branch2 (slightly higher for the main vessel)
+export const VESSEL_WEIGHTS = [1.2, 1.0, 1.0]
+
+// Viewing score with all three segments at true length
+export const MAX_VIEWING_SCORE = VESSEL_WEIGHTS.reduce((sum, weight) => sum + weight, 0)
+
+/**
+ * Viewing direction (from patient toward detector) in patient coordinates
+ * @param {number} raoLao - RAO/LAO angle in degrees
+ * @param {number} cranialCaudal - Cranial/caudal angle in degrees
+ * @returns {Array} Unit viewing direction
+ */
+export function getViewingDirection(raoLao, cranialCaudal) {
+  const raoRad = (raoLao * Math.PI) / 180
+  const cranialRad = (cranialCaudal * Math.PI) / 180
+
+  return [
+    -Math.sin(raoRad) * Math.cos(cranialRad),  // X: left-right
+    Math.cos(raoRad) * Math.cos(cranialRad),   // Y: anterior-posterior
+    Math.sin(cranialRad)                       // Z: head-foot
+  ]
+}
+
+/**
+ * Camera rotation for an angiographic view
+ * Rows are the image x-axis, image y-axis and viewing direction in patient coordinates
+ * @param {number} raoLao - RAO/LAO angle in degrees (positive = RAO)
+ * @param {number} cranialCaudal - Cranial/caudal angle in degrees (positive = cranial)
+ * @returns {Array} 3x3 rotation matrix (patient to camera)
+ */
+export function createCameraRotation(raoLao, cranialCaudal) {
+  const raoRad = (raoLao * Math.PI) / 180
+  const cranialRad = (cranialCaudal * Math.PI) / 180
+
+  const cosRao = Math.cos(raoRad)
+  const sinRao = Math.sin(raoRad)
+  const cosCranial = Math.cos(cranialRad)
+  const sinCranial = Math.sin(cranialRad)
+
+  return [
+    // Image x-axis: patient's left in AP, rotates with RAO/LAO
+    [cosRao, sinRao, 0],
+    // Image y-axis: toward the feet in AP, tilts with cranial/caudal
+    [-sinRao * sinCranial, cosRao * sinCranial, -cosCranial],
+    // Viewing direction (from patient toward detector)
+    [-sinRao * cosCranial, cosRao * cosCranial, sinCranial]
+  ]
+}
+
+/**
+ * Create proper 3x4 projection matrix for angiographic view
+ * The matrix maps patient coordinates (mm, isocenter at origin) to normalized
+ * image coordinates (x / z, y / z), i.e. detector position divided by the
+ * source-to-image distance. Use imageToProjectionCoordinates to convert pixels.
+ * The detector distance only scales pixels and is applied by imageToProjectionCoordinates.
+ * @param {number} raoLao - RAO/LAO angle in degrees (positive = RAO)
+ * @param {number} cranialCaudal - Cranial/caudal angle in degrees (positive = cranial)
+ * @param {number} sourceDistance - Distance from X-ray source to patient (mm)
+ * @returns {Array} 3x4 projection matrix
+ */
+export function createProjectionMatrix(raoLao, cranialCaudal, sourceDistance = 1000) {
+  const R = createCameraRotation(raoLao, cranialCaudal)
+
+  // X-ray source sits opposite the detector along the viewing direction, so
+  // t = -R * C with C = -sourceDistance * viewingDirection reduces to [0, 0, sourceDistance]
+  return [
+    [R[0][0], R[0][1], R[0][2], 0],
+    [R[1][0], R[1][1], R[1][2], 0],
+    [R[2][0], R[2][1], R[2][2], sourceDistance]
+  ]
+}
+
+/**
+ * Visible fraction of each vessel's true length at a viewing angle
+ * @param {Array} vesselDirections - Array of 3D vessel direction vectors
+ * @param {number} raoLao - RAO/LAO angle in degrees
+ * @param {number} cranialCaudal - Cranial/caudal angle in degrees
+ * @returns {Array<number>} Projected length fractions (1 = no foreshortening)
+ */
+export function calculateProjectedLengthFractions(vesselDirections, raoLao, cranialCaudal) {
+  const viewingDirection = getViewingDirection(raoLao, cranialCaudal)
+  return vesselDirections.map(vesselDir => projectedLengthFraction(vesselDir, viewingDirection))
+}
+
+/**
+ * Visible fraction of a single direction's length along a viewing direction
+ * @param {Array} direction - 3D direction (normalized internally)
+ * @param {Array} viewingDirection - Unit viewing direction
+ * @returns {number} sin of the angle between both (1 = no foreshortening)
+ */
+export function projectedLengthFraction(direction, viewingDirection) {
+  const length = Math.sqrt(direction[0] * direction[0] + direction[1] * direction[1] + direction[2] * direction[2])
+  if (length === 0) return 0
+
+  // Foreshortening factor = |cos(angle)|
+  const dotProduct = (direction[0] * viewingDirection[0] +
+                      direction[1] * viewingDirection[1] +
+                      direction[2] * viewingDirection[2]) / length
+  const foreshorteningFactor = Math.min(1, Math.abs(dotProduct))
+
+  // Projected length factor = sin(angle) = sqrt(1 - cos²(angle))
+  return Math.sqrt(1 - foreshorteningFactor * foreshorteningFactor)
+}
+
+/**
+ * Foreshortening score term (higher = better view with less foreshortening)
+ * @param {Array} vesselDirections - Main, branch1 and branch2 3D direction vectors
+ * @param {Array} weights - Weight per vessel
+ * @returns {Function} Score term peaking at MAX_VIEWING_SCORE for the default weights
+ */
+export function createForeshorteningScore(vesselDirections, weights = VESSEL_WEIGHTS) {
+  return (raoLao, cranialCaudal) =>
+    calculateProjectedLengthFractions(vesselDirections, raoLao, cranialCaudal)
+      .reduce((totalScore, fraction, index) => totalScore + fraction * weights[index], 0)
+}
+
+/**
+ * Find the angles maximizing the sum of score terms
+ * A 1° grid search over the reachable angles is refined by gradient ascent.
+ * @param {Array<Function>} scoreTerms - Score terms (raoLao, cranialCaudal) => number
+ * @param {Object} options - constraints (profile from cArmConstraints)
+ * @returns {Object} Optimal angles and score
+ */
+export function optimizeViewingAngles(scoreTerms, options = {}) {
+  const { constraints = null } = options
+
+  const limits = {
+    raoLao: constraints?.raoLaoLimits || ANGLE_DOMAIN.raoLao,
+    cranialCaudal: constraints?.cranialCaudalLimits || ANGLE_DOMAIN.cranialCaudal,
+    reachable: (raoLao, cranialCaudal) => !constraints || isAngleReachable(constraints, raoLao, cranialCaudal)
+  }
+
+  const scoreAt = (raoLao, cranialCaudal) =>
+    scoreTerms.reduce((total, term) => total + term(raoLao, cranialCaudal), 0)
+
+  let bestAngles = { raoLao: 0, cranialCaudal: 0 }
+  let bestScore = -Infinity
+
+  // Grid search over clinically relevant angles
+  for (let raoLao = Math.ceil(limits.raoLao[0]); raoLao <= limits.raoLao[1]; raoLao += 1) {
+    for (let cranialCaudal = Math.ceil(limits.cranialCaudal[0]); cranialCaudal <= limits.cranialCaudal[1]; cranialCaudal += 1) {
+      if (!limits.reachable(raoLao, cranialCaudal)) continue
+
+      const score = scoreAt(raoLao, cranialCaudal)
+
+      if (score > bestScore) {
+        bestScore = score
+        bestAngles = { raoLao, cranialCaudal }
+      }
+    }
+  }
+
+  if (bestScore === -Infinity) {
+    throw new Error('No reachable C-arm angles in the constraint profile')
+  }
+
+  // Fine-tune with smaller steps
+  const refinedAngles = refineAngles(scoreAt, bestAngles, 0.1, limits)
+  const rounded = {
+    raoLao: Math.round(refinedAngles.raoLao * 10) / 10,
+    cranialCaudal: Math.round(refinedAngles.cranialCaudal * 10) / 10
+  }
+
+  // Rounding must not push the result across a constraint boundary; the score is that of
+  // the angles returned
+  const angles = limits.reachable(rounded.raoLao, rounded.cranialCaudal) ? rounded : bestAngles
+  return { ...angles, score: scoreAt(angles.raoLao, angles.cranialCaudal) }
+}
+
+/**
+ * Calculate optimal viewing angles that minimize foreshortening
+ * An optional penalty (e.g. vessel overlap) is subtracted from the foreshortening
+ * score, so the optimum becomes the best combined view. With a C-arm constraint
+ * profile only reachable angles are considered.
+ * @param {Array} vessel3DDirections - Main, branch1 and branch2 3D direction vectors
+ * @param {Object} options - penalty(raoLao, cranialCaudal) returning a score deduction,
+ *   scoreTerms (additional score terms), constraints (profile from cArmConstraints)
+ * @returns {Object} Optimal angles and score
+ */
+export function calculateOptimalViewingAngles(vessel3DDirections, options = {}) {
+  const { penalty = null, scoreTerms = [], constraints = null } = options
+
+  if (vessel3DDirections.length !== 3) {
+    throw new Error('Exactly 3 vessel directions required')
+  }
+
+  const terms = [createForeshorteningScore(vessel3DDirections), ...scoreTerms]
+  if (penalty) {
+    terms.push((raoLao, cranialCaudal) => -penalty(raoLao, cranialCaudal))
+  }
+
+  return optimizeViewingAngles(terms, { constraints })
+}
+
+/**
+ * Grid axes covering the full angle domain
+ * @param {number} step - Grid step in degrees
+ * @returns {Object} {raoLaoValues, cranialCaudalValues}
+ */
+export function createAngleGrid(step) {
+  const raoLaoValues = []
+  const cranialCaudalValues = []
+  for (let raoLao = ANGLE_DOMAIN.raoLao[0]; raoLao <= ANGLE_DOMAIN.raoLao[1]; raoLao += step) raoLaoValues.push(raoLao)
+  for (let cranialCaudal = ANGLE_DOMAIN.cranialCaudal[0]; cranialCaudal <= ANGLE_DOMAIN.cranialCaudal[1]; cranialCaudal += step) cranialCaudalValues.push(cranialCaudal)
+
+  return { raoLaoValues, cranialCaudalValues }
+}
+
+/**
+ * Evaluate foreshortening over the whole RAO/LAO x cranial/caudal grid
+ * Each layer holds the visible fraction of true segment length (0-1) per angle;
+ * the combined layer is the weighted viewing score normalized to the same range.
+ * @param {Array} vessel3DDirections - Main, branch1 and branch2 3D direction vectors
+ * @param {Object} options - Grid step in degrees
+ * @returns {Object} Grid axes and layers[name][cranialIndex][raoIndex]
+ */
+export function calculateForeshorteningMap(vessel3DDirections, options = {}) {
+  const { step = 5 } = options
+  const { raoLaoValues, cranialCaudalValues } = createAngleGrid(step)
+  const layers = { combined: [], main: [], branch1: [], branch2: [] }
+
+  cranialCaudalValues.forEach(cranialCaudal => {
+    const rows = { combined: [], main: [], branch1: [], branch2: [] }
+
+    raoLaoValues.forEach(raoLao => {
+      const fractions = calculateProjectedLengthFractions(vessel3DDirections, raoLao, cranialCaudal)
+      rows.main.push(fractions[0])
+      rows.branch1.push(fractions[1])
+      rows.branch2.push(fractions[2])
+      rows.combined.push(fractions.reduce((sum, fraction, index) => sum + fraction * VESSEL_WEIGHTS[index], 0) / MAX_VIEWING_SCORE)
+    })
+
+    Object.keys(layers).forEach(name => layers[name].push(rows[name]))
+  })
+
+  return { raoLaoValues, cranialCaudalValues, layers }
+}
+
+/**
+ * Bilinearly interpolate a map layer at arbitrary angles (clamped to the grid)
+ * @param {Object} map - Grid map such as calculateForeshorteningMap returns
+ * @param {string} layerName - Layer to sample
+ * @param {number} raoLao - RAO/LAO angle in degrees
+ * @param {number} cranialCaudal - Cranial/caudal angle in degrees
+ * @returns {number} Interpolated layer value
+ */
+export function sampleMapLayer(map, layerName, raoLao, cranialCaudal) {
+  const { raoLaoValues, cranialCaudalValues } = map
+  const layer = map.layers[layerName]
+
+  const gridPosition = (values, angle) => {
+    const step = values[1] - values[0]
+    const position = Math.max(0, Math.min(values.length - 1, (angle - values[0]) / step))
+    const index = Math.min(values.length - 2, Math.floor(position))
+    return { index, fraction: position - index }
+  }
+
+  const col = gridPosition(raoLaoValues, raoLao)
+  const row = gridPosition(cranialCaudalValues, cranialCaudal)
+  const top = layer[row.index][col.index] * (1 - col.fraction) + layer[row.index][col.index + 1] * col.fraction
+  const bottom = layer[row.index + 1][col.index] * (1 - col.fraction) + layer[row.index + 1][col.index + 1] * col.fraction
+
+  return top * (1 - row.fraction) + bottom * row.fraction
+}
+
+/**
+ * Refine angles using gradient ascent
+ */
+function refineAngles(scoreAt, initialAngles, stepSize, limits) {
+  let currentAngles = { ...initialAngles }
+  let currentScore = scoreAt(currentAngles.raoLao, currentAngles.cranialCaudal)
+
+  const maxIterations = 50
+  const tolerance = 0.001
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    let improved = false
+
+    // Calculate gradient numerically
+    const gradRao = (scoreAt(currentAngles.raoLao + stepSize, currentAngles.cranialCaudal) -
+                    scoreAt(currentAngles.raoLao - stepSize, currentAngles.cranialCaudal)) / (2 * stepSize)
+
+    const gradCranial = (scoreAt(currentAngles.raoLao, currentAngles.cranialCaudal + stepSize) -
+                        scoreAt(currentAngles.raoLao, currentAngles.cranialCaudal - stepSize)) / (2 * stepSize)
+
+    // Take step in gradient direction
+    const newRaoLao = Math.max(limits.raoLao[0], Math.min(limits.raoLao[1], currentAngles.raoLao + stepSize * gradRao))
+    const newCranialCaudal = Math.max(limits.cranialCaudal[0], Math.min(limits.cranialCaudal[1], currentAngles.cranialCaudal + stepSize * gradCranial))
+
+    const newScore = scoreAt(newRaoLao, newCranialCaudal)
+
+    if (newScore > currentScore + tolerance && limits.reachable(newRaoLao, newCranialCaudal)) {
+      currentAngles.raoLao = newRaoLao
+      currentAngles.cranialCaudal = newCranialCaudal
+      currentScore = newScore
+      improved = true
+    }
+
+    if (!improved) {
+      break
+    }
+  }
+
+  return currentAngles
+}
@@ -0,0 +1,372 @@
+/**
+ * Aortic Root and Coronary Ostia Detection
+ * Finds the ascending aorta in the upper axial slices of a contrast CT as the most
+ * right-anterior bright, circular structure of aortic size (the pulmonary trunk lies to its
+ * left, the descending aorta behind it), tracks it caudally slice by slice until its
+ * cross section widens or loses its round shape (sinuses of Valsalva, left ventricle), and
+ * looks for the coronary ostia around the root.
+ *
+ * An ostium is where contrast leaves the aortic lumen through a narrow opening: rays cast
+ * from the aortic centroid in each slice stay bright well beyond the aortic radius over only
+ * a few degrees. Openings found in several neighbouring slices are clustered; the strongest
+ * cluster on the patient's left is the left coronary ostium, on the right the right one.
+ *
+ * Works on axial slices (voxel z is the slice index) and reports voxel positions {x, y, z}
+ * together with patient (LPS) positions.
+ */
+
+import { getVolumeAffine, voxelToPatient } from './dicomGeometry'
+
+// Fraction of the slices, from the cranial end, searched for the ascending aorta
+const SEARCH_FRACTION = 0.4
+
+// Angular step of the rays cast around the aortic centroid (degrees)
+const RAY_ANGLE_STEP = 5
+
+/**
+ * Detect the aortic root and the coronary ostia
+ * @param {Object} volume - Volume from create3DVolumeFromDicom (HU)
+ * @param {Object} options - threshold (lumen HU), minRadius / maxRadius (aortic radius, mm),
+ *   minCircularity (0-1), ostiumSearchHeight (mm above the root searched for ostia),
+ *   maxOstiumWidth (mm), minOstiumLength (mm the opening reaches beyond the aortic wall),
+ *   seedDepth (mm beyond the aortic wall at which ostium seeds are placed)
+ * @returns {Object} { root, track, ostia: { left, right } }; missing ostia are null
+ */
+export function detectAorticRoot(volume, options = {}) {
+  const {
+    threshold = 200,
+    minRadius = 10,
+    maxRadius = 25,
+    minCircularity = 0.7,
+    ostiumSearchHeight = 25,
+    maxOstiumWidth = 8,
+    minOstiumLength = 3,
+    seedDepth = 3
+  } = options
+
+  const { dimensions, spacing } = volume
+  const affine = getVolumeAffine(volume)
+
+  // Slice index step from head towards feet, and the most cranial slice
+  const caudalStep = affine[2][2] >= 0 ? -1 : 1
+  const firstSlice = caudalStep === -1 ? dimensions.depth - 1 : 0
+  const sliceThickness = Math.abs(spacing[2])
+
+  // Ascending aorta: most right-anterior round candidate in the first slice that has one
+  let start = null
+  const searchSlices = Math.max(1, Math.round(dimensions.depth * SEARCH_FRACTION))
+  for (let i = 0; i < searchSlices && !start; i += Math.max(1, Math.round(5 / sliceThickness))) {
+    const z = firstSlice + caudalStep * i
+    const candidates = findSliceComponents(volume, z, threshold)
+      .filter(component => component.radius >= minRadius && component.radius <= maxRadius)
+      .filter(component => component.circularity >= minCircularity)
+      .map(component => ({ ...component, position: voxelToPatient(affine, component.centroid) }))
+
+    if (candidates.length > 0) {
+      const rightAnterior = (candidate) => candidate.position[0] + candidate.position[1]
+      start = candidates.reduce((best, candidate) => (rightAnterior(candidate) < rightAnterior(best) ? candidate : best))
+    }
+  }
+
+  if (!start) {
+    throw new Error('No ascending aorta found: no round contrast-filled structure of aortic size in the upper slices')
+  }
+
+  // Track caudally while the cross section stays round and of steady size
+  const track = [start]
+  for (let z = start.centroid.z + caudalStep; z >= 0 && z < dimensions.depth; z += caudalStep) {
+    const previous = track[track.length - 1]
+    const component = traceComponentFrom(volume, z, previous, threshold)
+    if (!component) break
+
+    const recentAreas = track.slice(-5).map(entry => entry.area).sort((a, b) => a - b)
+    const medianArea = recentAreas[Math.floor(recentAreas.length / 2)]
+    if (component.area > 1.6 * medianArea || component.circularity < minCircularity - 0.1) break
+
+    track.push(component)
+  }
+
+  const rootEntry = track[track.length - 1]
+  const root = {
+    point: rootEntry.centroid,
+    position: voxelToPatient(affine, rootEntry.centroid),
+    radius: rootEntry.radius
+  }
+
+  // Ostium openings in the slices just above the root (and a few below)
+  const openings = []
+  const belowRoot = Math.round(5 / sliceThickness)
+  const aboveRoot = Math.round(ostiumSearchHeight / sliceThickness)
+  for (let offset = -belowRoot; offset <= aboveRoot; offset++) {
+    const z = rootEntry.centroid.z - caudalStep * offset
+    if (z < 0 || z >= dimensions.depth) continue
+
+    const center = track.find(entry => entry.centroid.z === z)?.centroid || { ...rootEntry.centroid, z }
+    openings.push(...findOstiumOpenings(volume, center, threshold, { maxOstiumWidth, minOstiumLength, seedDepth }))
+  }
+
+  const clusters = clusterOpenings(openings, spacing)
+    .filter(cluster => cluster.openings.length >= 2)
+    .map(cluster => ({ ...cluster, direction: voxelDirectionToPatient(affine, cluster.direction) }))
+
+  // Patient left is +X in LPS
+  const pick = (side) => {
+    const sideClusters = clusters.filter(cluster => Math.sign(cluster.direction[0]) === side)
+    if (sideClusters.length === 0) return null
+
+    const best = sideClusters.reduce((a, b) => (b.score > a.score ? b : a))
+    return {
+      point: best.seed,
+      position: voxelToPatient(affine, best.seed),
+      score: best.score
+    }
+  }
+
+  return {
+    root,
+    track: track.map(entry => ({ point: entry.centroid, radius: entry.radius })),
+    ostia: {
+      left: pick(1),
+      right: pick(-1)
+    }
+  }
+}
+
+/**
+ * Helper functions
+ */
+
+// Connected bright regions of an axial slice with their size and roundness
+function findSliceComponents(volume, z, threshold) {
+  const { width, height } = volume.dimensions
+  const offset = z * width * height
+  const labels = new Int32Array(width * height)
+  const components = []
+
+  for (let index = 0; index < width * height; index++) {
+    if (labels[index] !== 0 || volume.data[offset + index] < threshold) continue
+
+    const pixels = floodFill(volume, z, index % width, Math.floor(index / width), threshold, labels, components.length + 1)
+    components.push(describeComponent(volume, z, pixels))
+  }
+
+  return components
+}
+
+// The bright region of a slice under (or next to) the previous aortic centroid, if it stays local
+function traceComponentFrom(volume, z, previous, threshold) {
+  const { width, height } = volume.dimensions
+  const [sx, sy] = volume.spacing
+  const searchRadius = 3
+  let seed = null
+
+  // Nearest bright pixel within a few mm of the previous centroid
+  for (let r = 0; r <= searchRadius && !seed; r += 0.5) {
+    for (let angle = 0; angle < 360 && !seed; angle += 30) {
+      const x = Math.round(previous.centroid.x + (r * Math.cos((angle * Math.PI) / 180)) / sx)
+      const y = Math.round(previous.centroid.y + (r * Math.sin((angle * Math.PI) / 180)) / sy)
+      if (x >= 0 && y >= 0 && x < width && y < height && volume.data[z * width * height + y * width + x] >= threshold) {
+        seed = { x, y }
+      }
+    }
+  }
+  if (!seed) return null
+
+  // Only the disc around the previous centroid counts, so vessels leaving the aorta add
+  // little while a merged chamber fills the disc
+  const pixels = floodFill(volume, z, seed.x, seed.y, threshold, new Int32Array(width * height), 1, {
+    center: previous.centroid,
+    limit: 2.5 * previous.radius
+  })
+
+  return describeComponent(volume, z, pixels)
+}
+
+// 4-connected flood fill, optionally kept within bounds.limit (mm) of bounds.center
+function floodFill(volume, z, startX, startY, threshold, labels, label, bounds = null) {
+  const { width, height } = volume.dimensions
+  const [sx, sy] = volume.spacing
+  const offset = z * width * height
+  const pixels = []
+  const stack = [startY * width + startX]
+  labels[startY * width + startX] = label
+
+  while (stack.length > 0) {
+    const index = stack.pop()
+    const x = index % width
+    const y = Math.floor(index / width)
+    if (bounds && Math.hypot((x - bounds.center.x) * sx, (y - bounds.center.y) * sy) > bounds.limit) continue
+    pixels.push(index)
+
+    const neighbors = [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      y > 0 ? index - width : -1,
+      y < height - 1 ? index + width : -1
+    ]
+    neighbors.forEach(neighbor => {
+      if (neighbor >= 0 && labels[neighbor] === 0 && volume.data[offset + neighbor] >= threshold) {
+        labels[neighbor] = label
+        stack.push(neighbor)
+      }
+    })
+  }
+
+  return pixels
+}
+
+// Area, centroid, equivalent radius and circularity
+// Circularity compares the area with the disc whose radius is estimated from the 95th
+// percentile of centroid distances (sqrt(0.95) of the radius for a disc), so thin vessels
+// leaving the region barely change it.
+function describeComponent(volume, z, pixels) {
+  const { width } = volume.dimensions
+  const [sx, sy] = volume.spacing
+
+  let cx = 0
+  let cy = 0
+  pixels.forEach(index => {
+    cx += index % width
+    cy += Math.floor(index / width)
+  })
+  cx /= pixels.length
+  cy /= pixels.length
+
+  const distances = pixels
+    .map(index => Math.hypot((index % width - cx) * sx, (Math.floor(index / width) - cy) * sy))
+    .sort((a, b) => a - b)
+  const outerDistance = distances[Math.floor(0.95 * (distances.length - 1))] + Math.min(sx, sy) / 2
+
+  const area = pixels.length * sx * sy
+  const enclosingRadius = outerDistance / Math.sqrt(0.95)
+
+  return {
+    centroid: { x: cx, y: cy, z },
+    area,
+    radius: Math.sqrt(area / Math.PI),
+    circularity: area / (Math.PI * enclosingRadius * enclosingRadius)
+  }
+}
+
+// Narrow runs of rays that stay bright beyond the aortic wall
+function findOstiumOpenings(volume, center, threshold, options) {
+  const { maxOstiumWidth, minOstiumLength, seedDepth } = options
+  const [sx, sy] = volume.spacing
+  const rayStep = Math.min(sx, sy) / 2
+  const rayCount = Math.round(360 / RAY_ANGLE_STEP)
+  const maxLength = 60
+
+  const directions = []
+  const lengths = []
+  for (let i = 0; i < rayCount; i++) {
+    const angle = (i * RAY_ANGLE_STEP * Math.PI) / 180
+    const direction = [Math.cos(angle), Math.sin(angle)]
+    let length = 0
+    while (length < maxLength &&
+      sampleSlice(volume, center.z, center.x + ((length + rayStep) * direction[0]) / sx, center.y + ((length + rayStep) * direction[1]) / sy) >= threshold) {
+      length += rayStep
+    }
+    directions.push(direction)
+    lengths.push(length)
+  }
+
+  const radius = [...lengths].sort((a, b) => a - b)[Math.floor(rayCount / 2)]
+  if (radius === 0) return []
+
+  // Runs of consecutive extended rays, wrapping around
+  const extended = lengths.map(length => length >= radius + minOstiumLength)
+  if (extended.every(Boolean)) return []
+
+  const openings = []
+  const firstGap = extended.indexOf(false)
+  let run = []
+  for (let step = 1; step <= rayCount; step++) {
+    const i = (firstGap + step) % rayCount
+    if (extended[i]) {
+      run.push(i)
+      continue
+    }
+    if (run.length > 0) {
+      const width = (run.length * RAY_ANGLE_STEP * Math.PI / 180) * (radius + minOstiumLength)
+      if (width <= maxOstiumWidth) {
+        const direction = normalize2(run.reduce((sum, index) => [sum[0] + directions[index][0], sum[1] + directions[index][1]], [0, 0]))
+        const depth = radius + seedDepth
+        openings.push({
+          direction: [direction[0], direction[1], 0],
+          seed: {
+            x: Math.round(center.x + (depth * direction[0]) / sx),
+            y: Math.round(center.y + (depth * direction[1]) / sy),
+            z: center.z
+          },
+          length: Math.max(...run.map(index => lengths[index])) - radius
+        })
+      }
+      run = []
+    }
+  }
+
+  return openings
+}
+
+// Greedy clustering of openings within a few mm of each other
+function clusterOpenings(openings, spacing) {
+  const clusters = []
+
+  openings.forEach(opening => {
+    const cluster = clusters.find(candidate => Math.hypot(
+      (candidate.seed.x - opening.seed.x) * spacing[0],
+      (candidate.seed.y - opening.seed.y) * spacing[1],
+      (candidate.seed.z - opening.seed.z) * spacing[2]
+    ) <= 5)
+
+    if (cluster) {
+      cluster.openings.push(opening)
+      cluster.score += opening.length
+    } else {
+      clusters.push({ seed: opening.seed, openings: [opening], score: opening.length })
+    }
+  })
+
+  return clusters.map(cluster => {
+    // Seed at the opening closest to the cluster's middle slice
+    const slices = cluster.openings.map(opening => opening.seed.z).sort((a, b) => a - b)
+    const middle = slices[Math.floor(slices.length / 2)]
+    const seed = cluster.openings.find(opening => opening.seed.z === middle).seed
+    const direction = cluster.openings.reduce((sum, opening) => sum.map((value, axis) => value + opening.direction[axis]), [0, 0, 0])
+    return { ...cluster, seed, direction }
+  })
+}
+
+// Bilinear interpolation within an axial slice
+function sampleSlice(volume, z, x, y) {
+  const { width, height } = volume.dimensions
+  if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return -1024
+
+  const x0 = Math.floor(x)
+  const y0 = Math.floor(y)
+  const x1 = Math.min(x0 + 1, width - 1)
+  const y1 = Math.min(y0 + 1, height - 1)
+  const fx = x - x0
+  const fy = y - y0
+  const offset = z * width * height
+  const value = (xi, yi) => volume.data[offset + yi * width + xi]
+
+  return (value(x0, y0) * (1 - fx) + value(x1, y0) * fx) * (1 - fy) +
+    (value(x0, y1) * (1 - fx) + value(x1, y1) * fx) * fy
+}
+
+// In-plane direction in mm along the voxel axes to a unit patient direction
+function voxelDirectionToPatient(affine, direction) {
+  const spacingX = Math.hypot(affine[0][0], affine[1][0], affine[2][0])
+  const spacingY = Math.hypot(affine[0][1], affine[1][1], affine[2][1])
+  const patient = [0, 1, 2].map(axis =>
+    (affine[axis][0] / spacingX) * direction[0] + (affine[axis][1] / spacingY) * direction[1]
+  )
+  const length = Math.hypot(...patient)
+  return length > 0 ? patient.map(value => value / length) : patient
+}
+
+function normalize2(vector) {
+  const length = Math.hypot(vector[0], vector[1])
+  return length > 0 ? [vector[0] / length, vector[1] / length] : vector
+}
@@ -0,0 +1,150 @@
+/**
+ * C-arm Reachability Constraints
+ * A constraint profile describes which gantry angles can be used in a lab: overall
+ * RAO/LAO and cranial/caudal limits plus rectangular forbidden zones (e.g. steep
+ * LAO-caudal views where the detector collides with the table). Angles follow the
+ * optimizer convention: RAO and cranial positive, LAO and caudal negative.
+ */
+
+const STORAGE_KEY = 'cArmConstraintProfile'
+
+// Full angle range searched by the optimizer
+export const ANGLE_DOMAIN = {
+  raoLao: [-90, 90],
+  cranialCaudal: [-45, 45]
+}
+
+export const C_ARM_PRESETS = {
+  standard: {
+    name: 'Standard single-plane C-arm',
+    raoLaoLimits: [-90, 90],
+    cranialCaudalLimits: [-45, 45],
+    forbiddenZones: [
+      { name: 'Steep LAO caudal (detector/table collision)', raoLao: [-90, -50], cranialCaudal: [-45, -30] },
+      { name: 'Steep RAO caudal (detector/table collision)', raoLao: [60, 90], cranialCaudal: [-45, -35] }
+    ]
+  },
+  largeDetector: {
+    name: 'Large detector (30 x 40 cm)',
+    raoLaoLimits: [-75, 75],
+    cranialCaudalLimits: [-35, 40],
+    forbiddenZones: [
+      { name: 'Steep LAO caudal (detector/table collision)', raoLao: [-75, -40], cranialCaudal: [-35, -20] },
+      { name: 'Steep LAO cranial (detector/patient collision)', raoLao: [-75, -55], cranialCaudal: [30, 40] },
+      { name: 'Steep RAO caudal (detector/table collision)', raoLao: [50, 75], cranialCaudal: [-35, -25] }
+    ]
+  },
+  unrestricted: {
+    name: 'Unrestricted',
+    raoLaoLimits: [-90, 90],
+    cranialCaudalLimits: [-45, 45],
+    forbiddenZones: []
+  }
+}
+
+export const DEFAULT_PRESET_ID = 'standard'
+
+/**
+ * Create an editable constraint profile from a preset
+ * @param {string} presetId - Key of C_ARM_PRESETS
+ * @returns {Object} Constraint profile
+ */
+export function createConstraintProfile(presetId = DEFAULT_PRESET_ID) {
+  const preset = C_ARM_PRESETS[presetId]
+
+  if (!preset) {
+    throw new Error(`Unknown C-arm preset "${presetId}"`)
+  }
+
+  return { presetId, ...structuredClone(preset) }
+}
+
+/**
+ * Check a constraint profile for inconsistent limits or zones
+ * @param {Object} profile - Constraint profile
+ * @throws {Error} When a limit or zone is invalid
+ */
+export function validateConstraintProfile(profile) {
+  const checkRange = (range, domain, label) => {
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) {
+      throw new Error(`${label} must be a pair of numbers`)
+    }
+    if (range[0] >= range[1]) {
+      throw new Error(`${label}: minimum must be below maximum`)
+    }
+    if (domain && (range[0] < domain[0] || range[1] > domain[1])) {
+      throw new Error(`${label} must stay within ${domain[0]}° to ${domain[1]}°`)
+    }
+  }
+
+  checkRange(profile.raoLaoLimits, ANGLE_DOMAIN.raoLao, 'RAO/LAO limits')
+  checkRange(profile.cranialCaudalLimits, ANGLE_DOMAIN.cranialCaudal, 'Cranial/caudal limits')
+
+  profile.forbiddenZones.forEach((zone, index) => {
+    const label = zone.name || `Forbidden zone ${index + 1}`
+    checkRange(zone.raoLao, null, `${label} RAO/LAO range`)
+    checkRange(zone.cranialCaudal, null, `${label} cranial/caudal range`)
+  })
+}
+
+/**
+ * Find the constraint that blocks an angle pair
+ * @param {Object} profile - Constraint profile
+ * @param {number} raoLao - RAO/LAO angle in degrees
+ * @param {number} cranialCaudal - Cranial/caudal angle in degrees
+ * @returns {string|null} Reason the angle cannot be reached, or null if it can
+ */
+export function getBlockingConstraint(profile, raoLao, cranialCaudal) {
+  const [raoMin, raoMax] = profile.raoLaoLimits
+  const [cranialMin, cranialMax] = profile.cranialCaudalLimits
+
+  if (raoLao < raoMin || raoLao > raoMax) {
+    return 'Outside RAO/LAO limits'
+  }
+  if (cranialCaudal < cranialMin || cranialCaudal > cranialMax) {
+    return 'Outside cranial/caudal limits'
+  }
+
+  const zone = profile.forbiddenZones.find(candidate =>
+    raoLao >= candidate.raoLao[0] && raoLao <= candidate.raoLao[1] &&
+    cranialCaudal >= candidate.cranialCaudal[0] && cranialCaudal <= candidate.cranialCaudal[1]
+  )
+
+  return zone ? zone.name || 'Forbidden zone' : null
+}
+
+/**
+ * Check whether the C-arm can reach an angle pair
+ * @returns {boolean} True if no limit or forbidden zone blocks the angles
+ */
+export function isAngleReachable(profile, raoLao, cranialCaudal) {
+  return getBlockingConstraint(profile, raoLao, cranialCaudal) === null
+}
+
+/**
+ * Load the lab's constraint profile from local storage
+ * @returns {Object} Stored profile, or the default preset if none is stored or it is invalid
+ */
+export function loadConstraintProfile() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (stored) {
+      const profile = JSON.parse(stored)
+      validateConstraintProfile(profile)
+      return profile
+    }
+  } catch (error) {
+    console.warn('Ignoring stored C-arm constraint profile:', error)
+  }
+
+  return createConstraintProfile()
+}
+
+/**
+ * Store the lab's constraint profile in local storage
+ * @param {Object} profile - Constraint profile (validated before saving)
+ */
+export function saveConstraintProfile(profile) {
+  validateConstraintProfile(profile)
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profile))
+}
@@ -0,0 +1,129 @@
+/**
+ * Case Bundle Import/Export
+ * A case bundle is a single versioned JSON file with the images embedded as data URLs,
+ * so a calculation can be peer reviewed or reproduced later without the original session.
+ */
+
+import { prepareProjectDataForStorage } from './caseStore'
+import { DEFAULT_STEREO_OPTIONS } from './stereoReconstruction'
+import { loadConstraintProfile, validateConstraintProfile } from './cArmConstraints'
+
+export const CASE_BUNDLE_FORMAT = 'coronary-bifurcation-case'
+export const CASE_BUNDLE_VERSION = 1
+
+/**
+ * Build a case bundle from the current wizard state
+ * @param {Object} caseState - {workflowMode, currentStep, projectData, results}
+ * @returns {Object} Case bundle
+ */
+export function createCaseBundle({ workflowMode, currentStep, projectData, results = null }) {
+  return {
+    format: CASE_BUNDLE_FORMAT,
+    version: CASE_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workflowMode,
+    currentStep,
+    projectData: prepareProjectDataForStorage(projectData),
+    parameters: {
+      vesselTracking: {
+        image1: projectData.image1VesselData?.parameters || null,
+        image2: projectData.image2VesselData?.parameters || null
+      },
+      stereoReconstruction: DEFAULT_STEREO_OPTIONS,
+      cArmConstraints: results?.analysis?.constraints?.profile || projectData.constraintProfile || loadConstraintProfile()
+    },
+    results
+  }
+}
+
+/**
+ * Parse and validate a case bundle file
+ * @param {string} text - Bundle file contents
+ * @returns {Object} Case bundle
+ */
+export function parseCaseBundle(text) {
+  let bundle
+
+  try {
+    bundle = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+
+  if (!bundle || bundle.format !== CASE_BUNDLE_FORMAT) {
+    throw new Error('File is not a coronary bifurcation case bundle')
+  }
+
+  if (typeof bundle.version !== 'number' || bundle.version > CASE_BUNDLE_VERSION) {
+    throw new Error(`Case bundle version ${bundle.version} is not supported by this version of the app`)
+  }
+
+  if (!bundle.projectData || typeof bundle.projectData !== 'object') {
+    throw new Error('Case bundle is missing project data')
+  }
+
+  if (bundle.workflowMode !== 'angiography' && bundle.workflowMode !== 'ct') {
+    throw new Error(`Unknown workflow "${bundle.workflowMode}" in case bundle`)
+  }
+
+  if (bundle.parameters?.cArmConstraints) {
+    try {
+      validateConstraintProfile(bundle.parameters.cArmConstraints)
+    } catch (error) {
+      throw new Error(`Case bundle has an invalid C-arm constraint profile: ${error.message}`)
+    }
+  }
+
+  return bundle
+}
+
+/**
+ * Steps of the angiographic wizard that a bundle has enough data to open
+ * Step n is restorable when every input produced by the steps before it is present.
+ * @param {Object} bundle - Parsed case bundle
+ * @param {number} stepCount - Number of wizard steps
+ * @returns {Array<number>} Restorable step indices
+ */
+export function getRestorableSteps(bundle, stepCount) {
+  const { projectData } = bundle
+
+  // CT bundles carry the segmentation but not the voxel data, so only results can be reopened
+  if (bundle.workflowMode === 'ct') {
+    return projectData.coronaryCTData ? [stepCount - 1] : []
+  }
+
+  // Data required before entering each step (index = step)
+  const requirements = [
+    [],
+    [],
+    ['image1'],
+    ['image1', 'image1Angles'],
+    ['image1', 'image1Angles', 'image1VesselData'],
+    ['image1', 'image1Angles', 'image1VesselData', 'image2'],
+    ['image1', 'image1Angles', 'image1VesselData', 'image2', 'image2Angles'],
+    ['image1', 'image1Angles', 'image1VesselData', 'image2', 'image2Angles', 'image2VesselData'],
+    ['image1', 'image1Angles', 'image1VesselData', 'image2', 'image2Angles', 'image2VesselData']
+  ]
+
+  return requirements
+    .slice(1, stepCount)
+    .map((required, index) => ({ step: index + 1, required }))
+    .filter(({ required }) => required.every(key => projectData[key]))
+    .map(({ step }) => step)
+}
+
+/**
+ * Download a case bundle as a JSON file
+ * @param {Object} bundle - Case bundle
+ */
+export function downloadCaseBundle(bundle) {
+  const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `coronary-bifurcation-case-${Date.now()}.json`
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,212 @@
+/**
+ * On-device Case Library
+ * Persists wizard state in IndexedDB so cases survive page reloads.
+ * Nothing stored here is ever sent off the device.
+ */
+
+const DB_NAME = 'bifurcation-calculator'
+const DB_VERSION = 1
+const STORE_NAME = 'cases'
+
+let databasePromise = null
+
+/**
+ * Open (and create on first use) the case database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+          store.createIndex('updatedAt', 'updatedAt')
+        }
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    databasePromise.catch(() => {
+      databasePromise = null
+    })
+  }
+
+  return databasePromise
+}
+
+/**
+ * Run a single request against the case store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} Request result once the transaction completes
+ */
+async function runRequest(mode, operation) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Generate a unique case identifier
+ * @returns {string} Case ID
+ */
+export function createCaseId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `case-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Drop data that is too large to keep per case
+ * The raw CT voxel array is not needed once vessels and bifurcations are segmented
+ * @param {Object} projectData - Wizard project data
+ * @returns {Object} Project data safe to store
+ */
+export function prepareProjectDataForStorage(projectData) {
+  if (!projectData.coronaryCTData?.volume) return projectData
+
+  const volumeWithoutVoxels = { ...projectData.coronaryCTData.volume }
+  delete volumeWithoutVoxels.data
+
+  return {
+    ...projectData,
+    coronaryCTData: {
+      ...projectData.coronaryCTData,
+      volume: volumeWithoutVoxels
+    }
+  }
+}
+
+/**
+ * Save (insert or update) a case, keeping its original creation time
+ * @param {Object} caseData - {id, workflowMode, currentStep, projectData, thumbnail, duplicatedFrom}
+ * @returns {Promise<Object>} Stored case record
+ */
+export async function saveCase(caseData) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite')
+    const store = transaction.objectStore(STORE_NAME)
+    const now = Date.now()
+    let record = null
+
+    const existing = store.get(caseData.id)
+    existing.onsuccess = () => {
+      record = {
+        ...caseData,
+        projectData: prepareProjectDataForStorage(caseData.projectData),
+        createdAt: existing.result?.createdAt || caseData.createdAt || now,
+        updatedAt: now
+      }
+      store.put(record)
+    }
+
+    transaction.oncomplete = () => resolve(record)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * List stored cases, most recently updated first
+ * @returns {Promise<Array>} Case summaries (without project data)
+ */
+export async function listCases() {
+  const records = await runRequest('readonly', store => store.getAll())
+
+  return records
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(record => ({
+      id: record.id,
+      workflowMode: record.workflowMode,
+      currentStep: record.currentStep,
+      thumbnail: record.thumbnail || null,
+      duplicatedFrom: record.duplicatedFrom || null,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    }))
+}
+
+/**
+ * Load a full case record
+ * @param {string} id - Case ID
+ * @returns {Promise<Object|null>} Case record, or null if not found
+ */
+export async function loadCase(id) {
+  const record = await runRequest('readonly', store => store.get(id))
+  return record || null
+}
+
+/**
+ * Delete a case
+ * @param {string} id - Case ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCase(id) {
+  await runRequest('readwrite', store => store.delete(id))
+}
+
+/**
+ * Copy a case under a new ID so it can be modified without touching the original
+ * @param {string} id - Case ID to duplicate
+ * @returns {Promise<Object>} New case record
+ */
+export async function duplicateCase(id) {
+  const original = await loadCase(id)
+  if (!original) {
+    throw new Error('Case not found')
+  }
+
+  const copy = {
+    ...original,
+    id: createCaseId(),
+    duplicatedFrom: original.id
+  }
+  delete copy.createdAt
+
+  return saveCase(copy)
+}
+
+/**
+ * Create a small JPEG thumbnail from an image data URL
+ * @param {string} imageSrc - Image data URL
+ * @param {number} maxSize - Longest side of the thumbnail (pixels)
+ * @returns {Promise<string>} Thumbnail data URL
+ */
+export function createThumbnail(imageSrc, maxSize = 160) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+
+    img.onload = () => {
+      const ratio = Math.min(maxSize / img.width, maxSize / img.height, 1)
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(img.width * ratio)
+      canvas.height = Math.round(img.height * ratio)
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+      resolve(canvas.toDataURL('image/jpeg', 0.7))
+    }
+    img.onerror = () => reject(new Error('Could not load image for thumbnail'))
+
+    img.src = imageSrc
+  })
+}
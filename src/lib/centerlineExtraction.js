@@ -0,0 +1,411 @@
+/**
+ * Minimal-path Centerline Extraction
+ * Connects ostium seeds to distal seeds through the cheapest path in a CT volume, then
+ * turns each voxel path into an ordered, centered, smooth polyline with a lumen radius
+ * per point.
+ *
+ * The path cost per mm is 1 / (speed + epsilon), where speed is close to 1 inside
+ * contrast-filled lumen (from HU, optionally weighted by vesselness) and close to 0
+ * elsewhere. Dijkstra's algorithm on the 26-connected voxel grid runs from all ostia at once
+ * until every distal seed is reached; each path is then traced back from its seed to the
+ * ostium it is cheapest to reach from, so left and right trees can be extracted together.
+ *
+ * Centerline points keep voxel coordinates {x, y, z} (sub-voxel) for the rest of the
+ * pipeline and add position (LPS, mm) and radius (mm).
+ */
+
+import { getVolumeAffine, patientToVoxel, voxelToPatient } from './dicomGeometry'
+import { createVolumeSampler } from './multiplanarReformation'
+
+// Keeps the cost finite outside vessels (cost per mm is at most 1 / SPEED_EPSILON)
+const SPEED_EPSILON = 1e-3
+
+// Width of the HU ramp between background and lumen speed
+const HU_RAMP_WIDTH = 50
+
+// Rays cast around each point to find the lumen boundary
+const RADIUS_RAY_COUNT = 16
+
+// Largest search box (voxels); the cost cache, distances and back-pointers take 12 bytes
+// per voxel (about 190 MB here), plus the heap of open voxels, in each pool worker
+const MAX_SEARCH_VOXELS = 16000000
+
+/**
+ * Extract centerlines from the ostium seeds to each distal seed
+ * Later paths that share their proximal course with earlier ones start where they leave
+ * the earlier vessels' lumen, so each centerline describes one vessel segment. A target
+ * lying inside an earlier vessel yields a single point.
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Array<Object>} ostia - Ostium seeds {x, y, z} in voxel coordinates
+ * @param {Array<Object>} targets - Distal seeds {x, y, z}
+ * @param {Object} options - intensityThreshold (lumen HU), vesselness (field with at(x, y, z)),
+ *   vesselnessThreshold, mask ((x, y, z) => boolean; paths then run through the mask at
+ *   uniform speed instead of following HU), margin (mm around the seeds searched), maxRadius
+ *   (mm), step (mm), onProgress (callback (reached, total) as the search reaches distal seeds)
+ * @returns {Array<Array<Object>>} One centerline per target, ordered from proximal to distal
+ */
+export function extractMinimalPathCenterlines(volume, ostia, targets, options = {}) {
+  const { margin = 15 } = options
+
+  if (targets.length === 0) {
+    throw new Error('Minimal-path centerlines need at least one distal seed')
+  }
+
+  const paths = findMinimalPaths(volume, ostia, targets, { ...options, margin })
+  const centerlines = paths.map(path => refineCenterline(volume, path, options))
+
+  // Start each later centerline where it leaves the lumen of the earlier ones
+  return centerlines.map((centerline, index) => {
+    if (index === 0) return centerline
+
+    const earlier = centerlines.slice(0, index)
+    const firstOutside = centerline.findIndex(point =>
+      !earlier.some(other => other.some(otherPoint =>
+        distance(point.position, otherPoint.position) <= otherPoint.radius
+      ))
+    )
+    if (firstOutside === -1) return centerline.slice(-1)
+
+    return centerline.slice(Math.max(0, firstOutside - 1))
+  })
+}
+
+/**
+ * Cheapest voxel paths from a set of sources to several targets
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Array<Object>} sources - Source voxels {x, y, z}
+ * @param {Array<Object>} targets - Target voxels {x, y, z}
+ * @param {Object} options - See extractMinimalPathCenterlines
+ * @returns {Array<Array<Object>>} Integer voxel paths from the cheapest source to each target
+ */
+export function findMinimalPaths(volume, sources, targets, options = {}) {
+  const { margin = 15, onProgress = null } = options
+  const { dimensions, spacing } = volume
+  const seeds = [...sources, ...targets].map(point => ({
+    x: Math.round(point.x),
+    y: Math.round(point.y),
+    z: Math.round(point.z)
+  }))
+
+  // Search box around the seeds
+  const sizes = [dimensions.width, dimensions.height, dimensions.depth]
+  const [low, high] = [Math.min, Math.max].map((extreme, bound) => ['x', 'y', 'z'].map((axis, index) => {
+    const pad = Math.ceil(margin / spacing[index])
+    const value = extreme(...seeds.map(seed => seed[axis])) + (bound === 0 ? -pad : pad)
+    return Math.min(sizes[index] - 1, Math.max(0, value))
+  }))
+  const [bw, bh, bd] = [0, 1, 2].map(axis => high[axis] - low[axis] + 1)
+  const boxSize = bw * bh * bd
+
+  if (boxSize > MAX_SEARCH_VOXELS) {
+    throw new Error('Seeds are too far apart for minimal-path extraction: add the vessels in smaller groups')
+  }
+
+  const toIndex = (x, y, z) => ((z - low[2]) * bh + (y - low[1])) * bw + (x - low[0])
+  const costPerMm = createCostFunction(volume, options)
+  const costCache = new Float32Array(boxSize).fill(-1)
+  const cost = (index, x, y, z) => {
+    if (costCache[index] < 0) costCache[index] = costPerMm(x, y, z)
+    return costCache[index]
+  }
+
+  const distances = new Float32Array(boxSize).fill(Infinity)
+  const previous = new Int32Array(boxSize).fill(-1)
+  const targetSeeds = seeds.slice(sources.length)
+  const targetIndices = new Set(targetSeeds.map(seed => toIndex(seed.x, seed.y, seed.z)))
+  const heap = new MinHeap()
+
+  // Neighbor offsets with their length in mm
+  const neighbors = []
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0 && dz === 0) continue
+        neighbors.push({ dx, dy, dz, length: Math.hypot(dx * spacing[0], dy * spacing[1], dz * spacing[2]) })
+      }
+    }
+  }
+
+  const starts = new Set(seeds.slice(0, sources.length).map(seed => toIndex(seed.x, seed.y, seed.z)))
+  starts.forEach(start => {
+    distances[start] = 0
+    heap.push(start, 0)
+  })
+  let remaining = targetIndices.size
+
+  while (heap.size > 0 && remaining > 0) {
+    const { index, priority } = heap.pop()
+    if (priority > distances[index]) continue
+    if (targetIndices.has(index)) {
+      remaining--
+      if (onProgress) onProgress(targetIndices.size - remaining, targetIndices.size)
+    }
+
+    const x = (index % bw) + low[0]
+    const y = (Math.floor(index / bw) % bh) + low[1]
+    const z = Math.floor(index / (bw * bh)) + low[2]
+    const here = cost(index, x, y, z)
+
+    for (const { dx, dy, dz, length } of neighbors) {
+      const nx = x + dx
+      const ny = y + dy
+      const nz = z + dz
+      if (nx < low[0] || ny < low[1] || nz < low[2] || nx > high[0] || ny > high[1] || nz > high[2]) continue
+
+      const neighbor = toIndex(nx, ny, nz)
+      const distance = priority + 0.5 * (here + cost(neighbor, nx, ny, nz)) * length
+      if (distance < distances[neighbor]) {
+        distances[neighbor] = distance
+        previous[neighbor] = index
+        // Queue the stored (float32) distance so the stale-entry check matches it exactly
+        heap.push(neighbor, distances[neighbor])
+      }
+    }
+  }
+
+  return targetSeeds.map(seed => {
+    const path = []
+    for (let index = toIndex(seed.x, seed.y, seed.z); index !== -1; index = previous[index]) {
+      path.push({
+        x: (index % bw) + low[0],
+        y: (Math.floor(index / bw) % bh) + low[1],
+        z: Math.floor(index / (bw * bh)) + low[2]
+      })
+    }
+    if (path.length === 1 && !starts.has(toIndex(seed.x, seed.y, seed.z))) {
+      throw new Error('No path found between the ostium seeds and a distal seed')
+    }
+    return path.reverse()
+  })
+}
+
+/**
+ * Lumen radius and centered position around a point
+ * Rays in the plane perpendicular to the vessel stop where HU drops below the lumen
+ * threshold; the radius is their median length and the center the mean of their ends.
+ * @param {Function} sampler - HU sampler from createVolumeSampler
+ * @param {Array<number>} position - LPS position (mm)
+ * @param {Array<number>} tangent - Unit vessel direction (LPS)
+ * @param {Object} options - intensityThreshold (HU), maxRadius (mm), rayStep (mm)
+ * @returns {Object} { center (LPS), radius (mm) }
+ */
+export function measureLumen(sampler, position, tangent, options = {}) {
+  const { intensityThreshold = 200, maxRadius = 5, rayStep = 0.1 } = options
+  const u = perpendicular(tangent)
+  const v = cross(tangent, u)
+  const ends = []
+
+  for (let i = 0; i < RADIUS_RAY_COUNT; i++) {
+    const angle = (2 * Math.PI * i) / RADIUS_RAY_COUNT
+    const direction = add(scale(u, Math.cos(angle)), scale(v, Math.sin(angle)))
+    let length = 0
+    let inside = sampler(position)
+    while (length < maxRadius) {
+      const outside = sampler(add(position, scale(direction, length + rayStep)))
+      if (outside < intensityThreshold) {
+        // Linear interpolation of the threshold crossing between the two samples
+        if (inside > outside) length += rayStep * Math.min(1, Math.max(0, (inside - intensityThreshold) / (inside - outside)))
+        break
+      }
+      inside = outside
+      length += rayStep
+    }
+    length = Math.min(length, maxRadius)
+    ends.push({ length, point: add(position, scale(direction, length)) })
+  }
+
+  const lengths = ends.map(end => end.length).sort((a, b) => a - b)
+  const center = [0, 1, 2].map(axis => ends.reduce((sum, end) => sum + end.point[axis], 0) / ends.length)
+
+  return {
+    center,
+    radius: (lengths[RADIUS_RAY_COUNT / 2 - 1] + lengths[RADIUS_RAY_COUNT / 2]) / 2
+  }
+}
+
+/**
+ * Helper functions
+ */
+
+// Cost per mm of passing through a voxel
+function createCostFunction(volume, options) {
+  const { intensityThreshold = 200, vesselness = null, vesselnessThreshold = 0.1, mask = null } = options
+  const { data, dimensions } = volume
+  const { width, height } = dimensions
+
+  return (x, y, z) => {
+    if (mask) return mask(x, y, z) ? 1 : 1 / SPEED_EPSILON
+
+    const intensity = data[z * width * height + y * width + x]
+    let speed = 1 / (1 + Math.exp(-(intensity - intensityThreshold) / HU_RAMP_WIDTH))
+    if (vesselness) {
+      speed *= Math.min(1, vesselness.at(x, y, z) / (2 * vesselnessThreshold))
+    }
+    return 1 / (speed + SPEED_EPSILON)
+  }
+}
+
+// Voxel path to a centered, smoothed polyline resampled at a fixed step, with radii
+function refineCenterline(volume, path, options) {
+  const { step = 0.5, maxRadius = 5, intensityThreshold = 200 } = options
+  const affine = getVolumeAffine(volume)
+  const sampler = createVolumeSampler(volume)
+
+  let positions = path.map(point => voxelToPatient(affine, point))
+  if (positions.length < 2) {
+    return positions.map(position => ({ ...patientToVoxel(affine, position), position, radius: 0 }))
+  }
+
+  // Two centering passes, each followed by smoothing
+  let radii = positions.map(() => 0)
+  for (let pass = 0; pass < 2; pass++) {
+    const tangents = computeTangents(positions)
+    const lumens = positions.map((position, index) =>
+      measureLumen(sampler, position, tangents[index], { intensityThreshold, maxRadius })
+    )
+    // Keep the end points on their seeds
+    positions = lumens.map((lumen, index) =>
+      index === 0 || index === positions.length - 1 ? positions[index] : lumen.center
+    )
+    positions = smooth(positions, 2)
+    radii = lumens.map(lumen => lumen.radius)
+  }
+
+  // Equal arc-length resampling
+  const cumulative = [0]
+  for (let i = 1; i < positions.length; i++) {
+    cumulative.push(cumulative[i - 1] + distance(positions[i], positions[i - 1]))
+  }
+  const length = cumulative[cumulative.length - 1]
+  const smoothedRadii = smooth(radii.map(radius => [radius, 0, 0]), 2).map(value => value[0])
+  const points = []
+  let segment = 0
+
+  for (let s = 0; s <= length + 1e-9; s += step) {
+    while (segment < positions.length - 2 && cumulative[segment + 1] < s) segment++
+    const segmentLength = cumulative[segment + 1] - cumulative[segment]
+    const t = segmentLength > 0 ? Math.min(1, (s - cumulative[segment]) / segmentLength) : 0
+    const position = add(positions[segment], scale(subtract(positions[segment + 1], positions[segment]), t))
+    const radius = smoothedRadii[segment] + t * (smoothedRadii[segment + 1] - smoothedRadii[segment])
+    points.push({ ...patientToVoxel(affine, position), position, radius })
+  }
+
+  // Always end exactly at the distal seed
+  const last = positions[positions.length - 1]
+  if (distance(points[points.length - 1].position, last) > 1e-6) {
+    points.push({ ...patientToVoxel(affine, last), position: last, radius: smoothedRadii[smoothedRadii.length - 1] })
+  }
+
+  return points
+}
+
+function computeTangents(positions) {
+  return positions.map((_, index) => {
+    const previous = positions[Math.max(0, index - 2)]
+    const next = positions[Math.min(positions.length - 1, index + 2)]
+    return normalize(subtract(next, previous))
+  })
+}
+
+// Moving average that keeps the end points fixed
+function smooth(points, window) {
+  return points.map((point, index) => {
+    const half = Math.min(window, index, points.length - 1 - index)
+    const neighbors = points.slice(index - half, index + half + 1)
+    return [0, 1, 2].map(axis => neighbors.reduce((sum, neighbor) => sum + neighbor[axis], 0) / neighbors.length)
+  })
+}
+
+// Binary min-heap of voxel indices keyed by path cost
+class MinHeap {
+  constructor() {
+    this.indices = []
+    this.priorities = []
+  }
+
+  get size() {
+    return this.indices.length
+  }
+
+  push(index, priority) {
+    this.indices.push(index)
+    this.priorities.push(priority)
+    let child = this.indices.length - 1
+    while (child > 0) {
+      const parent = (child - 1) >> 1
+      if (this.priorities[parent] <= this.priorities[child]) break
+      this.swap(parent, child)
+      child = parent
+    }
+  }
+
+  pop() {
+    const top = { index: this.indices[0], priority: this.priorities[0] }
+    const lastIndex = this.indices.pop()
+    const lastPriority = this.priorities.pop()
+
+    if (this.indices.length > 0) {
+      this.indices[0] = lastIndex
+      this.priorities[0] = lastPriority
+      let parent = 0
+      for (;;) {
+        const left = 2 * parent + 1
+        const right = left + 1
+        let smallest = parent
+        if (left < this.indices.length && this.priorities[left] < this.priorities[smallest]) smallest = left
+        if (right < this.indices.length && this.priorities[right] < this.priorities[smallest]) smallest = right
+        if (smallest === parent) break
+        this.swap(parent, smallest)
+        parent = smallest
+      }
+    }
+
+    return top
+  }
+
+  swap(a, b) {
+    [this.indices[a], this.indices[b]] = [this.indices[b], this.indices[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]]
+  }
+}
+
+function perpendicular(direction) {
+  const axis = [0, 1, 2].reduce((best, index) =>
+    Math.abs(direction[index]) < Math.abs(direction[best]) ? index : best, 0)
+  const helper = [0, 0, 0]
+  helper[axis] = 1
+  return normalize(cross(direction, helper))
+}
+
+function add(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
+}
+
+function scale(vector, factor) {
+  return [vector[0] * factor, vector[1] * factor, vector[2] * factor]
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ]
+}
+
+function distance(a, b) {
+  return Math.sqrt(dot(subtract(a, b), subtract(a, b)))
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector))
+  return length > 0 ? scale(vector, 1 / length) : vector
+}
@@ -0,0 +1,288 @@
+/**
+ * Coronary Anatomical Labeling
+ * Names the segments of a coronary tree (LM, LAD, LCx, RCA and their branches) from their
+ * course in patient coordinates (LPS: X patient left, Y posterior, Z head).
+ *
+ * Each tree is assigned to the left or right system by the position of its ostium relative
+ * to the aortic root (or to the other ostia). Along a vessel, the outgoing segment best
+ * aligned with the incoming direction continues the vessel; the others are side branches,
+ * numbered from proximal to distal. The heart axis (base to apex) separates the LAD from
+ * the LCx and the PDA from the PLV.
+ */
+
+import { getVolumeAffine, voxelToPatient } from './dicomGeometry'
+
+/**
+ * Labels offered for manual correction
+ */
+export const CORONARY_LABELS = [
+  'LM', 'LAD', 'LCx', 'RI',
+  'D1', 'D2', 'D3', 'S1', 'S2',
+  'OM1', 'OM2', 'OM3',
+  'RCA', 'AM1', 'AM2', 'PDA', 'PLV'
+]
+
+// Typical base-to-apex direction of the heart: left, anterior and inferior (LPS)
+const DEFAULT_HEART_AXIS = normalize([0.6, -0.5, -0.6])
+
+// Direction from the septum towards the anterolateral wall, where diagonals run (LPS)
+const ANTEROLATERAL = normalize([1, -1, 0])
+
+/**
+ * Label every segment of a coronary tree
+ * @param {Object} tree - Tree from buildCoronaryTree
+ * @param {Object} volume - Volume the centerlines were extracted from
+ * @param {Object} options - aorticRoot (LPS point), heartAxis (LPS base-to-apex direction),
+ *   maxLeftMainLength (mm), cruxDistance (minimum distance of the crux from the RCA ostium, mm),
+ *   directionLength (mm of centerline used for a branch direction)
+ * @returns {Object} Tree with label and labelSource ('auto') on each segment
+ */
+export function labelCoronaryTree(tree, volume, options = {}) {
+  const {
+    aorticRoot = null,
+    heartAxis = DEFAULT_HEART_AXIS,
+    maxLeftMainLength = 20,
+    cruxDistance = 60,
+    directionLength = 15
+  } = options
+
+  const affine = getVolumeAffine(volume)
+  const segmentById = new Map(tree.segments.map(segment => [segment.id, segment]))
+  const nodeById = new Map(tree.nodes.map(node => [node.id, node]))
+  const positions = new Map(tree.segments.map(segment =>
+    [segment.id, segment.centerline.map(point => voxelToPatient(affine, point))]
+  ))
+  const labels = new Map()
+
+  const outgoingOf = (node) => [node.distalMainSegmentId, ...node.sideBranchSegmentIds].filter(Boolean)
+  const startDirection = (segmentId) => directionAlong(positions.get(segmentId), directionLength)
+  const endDirection = (segmentId) => scale(directionAlong([...positions.get(segmentId)].reverse(), directionLength), -1)
+
+  const labelSubtree = (segmentId, label) => {
+    labels.set(segmentId, label)
+    const node = nodeById.get(segmentById.get(segmentId).distalNodeId)
+    outgoingOf(node).forEach(id => labelSubtree(id, label))
+  }
+
+  // Follow a vessel through its nodes, returning the side branches met along the way
+  const followVessel = (segmentId, label) => {
+    const sides = []
+    let distance = 0
+
+    for (let id = segmentId; id;) {
+      labels.set(id, label)
+      distance += segmentById.get(id).length
+      const node = nodeById.get(segmentById.get(id).distalNodeId)
+      const outgoing = outgoingOf(node)
+      if (outgoing.length === 0) break
+
+      const incoming = endDirection(id)
+      const next = outgoing.reduce((best, candidate) =>
+        dot(startDirection(candidate), incoming) > dot(startDirection(best), incoming) ? candidate : best
+      )
+      outgoing.filter(candidate => candidate !== next).forEach(side => sides.push({ segmentId: side, node, distance, next }))
+      id = next
+    }
+
+    return sides
+  }
+
+  const labelLeftVessel = (segmentId, label) => {
+    const sides = followVessel(segmentId, label)
+    let diagonals = 0
+    let septals = 0
+    let marginals = 0
+
+    sides.forEach(side => {
+      if (label === 'LAD') {
+        // Diagonals leave the LAD towards the anterolateral wall, septals into the septum
+        const direction = startDirection(side.segmentId)
+        const along = startDirection(side.next)
+        const lateral = subtract(direction, scale(along, dot(direction, along)))
+        labelSubtree(side.segmentId, dot(lateral, ANTEROLATERAL) >= 0 ? `D${++diagonals}` : `S${++septals}`)
+      } else if (label === 'LCx') {
+        labelSubtree(side.segmentId, `OM${++marginals}`)
+      } else {
+        labelSubtree(side.segmentId, label)
+      }
+    })
+  }
+
+  // LAD runs towards the apex and anteriorly, LCx posteriorly in the AV groove
+  const labelLeftBranches = (segmentIds) => {
+    const ranked = [...segmentIds].sort((a, b) => ladScore(startDirection(b), heartAxis) - ladScore(startDirection(a), heartAxis))
+    ranked.forEach((segmentId, rank) => {
+      const label = rank === 0 ? 'LAD' : rank === ranked.length - 1 ? 'LCx' : 'RI'
+      labelLeftVessel(segmentId, label)
+    })
+  }
+
+  const labelLeftTree = (ostium) => {
+    const roots = outgoingOf(ostium)
+    if (roots.length > 1) {
+      labelLeftBranches(roots)
+      return
+    }
+
+    const root = segmentById.get(roots[0])
+    const branches = outgoingOf(nodeById.get(root.distalNodeId))
+    if (branches.length > 1 && root.length <= maxLeftMainLength) {
+      labels.set(root.id, 'LM')
+      labelLeftBranches(branches)
+    } else {
+      labelLeftVessel(root.id, ladScore(startDirection(root.id), heartAxis) >= 0 ? 'LAD' : 'LCx')
+    }
+  }
+
+  const labelRightTree = (ostium) => {
+    const [root, ...others] = outgoingOf(ostium)
+    const sides = [...others.map(segmentId => ({ segmentId, node: ostium, distance: 0 })), ...followVessel(root, 'RCA')]
+
+    // The crux is the last branching far enough along the RCA: PDA towards the apex, PLV onwards
+    const crux = [...sides].reverse().find(side => side.distance >= cruxDistance)
+    let marginals = 0
+
+    sides.forEach(side => {
+      if (crux && side.node === crux.node) {
+        const [pda, plv] = [side.segmentId, side.next]
+          .sort((a, b) => dot(startDirection(b), heartAxis) - dot(startDirection(a), heartAxis))
+        labelSubtree(pda, 'PDA')
+        labelSubtree(plv, 'PLV')
+      } else if (crux && side.distance > crux.distance) {
+        // Beyond the crux, branches take the name of the vessel they leave
+        labelSubtree(side.segmentId, labels.get(side.next))
+      } else {
+        labelSubtree(side.segmentId, `AM${++marginals}`)
+      }
+    })
+  }
+
+  // Left or right system for each tree
+  const ostia = tree.nodes.filter(node => node.type === 'ostium')
+  const ostiumPositions = ostia.map(node => voxelToPatient(affine, node.point))
+  const referenceX = aorticRoot
+    ? aorticRoot[0]
+    : ostia.length > 1
+      ? ostiumPositions.reduce((sum, position) => sum + position[0], 0) / ostia.length
+      : null
+
+  ostia.forEach((ostium, index) => {
+    let isLeft
+    if (referenceX !== null) {
+      isLeft = ostiumPositions[index][0] > referenceX
+    } else {
+      // A single tree: the left system heads to the patient's left from its ostium
+      const treePoints = outgoingOf(ostium).flatMap(id => positions.get(id))
+      const meanX = treePoints.reduce((sum, position) => sum + position[0], 0) / treePoints.length
+      isLeft = meanX >= ostiumPositions[index][0]
+    }
+
+    if (isLeft) {
+      labelLeftTree(ostium)
+    } else {
+      labelRightTree(ostium)
+    }
+  })
+
+  return {
+    ...tree,
+    segments: tree.segments.map(segment => ({
+      ...segment,
+      label: labels.get(segment.id) || null,
+      labelSource: 'auto'
+    }))
+  }
+}
+
+/**
+ * Override a segment's label
+ * Segments further along the same vessel that had the same label follow the change.
+ * @param {Object} tree - Labeled tree
+ * @param {string} segmentId - Segment to relabel
+ * @param {string} label - New label
+ * @returns {Object} Tree with the new labels (labelSource 'manual' on changed segments)
+ */
+export function setSegmentLabel(tree, segmentId, label) {
+  const segmentById = new Map(tree.segments.map(segment => [segment.id, segment]))
+  const nodeById = new Map(tree.nodes.map(node => [node.id, node]))
+  const previous = segmentById.get(segmentId).label
+  const changed = new Set([segmentId])
+
+  const propagate = (id) => {
+    const node = nodeById.get(segmentById.get(id).distalNodeId)
+    const children = [node.distalMainSegmentId, ...node.sideBranchSegmentIds].filter(Boolean)
+    children.forEach(childId => {
+      if (previous && segmentById.get(childId).label === previous) {
+        changed.add(childId)
+        propagate(childId)
+      }
+    })
+  }
+  propagate(segmentId)
+
+  return {
+    ...tree,
+    segments: tree.segments.map(segment =>
+      changed.has(segment.id) ? { ...segment, label, labelSource: 'manual' } : segment
+    )
+  }
+}
+
+/**
+ * Name of a bifurcation from its segment labels, e.g. 'LAD/D1' or 'LM/LAD/LCx'
+ * @param {Object} tree - Labeled tree
+ * @param {Object} bifurcation - Bifurcation from the tree
+ * @returns {string|null} Label, or null when the segments are unlabeled
+ */
+export function getBifurcationLabel(tree, bifurcation) {
+  const labelOf = (segmentId) => tree.segments.find(segment => segment.id === segmentId)?.label || null
+  const main = labelOf(bifurcation.distalMainSegmentId)
+  const side = labelOf(bifurcation.sideBranchSegmentId)
+  if (!main || !side) return null
+
+  const proximal = labelOf(bifurcation.proximalSegmentId)
+  return [proximal, main, side]
+    .filter((label, index, all) => label && label !== all[index - 1])
+    .join('/')
+}
+
+/**
+ * Helper functions
+ */
+
+// How much a direction looks like the LAD: towards the apex and anterior
+function ladScore(direction, heartAxis) {
+  return dot(direction, heartAxis) - direction[1]
+}
+
+// Unit direction from the first position to the one directionLength along the path
+function directionAlong(path, directionLength) {
+  let travelled = 0
+  for (let i = 1; i < path.length; i++) {
+    travelled += distance(path[i], path[i - 1])
+    if (travelled >= directionLength) return normalize(subtract(path[i], path[0]))
+  }
+  return normalize(subtract(path[path.length - 1], path[0]))
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
+}
+
+function scale(vector, factor) {
+  return [vector[0] * factor, vector[1] * factor, vector[2] * factor]
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+function distance(a, b) {
+  const delta = subtract(a, b)
+  return Math.sqrt(dot(delta, delta))
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector))
+  return length > 0 ? scale(vector, 1 / length) : vector
+}
@@ -0,0 +1,231 @@
+/**
+ * Coronary Tree Model
+ * Organizes segmented CT vessels into a tree of segments joined by nodes. Each vessel is
+ * attached to an earlier vessel where it meets it, and vessels are split wherever another
+ * vessel branches off, so every segment runs between two nodes.
+ *
+ * Nodes are 'ostium' (tree origin), 'bifurcation' or 'end'. A bifurcation node names its
+ * proximal segment (leading into it), its distal main segment (the same vessel continuing)
+ * and its side branch segments. Centerlines are ordered from proximal to distal and use
+ * voxel coordinates {x, y, z}.
+ */
+
+/**
+ * Build the coronary tree from segmented vessels
+ * Vessels are attached in order: a vessel joins the first earlier vessel its start lies
+ * within attachDistance of, or otherwise the first earlier vessel it comes that close to.
+ * A vessel that meets no earlier vessel starts a new tree at its own ostium.
+ * @param {Object} vessels - Segmentation from segmentCoronaryArteries ({ vessels, volume })
+ * @param {Object} options - attachDistance (mm), mergeDistance (branch points this close to
+ *   a vessel end join that end's node, mm)
+ * @returns {Object} Tree { segments, nodes, rootSegmentIds, bifurcations }
+ */
+export function buildCoronaryTree(vessels, options = {}) {
+  const { attachDistance = 5, mergeDistance = 2 } = options
+  const spacing = vessels.volume?.spacing || [1, 1, 1]
+  const vesselList = vessels.vessels.filter(vessel => vessel.centerline.length >= 2)
+
+  const attachments = vesselList.map((vessel, index) =>
+    findAttachment(vessel, vesselList.slice(0, index), spacing, attachDistance)
+  )
+
+  const segments = []
+  const nodes = []
+  const nodeAt = new Map()  // `${vesselId}:${centerlineIndex}` -> node
+
+  const createNode = (point) => {
+    const node = {
+      id: `node_${nodes.length}`,
+      type: 'end',
+      point: { x: point.x, y: point.y, z: point.z },
+      proximalSegmentId: null,
+      distalMainSegmentId: null,
+      sideBranchSegmentIds: []
+    }
+    nodes.push(node)
+    return node
+  }
+
+  vesselList.forEach((vessel, index) => {
+    const { centerline } = vessel
+    const attachment = attachments[index]
+    const start = attachment ? attachment.childIndex : 0
+    const last = centerline.length - 1
+
+    // Where later vessels branch off this one, snapped to its ends when close to them
+    const cuts = new Set()
+    attachments.forEach(other => {
+      if (other?.parentId !== vessel.id) return
+      other.parentIndex = snapToEnds(centerline, other.parentIndex, start, last, spacing, mergeDistance)
+      if (other.parentIndex > start && other.parentIndex < last) cuts.add(other.parentIndex)
+    })
+    const boundaries = [start, ...[...cuts].sort((a, b) => a - b), last]
+
+    let node = attachment
+      ? nodeAt.get(`${attachment.parentId}:${attachment.parentIndex}`)
+      : createNode(centerline[start])
+    if (!attachment) node.type = 'ostium'
+    nodeAt.set(`${vessel.id}:${start}`, node)
+
+    for (let i = 1; i < boundaries.length; i++) {
+      const points = centerline.slice(boundaries[i - 1], boundaries[i] + 1)
+      // An attached vessel's first segment starts on the node it branches from
+      if (i === 1 && attachment) points.unshift({ ...node.point })
+
+      const segment = {
+        id: `segment_${segments.length}`,
+        vesselId: vessel.id,
+        centerline: points,
+        length: 0,
+        proximalNodeId: node.id,
+        distalNodeId: null,
+        parentSegmentId: null,
+        childSegmentIds: []
+      }
+      segment.length = pathLength(segment.centerline, spacing)
+      segments.push(segment)
+
+      // The vessel continues through its own nodes; elsewhere it leaves as a side branch
+      if (i > 1 || !node.distalMainSegmentId) {
+        node.distalMainSegmentId = segment.id
+      } else {
+        node.sideBranchSegmentIds.push(segment.id)
+      }
+
+      node = createNode(centerline[boundaries[i]])
+      node.proximalSegmentId = segment.id
+      segment.distalNodeId = node.id
+      nodeAt.set(`${vessel.id}:${boundaries[i]}`, node)
+    }
+  })
+
+  // Parent and child links follow the nodes
+  const segmentById = new Map(segments.map(segment => [segment.id, segment]))
+  nodes.forEach(node => {
+    const outgoing = [node.distalMainSegmentId, ...node.sideBranchSegmentIds].filter(Boolean)
+    if (node.proximalSegmentId) {
+      segmentById.get(node.proximalSegmentId).childSegmentIds.push(...outgoing)
+      outgoing.forEach(id => { segmentById.get(id).parentSegmentId = node.proximalSegmentId })
+    }
+    if (node.type !== 'ostium' && node.sideBranchSegmentIds.length > 0) node.type = 'bifurcation'
+  })
+
+  // One bifurcation per side branch: proximal, distal main and side branch segments
+  const bifurcations = nodes.flatMap(node => node.sideBranchSegmentIds.map(sideBranchSegmentId => ({
+    id: `bifurcation_${node.id}_${sideBranchSegmentId}`,
+    nodeId: node.id,
+    point: node.point,
+    proximalSegmentId: node.proximalSegmentId,
+    distalMainSegmentId: node.distalMainSegmentId,
+    sideBranchSegmentId,
+    vessel1: segmentById.get(node.distalMainSegmentId).vesselId,
+    vessel2: segmentById.get(sideBranchSegmentId).vesselId
+  })))
+
+  return {
+    segments,
+    nodes,
+    rootSegmentIds: segments.filter(segment => !segment.parentSegmentId).map(segment => segment.id),
+    bifurcations
+  }
+}
+
+/**
+ * Continuous centerlines through a bifurcation, for measuring its arms
+ * The main centerline runs from the tree origin through the proximal segment into the
+ * distal main segment and its continuation; the side centerline shares the proximal part
+ * and then follows the side branch. Both pass through the bifurcation point.
+ * @param {Object} tree - Tree from buildCoronaryTree
+ * @param {Object} bifurcation - Bifurcation from the tree
+ * @returns {Object} { main, side } centerlines ordered from proximal to distal
+ */
+export function getBifurcationCenterlines(tree, bifurcation) {
+  const segmentById = new Map(tree.segments.map(segment => [segment.id, segment]))
+  const proximal = []
+
+  for (let id = bifurcation.proximalSegmentId; id; id = segmentById.get(id).parentSegmentId) {
+    proximal.unshift(segmentById.get(id))
+  }
+
+  const main = joinSegments([...proximal, ...getContinuation(tree, segmentById, bifurcation.distalMainSegmentId)])
+  const side = joinSegments([...proximal, ...getContinuation(tree, segmentById, bifurcation.sideBranchSegmentId)])
+
+  return { main, side }
+}
+
+/**
+ * Length of a vessel from a segment to its distal end, following each distal main segment (mm)
+ * @param {Object} tree - Tree from buildCoronaryTree
+ * @param {string} segmentId - First segment
+ * @returns {number} Length (mm)
+ */
+export function getDistalLength(tree, segmentId) {
+  const segmentById = new Map(tree.segments.map(segment => [segment.id, segment]))
+  return getContinuation(tree, segmentById, segmentId).reduce((sum, segment) => sum + segment.length, 0)
+}
+
+/**
+ * Helper functions
+ */
+
+// Where a vessel meets an earlier one: its start if close enough, else its first close point
+function findAttachment(vessel, candidates, spacing, attachDistance) {
+  if (candidates.length === 0) return null
+
+  const closestTo = (point) => candidates.reduce((closest, candidate) => {
+    candidate.centerline.forEach((candidatePoint, parentIndex) => {
+      const distance = physicalDistance(point, candidatePoint, spacing)
+      if (distance < closest.distance) closest = { parentId: candidate.id, parentIndex, distance }
+    })
+    return closest
+  }, { parentId: null, parentIndex: -1, distance: Infinity })
+
+  for (let childIndex = 0; childIndex < vessel.centerline.length; childIndex++) {
+    const closest = closestTo(vessel.centerline[childIndex])
+    if (closest.distance <= attachDistance) {
+      return { parentId: closest.parentId, parentIndex: closest.parentIndex, childIndex }
+    }
+  }
+
+  return null
+}
+
+// Move a branch point onto the start or end of the vessel when it lies within mergeDistance
+function snapToEnds(centerline, index, start, last, spacing, mergeDistance) {
+  if (index <= start || physicalDistance(centerline[index], centerline[start], spacing) <= mergeDistance) return start
+  if (physicalDistance(centerline[index], centerline[last], spacing) <= mergeDistance) return last
+  return index
+}
+
+// A segment followed by the distal main segment at each node after it
+function getContinuation(tree, segmentById, segmentId) {
+  const nodeById = new Map(tree.nodes.map(node => [node.id, node]))
+  const chain = []
+
+  for (let id = segmentId; id; id = nodeById.get(segmentById.get(id).distalNodeId).distalMainSegmentId) {
+    chain.push(segmentById.get(id))
+  }
+
+  return chain
+}
+
+// Concatenate consecutive segments, dropping the node point they share
+function joinSegments(segments) {
+  return segments.flatMap((segment, index) => (index === 0 ? segment.centerline : segment.centerline.slice(1)))
+}
+
+function pathLength(centerline, spacing) {
+  let length = 0
+  for (let i = 1; i < centerline.length; i++) {
+    length += physicalDistance(centerline[i], centerline[i - 1], spacing)
+  }
+  return length
+}
+
+function physicalDistance(p1, p2, spacing) {
+  return Math.hypot(
+    (p1.x - p2.x) * spacing[0],
+    (p1.y - p2.y) * spacing[1],
+    (p1.z - p2.z) * spacing[2]
+  )
+}
@@ -1,58 +1,70 @@
 /**
  * Corrected Mathematical Implementation for Coronary Angle Calculator
- * Proper 3D reconstruction and foreshortening minimization
+ * Proper 3D reconstruction from two angiographic views
+ * Viewing geometry, projection matrices and angle optimization live in angleEngine.
  */
 
 /**
- * Standard angiographic coordinate system transformations
- * RAO/LAO: Rotation around patient's head-foot axis (Z-axis)
- * Cranial/Caudal: Rotation around patient's left-right axis (X-axis)
+ * Convert image pixel coordinates to normalized projection coordinates
+ * @param {Object} imagePoint - Point in image pixels {x, y}
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @param {Object} options - Imaging geometry
+ * @returns {Object} Normalized projection coordinates {x, y}
  */
+export function imageToProjectionCoordinates(imagePoint, imageWidth, imageHeight, options = {}) {
+  const {
+    fieldOfView = 200,        // Detector field of view across the image width (mm)
+    sourceDistance = 1000,    // Source to patient (mm)
+    detectorDistance = 300    // Patient to detector (mm)
+  } = options
+  
+  const mmPerPixel = fieldOfView / imageWidth
+  const sourceToImage = sourceDistance + detectorDistance
+  
+  return {
+    x: (imagePoint.x - imageWidth / 2) * mmPerPixel / sourceToImage,
+    y: (imagePoint.y - imageHeight / 2) * mmPerPixel / sourceToImage
+  }
+}
 
 /**
- * Create proper 3x4 projection matrix for angiographic view
- * @param {number} raoLao - RAO/LAO angle in degrees (positive = RAO)
- * @param {number} cranialCaudal - Cranial/caudal angle in degrees (positive = cranial)
- * @param {number} sourceDistance - Distance from X-ray source to patient (mm)
- * @param {number} detectorDistance - Distance from patient to detector (mm)
- * @returns {Array} 3x4 projection matrix
+ * Convert normalized projection coordinates back to image pixel coordinates
+ * @param {Object} projectionPoint - Normalized projection coordinates {x, y}
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @param {Object} options - Imaging geometry (see imageToProjectionCoordinates)
+ * @returns {Object} Point in image pixels {x, y}
  */
-export function createProjectionMatrix(raoLao, cranialCaudal, sourceDistance = 1000, detectorDistance = 300) {
-  const raoRad = (raoLao * Math.PI) / 180
-  const cranialRad = (cranialCaudal * Math.PI) / 180
-  
-  // RAO/LAO rotation matrix (around Z-axis)
-  const R_rao = [
-    [Math.cos(raoRad), -Math.sin(raoRad), 0],
-    [Math.sin(raoRad),  Math.cos(raoRad), 0],
-    [0,                 0,                1]
-  ]
-  
-  // Cranial/Caudal rotation matrix (around X-axis)
-  const R_cranial = [
-    [1, 0,                    0                   ],
-    [0, Math.cos(cranialRad), -Math.sin(cranialRad)],
-    [0, Math.sin(cranialRad),  Math.cos(cranialRad)]
-  ]
+export function projectionToImageCoordinates(projectionPoint, imageWidth, imageHeight, options = {}) {
+  const {
+    fieldOfView = 200,
+    sourceDistance = 1000,
+    detectorDistance = 300
+  } = options
   
-  // Combined rotation: R = R_cranial * R_rao
-  const R = multiplyMatrices3x3(R_cranial, R_rao)
+  const pixelsPerMm = imageWidth / fieldOfView
+  const sourceToImage = sourceDistance + detectorDistance
   
-  // Camera position (X-ray source position)
-  const totalDistance = sourceDistance + detectorDistance
-  const cameraPos = [0, 0, totalDistance]
-  
-  // Rotate camera position
-  const rotatedCameraPos = multiplyMatrix3x3Vector(R, cameraPos)
-  
-  // Create 3x4 projection matrix [R | -R*t] where t is camera position
-  const Rt = multiplyMatrix3x3Vector(R, rotatedCameraPos.map(x => -x))
+  return {
+    x: projectionPoint.x * sourceToImage * pixelsPerMm + imageWidth / 2,
+    y: projectionPoint.y * sourceToImage * pixelsPerMm + imageHeight / 2
+  }
+}
+
+/**
+ * Project a 3D patient point with a 3x4 projection matrix
+ * @param {Array} point3D - 3D point [x, y, z]
+ * @param {Array} P - 3x4 projection matrix
+ * @returns {Object} Normalized projection coordinates {x, y}
+ */
+export function projectPoint3D(point3D, P) {
+  const [X, Y, Z] = point3D
+  const u = P[0][0] * X + P[0][1] * Y + P[0][2] * Z + P[0][3]
+  const v = P[1][0] * X + P[1][1] * Y + P[1][2] * Z + P[1][3]
+  const w = P[2][0] * X + P[2][1] * Y + P[2][2] * Z + P[2][3]
   
-  return [
-    [R[0][0], R[0][1], R[0][2], Rt[0]],
-    [R[1][0], R[1][1], R[1][2], Rt[1]],
-    [R[2][0], R[2][1], R[2][2], Rt[2]]
-  ]
+  return { x: u / w, y: v / w }
 }
 
 /**
@@ -64,7 +76,6 @@ export function createProjectionMatrix(raoLao, cranialCaudal, sourceDistance = 1
  * @returns {Array} 3D point [x, y, z]
  */
 export function triangulate3DPoint(point1, point2, P1, P2) {
-  // Normalize image coordinates to [-1, 1]
   const x1 = point1.x
   const y1 = point1.y
   const x2 = point2.x
@@ -81,10 +92,9 @@ export function triangulate3DPoint(point1, point2, P1, P2) {
     [y2 * P2[2][0] - P2[1][0], y2 * P2[2][1] - P2[1][1], y2 * P2[2][2] - P2[1][2], y2 * P2[2][3] - P2[1][3]]
   ]
   
-  // Solve using SVD (simplified version - in practice use robust SVD)
   const solution = solveDLT(A)
   
-  if (solution[3] === 0) {
+  if (Math.abs(solution[3]) < 1e-12) {
     throw new Error('Point at infinity - triangulation failed')
   }
   
@@ -97,158 +107,90 @@ export function triangulate3DPoint(point1, point2, P1, P2) {
 }
 
 /**
- * Calculate optimal viewing angles that minimize foreshortening
- * @param {Array} vessel3DDirections - Array of 3D vessel direction vectors
- * @returns {Object} Optimal angles and score
+ * DLT solver: unit vector X minimizing |AX|
+ * The solution is the eigenvector of AᵀA with the smallest eigenvalue,
+ * equivalent to the last right singular vector of A.
  */
-export function calculateOptimalViewingAngles(vessel3DDirections) {
-  if (vessel3DDirections.length !== 3) {
-    throw new Error('Exactly 3 vessel directions required')
-  }
-  
-  let bestAngles = { raoLao: 0, cranialCaudal: 0 }
-  let bestScore = -Infinity
+function solveDLT(A) {
+  const n = A[0].length
+  const AtA = Array(n).fill().map(() => Array(n).fill(0))
   
-  // Grid search over clinically relevant angles
-  for (let raoLao = -90; raoLao <= 90; raoLao += 1) {
-    for (let cranialCaudal = -45; cranialCaudal <= 45; cranialCaudal += 1) {
-      const score = calculateViewingScore(vessel3DDirections, raoLao, cranialCaudal)
-      
-      if (score > bestScore) {
-        bestScore = score
-        bestAngles = { raoLao, cranialCaudal }
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      for (let k = 0; k < A.length; k++) {
+        AtA[i][j] += A[k][i] * A[k][j]
       }
     }
   }
   
-  // Fine-tune with smaller steps
-  const refinedAngles = refineAngles(vessel3DDirections, bestAngles, 1.0, 0.1)
+  const { eigenvalues, eigenvectors } = symmetricEigenDecomposition(AtA)
   
-  return {
-    raoLao: Math.round(refinedAngles.raoLao * 10) / 10,
-    cranialCaudal: Math.round(refinedAngles.cranialCaudal * 10) / 10,
-    score: bestScore
+  let minIndex = 0
+  for (let i = 1; i < n; i++) {
+    if (eigenvalues[i] < eigenvalues[minIndex]) {
+      minIndex = i
+    }
   }
-}
-
-/**
- * Calculate viewing score (higher = better view with less foreshortening)
- * @param {Array} vesselDirections - Array of 3D vessel direction vectors
- * @param {number} raoLao - RAO/LAO angle in degrees
- * @param {number} cranialCaudal - Cranial/caudal angle in degrees
- * @returns {number} Viewing score
- */
-function calculateViewingScore(vesselDirections, raoLao, cranialCaudal) {
-  // Calculate viewing direction (from patient toward detector)
-  const raoRad = (raoLao * Math.PI) / 180
-  const cranialRad = (cranialCaudal * Math.PI) / 180
-  
-  // Viewing direction in patient coordinate system
-  const viewingDirection = [
-    -Math.sin(raoRad) * Math.cos(cranialRad),  // X: left-right
-    Math.cos(raoRad) * Math.cos(cranialRad),   // Y: anterior-posterior  
-    Math.sin(cranialRad)                       // Z: head-foot
-  ]
-  
-  let totalScore = 0
-  const weights = [1.2, 1.0, 1.0] // Slightly higher weight for main vessel
   
-  vesselDirections.forEach((vesselDir, index) => {
-    // Calculate angle between vessel direction and viewing direction
-    const dotProduct = vesselDir[0] * viewingDirection[0] + 
-                      vesselDir[1] * viewingDirection[1] + 
-                      vesselDir[2] * viewingDirection[2]
-    
-    // Foreshortening factor = |cos(angle)|
-    const foreshorteningFactor = Math.abs(dotProduct)
-    
-    // Projected length factor = sin(angle) = sqrt(1 - cos²(angle))
-    const projectedLengthFactor = Math.sqrt(1 - foreshorteningFactor * foreshorteningFactor)
-    
-    // We want to maximize projected length (minimize foreshortening)
-    totalScore += projectedLengthFactor * weights[index]
-  })
-  
-  return totalScore
+  return eigenvectors.map(row => row[minIndex])
 }
 
 /**
- * Refine angles using gradient descent
+ * Cyclic Jacobi eigenvalue decomposition for small symmetric matrices
+ * @returns {Object} eigenvalues and eigenvectors (as matrix columns)
  */
-function refineAngles(vesselDirections, initialAngles, searchRadius, stepSize) {
-  let currentAngles = { ...initialAngles }
-  let currentScore = calculateViewingScore(vesselDirections, currentAngles.raoLao, currentAngles.cranialCaudal)
-  
-  const maxIterations = 50
-  const tolerance = 0.001
-  
-  for (let iter = 0; iter < maxIterations; iter++) {
-    let improved = false
-    
-    // Calculate gradient numerically
-    const gradRao = (calculateViewingScore(vesselDirections, currentAngles.raoLao + stepSize, currentAngles.cranialCaudal) -
-                    calculateViewingScore(vesselDirections, currentAngles.raoLao - stepSize, currentAngles.cranialCaudal)) / (2 * stepSize)
-    
-    const gradCranial = (calculateViewingScore(vesselDirections, currentAngles.raoLao, currentAngles.cranialCaudal + stepSize) -
-                        calculateViewingScore(vesselDirections, currentAngles.raoLao, currentAngles.cranialCaudal - stepSize)) / (2 * stepSize)
-    
-    // Take step in gradient direction
-    const newRaoLao = Math.max(-90, Math.min(90, currentAngles.raoLao + stepSize * gradRao))
-    const newCranialCaudal = Math.max(-45, Math.min(45, currentAngles.cranialCaudal + stepSize * gradCranial))
-    
-    const newScore = calculateViewingScore(vesselDirections, newRaoLao, newCranialCaudal)
-    
-    if (newScore > currentScore + tolerance) {
-      currentAngles.raoLao = newRaoLao
-      currentAngles.cranialCaudal = newCranialCaudal
-      currentScore = newScore
-      improved = true
+function symmetricEigenDecomposition(matrix, maxSweeps = 50) {
+  const n = matrix.length
+  const a = matrix.map(row => [...row])
+  const v = Array(n).fill().map((_, i) => Array(n).fill(0).map((__, j) => (i === j ? 1 : 0)))
+  
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        offDiagonal += a[p][q] * a[p][q]
+      }
     }
     
-    if (!improved) {
-      break
-    }
-  }
-  
-  return currentAngles
-}
-
-/**
- * Utility functions for matrix operations
- */
-
-function multiplyMatrices3x3(A, B) {
-  const result = Array(3).fill().map(() => Array(3).fill(0))
-  
-  for (let i = 0; i < 3; i++) {
-    for (let j = 0; j < 3; j++) {
-      for (let k = 0; k < 3; k++) {
-        result[i][j] += A[i][k] * B[k][j]
+    if (offDiagonal < 1e-22) break
+    
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue
+        
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q])
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const c = 1 / Math.sqrt(t * t + 1)
+        const s = t * c
+        
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p]
+          const akq = a[k][q]
+          a[k][p] = c * akp - s * akq
+          a[k][q] = s * akp + c * akq
+        }
+        
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k]
+          const aqk = a[q][k]
+          a[p][k] = c * apk - s * aqk
+          a[q][k] = s * apk + c * aqk
+        }
+        
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p]
+          const vkq = v[k][q]
+          v[k][p] = c * vkp - s * vkq
+          v[k][q] = s * vkp + c * vkq
+        }
       }
     }
   }
   
-  return result
-}
-
-function multiplyMatrix3x3Vector(matrix, vector) {
-  return [
-    matrix[0][0] * vector[0] + matrix[0][1] * vector[1] + matrix[0][2] * vector[2],
-    matrix[1][0] * vector[0] + matrix[1][1] * vector[1] + matrix[1][2] * vector[2],
-    matrix[2][0] * vector[0] + matrix[2][1] * vector[1] + matrix[2][2] * vector[2]
-  ]
-}
-
-/**
- * Simplified DLT solver (in practice, use robust SVD)
- */
-function solveDLT(A) {
-  // This is a simplified version - in practice use proper SVD
-  // For now, return a reasonable solution
-  // This would need a proper linear algebra library for production use
-  
-  // Placeholder solution - needs proper implementation
-  return [0, 0, 0, 1]
+  return {
+    eigenvalues: a.map((row, i) => row[i]),
+    eigenvectors: v
+  }
 }
 
 /**
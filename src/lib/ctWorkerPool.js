@@ -0,0 +1,159 @@
+/**
+ * CT Worker Pool
+ * Runs CT processing tasks (see workers/ctWorker.js) on a small pool of Web Workers so the
+ * viewer stays responsive while volumes load and during segmentation and projection. Each
+ * worker receives a volume once, as a transferred copy of its voxel buffer, and keeps it for
+ * later tasks.
+ *
+ * Tasks are cancelled with an AbortSignal: a queued task is dropped, a running one is
+ * stopped by terminating its worker (a fresh worker takes its place). A queued task with
+ * the same key as a new one is replaced by it, so only the latest request of a kind (e.g.
+ * a projection while the angles change) waits to run.
+ */
+
+// Workers started at most; the main thread keeps a core for the interface
+const MAX_WORKERS = 2
+
+/**
+ * Create a worker pool
+ * @param {Object} options - size (number of workers)
+ * @returns {Object} { run(task, volume, args, options), terminate() }
+ */
+export function createCtWorkerPool(options = {}) {
+  const {
+    size = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1))
+  } = options
+
+  const slots = Array.from({ length: size }, () => ({ worker: null, volume: null, job: null }))
+  const queue = []
+  let nextTaskId = 0
+
+  const startWorker = (slot) => {
+    slot.worker = new Worker(new URL('../workers/ctWorker.js', import.meta.url), { type: 'module' })
+    slot.volume = null
+    slot.worker.onmessage = (event) => handleMessage(slot, event.data)
+    slot.worker.onerror = (event) => {
+      event.preventDefault()
+      const { job } = slot
+      stopWorker(slot)
+      if (job) job.reject(new Error(event.message || 'CT worker failed'))
+      dispatch()
+    }
+  }
+
+  const stopWorker = (slot) => {
+    if (slot.worker) slot.worker.terminate()
+    slot.worker = null
+    slot.volume = null
+    slot.job = null
+  }
+
+  const handleMessage = (slot, message) => {
+    const { job } = slot
+    if (!job || message.taskId !== job.id) return
+
+    if (message.type === 'progress') {
+      if (job.onProgress) job.onProgress(message.progress, message.partial)
+      return
+    }
+
+    slot.job = null
+    if (message.type === 'result') {
+      job.resolve(message.result)
+    } else {
+      job.reject(new Error(message.message))
+    }
+    dispatch()
+  }
+
+  const dispatch = () => {
+    slots.forEach(slot => {
+      if (slot.job || queue.length === 0) return
+
+      const job = queue.shift()
+      if (!slot.worker) startWorker(slot)
+
+      // Voxels are copied once per worker and volume; the copy's buffer is transferred.
+      // Volumes of restored cases have no voxels, only their geometry; loading tasks have
+      // no volume.
+      if (job.volume && slot.volume !== job.volume) {
+        const { data, dimensions, spacing, affine, calibration } = job.volume
+        const copy = data ? data.slice() : null
+        slot.worker.postMessage(
+          { type: 'volume', volume: { data: copy, dimensions, spacing, affine, calibration } },
+          copy ? [copy.buffer] : []
+        )
+        slot.volume = job.volume
+      }
+
+      slot.job = job
+      slot.worker.postMessage({ type: 'task', taskId: job.id, task: job.task, args: job.args })
+    })
+  }
+
+  const cancel = (job) => {
+    const queued = queue.indexOf(job)
+    if (queued !== -1) {
+      queue.splice(queued, 1)
+    } else {
+      const slot = slots.find(candidate => candidate.job === job)
+      if (!slot) return
+      stopWorker(slot)
+    }
+
+    job.reject(createAbortError())
+    dispatch()
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {string} task - Task name (see workers/ctWorker.js)
+   * @param {Object|null} volume - Volume from create3DVolumeFromDicom, null for tasks that
+   *   load one
+   * @param {Array} args - Task arguments after the volume (structured-cloneable)
+   * @param {Object} options - onProgress (callback (progress 0-1, partial result)), signal
+   *   (AbortSignal), key (queued tasks with the same key are replaced)
+   * @returns {Promise<Object>} Task result; rejects with an AbortError when cancelled
+   */
+  const run = (task, volume, args, options = {}) => {
+    const { onProgress = null, signal = null, key = null } = options
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError())
+        return
+      }
+
+      const job = { id: nextTaskId++, task, volume, args, onProgress, resolve, reject, key }
+
+      if (key) {
+        const replaced = queue.find(queued => queued.key === key)
+        if (replaced) cancel(replaced)
+      }
+
+      queue.push(job)
+      if (signal) signal.addEventListener('abort', () => cancel(job), { once: true })
+      dispatch()
+    })
+  }
+
+  /**
+   * Stop all workers and reject queued and running tasks
+   */
+  const terminate = () => {
+    const jobs = [...queue, ...slots.map(slot => slot.job).filter(Boolean)]
+    queue.length = 0
+    slots.forEach(stopWorker)
+    jobs.forEach(job => job.reject(createAbortError()))
+  }
+
+  return { run, terminate }
+}
+
+/**
+ * Helper functions
+ */
+
+function createAbortError() {
+  return new DOMException('Task cancelled', 'AbortError')
+}
@@ -0,0 +1,267 @@
+/**
+ * Curved Planar Reformation
+ * Resamples a CT volume along a vessel centerline: straightened and stretched curved
+ * reformations (rows follow the centerline arc length) and cross sections perpendicular
+ * to the centerline.
+ *
+ * The centerline is smoothed and resampled at a fixed arc-length step in patient (LPS, mm)
+ * coordinates. Rotation-minimizing frames (double reflection) give each sample a normal and
+ * binormal that do not twist around the vessel, so the straightened view is stable.
+ */
+
+import { getVolumeAffine, voxelToPatient } from './dicomGeometry'
+import { createVolumeSampler, sampleMprPlane } from './multiplanarReformation'
+
+/**
+ * Smooth and resample a vessel centerline with a reference frame per sample
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Array<Object>} centerline - Centerline points {x, y, z} in voxel coordinates
+ * @param {Object} options - step (mm between samples), smoothing (points averaged on each side)
+ * @returns {Object} Path { positions, tangents, normals, binormals, step, length } in LPS
+ */
+export function createCenterlinePath(volume, centerline, options = {}) {
+  const { step = 0.5, smoothing = 2 } = options
+  const affine = getVolumeAffine(volume)
+
+  const points = centerline
+    .map(point => voxelToPatient(affine, point))
+    .filter((point, index, all) => index === 0 || distance(point, all[index - 1]) > 1e-6)
+
+  if (points.length < 2) {
+    throw new Error('Centerline has fewer than two distinct points')
+  }
+
+  // Moving average keeps the end points fixed
+  const smoothed = points.map((point, index) => {
+    const window = Math.min(smoothing, index, points.length - 1 - index)
+    const neighbors = points.slice(index - window, index + window + 1)
+    return [0, 1, 2].map(axis => neighbors.reduce((sum, neighbor) => sum + neighbor[axis], 0) / neighbors.length)
+  })
+
+  const cumulative = [0]
+  for (let i = 1; i < smoothed.length; i++) {
+    cumulative.push(cumulative[i - 1] + distance(smoothed[i], smoothed[i - 1]))
+  }
+  const length = cumulative[cumulative.length - 1]
+
+  // Equal arc-length resampling
+  const positions = []
+  let segment = 0
+  for (let s = 0; s <= length + 1e-9; s += step) {
+    while (segment < smoothed.length - 2 && cumulative[segment + 1] < s) segment++
+    const segmentLength = cumulative[segment + 1] - cumulative[segment]
+    const t = segmentLength > 0 ? (s - cumulative[segment]) / segmentLength : 0
+    positions.push(lerp(smoothed[segment], smoothed[segment + 1], Math.min(1, t)))
+  }
+  if (positions.length < 2) positions.push(smoothed[smoothed.length - 1])
+
+  const tangents = positions.map((_, index) => {
+    const previous = positions[Math.max(0, index - 1)]
+    const next = positions[Math.min(positions.length - 1, index + 1)]
+    return normalize(subtract(next, previous))
+  })
+
+  // Rotation-minimizing frames by double reflection
+  const normals = [perpendicular(tangents[0])]
+  for (let i = 1; i < positions.length; i++) {
+    const v1 = subtract(positions[i], positions[i - 1])
+    const c1 = dot(v1, v1)
+    const previousNormal = normals[i - 1]
+    const reflectedNormal = subtract(previousNormal, scale(v1, (2 / c1) * dot(v1, previousNormal)))
+    const reflectedTangent = subtract(tangents[i - 1], scale(v1, (2 / c1) * dot(v1, tangents[i - 1])))
+    const v2 = subtract(tangents[i], reflectedTangent)
+    const c2 = dot(v2, v2)
+    const normal = c2 > 1e-12
+      ? subtract(reflectedNormal, scale(v2, (2 / c2) * dot(v2, reflectedNormal)))
+      : reflectedNormal
+    normals.push(normalize(subtract(normal, scale(tangents[i], dot(normal, tangents[i])))))
+  }
+  const binormals = tangents.map((tangent, index) => cross(tangent, normals[index]))
+
+  return { positions, tangents, normals, binormals, step, length }
+}
+
+/**
+ * Straightened reformation: the centerline becomes the vertical midline of the image
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Object} path - Path from createCenterlinePath
+ * @param {Object} options - width (mm across the vessel), angle (rotation around the vessel, degrees)
+ * @returns {Object} { data (HU), width, height, pixelSize, rows: [{ pathIndex, centerX }] }
+ */
+export function sampleStraightenedVessel(volume, path, options = {}) {
+  const { width = 40, angle = 0 } = options
+  const sampler = createVolumeSampler(volume)
+  const columns = Math.max(1, Math.round(width / path.step))
+  const data = new Float32Array(columns * path.positions.length)
+
+  const rows = path.positions.map((position, row) => {
+    const lateral = getLateralDirection(path, row, angle)
+
+    for (let column = 0; column < columns; column++) {
+      const offset = (column + 0.5 - columns / 2) * path.step
+      data[row * columns + column] = sampler(add(position, scale(lateral, offset)))
+    }
+
+    return { pathIndex: row, centerX: columns / 2 }
+  })
+
+  return { data, width: columns, height: rows.length, pixelSize: path.step, rows }
+}
+
+/**
+ * Stretched curved reformation: the cut surface is swept along one fixed lateral
+ * direction, so the vessel keeps its curvature in that direction while rows still
+ * preserve arc length perpendicular to it
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Object} path - Path from createCenterlinePath
+ * @param {Object} options - width (mm margin around the vessel), angle (rotation of the
+ *   lateral direction around the vessel's overall course, degrees)
+ * @returns {Object} { data (HU), width, height, pixelSize, rows: [{ pathIndex, centerX }] }
+ */
+export function sampleStretchedVessel(volume, path, options = {}) {
+  const { width = 40, angle = 0 } = options
+  const sampler = createVolumeSampler(volume)
+  const { positions, step } = path
+  const lateral = getFixedLateralDirection(path, angle)
+
+  // Lateral position of the centerline and arc length measured perpendicular to it
+  const lateralOffsets = positions.map(position => dot(subtract(position, positions[0]), lateral))
+  const rowCoordinates = [0]
+  for (let i = 1; i < positions.length; i++) {
+    const delta = subtract(positions[i], positions[i - 1])
+    const along = subtract(delta, scale(lateral, dot(delta, lateral)))
+    rowCoordinates.push(rowCoordinates[i - 1] + Math.sqrt(dot(along, along)))
+  }
+
+  const minOffset = Math.min(...lateralOffsets) - width / 2
+  const maxOffset = Math.max(...lateralOffsets) + width / 2
+  const columns = Math.max(1, Math.round((maxOffset - minOffset) / step))
+  const height = Math.max(1, Math.floor(rowCoordinates[rowCoordinates.length - 1] / step) + 1)
+  const data = new Float32Array(columns * height)
+  const rows = []
+
+  let segment = 0
+  for (let row = 0; row < height; row++) {
+    const y = row * step
+    while (segment < positions.length - 2 && rowCoordinates[segment + 1] < y) segment++
+    const segmentLength = rowCoordinates[segment + 1] - rowCoordinates[segment]
+    const t = segmentLength > 0 ? Math.min(1, (y - rowCoordinates[segment]) / segmentLength) : 0
+    const center = lerp(positions[segment], positions[segment + 1], t)
+    const centerOffset = lateralOffsets[segment] + t * (lateralOffsets[segment + 1] - lateralOffsets[segment])
+
+    for (let column = 0; column < columns; column++) {
+      const offset = minOffset + (column + 0.5) * step - centerOffset
+      data[row * columns + column] = sampler(add(center, scale(lateral, offset)))
+    }
+
+    rows.push({ pathIndex: segment + t, centerX: (centerOffset - minOffset) / step })
+  }
+
+  return { data, width: columns, height, pixelSize: step, rows }
+}
+
+/**
+ * Cross section perpendicular to the centerline
+ * The horizontal image axis matches the lateral axis of the reformations at that point.
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Object} path - Path from createCenterlinePath
+ * @param {number} pathIndex - Sample index along the path
+ * @param {Object} options - size (pixels), fieldOfView (mm), angle (degrees),
+ *   mode ('straightened' | 'stretched')
+ * @returns {Object} { plane, sample } as for MPR planes
+ */
+export function sampleCrossSection(volume, path, pathIndex, options = {}) {
+  const { size = 128, fieldOfView = 15, angle = 0, mode = 'straightened' } = options
+  const index = Math.max(0, Math.min(path.positions.length - 1, Math.round(pathIndex)))
+  const tangent = path.tangents[index]
+
+  let u = mode === 'stretched'
+    ? getFixedLateralDirection(path, angle)
+    : getLateralDirection(path, index, angle)
+  u = subtract(u, scale(tangent, dot(u, tangent)))
+  u = dot(u, u) > 1e-12 ? normalize(u) : path.normals[index]
+
+  const plane = { center: path.positions[index], u, v: cross(tangent, u), normal: tangent }
+
+  return { plane, sample: sampleMprPlane(volume, plane, { size, fieldOfView }) }
+}
+
+/**
+ * Path sample closest to a patient position
+ * @param {Object} path - Path from createCenterlinePath
+ * @param {Array<number>} point - LPS position (mm)
+ * @returns {Object} { index, distance (mm) }
+ */
+export function findClosestPathIndex(path, point) {
+  return path.positions.reduce((closest, position, index) => {
+    const d = distance(position, point)
+    return d < closest.distance ? { index, distance: d } : closest
+  }, { index: 0, distance: Infinity })
+}
+
+/**
+ * Helper functions
+ */
+
+// Lateral axis of the straightened view: the frame normal rotated around the tangent
+function getLateralDirection(path, index, angle) {
+  const radians = (angle * Math.PI) / 180
+  return add(scale(path.normals[index], Math.cos(radians)), scale(path.binormals[index], Math.sin(radians)))
+}
+
+// Lateral axis of the stretched view: perpendicular to the chord from start to end
+function getFixedLateralDirection(path, angle) {
+  const { positions } = path
+  const chord = subtract(positions[positions.length - 1], positions[0])
+  const axis = dot(chord, chord) > 1e-12 ? normalize(chord) : path.tangents[0]
+  const reference = perpendicular(axis)
+  const radians = (angle * Math.PI) / 180
+
+  return add(scale(reference, Math.cos(radians)), scale(cross(axis, reference), Math.sin(radians)))
+}
+
+// Unit vector perpendicular to a direction, built from the least aligned patient axis
+function perpendicular(direction) {
+  const axis = [0, 1, 2].reduce((best, index) =>
+    Math.abs(direction[index]) < Math.abs(direction[best]) ? index : best, 0)
+  const helper = [0, 0, 0]
+  helper[axis] = 1
+  return normalize(cross(direction, helper))
+}
+
+function add(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
+}
+
+function scale(vector, factor) {
+  return [vector[0] * factor, vector[1] * factor, vector[2] * factor]
+}
+
+function lerp(a, b, t) {
+  return [0, 1, 2].map(axis => a[axis] + t * (b[axis] - a[axis]))
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ]
+}
+
+function distance(a, b) {
+  return Math.sqrt(dot(subtract(a, b), subtract(a, b)))
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector))
+  return length > 0 ? scale(vector, 1 / length) : vector
+}
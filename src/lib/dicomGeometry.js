@@ -0,0 +1,300 @@
+/**
+ * DICOM Patient Geometry
+ * Orders CT slices along the slice normal, measures the true slice spacing and builds
+ * the voxel-to-patient affine from Image Position (Patient) and Image Orientation (Patient).
+ *
+ * Patient coordinates follow DICOM LPS: X toward the patient's left, Y posterior,
+ * Z toward the head (mm). The angiographic frame used by the angle engine differs only
+ * in the sign of Y (anterior), see lpsToAngiographic.
+ * Voxel coordinates are (column, row, slice) indices into the sorted stack.
+ */
+
+// Relative deviation from the median slice gap tolerated as uniform spacing
+const SPACING_TOLERANCE = 0.01
+
+// Angle between the slice normal and the slice stacking direction treated as gantry tilt (degrees)
+const TILT_TOLERANCE = 0.1
+
+/**
+ * Parse a backslash-separated DICOM decimal string
+ * @param {string} value - Value such as "-125.0\\-110.5\\42.0"
+ * @param {number} count - Expected number of values
+ * @returns {Array<number>|null} Numbers, or null if missing or malformed
+ */
+export function parseDicomNumbers(value, count) {
+  if (!value) return null
+
+  const numbers = value.split('\\').map(parseFloat)
+  if (numbers.length !== count || !numbers.every(Number.isFinite)) return null
+
+  return numbers
+}
+
+/**
+ * Unit normal of the slice plane (row direction x column direction)
+ * @param {Array<number>} orientation - Image Orientation (Patient), six direction cosines
+ * @returns {Array<number>} Slice normal in LPS
+ */
+export function getSliceNormal(orientation) {
+  const row = orientation.slice(0, 3)
+  const column = orientation.slice(3, 6)
+
+  return normalize(cross(row, column))
+}
+
+/**
+ * Sort slices along the slice normal and describe the stack geometry
+ * Slices without position and orientation fall back to Slice Location or Instance
+ * Number ordering with an axial orientation and the nominal slice thickness.
+ * @param {Array<Object>} slices - Per-slice metadata with imagePositionPatient,
+ *   imageOrientationPatient, pixelSpacing, sliceThickness, sliceLocation and instanceNumber
+ * @returns {Object} Sorted slices and geometry (spacing, affine, gantry tilt, warnings)
+ */
+export function computeSliceGeometry(slices) {
+  if (slices.length === 0) {
+    throw new Error('No slices to compute geometry from')
+  }
+
+  const warnings = []
+  const hasPatientGeometry = slices.every(slice => slice.imagePositionPatient && slice.imageOrientationPatient)
+  const first = slices[0]
+  const [rowSpacing, columnSpacing] = first.pixelSpacing || [1, 1]
+
+  if (!hasPatientGeometry) {
+    warnings.push('Image Position/Orientation (Patient) missing: assuming axial slices at the nominal slice thickness')
+
+    const sorted = [...slices].sort((a, b) =>
+      (a.sliceLocation || a.instanceNumber) - (b.sliceLocation || b.instanceNumber)
+    )
+    const sliceSpacing = first.sliceThickness || 1
+
+    return {
+      slices: sorted,
+      geometry: {
+        spacing: [columnSpacing, rowSpacing, sliceSpacing],
+        sliceSpacing,
+        uniformSpacing: true,
+        gantryTilt: 0,
+        affine: createVoxelToPatientAffine([1, 0, 0, 0, 1, 0], [0, 0, 0], [rowSpacing, columnSpacing], [0, 0, sliceSpacing]),
+        hasPatientGeometry: false,
+        warnings
+      }
+    }
+  }
+
+  const orientation = first.imageOrientationPatient
+  const normal = getSliceNormal(orientation)
+
+  const mixedOrientation = slices.some(slice =>
+    slice.imageOrientationPatient.some((value, index) => Math.abs(value - orientation[index]) > 1e-3)
+  )
+  if (mixedOrientation) {
+    warnings.push('Slices have different orientations: geometry uses the orientation of the first slice')
+  }
+
+  // Order by position along the slice normal (feet to head for standard axial CT)
+  const sorted = slices
+    .map(slice => ({ slice, distance: dot(slice.imagePositionPatient, normal) }))
+    .sort((a, b) => a.distance - b.distance)
+
+  const gaps = sorted.slice(1).map((entry, index) => entry.distance - sorted[index].distance)
+  const origin = sorted[0].slice.imagePositionPatient
+
+  let sliceSpacing = first.sliceThickness || 1
+  let uniformSpacing = true
+  let gantryTilt = 0
+  let sliceStep = normal.map(value => value * sliceSpacing)
+
+  if (gaps.length > 0) {
+    if (gaps.some(gap => gap < 1e-3)) {
+      warnings.push('Duplicate slice positions: the series may contain more than one stack')
+    }
+
+    sliceSpacing = median(gaps)
+    const maxDeviation = Math.max(...gaps.map(gap => Math.abs(gap - sliceSpacing)))
+    uniformSpacing = maxDeviation <= SPACING_TOLERANCE * sliceSpacing
+
+    if (!uniformSpacing) {
+      warnings.push(`Non-uniform slice spacing (${Math.min(...gaps).toFixed(2)}-${Math.max(...gaps).toFixed(2)} mm): distances along the slice axis are approximate`)
+    }
+
+    // Average step between slice origins; differs from the normal for tilted gantries
+    const last = sorted[sorted.length - 1].slice.imagePositionPatient
+    sliceStep = [0, 1, 2].map(axis => (last[axis] - origin[axis]) / gaps.length)
+
+    const stepLength = Math.sqrt(dot(sliceStep, sliceStep))
+    if (stepLength > 0) {
+      gantryTilt = Math.acos(Math.min(1, Math.abs(dot(sliceStep, normal)) / stepLength)) * 180 / Math.PI
+    }
+    if (gantryTilt > TILT_TOLERANCE) {
+      warnings.push(`Gantry tilt of ${gantryTilt.toFixed(1)}°: voxels are sheared along the slice axis`)
+    }
+  }
+
+  return {
+    slices: sorted.map(entry => entry.slice),
+    geometry: {
+      spacing: [columnSpacing, rowSpacing, Math.sqrt(dot(sliceStep, sliceStep))],
+      sliceSpacing,
+      uniformSpacing,
+      gantryTilt,
+      affine: createVoxelToPatientAffine(orientation, origin, [rowSpacing, columnSpacing], sliceStep),
+      hasPatientGeometry: true,
+      warnings
+    }
+  }
+}
+
+/**
+ * Build the 4x4 voxel-to-patient (LPS) affine
+ * @param {Array<number>} orientation - Image Orientation (Patient)
+ * @param {Array<number>} origin - Image Position (Patient) of the first slice
+ * @param {Array<number>} pixelSpacing - Pixel Spacing [row spacing, column spacing] (mm)
+ * @param {Array<number>} sliceStep - Patient-space offset between consecutive slices (mm)
+ * @returns {Array<Array<number>>} Row-major affine mapping [column, row, slice, 1]
+ */
+export function createVoxelToPatientAffine(orientation, origin, pixelSpacing, sliceStep) {
+  const row = orientation.slice(0, 3)
+  const column = orientation.slice(3, 6)
+  const [rowSpacing, columnSpacing] = pixelSpacing
+
+  // Moving one column steps along the row direction, one row along the column direction
+  return [0, 1, 2].map(axis => [
+    row[axis] * columnSpacing,
+    column[axis] * rowSpacing,
+    sliceStep[axis],
+    origin[axis]
+  ]).concat([[0, 0, 0, 1]])
+}
+
+/**
+ * Convert a voxel position to patient (LPS) coordinates
+ * @param {Array<Array<number>>} affine - Voxel-to-patient affine
+ * @param {Object} point - Voxel position {x, y, z}
+ * @returns {Array<number>} LPS position (mm)
+ */
+export function voxelToPatient(affine, point) {
+  return [0, 1, 2].map(axis =>
+    affine[axis][0] * point.x + affine[axis][1] * point.y + affine[axis][2] * point.z + affine[axis][3]
+  )
+}
+
+/**
+ * Convert a patient (LPS) position to continuous voxel coordinates
+ * @param {Array<Array<number>>} affine - Voxel-to-patient affine
+ * @param {Array<number>} point - LPS position (mm)
+ * @returns {Object} Voxel position {x, y, z}
+ */
+export function patientToVoxel(affine, point) {
+  const inverse = invertAffine(affine)
+  const [x, y, z] = [0, 1, 2].map(axis =>
+    inverse[axis][0] * point[0] + inverse[axis][1] * point[1] + inverse[axis][2] * point[2] + inverse[axis][3]
+  )
+
+  return { x, y, z }
+}
+
+/**
+ * Invert a voxel-to-patient affine
+ * @param {Array<Array<number>>} affine - Voxel-to-patient affine
+ * @returns {Array<Array<number>>} Patient-to-voxel affine
+ */
+export function invertAffine(affine) {
+  const inverse = invert3x3(affine.slice(0, 3).map(row => row.slice(0, 3)))
+  const translation = [0, 1, 2].map(axis =>
+    -(inverse[axis][0] * affine[0][3] + inverse[axis][1] * affine[1][3] + inverse[axis][2] * affine[2][3])
+  )
+
+  return inverse.map((row, axis) => [...row, translation[axis]]).concat([[0, 0, 0, 1]])
+}
+
+/**
+ * Voxel-to-patient affine of a volume
+ * Volumes without one use the axial convention: columns to the left, rows posterior,
+ * slices toward the head, first voxel at the origin.
+ * @param {Object} volume - Volume with spacing and optional affine
+ * @returns {Array<Array<number>>} Voxel-to-patient affine
+ */
+export function getVolumeAffine(volume) {
+  if (volume?.affine) return volume.affine
+
+  const spacing = volume?.spacing || [1, 1, 1]
+  return createVoxelToPatientAffine([1, 0, 0, 0, 1, 0], [0, 0, 0], [spacing[1], spacing[0]], [0, 0, spacing[2]])
+}
+
+/**
+ * Convert an LPS vector to the angiographic frame (X left, Y anterior, Z head)
+ * @param {Array<number>} vector - LPS vector
+ * @returns {Array<number>} Angiographic vector
+ */
+export function lpsToAngiographic(vector) {
+  return [vector[0], -vector[1], vector[2]]
+}
+
+/**
+ * Linear map between voxel offsets and angiographic patient offsets (mm) for a volume
+ * @param {Object} volume - Volume with spacing and optional affine (see getVolumeAffine)
+ * @returns {Object} toAngiographic(offset) and toVoxelOffset(vector) for [x, y, z] arrays
+ */
+export function createVoxelToAngiographicTransform(volume) {
+  const affine = getVolumeAffine(volume)
+
+  // Columns of the linear part, converted to the angiographic frame
+  const columns = [0, 1, 2].map(index => lpsToAngiographic([affine[0][index], affine[1][index], affine[2][index]]))
+  const matrix = [0, 1, 2].map(axis => columns.map(column => column[axis]))
+  const inverse = invert3x3(matrix)
+
+  return {
+    toAngiographic: (offset) => [0, 1, 2].map(axis =>
+      matrix[axis][0] * offset[0] + matrix[axis][1] * offset[1] + matrix[axis][2] * offset[2]
+    ),
+    toVoxelOffset: (vector) => [0, 1, 2].map(axis =>
+      inverse[axis][0] * vector[0] + inverse[axis][1] * vector[1] + inverse[axis][2] * vector[2]
+    )
+  }
+}
+
+/**
+ * Helper functions
+ */
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ]
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector))
+  if (length === 0) {
+    throw new Error('Image Orientation (Patient) has parallel row and column directions')
+  }
+  return vector.map(value => value / length)
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+function invert3x3(m) {
+  const cofactors = [
+    [m[1][1] * m[2][2] - m[1][2] * m[2][1], m[0][2] * m[2][1] - m[0][1] * m[2][2], m[0][1] * m[1][2] - m[0][2] * m[1][1]],
+    [m[1][2] * m[2][0] - m[1][0] * m[2][2], m[0][0] * m[2][2] - m[0][2] * m[2][0], m[0][2] * m[1][0] - m[0][0] * m[1][2]],
+    [m[1][0] * m[2][1] - m[1][1] * m[2][0], m[0][1] * m[2][0] - m[0][0] * m[2][1], m[0][0] * m[1][1] - m[0][1] * m[1][0]]
+  ]
+  const determinant = m[0][0] * cofactors[0][0] + m[0][1] * cofactors[1][0] + m[0][2] * cofactors[2][0]
+
+  if (Math.abs(determinant) < 1e-12) {
+    throw new Error('Voxel-to-patient affine is singular')
+  }
+
+  return cofactors.map(row => row.map(value => value / determinant))
+}
@@ -0,0 +1,162 @@
+/**
+ * DICOM CT Loader
+ * Reads CT series with cornerstone, which decodes pixel data in its own web workers, and
+ * assembles the Hounsfield unit volume. Cornerstone needs the browser window, so this path
+ * runs on the main thread; it is used for the compressed transfer syntaxes that
+ * dicomVolumeDecoder.js, which runs in the CT worker pool, does not decode.
+ */
+
+import * as cornerstone from 'cornerstone-core'
+import * as cornerstoneWADOImageLoader from 'cornerstone-wado-image-loader'
+import * as dicomParser from 'dicom-parser'
+import { computeSliceGeometry } from './dicomGeometry'
+import { validateHounsfieldCalibration } from './dicomProcessor'
+import { describeDicomSlice } from './dicomVolumeDecoder'
+
+// Range of the Int16Array holding the HU volume
+const INT16_RANGE = [-32768, 32767]
+
+/**
+ * Initialize DICOM processing libraries
+ */
+export function initializeDicomProcessor() {
+  // Configure cornerstone for DICOM handling
+  cornerstoneWADOImageLoader.external.cornerstone = cornerstone
+  cornerstoneWADOImageLoader.external.dicomParser = dicomParser
+  
+  // Configure WADO image loader
+  const config = {
+    maxWebWorkers: navigator.hardwareConcurrency || 1,
+    startWebWorkersOnDemand: true,
+    webWorkerPath: '/cornerstoneWADOImageLoaderWebWorker.js',
+    taskConfiguration: {
+      decodeTask: {
+        codecsPath: '/cornerstoneWADOImageLoaderCodecs.js'
+      }
+    }
+  }
+  
+  cornerstoneWADOImageLoader.webWorkerManager.initialize(config)
+}
+
+/**
+ * Load and parse DICOM CT dataset
+ * Slices are ordered along the slice normal using Image Position (Patient).
+ * @param {FileList} files - DICOM files from file input
+ * @param {Object} options - onProgress (callback (processed, total)), signal (AbortSignal
+ *   that stops loading between files)
+ * @returns {Promise<Object>} CT dataset with metadata, image stack, patient geometry and
+ *   Hounsfield calibration status
+ */
+export async function loadDicomCTDataset(files, options = {}) {
+  const { onProgress, signal } = options
+  const imageIds = []
+  const metadata = []
+  
+  // Process each DICOM file
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i]
+    signal?.throwIfAborted()
+    
+    try {
+      // Create blob URL for the file
+      const imageId = cornerstoneWADOImageLoader.wadouri.fileManager.add(file)
+      imageIds.push(imageId)
+      
+      // Load image to get metadata
+      const image = await cornerstone.loadImage(imageId)
+      metadata.push({
+        imageId,
+        ...describeDicomSlice(image.data, i),
+        rows: image.rows,
+        columns: image.columns,
+        windowCenter: image.windowCenter,
+        windowWidth: image.windowWidth
+      })
+    } catch (error) {
+      console.warn(`Failed to load DICOM file ${file.name}:`, error)
+    }
+    
+    if (onProgress) onProgress(i + 1, files.length)
+  }
+  
+  if (metadata.length === 0) {
+    throw new Error('No readable DICOM slices found')
+  }
+  
+  // Sort along the slice normal and derive spacing and orientation
+  const { slices: sortedMetadata, geometry } = computeSliceGeometry(metadata)
+  geometry.warnings.forEach(warning => console.warn(`DICOM geometry: ${warning}`))
+  
+  const calibration = validateHounsfieldCalibration(sortedMetadata)
+  calibration.warnings.forEach(warning => console.warn(`DICOM calibration: ${warning}`))
+  
+  const sortedImageIds = sortedMetadata.map(m => m.imageId)
+  
+  return {
+    imageIds: sortedImageIds,
+    metadata: sortedMetadata,
+    geometry,
+    calibration,
+    dimensions: {
+      width: sortedMetadata[0].columns || 512,
+      height: sortedMetadata[0].rows || 512,
+      depth: sortedMetadata.length,
+      pixelSpacing: sortedMetadata[0].pixelSpacing,
+      sliceThickness: sortedMetadata[0].sliceThickness || 1,
+      sliceSpacing: geometry.sliceSpacing
+    }
+  }
+}
+
+/**
+ * Create 3D volume from DICOM stack
+ * Stored values are converted to Hounsfield units with each slice's Rescale Slope and
+ * Intercept (slices without them are copied unchanged).
+ * @param {Object} dataset - DICOM dataset from loadDicomCTDataset
+ * @param {Object} options - onProgress (callback (slices, total)), signal (AbortSignal that
+ *   stops loading between slices)
+ * @returns {Promise<Object>} 3D volume data (HU) with spacing [column, row, slice] (mm),
+ *   the voxel-to-patient (LPS) affine and the calibration status
+ */
+export async function create3DVolumeFromDicom(dataset, options = {}) {
+  const { onProgress, signal } = options
+  const { imageIds, metadata, dimensions, geometry, calibration } = dataset
+  const { width, height, depth } = dimensions
+  
+  // Create 3D volume array
+  const volumeData = new Int16Array(width * height * depth)
+  
+  // Load each slice and populate volume
+  for (let i = 0; i < imageIds.length; i++) {
+    signal?.throwIfAborted()
+    
+    try {
+      const image = await cornerstone.loadImage(imageIds[i])
+      const pixelData = image.getPixelData()
+      const slope = metadata[i].rescaleSlope || 1
+      const intercept = metadata[i].rescaleIntercept ?? 0
+      
+      // Copy slice data to volume, rescaled to HU
+      const sliceOffset = i * width * height
+      for (let j = 0; j < pixelData.length; j++) {
+        const value = Math.round(pixelData[j] * slope + intercept)
+        volumeData[sliceOffset + j] = Math.max(INT16_RANGE[0], Math.min(INT16_RANGE[1], value))
+      }
+    } catch (error) {
+      console.error(`Failed to load slice ${i}:`, error)
+    }
+    
+    if (onProgress) onProgress(i + 1, imageIds.length)
+  }
+  
+  return {
+    data: volumeData,
+    dimensions,
+    metadata,
+    spacing: geometry.spacing,
+    affine: geometry.affine,
+    geometry,
+    calibration
+  }
+}
@@ -1,145 +1,84 @@
 /**
  * DICOM CT Processor for Coronary Artery Analysis
- * Handles DICOM loading, 3D reconstruction, and coronary segmentation
+ * Handles coronary segmentation, bifurcation analysis and projection of CT volumes loaded
+ * by dicomLoader.js. Nothing here depends on the DOM, so it also runs in Web Workers
+ * (see workers/ctWorker.js).
  */
 
-import * as cornerstone from 'cornerstone-core'
-import * as cornerstoneWADOImageLoader from 'cornerstone-wado-image-loader'
-import * as dicomParser from 'dicom-parser'
+import { createAngleGrid, createCameraRotation, createProjectionMatrix, sampleMapLayer } from './angleEngine'
+import { projectPoint3D, projectionToImageCoordinates } from './correctedMath'
+import { createVoxelToAngiographicTransform, getVolumeAffine, voxelToPatient } from './dicomGeometry'
+import { createVesselnessField } from './vesselness'
+import { extractMinimalPathCenterlines } from './centerlineExtraction'
+import { buildCoronaryTree, getBifurcationCenterlines, getDistalLength } from './coronaryTree'
+import { getBifurcationLabel, labelCoronaryTree } from './coronaryLabeling'
+import { renderConeBeamProjection } from './coneBeamProjection'
 
-/**
- * Initialize DICOM processing libraries
- */
-export function initializeDicomProcessor() {
-  // Configure cornerstone for DICOM handling
-  cornerstoneWADOImageLoader.external.cornerstone = cornerstone
-  cornerstoneWADOImageLoader.external.dicomParser = dicomParser
-  
-  // Configure WADO image loader
-  const config = {
-    maxWebWorkers: navigator.hardwareConcurrency || 1,
-    startWebWorkersOnDemand: true,
-    webWorkerPath: '/cornerstoneWADOImageLoaderWebWorker.js',
-    taskConfiguration: {
-      decodeTask: {
-        codecsPath: '/cornerstoneWADOImageLoaderCodecs.js'
-      }
-    }
-  }
-  
-  cornerstoneWADOImageLoader.webWorkerManager.initialize(config)
-}
+// Score deduction for a fully overlapped bifurcation (see MAX_VIEWING_SCORE)
+export const DEFAULT_OVERLAP_WEIGHT = 1.5
 
 /**
- * Load and parse DICOM CT dataset
- * @param {FileList} files - DICOM files from file input
- * @returns {Promise<Object>} CT dataset with metadata and image stack
+ * Check that stored pixel values can be converted to Hounsfield units
+ * CT slices need Rescale Slope and Intercept; a Rescale Type other than HU means
+ * the rescaled values are in different units.
+ * @param {Array<Object>} metadata - Per-slice metadata from loadDicomCTDataset
+ * @returns {Object} { calibrated, rescaleType, warnings }
  */
-export async function loadDicomCTDataset(files) {
-  const imageIds = []
-  const metadata = []
+export function validateHounsfieldCalibration(metadata) {
+  const warnings = []
+  const missing = metadata.filter(slice => slice.rescaleSlope === null || slice.rescaleIntercept === null)
+  const rescaleTypes = [...new Set(metadata.map(slice => slice.rescaleType || 'HU'))]
   
-  // Process each DICOM file
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i]
-    
-    try {
-      // Create blob URL for the file
-      const imageId = cornerstoneWADOImageLoader.wadouri.fileManager.add(file)
-      imageIds.push(imageId)
-      
-      // Load image to get metadata
-      const image = await cornerstone.loadImage(imageId)
-      metadata.push({
-        imageId,
-        instanceNumber: image.data.string('x00200013') || i,
-        sliceLocation: parseFloat(image.data.string('x00201041')) || i,
-        pixelSpacing: image.data.string('x00280030')?.split('\\').map(parseFloat) || [1, 1],
-        sliceThickness: parseFloat(image.data.string('x00180050')) || 1,
-        rows: image.rows,
-        columns: image.columns,
-        windowCenter: image.windowCenter,
-        windowWidth: image.windowWidth
-      })
-    } catch (error) {
-      console.warn(`Failed to load DICOM file ${file.name}:`, error)
-    }
+  if (missing.length > 0) {
+    warnings.push(`Rescale Slope/Intercept missing on ${missing.length} of ${metadata.length} slices: values are not calibrated to HU and HU thresholds do not apply`)
   }
-  
-  // Sort by slice location or instance number
-  metadata.sort((a, b) => {
-    return (a.sliceLocation || a.instanceNumber) - (b.sliceLocation || b.instanceNumber)
-  })
-  
-  const sortedImageIds = metadata.map(m => m.imageId)
-  
-  return {
-    imageIds: sortedImageIds,
-    metadata: metadata,
-    dimensions: {
-      width: metadata[0]?.columns || 512,
-      height: metadata[0]?.rows || 512,
-      depth: metadata.length,
-      pixelSpacing: metadata[0]?.pixelSpacing || [1, 1],
-      sliceThickness: metadata[0]?.sliceThickness || 1
-    }
+  if (rescaleTypes.some(type => type !== 'HU')) {
+    warnings.push(`Rescale Type ${rescaleTypes.join(', ')} instead of HU: HU thresholds do not apply`)
   }
-}
-
-/**
- * Create 3D volume from DICOM stack
- * @param {Object} dataset - DICOM dataset from loadDicomCTDataset
- * @returns {Promise<Object>} 3D volume data
- */
-export async function create3DVolumeFromDicom(dataset) {
-  const { imageIds, metadata, dimensions } = dataset
-  const { width, height, depth } = dimensions
-  
-  // Create 3D volume array
-  const volumeData = new Int16Array(width * height * depth)
-  
-  // Load each slice and populate volume
-  for (let i = 0; i < imageIds.length; i++) {
-    try {
-      const image = await cornerstone.loadImage(imageIds[i])
-      const pixelData = image.getPixelData()
-      
-      // Copy slice data to volume
-      const sliceOffset = i * width * height
-      for (let j = 0; j < pixelData.length; j++) {
-        volumeData[sliceOffset + j] = pixelData[j]
-      }
-    } catch (error) {
-      console.error(`Failed to load slice ${i}:`, error)
-    }
+  if (metadata.some(slice => slice.rescaleSlope === 0)) {
+    warnings.push('Rescale Slope of 0 on some slices: calibration is invalid')
   }
   
   return {
-    data: volumeData,
-    dimensions,
-    metadata,
-    spacing: [
-      dimensions.pixelSpacing[0],
-      dimensions.pixelSpacing[1], 
-      dimensions.sliceThickness
-    ]
+    calibrated: warnings.length === 0,
+    rescaleType: rescaleTypes.length === 1 ? rescaleTypes[0] : null,
+    warnings
   }
 }
 
 /**
- * Segment coronary arteries using intensity-based region growing
+ * Segment coronary arteries using region growing from seed points
+ * The 'threshold' method grows through voxels inside an HU window. The 'vesselness' method
+ * grows through contrast-filled voxels with a high Hessian vesselness (see vesselness.js),
+ * which does not leak into the ventricles or aorta and has no upper HU limit, so it
+ * continues through calcified segments.
+ *
+ * With centerlineMethod 'minimalPath' seeds flagged ostium (or else the first seed) are
+ * coronary ostia and every other seed the distal end of a vessel: centerlines follow the
+ * cheapest path from the nearest ostium through the lumen (see centerlineExtraction.js) and
+ * each point carries its lumen radius. Otherwise each seed grows a region whose voxels are
+ * sampled into a centerline.
+ * The vessels are also organized into a coronary tree (see coronaryTree.js) whose segments
+ * are labeled anatomically (see coronaryLabeling.js). onProgress receives each vessel as soon
+ * as it is segmented, so callers can show vessels before the tree is built.
  * @param {Object} volume - 3D volume from create3DVolumeFromDicom
- * @param {Array} seedPoints - Array of {x, y, z} seed points in volume coordinates
+ * @param {Array} seedPoints - Array of {x, y, z, ostium?} seed points in volume coordinates
  * @param {Object} options - Segmentation parameters
- * @returns {Object} Segmented coronary tree
+ * @returns {Object} Segmented coronary arteries { vessels, totalVessels, tree, ... }
  */
 export function segmentCoronaryArteries(volume, seedPoints, options = {}) {
   const {
+    method = 'threshold',      // 'threshold' or 'vesselness'
     intensityThreshold = 200,  // HU threshold for contrast-enhanced vessels
-    maxIntensity = 800,        // Maximum HU to avoid calcification
+    maxIntensity = 800,        // Maximum HU to avoid calcification (threshold method)
     regionGrowingRadius = 3,   // Radius for region growing
     minVesselLength = 10,      // Minimum vessel segment length (mm)
-    maxVesselRadius = 5        // Maximum vessel radius (mm)
+    minVesselRadius = 0.5,     // Smallest vessel radius enhanced by vesselness (mm)
+    maxVesselRadius = 5,       // Largest vessel radius enhanced by vesselness (mm)
+    vesselnessThreshold = 0.1, // Minimum vesselness (vesselness method)
+    centerlineMethod = 'voxelCloud', // 'voxelCloud' or 'minimalPath'
+    aorticRoot = null,         // LPS position of the aortic root, to tell left from right trees
+    onProgress = null          // Callback (processed, total, vessel) as seeds are processed
   } = options
   
   const { data, dimensions, spacing } = volume
@@ -148,14 +87,78 @@ export function segmentCoronaryArteries(volume, seedPoints, options = {}) {
   const segmentedVessels = []
   const visitedVoxels = new Set()
   
+  let vesselness = null
+  let isVesselVoxel = (x, y, z, intensity) => intensity >= intensityThreshold && intensity <= maxIntensity
+  
+  if (method === 'vesselness') {
+    vesselness = createVesselnessField(volume, { minRadius: minVesselRadius, maxRadius: maxVesselRadius })
+    isVesselVoxel = (x, y, z, intensity) =>
+      intensity >= intensityThreshold && vesselness.at(x, y, z) >= vesselnessThreshold
+  }
+  
+  if (centerlineMethod === 'minimalPath') {
+    const flaggedOstia = seedPoints.filter(seed => seed.ostium)
+    const ostia = flaggedOstia.length > 0 ? flaggedOstia : seedPoints.slice(0, 1)
+    const targets = seedPoints.filter(seed => !ostia.includes(seed))
+    
+    if (ostia.length === 0 || targets.length === 0) {
+      throw new Error('Minimal-path centerlines need an ostium seed and at least one distal seed')
+    }
+    
+    const centerlines = extractMinimalPathCenterlines(volume, ostia, targets, {
+      intensityThreshold,
+      vesselness,
+      vesselnessThreshold,
+      maxRadius: maxVesselRadius,
+      onProgress
+    })
+    
+    centerlines.forEach((centerline, index) => {
+      if (centerline.length < 2) {
+        console.warn(`Seed ${seedPoints.indexOf(targets[index]) + 1} lies inside an earlier vessel; no centerline extracted`)
+        return
+      }
+      
+      // Voxels inside the measured lumen stand in for the grown region
+      const vesselRegion = voxelizeCenterlineTube(centerline, dimensions, spacing, visitedVoxels)
+      const ostium = ostia.reduce((nearest, candidate) =>
+        physicalDistance(candidate, centerline[0], spacing) < physicalDistance(nearest, centerline[0], spacing)
+          ? candidate
+          : nearest
+      )
+      
+      segmentedVessels.push({
+        id: `vessel_${index}`,
+        seedPoint: targets[index],
+        centerline,
+        segmentedRegion: { points: vesselRegion, seedPoint: ostium },
+        length: calculateVesselLength(centerline, spacing),
+        volume: vesselRegion.length * spacing[0] * spacing[1] * spacing[2],
+        meanRadius: centerline.reduce((sum, point) => sum + point.radius, 0) / centerline.length
+      })
+      if (onProgress) onProgress(targets.length, targets.length, segmentedVessels[segmentedVessels.length - 1])
+    })
+    
+    return {
+      vessels: segmentedVessels,
+      totalVessels: segmentedVessels.length,
+      tree: labelCoronaryTree(buildCoronaryTree({ vessels: segmentedVessels, volume }), volume, { aorticRoot }),
+      method,
+      centerlineMethod,
+      volume: volume
+    }
+  }
+  
   // Process each seed point
   seedPoints.forEach((seedPoint, index) => {
+    // Seeds placed on the lumen edge start from the strongest vessel voxel next to them
+    const startPoint = vesselness ? snapSeedToVessel(vesselness, seedPoint) : seedPoint
+    
     const vesselSegment = regionGrowingSegmentation(
       data,
       dimensions,
-      seedPoint,
-      intensityThreshold,
-      maxIntensity,
+      startPoint,
+      isVesselVoxel,
       regionGrowingRadius,
       visitedVoxels
     )
@@ -173,19 +176,136 @@ export function segmentCoronaryArteries(volume, seedPoints, options = {}) {
         volume: vesselSegment.points.length * spacing[0] * spacing[1] * spacing[2]
       })
     }
+    
+    if (onProgress) onProgress(index + 1, seedPoints.length, segmentedVessels.find(vessel => vessel.id === `vessel_${index}`))
+  })
+  
+  return {
+    vessels: segmentedVessels,
+    totalVessels: segmentedVessels.length,
+    tree: labelCoronaryTree(buildCoronaryTree({ vessels: segmentedVessels, volume }), volume, { aorticRoot }),
+    method,
+    centerlineMethod,
+    volume: volume
+  }
+}
+
+/**
+ * Segment coronary arteries from a labelmap instead of region growing
+ * Every 26-connected component of each nonzero label becomes a vessel; components of
+ * minVesselLength voxels or fewer are dropped like small grown regions. A vessel starts at
+ * its voxel nearest the aortic root when one is given, otherwise at its most cranial voxel,
+ * and its centerline is sampled from its voxels as in voxelCloud mode.
+ * @param {Object} volume - 3D volume the labelmap matches
+ * @param {Object} labelmap - Labelmap from loadLabelmapFile ({ data, labels })
+ * @param {Object} options - minVesselLength, aorticRoot (LPS position), onProgress
+ *   (callback (processed, total, vessel) per label)
+ * @returns {Object} Segmented coronary arteries, as from segmentCoronaryArteries
+ */
+export function segmentFromLabelmap(volume, labelmap, options = {}) {
+  const {
+    minVesselLength = 10,
+    aorticRoot = null,
+    onProgress = null
+  } = options
+  
+  const { spacing } = volume
+  const affine = getVolumeAffine(volume)
+  const segmentedVessels = []
+  
+  // Proximal end: closest to the aortic root, or highest toward the head
+  const proximalScore = (point) => {
+    const position = voxelToPatient(affine, point)
+    return aorticRoot
+      ? -Math.hypot(position[0] - aorticRoot[0], position[1] - aorticRoot[1], position[2] - aorticRoot[2])
+      : position[2]
+  }
+  
+  labelmap.labels.forEach((label, labelIndex) => {
+    findLabelComponents(labelmap.data, volume.dimensions, label).forEach(points => {
+      if (points.length <= minVesselLength) return
+      
+      const seedPoint = points.reduce((best, point) => (proximalScore(point) > proximalScore(best) ? point : best))
+      const segmentedRegion = { points, seedPoint }
+      const centerline = extractVesselCenterline3D(segmentedRegion, spacing)
+      
+      const vessel = {
+        id: `vessel_${segmentedVessels.length}`,
+        label,
+        seedPoint,
+        centerline,
+        segmentedRegion,
+        length: calculateVesselLength(centerline, spacing),
+        volume: points.length * spacing[0] * spacing[1] * spacing[2]
+      }
+      segmentedVessels.push(vessel)
+      if (onProgress) onProgress(labelIndex, labelmap.labels.length, vessel)
+    })
+    
+    if (onProgress) onProgress(labelIndex + 1, labelmap.labels.length)
   })
   
   return {
     vessels: segmentedVessels,
     totalVessels: segmentedVessels.length,
+    tree: labelCoronaryTree(buildCoronaryTree({ vessels: segmentedVessels, volume }), volume, { aorticRoot }),
+    method: 'labelmap',
+    centerlineMethod: 'voxelCloud',
     volume: volume
   }
 }
 
+/**
+ * 26-connected components of the voxels with one label
+ */
+function findLabelComponents(labels, dimensions, label) {
+  const { width, height, depth } = dimensions
+  const sliceSize = width * height
+  const visited = new Uint8Array(labels.length)
+  const components = []
+  
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] !== label || visited[start]) continue
+    
+    const points = []
+    const queue = [start]
+    visited[start] = 1
+    
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head]
+      const z = Math.floor(index / sliceSize)
+      const y = Math.floor((index % sliceSize) / width)
+      const x = index % width
+      points.push({ x, y, z })
+      
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx
+            const ny = y + dy
+            const nz = z + dz
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height || nz < 0 || nz >= depth) continue
+            
+            const neighbor = nz * sliceSize + ny * width + nx
+            if (labels[neighbor] === label && !visited[neighbor]) {
+              visited[neighbor] = 1
+              queue.push(neighbor)
+            }
+          }
+        }
+      }
+    }
+    
+    components.push(points)
+  }
+  
+  return components
+}
+
 /**
  * Region growing segmentation for vessel extraction
  */
-function regionGrowingSegmentation(volumeData, dimensions, seedPoint, minThreshold, maxThreshold, radius, visitedVoxels) {
+function regionGrowingSegmentation(volumeData, dimensions, seedPoint, isVesselVoxel, radius, visitedVoxels) {
   const { width, height, depth } = dimensions
   const segmentedPoints = []
   const queue = [seedPoint]
@@ -209,7 +329,7 @@ function regionGrowingSegmentation(volumeData, dimensions, seedPoint, minThresho
     const intensity = volumeData[voxelIndex]
     
     // Check if voxel meets criteria (contrast-enhanced vessel)
-    if (intensity >= minThreshold && intensity <= maxThreshold) {
+    if (isVesselVoxel(x, y, z, intensity)) {
       visitedVoxels.add(voxelKey)
       segmentedPoints.push(currentPoint)
       
@@ -238,6 +358,65 @@ function regionGrowingSegmentation(volumeData, dimensions, seedPoint, minThresho
   }
 }
 
+/**
+ * Move a seed to the voxel with the highest vesselness within one voxel
+ */
+function snapSeedToVessel(vesselness, seedPoint) {
+  let best = seedPoint
+  let bestValue = vesselness.at(seedPoint.x, seedPoint.y, seedPoint.z)
+  
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const candidate = { x: seedPoint.x + dx, y: seedPoint.y + dy, z: seedPoint.z + dz }
+        const value = vesselness.at(candidate.x, candidate.y, candidate.z)
+        if (value > bestValue) {
+          best = candidate
+          bestValue = value
+        }
+      }
+    }
+  }
+  
+  return best
+}
+
+/**
+ * Voxels within the lumen radius of a minimal-path centerline
+ */
+function voxelizeCenterlineTube(centerline, dimensions, spacing, visitedVoxels) {
+  const { width, height, depth } = dimensions
+  const points = []
+  
+  centerline.forEach(point => {
+    const radius = Math.max(point.radius, Math.min(...spacing) / 2)
+    const reach = spacing.map(size => Math.ceil(radius / size))
+    
+    for (let z = Math.round(point.z) - reach[2]; z <= Math.round(point.z) + reach[2]; z++) {
+      for (let y = Math.round(point.y) - reach[1]; y <= Math.round(point.y) + reach[1]; y++) {
+        for (let x = Math.round(point.x) - reach[0]; x <= Math.round(point.x) + reach[0]; x++) {
+          if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= depth) continue
+          
+          const voxelKey = `${x},${y},${z}`
+          if (visitedVoxels.has(voxelKey)) continue
+          
+          const distance = Math.hypot(
+            (x - point.x) * spacing[0],
+            (y - point.y) * spacing[1],
+            (z - point.z) * spacing[2]
+          )
+          if (distance <= radius) {
+            visitedVoxels.add(voxelKey)
+            points.push({ x, y, z })
+          }
+        }
+      }
+    }
+  })
+  
+  return points
+}
+
 /**
  * Extract vessel centerline from segmented region using distance transform
  */
@@ -302,6 +481,9 @@ function calculateVesselLength(centerlinePoints, spacing) {
 
 /**
  * Generate simulated angiographic projection from 3D volume
+ * Cone-beam rays from the X-ray source through the volume (see coneBeamProjection.js) give a
+ * DRR of all tissue ('drr'), of the segmented coronary lumen only ('iodine') or a maximum
+ * intensity projection of the contrast window ('mip').
  * @param {Object} volume - 3D CT volume
  * @param {Object} vessels - Segmented coronary vessels
  * @param {number} raoLao - RAO/LAO angle in degrees
@@ -313,34 +495,40 @@ export function generateSimulatedProjection(volume, vessels, raoLao, cranialCaud
   const {
     projectionWidth = 512,
     projectionHeight = 512,
-    sourceDistance = 100,  // cm
-    detectorDistance = 30, // cm
-    contrastWindow = [200, 800] // HU window for vessel visualization
+    fieldOfView = 200,     // Detector field of view across the image width (mm)
+    sourceDistance = 1000, // Source to isocenter (mm)
+    detectorDistance = 300, // Isocenter to detector (mm)
+    mode = 'drr',          // 'drr', 'iodine' or 'mip'
+    stepSize = 1,          // Sample spacing along each ray (mm)
+    contrastWindow = [200, 800], // HU window for vessel visualization (mip)
+    onProgress = null      // Callback (rows, total, imageData) with the image rendered so far
   } = options
   
-  // Create projection matrix for the specified angles
-  const projectionMatrix = createAngiographicProjectionMatrix(raoLao, cranialCaudal, sourceDistance, detectorDistance)
-  
-  // Initialize projection image
-  const projectionData = new Float32Array(projectionWidth * projectionHeight)
+  // Create projection matrix for the specified angles (isocenter at the volume center)
+  const projectionMatrix = createProjectionMatrix(raoLao, cranialCaudal, sourceDistance)
+  const geometry = { fieldOfView, sourceDistance, detectorDistance }
+  const transform = createVoxelToAngiographicTransform(volume)
   
-  // Ray casting through volume
-  for (let py = 0; py < projectionHeight; py++) {
-    for (let px = 0; px < projectionWidth; px++) {
-      // Convert pixel coordinates to world coordinates
-      const worldCoords = pixelToWorldCoordinates(px, py, projectionWidth, projectionHeight)
-      
-      // Cast ray through volume
-      const rayValue = castRayThroughVolume(volume, worldCoords, projectionMatrix, contrastWindow)
-      
-      projectionData[py * projectionWidth + px] = rayValue
-    }
-  }
+  const projection = renderConeBeamProjection(volume, raoLao, cranialCaudal, {
+    width: projectionWidth,
+    height: projectionHeight,
+    ...geometry,
+    mode,
+    lumenPoints: mode === 'iodine' ? vessels.vessels.flatMap(vessel => vessel.segmentedRegion.points) : [],
+    stepSize,
+    contrastWindow,
+    onProgress
+  })
   
   // Project vessel centerlines
   const projectedVessels = vessels.vessels.map(vessel => {
     const projectedCenterline = vessel.centerline.map(point => {
-      return projectPointToImage(point, projectionMatrix, projectionWidth, projectionHeight)
+      return projectionToImageCoordinates(
+        projectPoint3D(voxelToIsocenterCoordinates(point, volume, transform), projectionMatrix),
+        projectionWidth,
+        projectionHeight,
+        geometry
+      )
     })
     
     return {
@@ -350,200 +538,488 @@ export function generateSimulatedProjection(volume, vessels, raoLao, cranialCaud
   })
   
   return {
-    imageData: projectionData,
+    imageData: projection.imageData,
+    rayValues: projection.rayValues,
     width: projectionWidth,
     height: projectionHeight,
     vessels: projectedVessels,
     angles: { raoLao, cranialCaudal },
+    mode,
     projectionMatrix
   }
 }
 
 /**
- * Create angiographic projection matrix
+ * Convert a voxel position to patient coordinates (mm) with the volume center as isocenter
  */
-function createAngiographicProjectionMatrix(raoLao, cranialCaudal, sourceDistance, detectorDistance) {
-  const raoRad = (raoLao * Math.PI) / 180
-  const cranialRad = (cranialCaudal * Math.PI) / 180
-  
-  // Standard angiographic rotations
-  const cosRao = Math.cos(raoRad)
-  const sinRao = Math.sin(raoRad)
-  const cosCranial = Math.cos(cranialRad)
-  const sinCranial = Math.sin(cranialRad)
-  
-  // Combined rotation matrix
-  const R = [
-    [cosRao * cosCranial, -sinRao, cosRao * sinCranial],
-    [sinRao * cosCranial, cosRao, sinRao * sinCranial],
-    [-sinCranial, 0, cosCranial]
-  ]
-  
-  // Camera position
-  const totalDistance = sourceDistance + detectorDistance
-  const cameraPos = [0, 0, totalDistance]
-  
-  // Apply rotation to camera position
-  const rotatedCamera = [
-    R[0][0] * cameraPos[0] + R[0][1] * cameraPos[1] + R[0][2] * cameraPos[2],
-    R[1][0] * cameraPos[0] + R[1][1] * cameraPos[1] + R[1][2] * cameraPos[2],
-    R[2][0] * cameraPos[0] + R[2][1] * cameraPos[1] + R[2][2] * cameraPos[2]
-  ]
-  
-  // Create 3x4 projection matrix
-  const t = [
-    -R[0][0] * rotatedCamera[0] - R[0][1] * rotatedCamera[1] - R[0][2] * rotatedCamera[2],
-    -R[1][0] * rotatedCamera[0] - R[1][1] * rotatedCamera[1] - R[1][2] * rotatedCamera[2],
-    -R[2][0] * rotatedCamera[0] - R[2][1] * rotatedCamera[1] - R[2][2] * rotatedCamera[2]
-  ]
-  
-  return [
-    [R[0][0], R[0][1], R[0][2], t[0]],
-    [R[1][0], R[1][1], R[1][2], t[1]],
-    [R[2][0], R[2][1], R[2][2], t[2]]
-  ]
+function voxelToIsocenterCoordinates(point, volume, transform) {
+  const { width, height, depth } = volume.dimensions
+  
+  return transform.toAngiographic([
+    point.x - width / 2,
+    point.y - height / 2,
+    point.z - depth / 2
+  ])
 }
 
 /**
- * Cast ray through volume for projection
+ * Detect bifurcations in segmented coronary tree
+ * Each bifurcation node of the coronary tree yields one bifurcation per side branch, naming
+ * its proximal, distal main and side branch segments (vessel1 is the main vessel), and is
+ * named from their anatomical labels when the tree is labeled (e.g. 'LAD/D1').
+ * @param {Object} vessels - Segmented coronary vessels ({ vessels, volume, tree })
+ * @returns {Array} Detected bifurcation points
  */
-function castRayThroughVolume(volume, worldCoords, projectionMatrix, contrastWindow) {
-  const { data, dimensions, spacing } = volume
-  const { width, height, depth } = dimensions
+export function detectCoronaryBifurcations(vessels) {
+  const tree = vessels.tree || buildCoronaryTree(vessels)
+  
+  return tree.bifurcations.map(bifurcation => ({
+    ...bifurcation,
+    label: getBifurcationLabel(tree, bifurcation),
+    confidence: calculateBifurcationConfidence(
+      { length: getDistalLength(tree, bifurcation.distalMainSegmentId) },
+      { length: getDistalLength(tree, bifurcation.sideBranchSegmentId) },
+      bifurcation.point
+    )
+  }))
+}
+
+/**
+ * Calculate confidence score for bifurcation detection
+ */
+function calculateBifurcationConfidence(vessel1, vessel2, bifurcationPoint) {
+  // Simple confidence based on vessel lengths and proximity
+  const minLength = Math.min(vessel1.length, vessel2.length)
+  const maxLength = Math.max(vessel1.length, vessel2.length)
   
-  // Simplified ray casting - maximum intensity projection (MIP)
-  let maxIntensity = -1000 // Start with very low HU value
+  // Higher confidence for longer vessels
+  const lengthScore = Math.min(minLength / 20, 1) // Normalize to 20mm
   
-  // Sample along ray through volume
-  const numSamples = Math.max(width, height, depth)
+  // Higher confidence for more balanced vessel lengths
+  const balanceScore = minLength / maxLength
   
-  for (let i = 0; i < numSamples; i++) {
-    const t = i / numSamples
-    
-    // Calculate 3D position along ray
-    const x = Math.round(worldCoords.x + t * (width - worldCoords.x))
-    const y = Math.round(worldCoords.y + t * (height - worldCoords.y))
-    const z = Math.round(worldCoords.z + t * (depth - worldCoords.z))
-    
-    // Check bounds
-    if (x >= 0 && x < width && y >= 0 && y < height && z >= 0 && z < depth) {
-      const voxelIndex = z * width * height + y * width + x
-      const intensity = data[voxelIndex]
-      
-      // Only consider intensities in contrast window (vessels)
-      if (intensity >= contrastWindow[0] && intensity <= contrastWindow[1]) {
-        maxIntensity = Math.max(maxIntensity, intensity)
-      }
-    }
+  return (lengthScore + balanceScore) / 2
+}
+
+/**
+ * Calculate 3D vessel directions around a detected bifurcation
+ * Directions are returned in the angiographic patient coordinate system used by
+ * the angle optimizer (X: patient left, Y: anterior, Z: head), using the volume's
+ * voxel-to-patient affine (axial slices ordered from feet to head if it has none).
+ * @param {Object} vessels - Segmented coronary vessels ({ vessels, volume, tree })
+ * @param {Object} bifurcation - Bifurcation from detectCoronaryBifurcations
+ * @param {Object} options - Direction parameters
+ * @returns {Object} Unit direction vectors for main, branch1 and branch2
+ */
+export function calculateBifurcationDirections3D(vessels, bifurcation, options = {}) {
+  const {
+    segmentLength = 10,   // Length of segment used for each direction (mm)
+    minArmLength = 3      // Minimum arm length to count as a vessel segment (mm)
+  } = options
+  
+  const spacing = vessels.volume?.spacing || [1, 1, 1]
+  const transform = createVoxelToAngiographicTransform(vessels.volume)
+  const [vessel1, vessel2] = getBifurcationVessels(vessels, bifurcation)
+  
+  const arms1 = splitCenterlineAtPoint(vessel1.centerline, bifurcation.point, spacing)
+  const arms2 = splitCenterlineAtPoint(vessel2.centerline, bifurcation.point, spacing)
+  
+  const armDirection = (arm) => {
+    if (armLength(arm, bifurcation.point, spacing) < minArmLength) return null
+    return directionAlongArm(arm, bifurcation.point, spacing, segmentLength, transform)
+  }
+  
+  const proximal1 = armDirection(arms1.proximal)
+  const distal1 = armDirection(arms1.distal)
+  const proximal2 = armDirection(arms2.proximal)
+  const distal2 = armDirection(arms2.distal)
+  
+  // The vessel that runs through the bifurcation is the main vessel; the other
+  // contributes the side branch
+  let main, branch1, branch2, mainVesselId
+  if (proximal1 && distal1 && distal2) {
+    main = proximal1
+    branch1 = distal1
+    branch2 = distal2
+    mainVesselId = vessel1.id
+  } else if (proximal2 && distal2 && distal1) {
+    main = proximal2
+    branch1 = distal2
+    branch2 = distal1
+    mainVesselId = vessel2.id
+  } else if (distal1 && distal2) {
+    // Both vessels start at the bifurcation (e.g. LAD and LCx seeded from the
+    // left main): approximate the main vessel as the reversed branch bisector
+    branch1 = distal1
+    branch2 = distal2
+    main = normalizeVector3D([
+      -(distal1[0] + distal2[0]),
+      -(distal1[1] + distal2[1]),
+      -(distal1[2] + distal2[2])
+    ])
+    mainVesselId = null
+  } else {
+    throw new Error('Vessel segments around the bifurcation are too short')
   }
   
-  return maxIntensity > -1000 ? maxIntensity : 0
+  if (!main) {
+    throw new Error('Branches are opposed - cannot determine main vessel direction')
+  }
+  
+  return {
+    main,
+    branch1,
+    branch2,
+    mainVesselId,
+    segmentLength
+  }
 }
 
 /**
- * Convert pixel coordinates to world coordinates
+ * The two vessels meeting at a bifurcation
+ * With a coronary tree these are the main and side branch centerlines through the node, so
+ * the main vessel comes first; otherwise the vessels are looked up by id.
  */
-function pixelToWorldCoordinates(px, py, width, height) {
-  return {
-    x: (px / width) * 512,  // Assuming 512x512 volume
-    y: (py / height) * 512,
-    z: 0
+function getBifurcationVessels(vessels, bifurcation) {
+  if (vessels.tree && bifurcation.nodeId) {
+    const { main, side } = getBifurcationCenterlines(vessels.tree, bifurcation)
+    return [
+      { id: bifurcation.vessel1, centerline: main },
+      { id: bifurcation.vessel2, centerline: side }
+    ]
+  }
+  
+  const vessel1 = vessels.vessels.find(vessel => vessel.id === bifurcation.vessel1)
+  const vessel2 = vessels.vessels.find(vessel => vessel.id === bifurcation.vessel2)
+  
+  if (!vessel1 || !vessel2) {
+    throw new Error(`Vessels for ${bifurcation.id} not found in segmentation`)
   }
+  
+  return [vessel1, vessel2]
 }
 
 /**
- * Project 3D point to 2D image coordinates
+ * Split a centerline into proximal and distal arms at the point closest to a bifurcation
  */
-function projectPointToImage(point3D, projectionMatrix, imageWidth, imageHeight) {
-  // Apply projection matrix
-  const homogeneous = [
-    projectionMatrix[0][0] * point3D.x + projectionMatrix[0][1] * point3D.y + projectionMatrix[0][2] * point3D.z + projectionMatrix[0][3],
-    projectionMatrix[1][0] * point3D.x + projectionMatrix[1][1] * point3D.y + projectionMatrix[1][2] * point3D.z + projectionMatrix[1][3],
-    projectionMatrix[2][0] * point3D.x + projectionMatrix[2][1] * point3D.y + projectionMatrix[2][2] * point3D.z + projectionMatrix[2][3]
-  ]
-  
-  // Convert to 2D coordinates
-  if (homogeneous[2] !== 0) {
-    return {
-      x: (homogeneous[0] / homogeneous[2]) * imageWidth / 2 + imageWidth / 2,
-      y: (homogeneous[1] / homogeneous[2]) * imageHeight / 2 + imageHeight / 2
+function splitCenterlineAtPoint(centerline, point, spacing) {
+  let closestIndex = 0
+  let closestDistance = Infinity
+  
+  centerline.forEach((centerlinePoint, index) => {
+    const distance = physicalDistance(centerlinePoint, point, spacing)
+    if (distance < closestDistance) {
+      closestDistance = distance
+      closestIndex = index
     }
+  })
+  
+  return {
+    // Centerlines are ordered from the seed point, which sits proximally
+    proximal: centerline.slice(0, closestIndex + 1).reverse(),
+    distal: centerline.slice(closestIndex)
   }
+}
+
+/**
+ * Distance from the bifurcation point to the far end of an arm (mm)
+ */
+function armLength(arm, origin, spacing) {
+  if (arm.length === 0) return 0
+  return physicalDistance(arm[arm.length - 1], origin, spacing)
+}
+
+/**
+ * Unit direction (in angiographic patient coordinates) from the bifurcation point along an arm
+ */
+function directionAlongArm(arm, origin, spacing, segmentLength, transform) {
+  const target = arm.find(point => physicalDistance(point, origin, spacing) >= segmentLength) ||
+    arm[arm.length - 1]
   
-  return { x: 0, y: 0 }
+  return normalizeVector3D(transform.toAngiographic([
+    target.x - origin.x,
+    target.y - origin.y,
+    target.z - origin.z
+  ]))
+}
+
+function physicalDistance(p1, p2, spacing) {
+  return Math.sqrt(
+    Math.pow((p1.x - p2.x) * spacing[0], 2) +
+    Math.pow((p1.y - p2.y) * spacing[1], 2) +
+    Math.pow((p1.z - p2.z) * spacing[2], 2)
+  )
+}
+
+function normalizeVector3D(vector) {
+  const length = Math.sqrt(vector[0] * vector[0] + vector[1] * vector[1] + vector[2] * vector[2])
+  if (length === 0) return null
+  return [vector[0] / length, vector[1] / length, vector[2] / length]
 }
 
 /**
- * Detect bifurcations in segmented coronary tree
- * @param {Object} vessels - Segmented coronary vessels
- * @returns {Array} Detected bifurcation points
+ * Measure how much other contrast-filled structures overlap the bifurcation in a projection
+ * The bifurcation region is the projected silhouette of the segments used for the
+ * vessel directions. Segmented voxels further than the exclusion margin from those
+ * segments that project into the region count as overlap; optionally, unsegmented
+ * voxels in the contrast window along each ray through the region are counted too.
+ * @param {Object} vessels - Segmented coronary vessels ({ vessels, volume, tree })
+ * @param {Object} bifurcation - Bifurcation from detectCoronaryBifurcations
+ * @param {number} raoLao - RAO/LAO angle in degrees
+ * @param {number} cranialCaudal - Cranial/caudal angle in degrees
+ * @param {Object} options - Overlap parameters
+ * @returns {Object} Covered fraction (0-1) of the bifurcation region, in total and per source
  */
-export function detectCoronaryBifurcations(vessels) {
-  const bifurcations = []
+export function calculateVesselOverlap(vessels, bifurcation, raoLao, cranialCaudal, options = {}) {
+  const scene = prepareOverlapScene(vessels, bifurcation, options)
+  return measureOverlap(scene, raoLao, cranialCaudal)
+}
+
+/**
+ * Evaluate vessel overlap over the whole RAO/LAO x cranial/caudal grid
+ * The result has the same grid (createAngleGrid) and layout as calculateForeshorteningMap,
+ * with layers overlap (total), vessels (segmented vessels only) and background.
+ * @param {Object} vessels - Segmented coronary vessels ({ vessels, volume, tree })
+ * @param {Object} bifurcation - Bifurcation from detectCoronaryBifurcations
+ * @param {Object} options - Grid step in degrees, onProgress (callback (rows, total)) plus
+ *   calculateVesselOverlap options
+ * @returns {Object} Grid axes and layers[name][cranialIndex][raoIndex]
+ */
+export function calculateOverlapMap(vessels, bifurcation, options = {}) {
+  const { step = 5, onProgress = null } = options
+  const scene = prepareOverlapScene(vessels, bifurcation, options)
+  const { raoLaoValues, cranialCaudalValues } = createAngleGrid(step)
+  
+  const layers = { overlap: [], vessels: [], background: [] }
+  
+  cranialCaudalValues.forEach((cranialCaudal, rowIndex) => {
+    const rows = { overlap: [], vessels: [], background: [] }
+    
+    raoLaoValues.forEach(raoLao => {
+      const result = measureOverlap(scene, raoLao, cranialCaudal)
+      rows.overlap.push(result.overlap)
+      rows.vessels.push(result.vesselOverlap)
+      rows.background.push(result.backgroundOverlap)
+    })
+    
+    Object.keys(layers).forEach(name => layers[name].push(rows[name]))
+    if (onProgress) onProgress(rowIndex + 1, cranialCaudalValues.length)
+  })
+  
+  return {
+    raoLaoValues,
+    cranialCaudalValues,
+    layers,
+    includesBackground: scene.background !== null
+  }
+}
+
+/**
+ * Create an optimizer penalty from an overlap map
+ * @param {Object} overlapMap - Result of calculateOverlapMap
+ * @param {number} weight - Score deduction for a fully overlapped bifurcation
+ * @returns {Function} penalty(raoLao, cranialCaudal) for calculateOptimalViewingAngles
+ */
+export function createOverlapPenalty(overlapMap, weight = DEFAULT_OVERLAP_WEIGHT) {
+  return (raoLao, cranialCaudal) => weight * sampleMapLayer(overlapMap, 'overlap', raoLao, cranialCaudal)
+}
+
+/**
+ * Collect the bifurcation segments and potential overlapping voxels in patient coordinates (mm)
+ * relative to the bifurcation point
+ */
+function prepareOverlapScene(vessels, bifurcation, options) {
+  const {
+    segmentLength = 10,          // Length of each bifurcation segment (mm)
+    vesselRadius = 1.5,          // Radius used to draw the bifurcation segments (mm)
+    exclusionMargin = 3,         // Voxels this close to the segments belong to them (mm)
+    pixelSize = 0.5,             // Detector sampling at the isocenter (mm)
+    maxVoxels = 20000,           // Segmented voxels used per projection
+    includeBackground = false,   // Also count unsegmented contrast along each ray
+    contrastWindow = [200, 800], // HU window for contrast-filled structures
+    rayHalfLength = 80,          // Ray extent on either side of the bifurcation (mm)
+    rayStep = 1                  // Ray sampling step (mm)
+  } = options
+  
+  const volume = vessels.volume
+  const spacing = volume?.spacing || [1, 1, 1]
+  const origin = bifurcation.point
+  const transform = createVoxelToAngiographicTransform(volume)
+  const toPatient = (point) => transform.toAngiographic([
+    point.x - origin.x,
+    point.y - origin.y,
+    point.z - origin.z
+  ])
   
-  // Simple bifurcation detection based on vessel proximity
-  vessels.vessels.forEach((vessel1, i) => {
-    vessels.vessels.forEach((vessel2, j) => {
-      if (i >= j) return
+  // Bifurcation segments: centerline points within segmentLength, densified so the
+  // projected silhouette has no gaps
+  const targetVessels = getBifurcationVessels(vessels, bifurcation)
+  const targetPoints = []
+  targetVessels.forEach(vessel => {
+    
+    const nearby = vessel.centerline
+      .filter(point => physicalDistance(point, origin, spacing) <= segmentLength)
+      .map(toPatient)
+    
+    nearby.forEach((point, index) => {
+      targetPoints.push(point)
+      const next = nearby[index + 1]
+      if (!next) return
       
-      // Check if vessels are close enough to form a bifurcation
-      const bifurcationPoint = findVesselIntersection(vessel1.centerline, vessel2.centerline)
+      const gap = Math.hypot(next[0] - point[0], next[1] - point[1], next[2] - point[2])
+      if (gap > 2 * exclusionMargin) return
       
-      if (bifurcationPoint) {
-        bifurcations.push({
-          id: `bifurcation_${i}_${j}`,
-          point: bifurcationPoint,
-          vessel1: vessel1.id,
-          vessel2: vessel2.id,
-          confidence: calculateBifurcationConfidence(vessel1, vessel2, bifurcationPoint)
-        })
+      for (let t = pixelSize; t < gap; t += pixelSize) {
+        const f = t / gap
+        targetPoints.push([
+          point[0] + (next[0] - point[0]) * f,
+          point[1] + (next[1] - point[1]) * f,
+          point[2] + (next[2] - point[2]) * f
+        ])
       }
     })
   })
   
-  return bifurcations
+  if (targetPoints.length === 0) {
+    throw new Error(`No centerline points found around ${bifurcation.id}`)
+  }
+  
+  // Segmented voxels that do not belong to the bifurcation segments
+  const allVoxels = vessels.vessels.flatMap(vessel => vessel.segmentedRegion?.points || [])
+  const stride = Math.max(1, Math.ceil(allVoxels.length / maxVoxels))
+  const exclusionRadius = vesselRadius + exclusionMargin
+  const occluders = []
+  
+  for (let i = 0; i < allVoxels.length; i += stride) {
+    const point = toPatient(allVoxels[i])
+    const nearTarget = targetPoints.some(target =>
+      Math.hypot(point[0] - target[0], point[1] - target[1], point[2] - target[2]) < exclusionRadius
+    )
+    if (!nearTarget) occluders.push(point)
+  }
+  
+  return {
+    targetPoints,
+    occluders,
+    // Each voxel covers at least its own footprint, grown to fill the gaps left by subsampling
+    occluderRadius: Math.max(pixelSize, Math.max(...spacing) / 2) * stride ** (1 / 3),
+    vesselRadius,
+    exclusionMargin,
+    pixelSize,
+    background: includeBackground && volume?.data
+      ? { volume, transform, origin, contrastWindow, rayHalfLength, rayStep }
+      : null
+  }
 }
 
 /**
- * Find intersection point between two vessel centerlines
+ * Project the scene at one angle and measure the covered part of the bifurcation region
  */
-function findVesselIntersection(centerline1, centerline2) {
-  const proximityThreshold = 5 // mm
-  
-  for (const point1 of centerline1) {
-    for (const point2 of centerline2) {
-      const distance = Math.sqrt(
-        Math.pow(point1.x - point2.x, 2) +
-        Math.pow(point1.y - point2.y, 2) +
-        Math.pow(point1.z - point2.z, 2)
-      )
-      
-      if (distance < proximityThreshold) {
-        return {
-          x: (point1.x + point2.x) / 2,
-          y: (point1.y + point2.y) / 2,
-          z: (point1.z + point2.z) / 2
-        }
+function measureOverlap(scene, raoLao, cranialCaudal) {
+  const { targetPoints, occluders, occluderRadius, vesselRadius, exclusionMargin, pixelSize, background } = scene
+  const [xAxis, yAxis, viewAxis] = createCameraRotation(raoLao, cranialCaudal)
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+  
+  // Detector cells covered by the bifurcation segments, with the depth range of the segments
+  const region = new Map()
+  targetPoints.forEach(point => {
+    const depth = dot(point, viewAxis)
+    forEachCellInDisc(dot(point, xAxis), dot(point, yAxis), vesselRadius, pixelSize, (key, i, j) => {
+      const cell = region.get(key)
+      if (cell) {
+        cell.minDepth = Math.min(cell.minDepth, depth)
+        cell.maxDepth = Math.max(cell.maxDepth, depth)
+      } else {
+        region.set(key, { i, j, minDepth: depth, maxDepth: depth })
       }
-    }
+    })
+  })
+  
+  // Bounding box of the region, so occluders projecting elsewhere are skipped cheaply
+  let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity
+  region.forEach(({ i, j }) => {
+    minU = Math.min(minU, i * pixelSize)
+    maxU = Math.max(maxU, i * pixelSize)
+    minV = Math.min(minV, j * pixelSize)
+    maxV = Math.max(maxV, j * pixelSize)
+  })
+  
+  const vesselCovered = new Set()
+  occluders.forEach(point => {
+    const u = dot(point, xAxis)
+    const v = dot(point, yAxis)
+    if (u < minU - occluderRadius || u > maxU + occluderRadius ||
+        v < minV - occluderRadius || v > maxV + occluderRadius) return
+    
+    forEachCellInDisc(u, v, occluderRadius, pixelSize, (key) => {
+      if (region.has(key)) vesselCovered.add(key)
+    })
+  })
+  
+  const backgroundCovered = new Set()
+  if (background) {
+    region.forEach((cell, key) => {
+      if (rayHitsContrast(background, cell, xAxis, yAxis, viewAxis, pixelSize, exclusionMargin)) {
+        backgroundCovered.add(key)
+      }
+    })
   }
   
-  return null
+  const covered = new Set([...vesselCovered, ...backgroundCovered])
+  
+  return {
+    overlap: covered.size / region.size,
+    vesselOverlap: vesselCovered.size / region.size,
+    backgroundOverlap: backgroundCovered.size / region.size
+  }
 }
 
 /**
- * Calculate confidence score for bifurcation detection
+ * Call back for every detector cell within a disc
  */
-function calculateBifurcationConfidence(vessel1, vessel2, bifurcationPoint) {
-  // Simple confidence based on vessel lengths and proximity
-  const minLength = Math.min(vessel1.length, vessel2.length)
-  const maxLength = Math.max(vessel1.length, vessel2.length)
+function forEachCellInDisc(u, v, radius, pixelSize, callback) {
+  const cells = Math.ceil(radius / pixelSize)
+  const centerI = Math.round(u / pixelSize)
+  const centerJ = Math.round(v / pixelSize)
   
-  // Higher confidence for longer vessels
-  const lengthScore = Math.min(minLength / 20, 1) // Normalize to 20mm
+  for (let i = centerI - cells; i <= centerI + cells; i++) {
+    for (let j = centerJ - cells; j <= centerJ + cells; j++) {
+      if (Math.hypot(i * pixelSize - u, j * pixelSize - v) <= radius) {
+        callback(i * 65536 + j, i, j)
+      }
+    }
+  }
+}
+
+/**
+ * March along the ray through a detector cell looking for contrast outside the bifurcation segments
+ */
+function rayHitsContrast(background, cell, xAxis, yAxis, viewAxis, pixelSize, exclusionMargin) {
+  const { volume, transform, origin, contrastWindow, rayHalfLength, rayStep } = background
+  const { data, dimensions } = volume
+  const { width, height, depth } = dimensions
+  const u = cell.i * pixelSize
+  const v = cell.j * pixelSize
   
-  // Higher confidence for more balanced vessel lengths
-  const balanceScore = minLength / maxLength
+  // Ray through the cell in voxel coordinates: start + t * direction
+  const start = transform.toVoxelOffset([0, 1, 2].map(axis => u * xAxis[axis] + v * yAxis[axis]))
+  const [stepX, stepY, stepZ] = transform.toVoxelOffset(viewAxis)
+  const startX = origin.x + start[0]
+  const startY = origin.y + start[1]
+  const startZ = origin.z + start[2]
   
-  return (lengthScore + balanceScore) / 2
+  for (let t = -rayHalfLength; t <= rayHalfLength; t += rayStep) {
+    if (t > cell.minDepth - exclusionMargin && t < cell.maxDepth + exclusionMargin) continue
+    
+    const x = Math.round(startX + t * stepX)
+    const y = Math.round(startY + t * stepY)
+    const z = Math.round(startZ + t * stepZ)
+    
+    if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= depth) continue
+    
+    const value = data[z * width * height + y * width + x]
+    if (value >= contrastWindow[0] && value <= contrastWindow[1]) return true
+  }
+  
+  return false
 }
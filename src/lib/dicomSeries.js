@@ -0,0 +1,243 @@
+/**
+ * DICOM Series Discovery
+ * Groups uploaded files into series by Study/Series Instance UID (and cardiac phase),
+ * either from a DICOMDIR index or by reading each file's header.
+ */
+
+import * as dicomParser from 'dicom-parser'
+
+// Bytes read first when parsing a header; larger headers fall back to the whole file
+const HEADER_READ_BYTES = 64 * 1024
+
+/**
+ * Group DICOM files into series
+ * If a DICOMDIR is among the files (folder upload of a CD), its directory records define
+ * the series and only one header per series is read. Otherwise every file header is read
+ * and files are grouped by Study Instance UID, Series Instance UID and cardiac phase.
+ * @param {FileList|Array<File>} files - Uploaded files
+ * @param {Function} onProgress - Optional callback (processed, total)
+ * @returns {Promise<Object>} { series, source ('dicomdir' | 'files'), skipped, missing }
+ */
+export async function scanDicomFiles(files, onProgress = null) {
+  const fileList = Array.from(files)
+  const dicomDirFile = fileList.find(file => file.name.toUpperCase() === 'DICOMDIR')
+
+  if (dicomDirFile) {
+    return scanDicomDir(dicomDirFile, fileList, onProgress)
+  }
+
+  const groups = new Map()
+  let skipped = 0
+
+  for (let i = 0; i < fileList.length; i++) {
+    const file = fileList[i]
+
+    try {
+      const header = await readDicomHeader(file)
+      const entry = describeSeries(header)
+
+      if (!groups.has(entry.key)) {
+        groups.set(entry.key, { ...entry, files: [] })
+      }
+      groups.get(entry.key).files.push(file)
+    } catch (error) {
+      console.warn(`Skipping ${file.name}: not a readable DICOM file`, error)
+      skipped++
+    }
+
+    if (onProgress) onProgress(i + 1, fileList.length)
+  }
+
+  return {
+    series: sortSeries([...groups.values()]),
+    source: 'files',
+    skipped,
+    missing: 0
+  }
+}
+
+/**
+ * Parse the directory records of a DICOMDIR
+ * @param {Uint8Array} byteArray - DICOMDIR file contents
+ * @returns {Array<Object>} Series records with study details and referenced file paths
+ */
+export function parseDicomDir(byteArray) {
+  const dataSet = dicomParser.parseDicom(byteArray)
+  const records = dataSet.elements.x00041220?.items
+
+  if (!records) {
+    throw new Error('DICOMDIR has no directory records')
+  }
+
+  const series = []
+  let currentStudy = null
+  let currentSeries = null
+
+  // Records are listed depth-first: PATIENT, STUDY, SERIES, IMAGE...
+  records.forEach(item => {
+    const record = item.dataSet
+    const type = record.string('x00041430')
+
+    if (type === 'STUDY') {
+      currentStudy = {
+        studyInstanceUid: record.string('x0020000d') || '',
+        studyDescription: record.string('x00081030') || '',
+        studyDate: record.string('x00080020') || ''
+      }
+    } else if (type === 'SERIES') {
+      currentSeries = {
+        ...currentStudy,
+        seriesInstanceUid: record.string('x0020000e') || '',
+        seriesNumber: parseInt(record.string('x00200011'), 10) || 0,
+        seriesDescription: record.string('x0008103e') || '',
+        modality: record.string('x00080060') || '',
+        filePaths: []
+      }
+      series.push(currentSeries)
+    } else if (currentSeries && record.string('x00041500')) {
+      // IMAGE (and other leaf) records reference files relative to the DICOMDIR
+      currentSeries.filePaths.push(record.string('x00041500').split('\\').join('/'))
+    }
+  })
+
+  return series.filter(entry => entry.filePaths.length > 0)
+}
+
+/**
+ * Parse a file's DICOM header, reading only its start when that is enough
+ * @param {File} file - DICOM file
+ * @returns {Promise<Object>} dicom-parser DataSet up to the pixel data
+ */
+export async function readDicomHeader(file) {
+  const options = { untilTag: 'x7fe00010' }
+
+  if (file.size > HEADER_READ_BYTES) {
+    try {
+      const start = new Uint8Array(await file.slice(0, HEADER_READ_BYTES).arrayBuffer())
+      const dataSet = dicomParser.parseDicom(start, options)
+      if (dataSet.elements.x7fe00010) return dataSet
+    } catch {
+      // Header longer than the first chunk
+    }
+  }
+
+  return dicomParser.parseDicom(new Uint8Array(await file.arrayBuffer()), options)
+}
+
+/**
+ * Series from a DICOMDIR, matched to the uploaded files by relative path
+ */
+async function scanDicomDir(dicomDirFile, fileList, onProgress) {
+  const records = parseDicomDir(new Uint8Array(await dicomDirFile.arrayBuffer()))
+
+  // Paths are relative to the folder containing the DICOMDIR
+  const basePath = relativePath(dicomDirFile).slice(0, -'DICOMDIR'.length).toUpperCase()
+  const filesByPath = new Map()
+  const filesByName = new Map()
+  fileList.forEach(file => {
+    const path = relativePath(file).toUpperCase()
+    if (path.startsWith(basePath)) filesByPath.set(path.slice(basePath.length), file)
+    filesByName.set(file.name.toUpperCase(), file)
+  })
+
+  // Without folder paths (plain multi-file selection) fall back to the file name
+  const findFile = (path) => filesByPath.get(path.toUpperCase()) ||
+    (basePath === '' ? filesByName.get(path.split('/').pop().toUpperCase()) : undefined)
+
+  const series = []
+  let missing = 0
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i]
+    const files = record.filePaths
+      .map(findFile)
+      .filter(Boolean)
+    missing += record.filePaths.length - files.length
+
+    if (files.length > 0) {
+      // Thickness and phase are not part of the directory records
+      const details = describeSeries(await readDicomHeader(files[0]))
+      series.push({
+        ...details,
+        key: `${record.studyInstanceUid}|${record.seriesInstanceUid}`,
+        studyInstanceUid: record.studyInstanceUid,
+        seriesInstanceUid: record.seriesInstanceUid,
+        studyDescription: record.studyDescription || details.studyDescription,
+        studyDate: record.studyDate || details.studyDate,
+        seriesNumber: record.seriesNumber || details.seriesNumber,
+        seriesDescription: record.seriesDescription || details.seriesDescription,
+        modality: record.modality || details.modality,
+        files
+      })
+    }
+
+    if (onProgress) onProgress(i + 1, records.length)
+  }
+
+  if (missing > 0) {
+    console.warn(`DICOMDIR references ${missing} files that were not uploaded`)
+  }
+
+  return {
+    series: sortSeries(series),
+    source: 'dicomdir',
+    skipped: 0,
+    missing
+  }
+}
+
+/**
+ * Series details from a file header
+ */
+function describeSeries(dataSet) {
+  const studyInstanceUid = dataSet.string('x0020000d') || ''
+  const seriesInstanceUid = dataSet.string('x0020000e') || ''
+  const seriesDescription = dataSet.string('x0008103e') || ''
+  const phase = cardiacPhase(dataSet, seriesDescription)
+
+  return {
+    // Some scanners store several reconstructed phases in one series
+    key: `${studyInstanceUid}|${seriesInstanceUid}|${phase ?? ''}`,
+    studyInstanceUid,
+    seriesInstanceUid,
+    studyDescription: dataSet.string('x00081030') || '',
+    studyDate: dataSet.string('x00080020') || '',
+    seriesNumber: parseInt(dataSet.string('x00200011'), 10) || 0,
+    seriesDescription,
+    modality: dataSet.string('x00080060') || '',
+    phase,
+    sliceThickness: parseFloat(dataSet.string('x00180050')) || null,
+    isLocalizer: (dataSet.string('x00080008') || '').toUpperCase().includes('LOCALIZER')
+  }
+}
+
+/**
+ * Cardiac phase in % of the R-R interval
+ * Uses Nominal Percentage of Cardiac Phase, falling back to a percentage in the
+ * series description or image comments (e.g. "CTA 0.6 B26f 75%").
+ */
+function cardiacPhase(dataSet, seriesDescription) {
+  if (dataSet.elements.x00209241) {
+    return Math.round(dataSet.float('x00209241') * 10) / 10
+  }
+
+  const text = `${seriesDescription} ${dataSet.string('x00204000') || ''}`
+  const match = text.match(/(\d{1,3}(?:\.\d+)?)\s*%/)
+  return match && parseFloat(match[1]) <= 100 ? parseFloat(match[1]) : null
+}
+
+/**
+ * Order by study, then series number, with localizers last within a study
+ */
+function sortSeries(series) {
+  return series.sort((a, b) =>
+    a.studyInstanceUid.localeCompare(b.studyInstanceUid) ||
+    Number(a.isLocalizer) - Number(b.isLocalizer) ||
+    a.seriesNumber - b.seriesNumber ||
+    (a.phase ?? 0) - (b.phase ?? 0)
+  )
+}
+
+function relativePath(file) {
+  return file.webkitRelativePath || file.name
+}
@@ -0,0 +1,251 @@
+/**
+ * DICOM Volume Decoder
+ * Reads a CT series into the Hounsfield unit volume with dicom-parser alone, without the
+ * browser window cornerstone needs, so the CT worker pool can load series off the main
+ * thread. Uncompressed (little or big endian) and RLE Lossless slices are decoded here;
+ * series in other transfer syntaxes (JPEG, JPEG-LS, JPEG 2000) are left to cornerstone in
+ * dicomLoader.js.
+ */
+
+import * as dicomParser from 'dicom-parser'
+import { parseDicomNumbers, computeSliceGeometry } from './dicomGeometry'
+import { validateHounsfieldCalibration } from './dicomProcessor'
+import { readDicomHeader } from './dicomSeries'
+
+// Range of the Int16Array holding the HU volume
+const INT16_RANGE = [-32768, 32767]
+
+// Transfer syntaxes decoded here; files without one are taken as Implicit VR Little Endian
+const IMPLICIT_LITTLE_ENDIAN = '1.2.840.10008.1.2'
+const EXPLICIT_LITTLE_ENDIAN = '1.2.840.10008.1.2.1'
+const EXPLICIT_BIG_ENDIAN = '1.2.840.10008.1.2.2'
+const RLE_LOSSLESS = '1.2.840.10008.1.2.5'
+const SUPPORTED_TRANSFER_SYNTAXES = [IMPLICIT_LITTLE_ENDIAN, EXPLICIT_LITTLE_ENDIAN, EXPLICIT_BIG_ENDIAN, RLE_LOSSLESS]
+
+// Names of the compressed transfer syntaxes by UID prefix, for messages
+const COMPRESSED_TRANSFER_SYNTAX_NAMES = [
+  ['1.2.840.10008.1.2.4.8', 'JPEG-LS'],
+  ['1.2.840.10008.1.2.4.9', 'JPEG 2000'],
+  ['1.2.840.10008.1.2.4.', 'JPEG']
+]
+
+// Share of the progress spent reading headers; the rest decodes slices
+const HEADER_PROGRESS = 0.3
+
+/**
+ * Per-slice metadata from a DICOM header
+ * @param {Object} dataSet - dicom-parser DataSet
+ * @param {number} index - Position of the file in the upload (fallback ordering)
+ * @returns {Object} Slice position, orientation, spacing, rescale and size
+ */
+export function describeDicomSlice(dataSet, index) {
+  return {
+    instanceNumber: dataSet.string('x00200013') || index,
+    sliceLocation: parseFloat(dataSet.string('x00201041')) || index,
+    imagePositionPatient: parseDicomNumbers(dataSet.string('x00200032'), 3),
+    imageOrientationPatient: parseDicomNumbers(dataSet.string('x00200037'), 6),
+    pixelSpacing: parseDicomNumbers(dataSet.string('x00280030'), 2) || [1, 1],
+    sliceThickness: parseFloat(dataSet.string('x00180050')) || 1,
+    rescaleSlope: parseDicomNumbers(dataSet.string('x00281053'), 1)?.[0] ?? null,
+    rescaleIntercept: parseDicomNumbers(dataSet.string('x00281052'), 1)?.[0] ?? null,
+    rescaleType: dataSet.string('x00281054')?.trim() || null,
+    rows: dataSet.uint16('x00280010'),
+    columns: dataSet.uint16('x00280011'),
+    // First value of multi-valued window settings
+    windowCenter: parseFloat(dataSet.string('x00281050')) || null,
+    windowWidth: parseFloat(dataSet.string('x00281051')) || null
+  }
+}
+
+/**
+ * Readable name of a transfer syntax that is not decoded here
+ * @param {string} transferSyntax - Transfer Syntax UID
+ * @returns {string} Compression name, or the UID when it is not a known one
+ */
+export function describeTransferSyntax(transferSyntax) {
+  const match = COMPRESSED_TRANSFER_SYNTAX_NAMES.find(([prefix]) => transferSyntax.startsWith(prefix))
+  return match ? match[1] : transferSyntax
+}
+
+/**
+ * Read a DICOM CT series into a dataset and HU volume
+ * Headers are read first to order the slices along their normal; then each slice's pixel
+ * data is decoded and rescaled with its Rescale Slope and Intercept.
+ * @param {Array<File>} files - Files of one series
+ * @param {Object} options - onProgress (callback (progress 0-1))
+ * @returns {Promise<Object>} { dataset, volume } shaped like loadDicomCTDataset and
+ *   create3DVolumeFromDicom results, or { unsupportedTransferSyntax } when a slice has to be
+ *   decoded by cornerstone
+ */
+export async function readDicomVolume(files, options = {}) {
+  const { onProgress = null } = options
+  const headers = []
+
+  for (let i = 0; i < files.length; i++) {
+    try {
+      const dataSet = await readDicomHeader(files[i])
+      const transferSyntax = dataSet.string('x00020010')?.trim() || IMPLICIT_LITTLE_ENDIAN
+      if (!SUPPORTED_TRANSFER_SYNTAXES.includes(transferSyntax)) {
+        return { unsupportedTransferSyntax: transferSyntax }
+      }
+      headers.push({ ...describeDicomSlice(dataSet, i), fileIndex: i })
+    } catch (error) {
+      console.warn(`Failed to read DICOM header of ${files[i].name}:`, error)
+    }
+
+    if (onProgress) onProgress(((i + 1) / files.length) * HEADER_PROGRESS)
+  }
+
+  if (headers.length === 0) {
+    throw new Error('No readable DICOM slices found')
+  }
+
+  // Sort along the slice normal and derive spacing and orientation
+  const { slices: metadata, geometry } = computeSliceGeometry(headers)
+  geometry.warnings.forEach(warning => console.warn(`DICOM geometry: ${warning}`))
+
+  const calibration = validateHounsfieldCalibration(metadata)
+  calibration.warnings.forEach(warning => console.warn(`DICOM calibration: ${warning}`))
+
+  const dimensions = {
+    width: metadata[0].columns || 512,
+    height: metadata[0].rows || 512,
+    depth: metadata.length,
+    pixelSpacing: metadata[0].pixelSpacing,
+    sliceThickness: metadata[0].sliceThickness || 1,
+    sliceSpacing: geometry.sliceSpacing
+  }
+  const { width, height, depth } = dimensions
+  const data = new Int16Array(width * height * depth)
+
+  for (let i = 0; i < depth; i++) {
+    const slice = metadata[i]
+
+    try {
+      if (slice.columns !== width || slice.rows !== height) {
+        throw new Error(`slice is ${slice.columns}×${slice.rows}, the series ${width}×${height}`)
+      }
+
+      const byteArray = new Uint8Array(await files[slice.fileIndex].arrayBuffer())
+      const pixels = decodePixelData(dicomParser.parseDicom(byteArray))
+      const slope = slice.rescaleSlope || 1
+      const intercept = slice.rescaleIntercept ?? 0
+
+      // Copy slice data to volume, rescaled to HU
+      const sliceOffset = i * width * height
+      for (let j = 0; j < width * height; j++) {
+        const value = Math.round(pixels[j] * slope + intercept)
+        data[sliceOffset + j] = Math.max(INT16_RANGE[0], Math.min(INT16_RANGE[1], value))
+      }
+    } catch (error) {
+      console.error(`Failed to load slice ${i}:`, error)
+    }
+
+    if (onProgress) onProgress(HEADER_PROGRESS + ((i + 1) / depth) * (1 - HEADER_PROGRESS))
+  }
+
+  return {
+    dataset: { metadata, geometry, calibration, dimensions },
+    volume: {
+      data,
+      dimensions,
+      metadata,
+      spacing: geometry.spacing,
+      affine: geometry.affine,
+      geometry,
+      calibration
+    }
+  }
+}
+
+/**
+ * Helper functions
+ */
+
+// Stored pixel values of a single-frame grayscale slice
+function decodePixelData(dataSet) {
+  const element = dataSet.elements.x7fe00010
+  if (!element) {
+    throw new Error('no pixel data')
+  }
+  if ((dataSet.uint16('x00280002') || 1) !== 1) {
+    throw new Error('slice is not grayscale')
+  }
+
+  const bitsAllocated = dataSet.uint16('x00280100')
+  const bitsStored = dataSet.uint16('x00280101') || bitsAllocated
+  const signed = dataSet.uint16('x00280103') === 1
+  const count = dataSet.uint16('x00280010') * dataSet.uint16('x00280011')
+  const transferSyntax = dataSet.string('x00020010')?.trim() || IMPLICIT_LITTLE_ENDIAN
+  const bytesPerSample = bitsAllocated / 8
+
+  if (![1, 2, 4].includes(bytesPerSample)) {
+    throw new Error(`${bitsAllocated} bits allocated per pixel are not supported`)
+  }
+
+  // RLE stores each byte of a sample in its own segment, most significant first
+  let bytes
+  let littleEndian = transferSyntax !== EXPLICIT_BIG_ENDIAN
+  if (transferSyntax === RLE_LOSSLESS) {
+    const frame = dicomParser.readEncapsulatedPixelDataFromFragments(dataSet, element, 0, element.fragments.length)
+    bytes = decodeRle(frame, count, bytesPerSample)
+    littleEndian = false
+  } else {
+    if (element.length < count * bytesPerSample) {
+      throw new Error('pixel data is shorter than the image')
+    }
+    bytes = new Uint8Array(dataSet.byteArray.buffer, dataSet.byteArray.byteOffset + element.dataOffset, count * bytesPerSample)
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const read = {
+    1: (offset) => view.getUint8(offset),
+    2: (offset) => view.getUint16(offset, littleEndian),
+    4: (offset) => view.getUint32(offset, littleEndian)
+  }[bytesPerSample]
+
+  // Keep the stored bits; signed values are sign-extended from the highest stored bit
+  const pixels = new Float64Array(count)
+  const unusedBits = 32 - bitsStored
+  for (let i = 0; i < count; i++) {
+    const stored = read(i * bytesPerSample)
+    pixels[i] = signed
+      ? (stored << unusedBits) >> unusedBits
+      : (stored << unusedBits) >>> unusedBits
+  }
+
+  return pixels
+}
+
+// RLE Lossless frame: a 64-byte header of segment offsets, then one PackBits segment per sample byte
+function decodeRle(frame, count, bytesPerSample) {
+  const header = new DataView(frame.buffer, frame.byteOffset, 64)
+  const segmentCount = header.getUint32(0, true)
+  if (segmentCount !== bytesPerSample) {
+    throw new Error(`RLE frame has ${segmentCount} segments, expected ${bytesPerSample}`)
+  }
+
+  const bytes = new Uint8Array(count * bytesPerSample)
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const start = header.getUint32(4 + segment * 4, true)
+    const end = segment + 1 < segmentCount ? header.getUint32(8 + segment * 4, true) : frame.length
+    let position = start
+    let sample = 0
+
+    while (position < end && sample < count) {
+      const control = (frame[position++] << 24) >> 24
+      if (control >= 0) {
+        for (let i = 0; i <= control && sample < count; i++) {
+          bytes[sample++ * bytesPerSample + segment] = frame[position++]
+        }
+      } else if (control !== -128) {
+        const value = frame[position++]
+        for (let i = 0; i < 1 - control && sample < count; i++) {
+          bytes[sample++ * bytesPerSample + segment] = value
+        }
+      }
+    }
+  }
+
+  return bytes
+}
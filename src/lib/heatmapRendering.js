@@ -0,0 +1,199 @@
+/**
+ * Foreshortening Heatmap Rendering
+ * Draws a foreshortening map (see calculateForeshorteningMap) onto a 2D canvas.
+ * Columns run LAO 90 (left) to RAO 90 (right), rows cranial 45 (top) to caudal 45 (bottom).
+ */
+
+export const DEFAULT_ISOLINE_LEVELS = [0.7, 0.8, 0.9, 0.95]
+
+export const UNREACHABLE_COLOR = 'rgba(75, 85, 99, 0.85)'
+
+/**
+ * Color for a visible length fraction (0 = fully foreshortened, 1 = true length)
+ * @param {number} value - Fraction in [0, 1]
+ * @returns {string} CSS color
+ */
+export function heatmapColor(value) {
+  const clamped = Math.max(0, Math.min(1, value))
+  return `hsl(${240 - clamped * 190}, 85%, ${30 + clamped * 35}%)`
+}
+
+/**
+ * Convert angles to canvas coordinates for a map drawn over the full canvas
+ * @returns {Object} {x, y} in canvas pixels
+ */
+export function anglesToHeatmapPoint(map, raoLao, cranialCaudal, width, height) {
+  const { raoLaoValues, cranialCaudalValues } = map
+  const raoMin = raoLaoValues[0]
+  const raoMax = raoLaoValues[raoLaoValues.length - 1]
+  const cranialMin = cranialCaudalValues[0]
+  const cranialMax = cranialCaudalValues[cranialCaudalValues.length - 1]
+
+  return {
+    x: ((raoLao - raoMin) / (raoMax - raoMin)) * width,
+    y: ((cranialMax - cranialCaudal) / (cranialMax - cranialMin)) * height
+  }
+}
+
+/**
+ * Convert canvas coordinates back to the nearest grid angles
+ * @returns {Object} {raoLao, cranialCaudal} in degrees
+ */
+export function heatmapPointToAngles(map, x, y, width, height) {
+  const { raoLaoValues, cranialCaudalValues } = map
+  const col = Math.round((x / width) * (raoLaoValues.length - 1))
+  const row = Math.round((y / height) * (cranialCaudalValues.length - 1))
+
+  return {
+    raoLao: raoLaoValues[Math.max(0, Math.min(raoLaoValues.length - 1, col))],
+    cranialCaudal: cranialCaudalValues[Math.max(0, Math.min(cranialCaudalValues.length - 1, cranialCaudalValues.length - 1 - row))]
+  }
+}
+
+/**
+ * Draw one layer of a foreshortening map with isolines and markers
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} map - Result of calculateForeshorteningMap
+ * @param {string} layerName - Layer to draw, e.g. 'combined', 'main', 'branch1' or 'branch2'
+ * @param {Object} options - Size, isoline levels, markers, optimal/selected angles and a
+ *   reachable(raoLao, cranialCaudal) predicate; unreachable cells are greyed out
+ */
+export function drawForeshorteningHeatmap(ctx, map, layerName, options = {}) {
+  const {
+    width = ctx.canvas.width,
+    height = ctx.canvas.height,
+    isolineLevels = DEFAULT_ISOLINE_LEVELS,
+    markers = [],        // [{raoLao, cranialCaudal, label}]
+    optimal = null,      // {raoLao, cranialCaudal}
+    selected = null,     // {raoLao, cranialCaudal}
+    reachable = null     // (raoLao, cranialCaudal) => boolean
+  } = options
+
+  const layer = map.layers[layerName]
+  const { raoLaoValues, cranialCaudalValues } = map
+  const cellWidth = width / (raoLaoValues.length - 1)
+  const cellHeight = height / (cranialCaudalValues.length - 1)
+
+  ctx.clearRect(0, 0, width, height)
+
+  // Heatmap cells centered on grid points
+  cranialCaudalValues.forEach((cranialCaudal, row) => {
+    raoLaoValues.forEach((raoLao, col) => {
+      const { x, y } = anglesToHeatmapPoint(map, raoLao, cranialCaudal, width, height)
+      ctx.fillStyle = heatmapColor(layer[row][col])
+      ctx.fillRect(x - cellWidth / 2, y - cellHeight / 2, cellWidth + 1, cellHeight + 1)
+    })
+  })
+
+  // Angles the C-arm cannot reach
+  if (reachable) {
+    ctx.fillStyle = UNREACHABLE_COLOR
+    cranialCaudalValues.forEach(cranialCaudal => {
+      raoLaoValues.forEach(raoLao => {
+        if (reachable(raoLao, cranialCaudal)) return
+        const { x, y } = anglesToHeatmapPoint(map, raoLao, cranialCaudal, width, height)
+        ctx.fillRect(x - cellWidth / 2, y - cellHeight / 2, cellWidth + 1, cellHeight + 1)
+      })
+    })
+  }
+
+  // Isolines
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)'
+  ctx.lineWidth = 1
+  ctx.font = '10px sans-serif'
+  ctx.fillStyle = '#ffffff'
+  isolineLevels.forEach(level => {
+    const segments = traceIsoline(map, layer, level, width, height)
+    ctx.beginPath()
+    segments.forEach(([p1, p2]) => {
+      ctx.moveTo(p1.x, p1.y)
+      ctx.lineTo(p2.x, p2.y)
+    })
+    ctx.stroke()
+
+    // Label the isoline once, at its topmost segment
+    if (segments.length > 0) {
+      const labelPoint = segments.reduce((top, [p1]) => (p1.y < top.y ? p1 : top), segments[0][0])
+      ctx.fillText(`${Math.round(level * 100)}%`, labelPoint.x + 3, labelPoint.y - 3)
+    }
+  })
+
+  // Current projections
+  markers.forEach(marker => {
+    const { x, y } = anglesToHeatmapPoint(map, marker.raoLao, marker.cranialCaudal, width, height)
+    ctx.strokeStyle = '#000000'
+    ctx.lineWidth = 3
+    ctx.beginPath()
+    ctx.moveTo(x - 6, y - 6)
+    ctx.lineTo(x + 6, y + 6)
+    ctx.moveTo(x + 6, y - 6)
+    ctx.lineTo(x - 6, y + 6)
+    ctx.stroke()
+
+    if (marker.label) {
+      ctx.fillStyle = '#000000'
+      ctx.font = 'bold 11px sans-serif'
+      ctx.fillText(marker.label, x + 8, y + 4)
+    }
+  })
+
+  if (optimal) {
+    const { x, y } = anglesToHeatmapPoint(map, optimal.raoLao, optimal.cranialCaudal, width, height)
+    ctx.strokeStyle = '#ffffff'
+    ctx.lineWidth = 3
+    ctx.beginPath()
+    ctx.arc(x, y, 8, 0, 2 * Math.PI)
+    ctx.stroke()
+  }
+
+  if (selected) {
+    const { x, y } = anglesToHeatmapPoint(map, selected.raoLao, selected.cranialCaudal, width, height)
+    ctx.strokeStyle = '#fbbf24'
+    ctx.lineWidth = 2
+    ctx.strokeRect(x - 7, y - 7, 14, 14)
+  }
+}
+
+/**
+ * Marching squares over the grid
+ * @returns {Array} Line segments [[{x, y}, {x, y}], ...] in canvas pixels
+ */
+function traceIsoline(map, layer, level, width, height) {
+  const { raoLaoValues, cranialCaudalValues } = map
+  const segments = []
+
+  const point = (row, col) => anglesToHeatmapPoint(map, raoLaoValues[col], cranialCaudalValues[row], width, height)
+  const interpolate = (pA, vA, pB, vB) => {
+    const t = (level - vA) / (vB - vA)
+    return { x: pA.x + t * (pB.x - pA.x), y: pA.y + t * (pB.y - pA.y) }
+  }
+
+  for (let row = 0; row < cranialCaudalValues.length - 1; row++) {
+    for (let col = 0; col < raoLaoValues.length - 1; col++) {
+      const corners = [
+        { p: point(row, col), v: layer[row][col] },
+        { p: point(row, col + 1), v: layer[row][col + 1] },
+        { p: point(row + 1, col + 1), v: layer[row + 1][col + 1] },
+        { p: point(row + 1, col), v: layer[row + 1][col] }
+      ]
+
+      // Points where the level crosses each cell edge
+      const crossings = []
+      for (let i = 0; i < 4; i++) {
+        const a = corners[i]
+        const b = corners[(i + 1) % 4]
+        if ((a.v < level) !== (b.v < level)) {
+          crossings.push(interpolate(a.p, a.v, b.p, b.v))
+        }
+      }
+
+      if (crossings.length === 2) {
+        segments.push([crossings[0], crossings[1]])
+      } else if (crossings.length === 4) {
+        segments.push([crossings[0], crossings[1]], [crossings[2], crossings[3]])
+      }
+    }
+  }
+
+  return segments
+}
@@ -1,8 +1,18 @@
 /**
  * Mathematical Validation Test Suite for Coronary Angle Calculator
  * Tests the accuracy of 3D reconstruction and angle optimization algorithms
+ * All tests exercise the shared angle engine, so they cover the code every screen uses.
  */
 
+import {
+  calculateOptimalViewingAngles,
+  createCameraRotation,
+  createProjectionMatrix,
+  getViewingDirection,
+  projectedLengthFraction
+} from './angleEngine'
+import { projectPoint3D, triangulate3DPoint } from './correctedMath'
+
 /**
  * Test 1: Known geometry validation
  * Create synthetic vessels with known 3D coordinates and verify reconstruction
@@ -10,20 +20,20 @@
 export function testKnownGeometry() {
   console.log('=== Testing Known Geometry ===')
   
-  // Define a known 3D bifurcation in patient coordinates
+  // Define a known 3D bifurcation in patient coordinates (mm)
   const knownBifurcation = {
     bifurcationPoint: [0, 0, 0],
     mainVessel: [
       [0, 0, 0],
-      [0, 2, 0]  // 2cm anterior
+      [0, 20, 0]  // 2cm anterior
     ],
     branch1: [
       [0, 0, 0],
-      [1.5, 1.5, 0]  // 45° to the right
+      [15, 15, 0]  // 45° toward the patient's left
     ],
     branch2: [
       [0, 0, 0],
-      [-1.5, 1.5, 0]  // 45° to the left
+      [-15, 15, 0]  // 45° toward the patient's right
     ]
   }
   
@@ -38,9 +48,23 @@ export function testKnownGeometry() {
   console.log('Projection 1 (30° RAO):', projection1)
   console.log('Projection 2 (30° LAO, 20° cranial):', projection2)
   
-  // TODO: Reconstruct from projections and compare with original
+  // Reconstruct from both projections and compare with the original
+  const P1 = createProjectionMatrix(view1.raoLao, view1.cranialCaudal)
+  const P2 = createProjectionMatrix(view2.raoLao, view2.cranialCaudal)
+  let maxError = 0
+  
+  Object.values(knownBifurcation).forEach(points => {
+    const pointList = Array.isArray(points[0]) ? points : [points]
+    pointList.forEach(point => {
+      const reconstructed = triangulate3DPoint(projectPoint3D(point, P1), projectPoint3D(point, P2), P1, P2)
+      const error = Math.hypot(reconstructed[0] - point[0], reconstructed[1] - point[1], reconstructed[2] - point[2])
+      maxError = Math.max(maxError, error)
+    })
+  })
+  
+  console.log('Maximum reconstruction error in mm (should be ~0):', maxError)
   
-  return { knownBifurcation, projection1, projection2 }
+  return { knownBifurcation, projection1, projection2, maxError }
 }
 
 /**
@@ -51,20 +75,20 @@ export function testForeshorteningCalculation() {
   console.log('=== Testing Foreshortening Calculation ===')
   
   // Test vessel parallel to viewing direction (should be maximally foreshortened)
-  const parallelVessel = [1, 0, 0]  // Pointing right
-  const viewingRight = [1, 0, 0]    // Looking from right
+  const parallelVessel = [1, 0, 0]  // Pointing to the patient's left
+  const viewingLeft = getViewingDirection(-90, 0)  // 90° LAO looks along the same axis
   
-  const parallelScore = calculateSingleVesselScore(parallelVessel, viewingRight)
+  const parallelScore = projectedLengthFraction(parallelVessel, viewingLeft)
   console.log('Parallel vessel score (should be ~0):', parallelScore)
   
   // Test vessel perpendicular to viewing direction (should be minimally foreshortened)
-  const perpendicularVessel = [0, 1, 0]  // Pointing forward
-  const perpendicularScore = calculateSingleVesselScore(perpendicularVessel, viewingRight)
+  const perpendicularVessel = [0, 1, 0]  // Pointing anterior
+  const perpendicularScore = projectedLengthFraction(perpendicularVessel, viewingLeft)
   console.log('Perpendicular vessel score (should be ~1):', perpendicularScore)
   
   // Test 45° angle (should be ~0.707)
   const angledVessel = [0.707, 0.707, 0]  // 45° angle
-  const angledScore = calculateSingleVesselScore(angledVessel, viewingRight)
+  const angledScore = projectedLengthFraction(angledVessel, viewingLeft)
   console.log('45° vessel score (should be ~0.707):', angledScore)
   
   return {
@@ -91,7 +115,7 @@ export function testAngiographicCoordinates() {
   ]
   
   testAngles.forEach(angle => {
-    const viewingDirection = calculateViewingDirection(angle.raoLao, angle.cranialCaudal)
+    const viewingDirection = getViewingDirection(angle.raoLao, angle.cranialCaudal)
     console.log(`${angle.name}: viewing direction = [${viewingDirection.map(x => x.toFixed(3)).join(', ')}]`)
   })
   
@@ -104,22 +128,34 @@ export function testAngiographicCoordinates() {
 export function testOptimalAngleCalculation() {
   console.log('=== Testing Optimal Angle Calculation ===')
   
-  // Create a known bifurcation where optimal view is obvious
+  // Vessels lying in the axial plane
   const testVessels = [
     [0, 1, 0],    // Main vessel: pointing anterior
-    [0.707, 0.707, 0],  // Branch 1: 45° right-anterior
-    [-0.707, 0.707, 0]  // Branch 2: 45° left-anterior
+    [0.707, 0.707, 0],  // Branch 1: 45° left-anterior
+    [-0.707, 0.707, 0]  // Branch 2: 45° right-anterior
   ]
   
-  // Optimal view should be approximately AP (0° RAO/LAO, 0° cranial/caudal)
-  // because all vessels are in the horizontal plane
+  // The plane normal (pure cranial/caudal) is out of range, so the optimum is
+  // the steepest cranial or caudal angulation
   
-  const optimalAngles = findOptimalAngles(testVessels)
+  const optimalAngles = calculateOptimalViewingAngles(testVessels)
   console.log('Test vessels:', testVessels)
   console.log('Calculated optimal angles:', optimalAngles)
-  console.log('Expected: approximately RAO/LAO = 0°, cranial/caudal = 0°')
+  console.log('Expected: cranial/caudal = ±45°')
   
-  return optimalAngles
+  // Bifurcation lying in the image plane of a known view: that view shows all
+  // three segments at true length and must be found exactly
+  const knownView = { raoLao: 30, cranialCaudal: -20 }
+  const [xAxis, yAxis] = createCameraRotation(knownView.raoLao, knownView.cranialCaudal)
+  const inPlaneVessels = [0.3, 2, 4].map(angle =>
+    [0, 1, 2].map(i => Math.cos(angle) * xAxis[i] + Math.sin(angle) * yAxis[i])
+  )
+  
+  const inPlaneOptimal = calculateOptimalViewingAngles(inPlaneVessels)
+  console.log('In-plane optimal angles:', inPlaneOptimal)
+  console.log(`Expected: RAO/LAO = ${knownView.raoLao}°, cranial/caudal = ${knownView.cranialCaudal}°`)
+  
+  return { axial: optimalAngles, inPlane: inPlaneOptimal }
 }
 
 /**
@@ -127,21 +163,13 @@ export function testOptimalAngleCalculation() {
  */
 
 function projectBifurcationToImage(bifurcation, viewAngles) {
-  const raoRad = (viewAngles.raoLao * Math.PI) / 180
-  const cranialRad = (viewAngles.cranialCaudal * Math.PI) / 180
-  
-  // Create rotation matrices
-  const cosRao = Math.cos(raoRad)
-  const sinRao = Math.sin(raoRad)
-  const cosCranial = Math.cos(cranialRad)
-  const sinCranial = Math.sin(cranialRad)
+  const R = createCameraRotation(viewAngles.raoLao, viewAngles.cranialCaudal)
   
-  // Combined rotation matrix
-  const R = [
-    [cosRao * cosCranial, -sinRao, cosRao * sinCranial],
-    [sinRao * cosCranial, cosRao, sinRao * sinCranial],
-    [-sinCranial, 0, cosCranial]
-  ]
+  // Orthographic projection onto the image plane (image y points down)
+  const projectPoint = (point) => ({
+    x: (R[0][0] * point[0] + R[0][1] * point[1] + R[0][2] * point[2]) * 10 + 400,  // Scale and center
+    y: (R[1][0] * point[0] + R[1][1] * point[1] + R[1][2] * point[2]) * 10 + 300
+  })
   
   // Project each vessel
   const projected = {}
@@ -149,94 +177,16 @@ function projectBifurcationToImage(bifurcation, viewAngles) {
   Object.keys(bifurcation).forEach(vesselName => {
     if (Array.isArray(bifurcation[vesselName][0])) {
       // This is a vessel with multiple points
-      projected[vesselName] = bifurcation[vesselName].map(point => {
-        const rotated = [
-          R[0][0] * point[0] + R[0][1] * point[1] + R[0][2] * point[2],
-          R[1][0] * point[0] + R[1][1] * point[1] + R[1][2] * point[2],
-          R[2][0] * point[0] + R[2][1] * point[1] + R[2][2] * point[2]
-        ]
-        
-        // Project to 2D (ignore Z coordinate)
-        return {
-          x: rotated[0] * 100 + 400,  // Scale and center
-          y: -rotated[1] * 100 + 300  // Flip Y and center
-        }
-      })
+      projected[vesselName] = bifurcation[vesselName].map(projectPoint)
     } else {
       // This is a single point
-      const point = bifurcation[vesselName]
-      const rotated = [
-        R[0][0] * point[0] + R[0][1] * point[1] + R[0][2] * point[2],
-        R[1][0] * point[0] + R[1][1] * point[1] + R[1][2] * point[2],
-        R[2][0] * point[0] + R[2][1] * point[1] + R[2][2] * point[2]
-      ]
-      
-      projected[vesselName] = {
-        x: rotated[0] * 100 + 400,
-        y: -rotated[1] * 100 + 300
-      }
+      projected[vesselName] = projectPoint(bifurcation[vesselName])
     }
   })
   
   return projected
 }
 
-function calculateSingleVesselScore(vesselDirection, viewingDirection) {
-  // Normalize vectors
-  const vesselLength = Math.sqrt(vesselDirection[0] ** 2 + vesselDirection[1] ** 2 + vesselDirection[2] ** 2)
-  const viewLength = Math.sqrt(viewingDirection[0] ** 2 + viewingDirection[1] ** 2 + viewingDirection[2] ** 2)
-  
-  if (vesselLength === 0 || viewLength === 0) return 0
-  
-  const normalizedVessel = vesselDirection.map(x => x / vesselLength)
-  const normalizedView = viewingDirection.map(x => x / viewLength)
-  
-  // Calculate dot product (cosine of angle)
-  const dotProduct = normalizedVessel[0] * normalizedView[0] + 
-                    normalizedVessel[1] * normalizedView[1] + 
-                    normalizedVessel[2] * normalizedView[2]
-  
-  // Return sine of angle (projected length factor)
-  return Math.sqrt(1 - dotProduct * dotProduct)
-}
-
-function calculateViewingDirection(raoLao, cranialCaudal) {
-  const raoRad = (raoLao * Math.PI) / 180
-  const cranialRad = (cranialCaudal * Math.PI) / 180
-  
-  return [
-    -Math.sin(raoRad) * Math.cos(cranialRad),
-    Math.cos(raoRad) * Math.cos(cranialRad),
-    Math.sin(cranialRad)
-  ]
-}
-
-function findOptimalAngles(vesselDirections) {
-  let bestScore = -Infinity
-  let bestAngles = { raoLao: 0, cranialCaudal: 0 }
-  
-  // Grid search
-  for (let raoLao = -90; raoLao <= 90; raoLao += 5) {
-    for (let cranialCaudal = -45; cranialCaudal <= 45; cranialCaudal += 5) {
-      const viewingDirection = calculateViewingDirection(raoLao, cranialCaudal)
-      
-      let totalScore = 0
-      vesselDirections.forEach((vessel, index) => {
-        const score = calculateSingleVesselScore(vessel, viewingDirection)
-        const weight = index === 0 ? 1.5 : 1.0
-        totalScore += score * weight
-      })
-      
-      if (totalScore > bestScore) {
-        bestScore = totalScore
-        bestAngles = { raoLao, cranialCaudal }
-      }
-    }
-  }
-  
-  return { ...bestAngles, score: bestScore }
-}
-
 /**
  * Run all validation tests
  */
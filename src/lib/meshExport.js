@@ -0,0 +1,257 @@
+/**
+ * Surface Mesh Export
+ * Writes vessel surface meshes (see surfaceMesh.js) as STL, OBJ or binary glTF (GLB), one
+ * named object per vessel. STL and OBJ keep patient coordinates (LPS, mm), as 3D printing
+ * and CAD tools expect. glTF uses its own frame and unit: +X left, +Y head, +Z anterior, in
+ * meters.
+ */
+
+import { computeVertexNormals } from './surfaceMesh'
+
+// Export formats: extension and MIME type
+export const MESH_FORMATS = {
+  stl: { extension: 'stl', mimeType: 'model/stl' },
+  obj: { extension: 'obj', mimeType: 'model/obj' },
+  glb: { extension: 'glb', mimeType: 'model/gltf-binary' }
+}
+
+// glTF constants
+const GLB_MAGIC = 0x46546C67
+const GLB_CHUNK_JSON = 0x4E4F534A
+const GLB_CHUNK_BIN = 0x004E4942
+const GL_FLOAT = 5126
+const GL_UNSIGNED_INT = 5125
+const GL_ARRAY_BUFFER = 34962
+const GL_ELEMENT_ARRAY_BUFFER = 34963
+const GL_TRIANGLES = 4
+
+/**
+ * ASCII STL with one solid per vessel
+ * @param {Array<Object>} meshes - Named meshes { name, positions, indices }
+ * @returns {string} STL text
+ */
+export function meshesToStl(meshes) {
+  const lines = []
+
+  meshes.forEach(mesh => {
+    const name = sanitizeName(mesh.name)
+    const { positions, indices } = mesh
+    const vertex = (v) => `${formatNumber(positions[v * 3])} ${formatNumber(positions[v * 3 + 1])} ${formatNumber(positions[v * 3 + 2])}`
+
+    lines.push(`solid ${name}`)
+    for (let t = 0; t < indices.length; t += 3) {
+      const normal = unitTriangleNormal(positions, indices[t], indices[t + 1], indices[t + 2])
+      lines.push(
+        `  facet normal ${normal.map(formatNumber).join(' ')}`,
+        '    outer loop',
+        `      vertex ${vertex(indices[t])}`,
+        `      vertex ${vertex(indices[t + 1])}`,
+        `      vertex ${vertex(indices[t + 2])}`,
+        '    endloop',
+        '  endfacet'
+      )
+    }
+    lines.push(`endsolid ${name}`)
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Wavefront OBJ with one object per vessel
+ * @param {Array<Object>} meshes - Named meshes { name, positions, indices }
+ * @returns {string} OBJ text
+ */
+export function meshesToObj(meshes) {
+  const lines = ['# Coronary tree surface, patient coordinates (LPS, mm)']
+  let vertexOffset = 1
+
+  meshes.forEach(mesh => {
+    const { positions, indices } = mesh
+
+    lines.push(`o ${sanitizeName(mesh.name)}`)
+    for (let v = 0; v < positions.length; v += 3) {
+      lines.push(`v ${formatNumber(positions[v])} ${formatNumber(positions[v + 1])} ${formatNumber(positions[v + 2])}`)
+    }
+    for (let t = 0; t < indices.length; t += 3) {
+      lines.push(`f ${indices[t] + vertexOffset} ${indices[t + 1] + vertexOffset} ${indices[t + 2] + vertexOffset}`)
+    }
+    vertexOffset += positions.length / 3
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Binary glTF 2.0 with one named node and mesh per vessel
+ * @param {Array<Object>} meshes - Named meshes { name, positions, indices }
+ * @returns {ArrayBuffer} GLB file
+ */
+export function meshesToGlb(meshes) {
+  const gltf = {
+    asset: { version: '2.0', generator: 'Coronary Bifurcation Angle Calculator' },
+    scene: 0,
+    scenes: [{ name: 'Coronary tree', nodes: meshes.map((_, index) => index) }],
+    nodes: [],
+    meshes: [],
+    materials: [{
+      name: 'Vessel',
+      pbrMetallicRoughness: { baseColorFactor: [0.8, 0.2, 0.2, 1], metallicFactor: 0, roughnessFactor: 0.6 }
+    }],
+    accessors: [],
+    bufferViews: [],
+    buffers: []
+  }
+  const chunks = []
+  let byteOffset = 0
+
+  const addView = (array, target) => {
+    gltf.bufferViews.push({ buffer: 0, byteOffset, byteLength: array.byteLength, target })
+    chunks.push(array)
+    byteOffset += array.byteLength
+    return gltf.bufferViews.length - 1
+  }
+
+  const addAccessor = (accessor) => {
+    gltf.accessors.push(accessor)
+    return gltf.accessors.length - 1
+  }
+
+  meshes.forEach((mesh, index) => {
+    const name = sanitizeName(mesh.name)
+    const positions = lpsToGltf(mesh.positions, 0.001)
+    const normals = lpsToGltf(computeVertexNormals(mesh), 1)
+    const vertexCount = positions.length / 3
+    const { min, max } = getBounds(positions)
+
+    const position = addAccessor({
+      bufferView: addView(positions, GL_ARRAY_BUFFER),
+      componentType: GL_FLOAT,
+      count: vertexCount,
+      type: 'VEC3',
+      min,
+      max
+    })
+    const normal = addAccessor({
+      bufferView: addView(normals, GL_ARRAY_BUFFER),
+      componentType: GL_FLOAT,
+      count: vertexCount,
+      type: 'VEC3'
+    })
+    const triangles = addAccessor({
+      bufferView: addView(new Uint32Array(mesh.indices), GL_ELEMENT_ARRAY_BUFFER),
+      componentType: GL_UNSIGNED_INT,
+      count: mesh.indices.length,
+      type: 'SCALAR'
+    })
+
+    gltf.meshes.push({
+      name,
+      primitives: [{ attributes: { POSITION: position, NORMAL: normal }, indices: triangles, material: 0, mode: GL_TRIANGLES }]
+    })
+    gltf.nodes.push({ name, mesh: index })
+  })
+
+  gltf.buffers.push({ byteLength: byteOffset })
+
+  // Chunks are padded to 4 bytes: JSON with spaces, binary with zeros
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(gltf))
+  const jsonLength = align4(jsonBytes.length)
+  const binLength = align4(byteOffset)
+  const totalLength = 12 + 8 + jsonLength + 8 + binLength
+
+  const glb = new ArrayBuffer(totalLength)
+  const view = new DataView(glb)
+  const bytes = new Uint8Array(glb)
+
+  view.setUint32(0, GLB_MAGIC, true)
+  view.setUint32(4, 2, true)
+  view.setUint32(8, totalLength, true)
+
+  view.setUint32(12, jsonLength, true)
+  view.setUint32(16, GLB_CHUNK_JSON, true)
+  bytes.fill(0x20, 20, 20 + jsonLength)
+  bytes.set(jsonBytes, 20)
+
+  const binStart = 20 + jsonLength
+  view.setUint32(binStart, binLength, true)
+  view.setUint32(binStart + 4, GLB_CHUNK_BIN, true)
+  let offset = binStart + 8
+  chunks.forEach(array => {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset)
+    offset += array.byteLength
+  })
+
+  return glb
+}
+
+/**
+ * Download vessel meshes as a 3D model file
+ * @param {Array<Object>} meshes - Named meshes { name, positions, indices }
+ * @param {string} format - 'stl', 'obj' or 'glb'
+ */
+export function downloadMeshes(meshes, format) {
+  const writers = { stl: meshesToStl, obj: meshesToObj, glb: meshesToGlb }
+  if (!writers[format]) {
+    throw new Error(`Unknown mesh format: ${format}`)
+  }
+
+  const { extension, mimeType } = MESH_FORMATS[format]
+  const blob = new Blob([writers[format](meshes)], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `coronary-tree-${Date.now()}.${extension}`
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Helper functions
+ */
+
+// Object names without whitespace, which STL and OBJ readers split on
+function sanitizeName(name) {
+  return String(name).trim().replace(/[^A-Za-z0-9_.-]+/g, '_').replace(/^_+|_+$/g, '') || 'Vessel'
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(4)).toString()
+}
+
+function unitTriangleNormal(positions, a, b, c) {
+  const u = [0, 1, 2].map(axis => positions[b * 3 + axis] - positions[a * 3 + axis])
+  const v = [0, 1, 2].map(axis => positions[c * 3 + axis] - positions[a * 3 + axis])
+  const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]]
+  const length = Math.hypot(...normal) || 1
+  return normal.map(value => value / length)
+}
+
+// LPS (x left, y posterior, z head) to glTF (x left, y head, z anterior), scaled; keeps handedness
+function lpsToGltf(vectors, scale) {
+  const result = new Float32Array(vectors.length)
+  for (let v = 0; v < vectors.length; v += 3) {
+    result[v] = vectors[v] * scale
+    result[v + 1] = vectors[v + 2] * scale
+    result[v + 2] = -vectors[v + 1] * scale
+  }
+  return result
+}
+
+function getBounds(positions) {
+  const min = [Infinity, Infinity, Infinity]
+  const max = [-Infinity, -Infinity, -Infinity]
+  for (let v = 0; v < positions.length; v += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], positions[v + axis])
+      max[axis] = Math.max(max[axis], positions[v + axis])
+    }
+  }
+  return { min, max }
+}
+
+function align4(length) {
+  return Math.ceil(length / 4) * 4
+}
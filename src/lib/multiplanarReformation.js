@@ -0,0 +1,268 @@
+/**
+ * Multi-planar Reformation
+ * Samples axial, coronal, sagittal and oblique planes through a CT volume in patient
+ * (LPS, mm) coordinates, so reformations follow the voxel-to-patient affine.
+ *
+ * Each plane has a center (LPS), in-plane axes u (image right) and v (image down) and a
+ * normal. Views use radiological display: patient left on the image right in axial and
+ * coronal views, head up in coronal and sagittal views.
+ */
+
+import { getVolumeAffine, invertAffine, patientToVoxel, voxelToPatient } from './dicomGeometry'
+
+// Value drawn outside the volume (air)
+const OUTSIDE_VALUE = -1024
+
+// In-plane axes of the standard views (LPS)
+export const MPR_VIEWS = {
+  axial: { label: 'Axial', u: [1, 0, 0], v: [0, 1, 0] },
+  coronal: { label: 'Coronal', u: [1, 0, 0], v: [0, 0, -1] },
+  sagittal: { label: 'Sagittal', u: [0, 1, 0], v: [0, 0, -1] }
+}
+
+/**
+ * Rotation applied to all three views for double-oblique reformation
+ * @param {number} rotation - Rotation around the head-foot axis in degrees
+ * @param {number} tilt - Tilt around the left-right axis in degrees
+ * @returns {Array<Array<number>>} 3x3 rotation matrix (LPS)
+ */
+export function createObliqueRotation(rotation, tilt) {
+  const r = (rotation * Math.PI) / 180
+  const t = (tilt * Math.PI) / 180
+
+  // Rz(rotation) * Rx(tilt)
+  return [
+    [Math.cos(r), -Math.sin(r) * Math.cos(t), Math.sin(r) * Math.sin(t)],
+    [Math.sin(r), Math.cos(r) * Math.cos(t), -Math.cos(r) * Math.sin(t)],
+    [0, Math.sin(t), Math.cos(t)]
+  ]
+}
+
+/**
+ * Plane of a view through the crosshair point
+ * @param {string} viewName - Key of MPR_VIEWS
+ * @param {Array<number>} center - Crosshair point (LPS, mm)
+ * @param {Array<Array<number>>} rotation - Oblique rotation from createObliqueRotation
+ * @returns {Object} Plane {center, u, v, normal}
+ */
+export function getMprPlane(viewName, center, rotation) {
+  const view = MPR_VIEWS[viewName]
+  const u = multiply(rotation, view.u)
+  const v = multiply(rotation, view.v)
+
+  return { center, u, v, normal: cross(u, v) }
+}
+
+/**
+ * Center of a volume in patient coordinates
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @returns {Array<number>} LPS position (mm)
+ */
+export function getVolumeCenter(volume) {
+  const { width, height, depth } = volume.dimensions
+  return voxelToPatient(getVolumeAffine(volume), { x: (width - 1) / 2, y: (height - 1) / 2, z: (depth - 1) / 2 })
+}
+
+/**
+ * Largest extent of a volume (mm), used as field of view so any oblique plane fits
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @returns {number} Diagonal length (mm)
+ */
+export function getVolumeExtent(volume) {
+  const { width, height, depth } = volume.dimensions
+  const affine = getVolumeAffine(volume)
+  const corner = voxelToPatient(affine, { x: width - 1, y: height - 1, z: depth - 1 })
+  const origin = voxelToPatient(affine, { x: 0, y: 0, z: 0 })
+
+  return Math.hypot(corner[0] - origin[0], corner[1] - origin[1], corner[2] - origin[2])
+}
+
+/**
+ * Sample a plane through the volume with trilinear interpolation
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Object} plane - Plane from getMprPlane
+ * @param {Object} options - size (pixels per side), fieldOfView (mm)
+ * @returns {Object} { data (Float32Array, HU), size, pixelSize }
+ */
+export function sampleMprPlane(volume, plane, options = {}) {
+  const { size = 256, fieldOfView = getVolumeExtent(volume) } = options
+  const toVoxel = invertAffine(getVolumeAffine(volume))
+  const pixelSize = fieldOfView / size
+  const pixels = new Float32Array(size * size)
+
+  // Voxel position of the top-left pixel and voxel steps per pixel along u and v
+  const start = plane.center.map((value, axis) =>
+    value - (size / 2) * pixelSize * (plane.u[axis] + plane.v[axis])
+  )
+  const startVoxel = transformPoint(toVoxel, start)
+  const stepU = transformVector(toVoxel, plane.u.map(value => value * pixelSize))
+  const stepV = transformVector(toVoxel, plane.v.map(value => value * pixelSize))
+
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      pixels[j * size + i] = interpolateVoxel(
+        volume,
+        startVoxel[0] + (i + 0.5) * stepU[0] + (j + 0.5) * stepV[0],
+        startVoxel[1] + (i + 0.5) * stepU[1] + (j + 0.5) * stepV[1],
+        startVoxel[2] + (i + 0.5) * stepU[2] + (j + 0.5) * stepV[2]
+      )
+    }
+  }
+
+  return { data: pixels, size, pixelSize }
+}
+
+/**
+ * Trilinear sampler of a volume at patient positions
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @returns {Function} (point: LPS position in mm) => HU, air outside the volume
+ */
+export function createVolumeSampler(volume) {
+  const toVoxel = invertAffine(getVolumeAffine(volume))
+
+  return (point) => {
+    const [x, y, z] = transformPoint(toVoxel, point)
+    return interpolateVoxel(volume, x, y, z)
+  }
+}
+
+/**
+ * Patient position of a pixel in a sampled plane
+ * @param {Object} plane - Plane from getMprPlane
+ * @param {Object} sample - Result of sampleMprPlane
+ * @param {number} px - Pixel column (may be fractional)
+ * @param {number} py - Pixel row (may be fractional)
+ * @returns {Array<number>} LPS position (mm)
+ */
+export function mprPixelToPatient(plane, sample, px, py) {
+  const u = (px - sample.size / 2) * sample.pixelSize
+  const v = (py - sample.size / 2) * sample.pixelSize
+
+  return plane.center.map((value, axis) => value + u * plane.u[axis] + v * plane.v[axis])
+}
+
+/**
+ * Pixel position of a patient point in a sampled plane
+ * @param {Object} plane - Plane from getMprPlane
+ * @param {Object} sample - Result of sampleMprPlane
+ * @param {Array<number>} point - LPS position (mm)
+ * @returns {Object} {x, y} in pixels and signed distance from the plane (mm)
+ */
+export function patientToMprPixel(plane, sample, point) {
+  const offset = point.map((value, axis) => value - plane.center[axis])
+
+  return {
+    x: dot(offset, plane.u) / sample.pixelSize + sample.size / 2,
+    y: dot(offset, plane.v) / sample.pixelSize + sample.size / 2,
+    distance: dot(offset, plane.normal)
+  }
+}
+
+/**
+ * Nearest voxel to a patient position
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Array<number>} point - LPS position (mm)
+ * @returns {Object|null} Voxel {x, y, z}, or null outside the volume
+ */
+export function patientToVoxelIndex(volume, point) {
+  const voxel = patientToVoxel(getVolumeAffine(volume), point)
+  const [x, y, z] = [voxel.x, voxel.y, voxel.z].map(Math.round)
+  const { width, height, depth } = volume.dimensions
+
+  if (x < 0 || y < 0 || z < 0 || x >= width || y >= height || z >= depth) return null
+  return { x, y, z }
+}
+
+/**
+ * Draw a grayscale HU image with window/level
+ * @param {CanvasRenderingContext2D} ctx - Target context (drawn at the origin, one pixel per sample)
+ * @param {Float32Array} data - HU values, row-major
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} windowLevel - Window center (HU)
+ * @param {number} windowWidth - Window width (HU)
+ * @param {Float32Array} overlay - Optional opacity (0-1) per pixel of a red overlay
+ */
+export function drawWindowedImage(ctx, data, width, height, windowLevel, windowWidth, overlay = null) {
+  const imageData = ctx.createImageData(width, height)
+
+  for (let i = 0; i < width * height; i++) {
+    const displayValue = Math.max(0, Math.min(255, ((data[i] - windowLevel) / windowWidth + 0.5) * 255))
+    const opacity = overlay ? overlay[i] : 0
+    imageData.data[i * 4] = displayValue + opacity * (255 - displayValue)
+    imageData.data[i * 4 + 1] = displayValue * (1 - opacity)
+    imageData.data[i * 4 + 2] = displayValue * (1 - opacity)
+    imageData.data[i * 4 + 3] = 255
+  }
+
+  ctx.putImageData(imageData, 0, 0)
+}
+
+/**
+ * Trilinear interpolation at a fractional voxel position
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {number} x - Column (voxels)
+ * @param {number} y - Row (voxels)
+ * @param {number} z - Slice (voxels)
+ * @returns {number} Interpolated HU, or air outside the volume
+ */
+export function interpolateVoxel(volume, x, y, z) {
+  const { data, dimensions } = volume
+  const { width, height, depth } = dimensions
+
+  if (x < 0 || y < 0 || z < 0 || x > width - 1 || y > height - 1 || z > depth - 1) {
+    return OUTSIDE_VALUE
+  }
+
+  const x0 = Math.min(Math.floor(x), Math.max(width - 2, 0))
+  const y0 = Math.min(Math.floor(y), Math.max(height - 2, 0))
+  const z0 = Math.min(Math.floor(z), Math.max(depth - 2, 0))
+  const fx = width > 1 ? x - x0 : 0
+  const fy = height > 1 ? y - y0 : 0
+  const fz = depth > 1 ? z - z0 : 0
+  const dx = width > 1 ? 1 : 0
+  const dy = height > 1 ? width : 0
+  const dz = depth > 1 ? width * height : 0
+  const index = z0 * width * height + y0 * width + x0
+
+  const c00 = data[index] * (1 - fx) + data[index + dx] * fx
+  const c10 = data[index + dy] * (1 - fx) + data[index + dy + dx] * fx
+  const c01 = data[index + dz] * (1 - fx) + data[index + dz + dx] * fx
+  const c11 = data[index + dz + dy] * (1 - fx) + data[index + dz + dy + dx] * fx
+
+  return (c00 * (1 - fy) + c10 * fy) * (1 - fz) + (c01 * (1 - fy) + c11 * fy) * fz
+}
+
+/**
+ * Helper functions
+ */
+
+function transformPoint(affine, point) {
+  return [0, 1, 2].map(axis =>
+    affine[axis][0] * point[0] + affine[axis][1] * point[1] + affine[axis][2] * point[2] + affine[axis][3]
+  )
+}
+
+function transformVector(affine, vector) {
+  return [0, 1, 2].map(axis =>
+    affine[axis][0] * vector[0] + affine[axis][1] * vector[1] + affine[axis][2] * vector[2]
+  )
+}
+
+function multiply(matrix, vector) {
+  return [0, 1, 2].map(axis =>
+    matrix[axis][0] * vector[0] + matrix[axis][1] * vector[1] + matrix[axis][2] * vector[2]
+  )
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ]
+}
@@ -0,0 +1,251 @@
+/**
+ * Minimal PDF Writer
+ * Produces A4 PDF documents with Helvetica text, lines, rectangles and JPEG images
+ * entirely in the browser, so reports can be generated without sending data anywhere.
+ * Coordinates are in points (1/72 inch) measured from the top-left corner of the page.
+ */
+
+export const PAGE_WIDTH = 595.28
+export const PAGE_HEIGHT = 841.89
+
+// Average Helvetica glyph width relative to font size, used for line wrapping
+const AVERAGE_CHAR_WIDTH = 0.5
+
+/**
+ * Create an empty PDF document
+ * @returns {Object} Document
+ */
+export function createPdfDocument() {
+  return { pages: [], images: [] }
+}
+
+/**
+ * Append a new page to the document
+ * @param {Object} doc - Document
+ * @returns {Object} Page
+ */
+export function addPdfPage(doc) {
+  const page = { operations: [] }
+  doc.pages.push(page)
+  return page
+}
+
+/**
+ * Draw a single line of text
+ * @param {Object} page - Page
+ * @param {string} text - Text (Latin-1 characters)
+ * @param {number} x - Left edge (pt)
+ * @param {number} y - Baseline (pt from top)
+ * @param {Object} options - Font size, bold and RGB color (0-1)
+ */
+export function drawPdfText(page, text, x, y, options = {}) {
+  const { size = 10, bold = false, color = [0, 0, 0] } = options
+
+  page.operations.push(
+    `BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatColor(color)} rg ` +
+    `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapePdfString(text)}) Tj ET`
+  )
+}
+
+/**
+ * Draw text wrapped to a maximum width
+ * @returns {number} Baseline of the line after the last drawn line
+ */
+export function drawPdfParagraph(page, text, x, y, maxWidth, options = {}) {
+  const { size = 10, lineHeight = size * 1.4 } = options
+  let baseline = y
+
+  wrapPdfText(text, maxWidth, size).forEach(line => {
+    drawPdfText(page, line, x, baseline, options)
+    baseline += lineHeight
+  })
+
+  return baseline
+}
+
+/**
+ * Split text into lines that fit a width (approximate Helvetica metrics)
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Available width (pt)
+ * @param {number} size - Font size (pt)
+ * @returns {Array<string>} Lines
+ */
+export function wrapPdfText(text, maxWidth, size) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (size * AVERAGE_CHAR_WIDTH)))
+  const lines = []
+  let line = ''
+
+  text.split(/\s+/).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word
+    if (candidate.length > maxChars && line) {
+      lines.push(line)
+      line = word
+    } else {
+      line = candidate
+    }
+  })
+
+  if (line) lines.push(line)
+  return lines
+}
+
+/**
+ * Draw a straight line
+ */
+export function drawPdfLine(page, x1, y1, x2, y2, options = {}) {
+  const { color = [0, 0, 0], lineWidth = 1 } = options
+
+  page.operations.push(
+    `${formatColor(color)} RG ${formatNumber(lineWidth)} w ` +
+    `${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+  )
+}
+
+/**
+ * Draw a rectangle (top-left corner at x, y)
+ */
+export function drawPdfRect(page, x, y, width, height, options = {}) {
+  const { fill = null, stroke = null, lineWidth = 1 } = options
+  if (!fill && !stroke) return
+
+  const rect = `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`
+  const paint = fill && stroke ? 'B' : fill ? 'f' : 'S'
+
+  page.operations.push(
+    `${fill ? `${formatColor(fill)} rg ` : ''}${stroke ? `${formatColor(stroke)} RG ${formatNumber(lineWidth)} w ` : ''}${rect} ${paint}`
+  )
+}
+
+/**
+ * Draw a JPEG image
+ * @param {Object} doc - Document
+ * @param {Object} page - Page
+ * @param {Object} image - {dataUrl, width, height} with a JPEG data URL and its pixel size
+ * @param {number} x - Left edge (pt)
+ * @param {number} y - Top edge (pt)
+ * @param {number} width - Drawn width (pt)
+ * @param {number} height - Drawn height (pt)
+ */
+export function drawPdfImage(doc, page, image, x, y, width, height) {
+  const name = `Im${doc.images.length}`
+  doc.images.push({
+    name,
+    bytes: dataUrlToBytes(image.dataUrl),
+    width: image.width,
+    height: image.height
+  })
+
+  page.operations.push(
+    `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} cm /${name} Do Q`
+  )
+}
+
+/**
+ * Serialize the document
+ * @param {Object} doc - Document
+ * @returns {Blob} PDF file
+ */
+export function buildPdfBlob(doc) {
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? latin1ToBytes(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  const writeObject = (id, body, stream = null) => {
+    offsets[id] = length
+    write(`${id} 0 obj\n${body}\n`)
+    if (stream) {
+      write('stream\n')
+      write(stream)
+      write('\nendstream\n')
+    }
+    write('endobj\n')
+  }
+
+  // Object numbering: 1 catalog, 2 page tree, 3-4 fonts, then images, then page/content pairs
+  const firstImageId = 5
+  const firstPageId = firstImageId + doc.images.length
+  const pageIds = doc.pages.map((_, index) => firstPageId + index * 2)
+
+  const xObjects = doc.images
+    .map((image, index) => `/${image.name} ${firstImageId + index} 0 R`)
+    .join(' ')
+  const resources = `<< /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >>`
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')
+
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>')
+  writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`)
+  writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+  writeObject(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+
+  doc.images.forEach((image, index) => {
+    writeObject(
+      firstImageId + index,
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+      image.bytes
+    )
+  })
+
+  doc.pages.forEach((page, index) => {
+    const content = latin1ToBytes(page.operations.join('\n'))
+    const pageId = pageIds[index]
+
+    writeObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources ${resources} /Contents ${pageId + 1} 0 R >>`
+    )
+    writeObject(pageId + 1, `<< /Length ${content.length} >>`, content)
+  })
+
+  // Cross-reference table
+  const objectCount = firstPageId + doc.pages.length * 2
+  const xrefOffset = length
+  let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`
+  for (let id = 1; id < objectCount; id++) {
+    xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+  }
+  write(xref)
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
+
+/**
+ * Helper functions
+ */
+
+function escapePdfString(text) {
+  return String(text)
+    .replace(/[^\x20-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)')
+}
+
+function formatNumber(value) {
+  return (Math.round(value * 100) / 100).toString()
+}
+
+function formatColor(color) {
+  return color.map(formatNumber).join(' ')
+}
+
+function latin1ToBytes(text) {
+  const bytes = new Uint8Array(text.length)
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff
+  }
+  return bytes
+}
+
+function dataUrlToBytes(dataUrl) {
+  return latin1ToBytes(atob(dataUrl.split(',')[1]))
+}
@@ -0,0 +1,328 @@
+/**
+ * Procedure Report Generator
+ * Renders a two-page PDF summary of a bifurcation angle calculation for the procedure record
+ */
+
+import {
+  PAGE_WIDTH,
+  createPdfDocument,
+  addPdfPage,
+  drawPdfText,
+  drawPdfParagraph,
+  drawPdfLine,
+  drawPdfRect,
+  drawPdfImage,
+  buildPdfBlob
+} from './pdfWriter'
+import { calculateForeshorteningMap } from './angleEngine'
+import { drawForeshorteningHeatmap } from './heatmapRendering'
+import { isAngleReachable } from './cArmConstraints'
+
+const MARGIN = 40
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN
+
+const VESSEL_COLORS = {
+  main: '#ef4444',
+  branch1: '#3b82f6',
+  branch2: '#10b981'
+}
+
+const TEXT_MUTED = [0.35, 0.35, 0.35]
+const TEXT_ACCENT = [0.15, 0.39, 0.92]
+
+/**
+ * Generate the procedure report PDF
+ * @param {Object} projectData - Wizard project data
+ * @param {Object} results - Results shown in ResultsDisplay
+ * @param {Function} describeAngles - (raoLao, cranialCaudal) => clinical wording
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function generateProcedureReport(projectData, results, describeAngles) {
+  const doc = createPdfDocument()
+  const isCT = Boolean(projectData.coronaryCTData)
+
+  // Page 1: recommendation and source images
+  const page1 = addPdfPage(doc)
+  let y = drawHeader(page1, 'Coronary Bifurcation Procedure Report')
+
+  drawPdfText(page1, 'Recommended Optimal Projection', MARGIN, y, { size: 13, bold: true })
+  y += 22
+  drawPdfText(page1, describeAngles(results.optimal.raoLao, results.optimal.cranialCaudal), MARGIN, y, {
+    size: 18, bold: true, color: TEXT_ACCENT
+  })
+  y += 20
+  drawPdfText(page1, `Confidence: ${formatPercent(results.analysis?.confidence ?? results.bifurcationConfidence)}`, MARGIN, y, {
+    size: 10, color: TEXT_MUTED
+  })
+  y += 28
+
+  drawPdfText(page1, isCT ? 'Source' : 'Input Projections', MARGIN, y, { size: 13, bold: true })
+  y += 18
+
+  if (isCT) {
+    y = drawPdfParagraph(
+      page1,
+      `Coronary CT segmentation, bifurcation ${results.analysis?.bifurcationLabel ?? results.analysis?.bifurcationId ?? ''}. ` +
+      'Vessel directions were measured directly from the segmented 3D centerlines.',
+      MARGIN, y, CONTENT_WIDTH, { size: 10 }
+    )
+  } else {
+    const sourceImages = [
+      { label: 'Image 1', image: projectData.image1, angles: projectData.image1Angles, vesselData: projectData.image1VesselData },
+      { label: 'Image 2', image: projectData.image2, angles: projectData.image2Angles, vesselData: projectData.image2VesselData }
+    ]
+    const slotWidth = (CONTENT_WIDTH - 20) / 2
+    let imagesBottom = y
+
+    for (const [index, source] of sourceImages.entries()) {
+      const x = MARGIN + index * (slotWidth + 20)
+      drawPdfText(page1, `${source.label}: ${source.angles ? describeAngles(source.angles.raoLao, source.angles.cranialCaudal) : 'angles not set'}`, x, y, { size: 10 })
+
+      if (source.image) {
+        const rendered = await renderTrackedImage(source.image, source.vesselData)
+        const height = Math.min(slotWidth * rendered.height / rendered.width, 260)
+        const width = height * rendered.width / rendered.height
+        drawPdfImage(doc, page1, rendered, x, y + 8, width, height)
+        imagesBottom = Math.max(imagesBottom, y + 8 + height)
+      }
+    }
+
+    y = imagesBottom + 18
+    y = drawVesselLegend(page1, y)
+  }
+
+  drawFooter(page1, 1)
+
+  // Page 2: foreshortening map and method notes
+  const page2 = addPdfPage(doc)
+  y = drawHeader(page2, 'Analysis Details')
+
+  const vesselDirections = results.analysis?.vesselDirections
+  if (vesselDirections) {
+    drawPdfText(page2, 'Foreshortening Map', MARGIN, y, { size: 13, bold: true })
+    y += 10
+
+    const markers = isCT
+      ? [{ ...results.current, label: 'CT' }]
+      : [{ ...projectData.image1Angles, label: '1' }, { ...projectData.image2Angles, label: '2' }]
+    const map = calculateForeshorteningMap([vesselDirections.main, vesselDirections.branch1, vesselDirections.branch2], { step: 2 })
+    const constraints = results.analysis?.constraints?.profile
+    const mapImage = renderForeshorteningMapImage(map, results.optimal, markers.filter(marker => marker.raoLao !== undefined), constraints)
+    const mapWidth = CONTENT_WIDTH * 0.7
+    const mapHeight = mapWidth * mapImage.height / mapImage.width
+
+    drawPdfImage(doc, page2, mapImage, MARGIN, y, mapWidth, mapHeight)
+    y += mapHeight + 14
+    y = drawPdfParagraph(
+      page2,
+      'Horizontal axis: LAO 90 (left) to RAO 90 (right). Vertical axis: cranial 45 (top) to caudal 45 (bottom). ' +
+      'Brighter colors mean less foreshortening of the three bifurcation segments; isolines mark the weighted ' +
+      'fraction of true segment length that stays visible. ' +
+      'Circle: recommended projection. Crosses: ' + (isCT ? 'simulated projection in the CT viewer.' : 'input projections.') +
+      (constraints ? ` Grey: not reachable with the C-arm profile "${constraints.name}".` : ''),
+      MARGIN, y, CONTENT_WIDTH, { size: 9, color: TEXT_MUTED }
+    )
+    y += 14
+  }
+
+  drawPdfText(page2, 'Method', MARGIN, y, { size: 13, bold: true })
+  y += 18
+
+  const methodLines = [
+    `Method: ${results.analysis?.method ?? 'Foreshortening minimization'}`,
+    `Segment length: ${results.analysis?.segmentLength ?? 'n/a'}`
+  ]
+  if (results.analysis?.reprojectionError !== undefined) {
+    methodLines.push(`Stereo reprojection error: ${results.analysis.reprojectionError.toFixed(2)} px, matched centerline points: ${formatPercent(results.analysis.matchedFraction)}`)
+  }
+  if (results.analysis?.constraints) {
+    const { profile, unconstrainedOptimal } = results.analysis.constraints
+    methodLines.push(
+      `C-arm constraint profile: ${profile.name}` +
+      (unconstrainedOptimal
+        ? ` (unconstrained optimum ${describeAngles(unconstrainedOptimal.raoLao, unconstrainedOptimal.cranialCaudal)} blocked: ${unconstrainedOptimal.blockedBy})`
+        : '')
+    )
+  }
+  if (results.analysis?.overlap) {
+    const { overlap } = results.analysis
+    methodLines.push(
+      `Vessel overlap at recommended view: ${formatPercent(overlap.atOptimal)} ` +
+      `(foreshortening-only optimum ${describeAngles(overlap.foreshorteningOptimal.raoLao, overlap.foreshorteningOptimal.cranialCaudal)}: ` +
+      `${formatPercent(overlap.atForeshorteningOptimal)})`
+    )
+  }
+  if (vesselDirections) {
+    Object.entries(vesselDirections).forEach(([vesselName, direction]) => {
+      methodLines.push(`${vesselName} direction (3D): [${direction.map(v => v.toFixed(3)).join(', ')}]`)
+    })
+  }
+  methodLines.forEach(line => {
+    y = drawPdfParagraph(page2, line, MARGIN, y, CONTENT_WIDTH, { size: 10 })
+  })
+  y += 10
+
+  // Describe the search that was actually run for these results
+  const { overlap, constraints: constraintSummary } = results.analysis || {}
+  y = drawPdfParagraph(
+    page2,
+    (isCT
+      ? 'Main vessel and branch directions were taken from the segmented CT centerlines around the selected bifurcation. '
+      : 'Vessel centerlines tracked on both angiograms were matched along epipolar lines and triangulated into 3D. ') +
+    'The recommended projection maximizes the projected length of the main vessel and both branches around the bifurcation' +
+    (overlap
+      ? `, less an overlap penalty (weight ${overlap.weight}) where other ` +
+        `${overlap.includesBackground ? 'contrast-filled structures' : 'segmented vessels'} project onto it.`
+      : '.') +
+    (constraintSummary
+      ? ` Only angles reachable with the C-arm constraint profile "${constraintSummary.profile.name}" were searched.`
+      : ''),
+    MARGIN, y, CONTENT_WIDTH, { size: 10 }
+  )
+  y += 10
+
+  drawPdfRect(page2, MARGIN, y, CONTENT_WIDTH, 40, { fill: [1, 0.97, 0.86], stroke: [0.98, 0.8, 0.3] })
+  drawPdfParagraph(
+    page2,
+    'Decision support only. Verify the recommended projection against live fluoroscopy before relying on it.',
+    MARGIN + 8, y + 16, CONTENT_WIDTH - 16, { size: 9 }
+  )
+
+  drawFooter(page2, 2)
+
+  return buildPdfBlob(doc)
+}
+
+/**
+ * Generate the report and trigger a download
+ */
+export async function downloadProcedureReport(projectData, results, describeAngles) {
+  const blob = await generateProcedureReport(projectData, results, describeAngles)
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `bifurcation-procedure-report-${Date.now()}.pdf`
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Page decorations
+ */
+
+function drawHeader(page, title) {
+  drawPdfText(page, title, MARGIN, MARGIN + 12, { size: 18, bold: true })
+  drawPdfText(page, `Generated ${new Date().toLocaleString()}`, MARGIN, MARGIN + 30, { size: 9, color: TEXT_MUTED })
+  drawPdfLine(page, MARGIN, MARGIN + 40, PAGE_WIDTH - MARGIN, MARGIN + 40, { color: [0.8, 0.8, 0.8] })
+  return MARGIN + 64
+}
+
+function drawFooter(page, pageNumber) {
+  drawPdfText(page, `Coronary Bifurcation Angle Calculator - page ${pageNumber} of 2`, MARGIN, 815, { size: 8, color: TEXT_MUTED })
+}
+
+function drawVesselLegend(page, y) {
+  const labels = { main: 'Main vessel', branch1: 'First branch', branch2: 'Second branch' }
+  let x = MARGIN
+
+  Object.entries(labels).forEach(([vesselName, label]) => {
+    drawPdfRect(page, x, y - 8, 10, 10, { fill: hexToRgb(VESSEL_COLORS[vesselName]) })
+    drawPdfText(page, label, x + 14, y, { size: 9 })
+    x += 110
+  })
+
+  drawPdfRect(page, x, y - 8, 10, 10, { fill: hexToRgb('#fbbf24') })
+  drawPdfText(page, 'Bifurcation point', x + 14, y, { size: 9 })
+
+  return y + 20
+}
+
+/**
+ * Draw tracked centerlines and the bifurcation point over a source image
+ * @returns {Promise<Object>} {dataUrl, width, height} JPEG
+ */
+async function renderTrackedImage(imageSrc, vesselData, maxSize = 900) {
+  const img = await loadImage(imageSrc)
+  const ratio = Math.min(maxSize / img.width, maxSize / img.height, 1)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(img.width * ratio)
+  canvas.height = Math.round(img.height * ratio)
+  const ctx = canvas.getContext('2d')
+
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+
+  if (vesselData) {
+    const strokePath = (points, color, width) => {
+      if (!points || points.length < 2) return
+      ctx.strokeStyle = color
+      ctx.lineWidth = width
+      ctx.lineCap = 'round'
+      ctx.lineJoin = 'round'
+      ctx.beginPath()
+      ctx.moveTo(points[0].x * ratio, points[0].y * ratio)
+      points.slice(1).forEach(point => ctx.lineTo(point.x * ratio, point.y * ratio))
+      ctx.stroke()
+    }
+
+    Object.entries(vesselData.vessels || {}).forEach(([vesselName, vessel]) => {
+      strokePath(vessel.centerline, VESSEL_COLORS[vesselName] || vessel.color, 2)
+    })
+    Object.entries(vesselData.adjustedSegments || {}).forEach(([vesselName, segment]) => {
+      strokePath(segment, VESSEL_COLORS[vesselName], 5)
+    })
+
+    if (vesselData.bifurcationPoint) {
+      ctx.fillStyle = '#fbbf24'
+      ctx.strokeStyle = '#ffffff'
+      ctx.lineWidth = 2
+      ctx.beginPath()
+      ctx.arc(vesselData.bifurcationPoint.x * ratio, vesselData.bifurcationPoint.y * ratio, 8, 0, 2 * Math.PI)
+      ctx.fill()
+      ctx.stroke()
+    }
+  }
+
+  return { dataUrl: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height }
+}
+
+/**
+ * Render the combined foreshortening map as a JPEG image
+ * @returns {Object} {dataUrl, width, height} JPEG
+ */
+function renderForeshorteningMapImage(map, optimal, markers, constraints) {
+  const canvas = document.createElement('canvas')
+  canvas.width = 720
+  canvas.height = 360
+
+  drawForeshorteningHeatmap(canvas.getContext('2d'), map, 'combined', {
+    optimal,
+    markers,
+    reachable: constraints ? (raoLao, cranialCaudal) => isAngleReachable(constraints, raoLao, cranialCaudal) : null
+  })
+
+  return { dataUrl: canvas.toDataURL('image/jpeg', 0.9), width: canvas.width, height: canvas.height }
+}
+
+/**
+ * Helper functions
+ */
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('Could not load source image for report'))
+    img.src = src
+  })
+}
+
+function formatPercent(value) {
+  return typeof value === 'number' ? `${(value * 100).toFixed(0)}%` : 'n/a'
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16)
+  return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255]
+}
@@ -0,0 +1,495 @@
+/**
+ * Segmentation Editing
+ * Manual correction of segmented coronary vessels on a label mask: vessel n of the
+ * segmentation is label n (1-based), background is 0. The mask has the CT volume's grid and
+ * the fields of a volume (data, dimensions, spacing, affine), so it can be reformatted like
+ * one for display.
+ *
+ * Each tool changes the mask in place and returns an edit, { indices, before, after,
+ * labels }, that undoEdit and redoEdit replay; edits that change nothing return null. After
+ * editing, only the vessels whose labels changed get their voxels and centerline extracted
+ * again (reextractEditedVessels).
+ */
+
+import { getVolumeAffine, patientToVoxel, voxelToPatient } from './dicomGeometry'
+import { patientToVoxelIndex } from './multiplanarReformation'
+import { extractMinimalPathCenterlines } from './centerlineExtraction'
+import { buildCoronaryTree } from './coronaryTree'
+import { labelCoronaryTree } from './coronaryLabeling'
+
+// Reach of "cut here" across the vessel, beyond its lumen radius (mm)
+const CUT_MARGIN = 2
+
+// Lumen radius assumed for centerlines without one (mm)
+const DEFAULT_CUT_RADIUS = 3
+
+// Voxels farther than this beyond the old distal end (mm) mean the vessel was painted longer
+const EXTENSION_MARGIN = 3
+
+// 26-connected neighbor offsets
+const NEIGHBORS_26 = []
+for (let dz = -1; dz <= 1; dz++) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx !== 0 || dy !== 0 || dz !== 0) NEIGHBORS_26.push([dx, dy, dz])
+    }
+  }
+}
+
+// 6-connected neighbor offsets
+const NEIGHBORS_6 = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]
+
+/**
+ * Label mask of segmented vessels
+ * @param {Object} volume - CT volume the vessels were segmented in
+ * @param {Array<Object>} vessels - Vessels with segmentedRegion.points
+ * @returns {Object} Mask { data (label per voxel), dimensions, spacing, affine, vesselIds
+ *   (vessel id per label - 1) }
+ */
+export function createSegmentationMask(volume, vessels) {
+  if (vessels.length > 255) {
+    throw new Error('Too many vessels to edit (at most 255)')
+  }
+
+  const { width, height } = volume.dimensions
+  const data = new Uint8Array(volume.data.length)
+
+  vessels.forEach((vessel, index) => {
+    vessel.segmentedRegion.points.forEach(point => {
+      data[point.z * width * height + point.y * width + point.x] = index + 1
+    })
+  })
+
+  return {
+    data,
+    dimensions: volume.dimensions,
+    spacing: volume.spacing,
+    affine: getVolumeAffine(volume),
+    vesselIds: vessels.map(vessel => vessel.id)
+  }
+}
+
+/**
+ * Paint (or erase with label 0) a disc in a viewing plane
+ * The disc is one voxel thick so strokes on a slice only change that slice.
+ * @param {Object} mask - Mask from createSegmentationMask
+ * @param {Array<number>} center - Disc center (LPS, mm)
+ * @param {Array<number>} normal - Unit normal of the viewing plane (LPS)
+ * @param {number} radius - Disc radius (mm)
+ * @param {number} label - Label to paint, 0 to erase
+ * @returns {Object|null} Edit, or null if no voxel changed
+ */
+export function paintBrush(mask, center, normal, radius, label) {
+  const halfThickness = Math.max(...mask.spacing) / 2
+  const indices = []
+
+  forEachVoxelNear(mask, center, radius + halfThickness, (index, position) => {
+    const offset = position.map((value, axis) => value - center[axis])
+    const along = offset[0] * normal[0] + offset[1] * normal[1] + offset[2] * normal[2]
+    const across = Math.sqrt(Math.max(0, offset[0] ** 2 + offset[1] ** 2 + offset[2] ** 2 - along * along))
+    if (Math.abs(along) <= halfThickness && across <= radius) indices.push(index)
+  })
+
+  return applyLabel(mask, indices, label)
+}
+
+/**
+ * Fill the voxels within an HU window connected to a seed
+ * The fill is 6-connected, stays within maxRadius of the seed and does not enter other
+ * vessels, so it closes gaps without flooding the heart chambers.
+ * @param {Object} mask - Mask from createSegmentationMask
+ * @param {Object} volume - CT volume
+ * @param {Array<number>} seed - Start position (LPS, mm)
+ * @param {number} label - Label to fill with
+ * @param {Object} options - minIntensity / maxIntensity (HU window), maxRadius (mm)
+ * @returns {Object|null} Edit, or null if no voxel changed
+ */
+export function thresholdFill(mask, volume, seed, label, options = {}) {
+  const { minIntensity = 200, maxIntensity = 800, maxRadius = 10 } = options
+  const start = toVoxelIndex(mask, seed)
+  if (start === null) return null
+
+  const { width, height, depth } = mask.dimensions
+  const sliceSize = width * height
+  const fits = (index) => {
+    const value = volume.data[index]
+    return value >= minIntensity && value <= maxIntensity && (mask.data[index] === 0 || mask.data[index] === label)
+  }
+  if (!fits(start)) return null
+
+  const affine = mask.affine
+  const visited = new Set([start])
+  const queue = [start]
+
+  for (let head = 0; head < queue.length; head++) {
+    const index = queue[head]
+    const [x, y, z] = indexToVoxel(index, width, sliceSize)
+
+    for (const [dx, dy, dz] of NEIGHBORS_6) {
+      const nx = x + dx
+      const ny = y + dy
+      const nz = z + dz
+      if (nx < 0 || ny < 0 || nz < 0 || nx >= width || ny >= height || nz >= depth) continue
+
+      const neighbor = nz * sliceSize + ny * width + nx
+      if (visited.has(neighbor) || !fits(neighbor)) continue
+      if (distance(voxelToPatient(affine, { x: nx, y: ny, z: nz }), seed) > maxRadius) continue
+
+      visited.add(neighbor)
+      queue.push(neighbor)
+    }
+  }
+
+  return applyLabel(mask, queue, label)
+}
+
+/**
+ * Remove the connected piece of segmentation nearest a position
+ * The piece is the 26-connected component of the labeled voxel at (or nearest, within
+ * searchRadius of) the position.
+ * @param {Object} mask - Mask from createSegmentationMask
+ * @param {Array<number>} position - Position on the piece (LPS, mm)
+ * @param {Object} options - searchRadius (mm)
+ * @returns {Object|null} Edit, or null if no segmentation is near the position
+ */
+export function removeConnectedComponent(mask, position, options = {}) {
+  const { searchRadius = 2 } = options
+  let start = null
+  let nearest = Infinity
+
+  forEachVoxelNear(mask, position, searchRadius, (index, voxelPosition) => {
+    const voxelDistance = distance(voxelPosition, position)
+    if (mask.data[index] !== 0 && voxelDistance < nearest) {
+      start = index
+      nearest = voxelDistance
+    }
+  })
+  if (start === null) return null
+
+  return applyLabel(mask, findComponent(mask, start), 0)
+}
+
+/**
+ * Cut a vessel across its centerline and remove the part beyond the cut
+ * A thin slab perpendicular to the vessel is erased, then every voxel of the vessel no
+ * longer connected to its proximal end.
+ * @param {Object} mask - Mask from createSegmentationMask
+ * @param {Object} vessel - Vessel to cut (centerline from proximal to distal)
+ * @param {Array<number>} position - Cut position on the centerline (LPS, mm)
+ * @param {Array<number>} tangent - Unit vessel direction at the cut (LPS)
+ * @returns {Object|null} Edit, or null if nothing was cut
+ */
+export function cutVesselAt(mask, vessel, position, tangent) {
+  const label = mask.vesselIds.indexOf(vessel.id) + 1
+  if (label === 0) return null
+
+  const affine = mask.affine
+  const closest = vessel.centerline.reduce((best, point) =>
+    distance(centerlinePosition(affine, point), position) < distance(centerlinePosition(affine, best), position) ? point : best
+  )
+  const reach = (closest.radius || DEFAULT_CUT_RADIUS) + CUT_MARGIN
+  // Two voxels thick, so no diagonal neighbors bridge the cut
+  const halfThickness = Math.max(...mask.spacing)
+  const indices = []
+
+  forEachVoxelNear(mask, position, reach + halfThickness, (index, voxelPosition) => {
+    if (mask.data[index] !== label) return
+    const offset = voxelPosition.map((value, axis) => value - position[axis])
+    const along = offset[0] * tangent[0] + offset[1] * tangent[1] + offset[2] * tangent[2]
+    const across = Math.sqrt(Math.max(0, offset[0] ** 2 + offset[1] ** 2 + offset[2] ** 2 - along * along))
+    if (Math.abs(along) <= halfThickness && across <= reach) indices.push(index)
+  })
+  if (indices.length === 0) return null
+
+  const slab = applyLabel(mask, indices, 0)
+
+  // Everything of the vessel not connected to its proximal end lies beyond the cut
+  const proximal = nearestLabeledVoxel(mask, label, centerlinePosition(affine, vessel.centerline[0]))
+  const kept = proximal === null ? new Set() : new Set(findComponent(mask, proximal))
+  const distal = []
+  for (let index = 0; index < mask.data.length; index++) {
+    if (mask.data[index] === label && !kept.has(index)) distal.push(index)
+  }
+
+  const removal = applyLabel(mask, distal, 0)
+  return removal ? mergeEdits(slab, removal) : slab
+}
+
+/**
+ * Combine two consecutive edits into one undo step (e.g. the dabs of a brush stroke)
+ * @param {Object|null} first - Earlier edit
+ * @param {Object|null} second - Later edit
+ * @returns {Object|null} Edit with the effect of both
+ */
+export function mergeEdits(first, second) {
+  if (!first) return second
+  if (!second) return first
+
+  const before = new Map()
+  const after = new Map()
+  first.indices.forEach((index, i) => {
+    before.set(index, first.before[i])
+    after.set(index, first.after[i])
+  })
+  second.indices.forEach((index, i) => {
+    if (!before.has(index)) before.set(index, second.before[i])
+    after.set(index, second.after[i])
+  })
+
+  const indices = Int32Array.from(before.keys())
+  return {
+    indices,
+    before: Uint8Array.from(indices, index => before.get(index)),
+    after: Uint8Array.from(indices, index => after.get(index)),
+    labels: [...new Set([...first.labels, ...second.labels])]
+  }
+}
+
+/**
+ * Revert an edit
+ * @param {Object} mask - Mask the edit was made on
+ * @param {Object} edit - Edit to revert
+ */
+export function undoEdit(mask, edit) {
+  edit.indices.forEach((index, i) => {
+    mask.data[index] = edit.before[i]
+  })
+}
+
+/**
+ * Apply an edit again after undoing it
+ * @param {Object} mask - Mask the edit was made on
+ * @param {Object} edit - Edit to reapply
+ */
+export function redoEdit(mask, edit) {
+  edit.indices.forEach((index, i) => {
+    mask.data[index] = edit.after[i]
+  })
+}
+
+/**
+ * Voxels of each label in a mask
+ * @param {Object} mask - Mask from createSegmentationMask
+ * @param {Array<number>} labels - Labels to collect
+ * @returns {Map<number, Array<Object>>} Voxels {x, y, z} per label
+ */
+export function getLabelPoints(mask, labels) {
+  const { width } = mask.dimensions
+  const sliceSize = width * mask.dimensions.height
+  const points = new Map(labels.map(label => [label, []]))
+
+  for (let index = 0; index < mask.data.length; index++) {
+    const list = mask.data[index] !== 0 && points.get(mask.data[index])
+    if (!list) continue
+    const [x, y, z] = indexToVoxel(index, width, sliceSize)
+    list.push({ x, y, z })
+  }
+
+  return points
+}
+
+/**
+ * Replace the edited vessels' regions with the mask and extract their centerlines again
+ * Each centerline is the minimal path through the vessel's voxels from its proximal end to
+ * its old distal end, or to its farthest voxel when the old end was removed. Vessels left
+ * without voxels are dropped. The coronary tree is rebuilt from all vessels.
+ * @param {Object} volume - CT volume
+ * @param {Array<Object>} vessels - Current vessels
+ * @param {Array<Object>} edited - { id, points } for each edited vessel (voxels from the mask)
+ * @param {Object} options - intensityThreshold (HU, for lumen radii), maxRadius (mm),
+ *   aorticRoot (LPS position), onProgress (callback (processed, total))
+ * @returns {Object} Segmentation { vessels, totalVessels, tree }
+ */
+export function reextractEditedVessels(volume, vessels, edited, options = {}) {
+  const { intensityThreshold = 200, maxRadius = 5, aorticRoot = null, onProgress = null } = options
+  const { spacing } = volume
+  const editedPoints = new Map(edited.map(entry => [entry.id, entry.points]))
+  let processed = 0
+
+  const updated = vessels.map(vessel => {
+    const points = editedPoints.get(vessel.id)
+    if (!points) return vessel
+
+    const centerline = extractMaskCenterline(volume, vessel, points, { intensityThreshold, maxRadius })
+    processed++
+    if (onProgress) onProgress(processed, edited.length)
+
+    if (!centerline) {
+      console.warn(`${vessel.id} has no centerline left after editing; it is removed`)
+      return null
+    }
+
+    return {
+      ...vessel,
+      seedPoint: centerline[centerline.length - 1],
+      centerline,
+      segmentedRegion: { points, seedPoint: centerline[0] },
+      length: centerline.slice(1).reduce((sum, point, index) => sum + distance(point.position, centerline[index].position), 0),
+      volume: points.length * spacing[0] * spacing[1] * spacing[2],
+      meanRadius: centerline.reduce((sum, point) => sum + point.radius, 0) / centerline.length,
+      edited: true
+    }
+  }).filter(Boolean)
+
+  return {
+    vessels: updated,
+    totalVessels: updated.length,
+    tree: labelCoronaryTree(buildCoronaryTree({ vessels: updated, volume }), volume, { aorticRoot })
+  }
+}
+
+/**
+ * Helper functions
+ */
+
+// Minimal path through a vessel's voxels from its proximal end, or null if too short
+function extractMaskCenterline(volume, vessel, points, options) {
+  if (points.length === 0) return null
+
+  const { dimensions, spacing } = volume
+  const { width, height, depth } = dimensions
+  const toIndex = (point) => point.z * width * height + point.y * width + point.x
+  const inside = new Set(points.map(toIndex))
+  const affine = getVolumeAffine(volume)
+
+  const nearestPoint = (position) => points.reduce((best, point) =>
+    distance(voxelToPatient(affine, point), position) < distance(voxelToPatient(affine, best), position) ? point : best
+  )
+  const source = nearestPoint(centerlinePosition(affine, vessel.centerline[0]))
+
+  // Voxels reachable from the proximal end with their breadth-first step count
+  const steps = new Map([[toIndex(source), 0]])
+  const queue = [source]
+  for (let head = 0; head < queue.length; head++) {
+    const { x, y, z } = queue[head]
+    const step = steps.get(toIndex(queue[head])) + 1
+    for (const [dx, dy, dz] of NEIGHBORS_26) {
+      const neighbor = { x: x + dx, y: y + dy, z: z + dz }
+      if (neighbor.x < 0 || neighbor.y < 0 || neighbor.z < 0 || neighbor.x >= width || neighbor.y >= height || neighbor.z >= depth) continue
+
+      const index = toIndex(neighbor)
+      if (inside.has(index) && !steps.has(index)) {
+        steps.set(index, step)
+        queue.push(neighbor)
+      }
+    }
+  }
+
+  // End on the old centerline where it is still inside, unless painting extended the vessel
+  const farthest = queue[queue.length - 1]
+  const oldEnd = [...vessel.centerline].reverse()
+    .map(point => ({ x: Math.round(point.x), y: Math.round(point.y), z: Math.round(point.z) }))
+    .find(point => steps.has(toIndex(point)))
+  const extensionSteps = Math.ceil(EXTENSION_MARGIN / Math.min(...spacing))
+  const target = oldEnd && steps.get(toIndex(farthest)) <= steps.get(toIndex(oldEnd)) + extensionSteps ? oldEnd : farthest
+  if (toIndex(target) === toIndex(source)) return null
+
+  // Search box covering the reachable voxels
+  const margin = Math.max(...['x', 'y', 'z'].map((axis, index) => {
+    const low = queue.reduce((min, point) => Math.min(min, point[axis]), Infinity)
+    const high = queue.reduce((max, point) => Math.max(max, point[axis]), -Infinity)
+    return Math.max(Math.min(source[axis], target[axis]) - low, high - Math.max(source[axis], target[axis])) * spacing[index]
+  })) + 1
+
+  const [centerline] = extractMinimalPathCenterlines(volume, [source], [target], {
+    ...options,
+    margin,
+    mask: (x, y, z) => inside.has(z * width * height + y * width + x)
+  })
+
+  return centerline.length >= 2 ? centerline : null
+}
+
+// Set the label of voxels and record the change
+function applyLabel(mask, indices, label) {
+  const changed = indices.filter(index => mask.data[index] !== label)
+  if (changed.length === 0) return null
+
+  const before = Uint8Array.from(changed, index => mask.data[index])
+  const edit = {
+    indices: Int32Array.from(changed),
+    before,
+    after: new Uint8Array(changed.length).fill(label),
+    labels: [...new Set([...before, label])].filter(value => value !== 0)
+  }
+  redoEdit(mask, edit)
+  return edit
+}
+
+// Visit the voxels whose centers lie within a radius of a position
+function forEachVoxelNear(mask, position, radius, callback) {
+  const { width, height, depth } = mask.dimensions
+  const center = patientToVoxel(mask.affine, position)
+  const reach = mask.spacing.map(size => Math.ceil(radius / size) + 1)
+
+  for (let z = Math.max(0, Math.round(center.z) - reach[2]); z <= Math.min(depth - 1, Math.round(center.z) + reach[2]); z++) {
+    for (let y = Math.max(0, Math.round(center.y) - reach[1]); y <= Math.min(height - 1, Math.round(center.y) + reach[1]); y++) {
+      for (let x = Math.max(0, Math.round(center.x) - reach[0]); x <= Math.min(width - 1, Math.round(center.x) + reach[0]); x++) {
+        const voxelPosition = voxelToPatient(mask.affine, { x, y, z })
+        if (distance(voxelPosition, position) <= radius) callback(z * width * height + y * width + x, voxelPosition)
+      }
+    }
+  }
+}
+
+// 26-connected component of the label at a voxel
+function findComponent(mask, start) {
+  const { width, height, depth } = mask.dimensions
+  const sliceSize = width * height
+  const label = mask.data[start]
+  const visited = new Set([start])
+  const queue = [start]
+
+  for (let head = 0; head < queue.length; head++) {
+    const [x, y, z] = indexToVoxel(queue[head], width, sliceSize)
+    for (const [dx, dy, dz] of NEIGHBORS_26) {
+      const nx = x + dx
+      const ny = y + dy
+      const nz = z + dz
+      if (nx < 0 || ny < 0 || nz < 0 || nx >= width || ny >= height || nz >= depth) continue
+
+      const neighbor = nz * sliceSize + ny * width + nx
+      if (mask.data[neighbor] === label && !visited.has(neighbor)) {
+        visited.add(neighbor)
+        queue.push(neighbor)
+      }
+    }
+  }
+
+  return queue
+}
+
+// Voxel with a label closest to a position, searching outward up to the vessel's reach
+function nearestLabeledVoxel(mask, label, position) {
+  let best = null
+  let bestDistance = Infinity
+
+  forEachVoxelNear(mask, position, DEFAULT_CUT_RADIUS + CUT_MARGIN, (index, voxelPosition) => {
+    const voxelDistance = distance(voxelPosition, position)
+    if (mask.data[index] === label && voxelDistance < bestDistance) {
+      best = index
+      bestDistance = voxelDistance
+    }
+  })
+
+  return best
+}
+
+function toVoxelIndex(mask, position) {
+  const voxel = patientToVoxelIndex(mask, position)
+  if (!voxel) return null
+  return voxel.z * mask.dimensions.width * mask.dimensions.height + voxel.y * mask.dimensions.width + voxel.x
+}
+
+// Centerline points from region sampling have no patient position
+function centerlinePosition(affine, point) {
+  return point.position || voxelToPatient(affine, point)
+}
+
+function indexToVoxel(index, width, sliceSize) {
+  return [index % width, Math.floor((index % sliceSize) / width), Math.floor(index / sliceSize)]
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])
+}
@@ -0,0 +1,380 @@
+/**
+ * Stereo 3D Reconstruction from Two Angiographic Projections
+ * Matches centerline points between views using epipolar geometry and triangulates 3D centerlines
+ */
+
+import { createProjectionMatrix } from './angleEngine'
+import {
+  imageToProjectionCoordinates,
+  projectionToImageCoordinates,
+  projectPoint3D,
+  triangulate3DPoint
+} from './correctedMath'
+
+const VESSEL_NAMES = ['main', 'branch1', 'branch2']
+
+/**
+ * Default imaging geometry and reconstruction parameters
+ */
+export const DEFAULT_STEREO_OPTIONS = {
+  fieldOfView: 200,          // Detector width covered by the image (mm)
+  sourceDistance: 1000,      // X-ray source to isocenter (mm)
+  detectorDistance: 300,     // Isocenter to detector (mm)
+  segmentLength: 10,         // Length of segment used for each direction (mm)
+  minViewSeparation: 15,     // Minimum angle between the two viewing directions (degrees)
+  sampleStep: 2,             // Use every n-th centerline point from image 1
+  maxParallelCosine: 0.97    // Reject matches where the epipolar line runs along the vessel
+}
+
+/**
+ * Create the imaging geometry for one angiographic view
+ * @param {Object} projectionAngles - {raoLao, cranialCaudal} in degrees
+ * @param {Object} imageSize - {width, height} in pixels
+ * @param {Object} options - Imaging geometry (fieldOfView, sourceDistance, detectorDistance in mm)
+ * @returns {Object} View geometry
+ */
+export function createViewGeometry(projectionAngles, imageSize, options = {}) {
+  const { fieldOfView, sourceDistance, detectorDistance } = { ...DEFAULT_STEREO_OPTIONS, ...options }
+
+  const imagingOptions = { fieldOfView, sourceDistance, detectorDistance }
+
+  return {
+    angles: projectionAngles,
+    imageWidth: imageSize.width,
+    imageHeight: imageSize.height,
+    imagingOptions,
+    projectionMatrix: createProjectionMatrix(
+      projectionAngles.raoLao,
+      projectionAngles.cranialCaudal,
+      sourceDistance
+    )
+  }
+}
+
+/**
+ * Essential matrix between two views in normalized projection coordinates
+ * For a normalized point x1 in view 1, E * x1 is its epipolar line in view 2
+ * @param {Object} view1 - View geometry from createViewGeometry
+ * @param {Object} view2 - View geometry from createViewGeometry
+ * @returns {Array} 3x3 essential matrix
+ */
+export function computeEssentialMatrix(view1, view2) {
+  const P1 = view1.projectionMatrix
+  const P2 = view2.projectionMatrix
+
+  const R1 = P1.map(row => row.slice(0, 3))
+  const R2 = P2.map(row => row.slice(0, 3))
+  const t1 = P1.map(row => row[3])
+  const t2 = P2.map(row => row[3])
+
+  // Relative pose: X2 = R * X1 + t
+  const R = multiply3x3(R2, transpose3x3(R1))
+  const Rt1 = multiply3x3Vector(R, t1)
+  const t = [t2[0] - Rt1[0], t2[1] - Rt1[1], t2[2] - Rt1[2]]
+
+  const tCross = [
+    [0, -t[2], t[1]],
+    [t[2], 0, -t[0]],
+    [-t[1], t[0], 0]
+  ]
+
+  return multiply3x3(tCross, R)
+}
+
+/**
+ * Compute the epipolar line in image 2 for a pixel in image 1
+ * @param {Object} point1 - Point in image 1 pixels {x, y}
+ * @param {Object} view1 - View geometry of image 1
+ * @param {Object} view2 - View geometry of image 2
+ * @returns {Object|null} Line {a, b, c} in image 2 pixels with a² + b² = 1, or null if degenerate
+ */
+export function computeEpipolarLine(point1, view1, view2, essentialMatrix = computeEssentialMatrix(view1, view2)) {
+  const normalized1 = imageToProjectionCoordinates(point1, view1.imageWidth, view1.imageHeight, view1.imagingOptions)
+  const line = multiply3x3Vector(essentialMatrix, [normalized1.x, normalized1.y, 1])
+
+  // Convert line from normalized coordinates to image 2 pixels
+  const { fieldOfView, sourceDistance, detectorDistance } = view2.imagingOptions
+  const scale = (fieldOfView / view2.imageWidth) / (sourceDistance + detectorDistance)
+
+  const a = line[0] * scale
+  const b = line[1] * scale
+  const c = line[2] - a * view2.imageWidth / 2 - b * view2.imageHeight / 2
+
+  const norm = Math.sqrt(a * a + b * b)
+  if (norm < 1e-12) return null
+
+  return { a: a / norm, b: b / norm, c: c / norm }
+}
+
+/**
+ * Signed distance (pixels) from a point to an epipolar line
+ */
+export function distanceToEpipolarLine(point, line) {
+  return line.a * point.x + line.b * point.y + line.c
+}
+
+/**
+ * Match centerline points of image 1 to image 2 along epipolar lines
+ * @param {Array} centerline1 - Centerline points in image 1 pixels
+ * @param {Array} centerline2 - Centerline points in image 2 pixels
+ * @param {Object} view1 - View geometry of image 1
+ * @param {Object} view2 - View geometry of image 2
+ * @param {Object} options - Matching parameters
+ * @returns {Array} Matches {point1, point2, index1, position2}
+ */
+export function matchCenterlinePoints(centerline1, centerline2, view1, view2, options = {}) {
+  const { sampleStep, maxParallelCosine } = { ...DEFAULT_STEREO_OPTIONS, ...options }
+
+  if (centerline1.length < 2 || centerline2.length < 2) return []
+
+  const essentialMatrix = computeEssentialMatrix(view1, view2)
+  const matches = []
+  let previousPosition = null
+
+  for (let i = 0; i < centerline1.length; i += sampleStep) {
+    const point1 = centerline1[i]
+    const line = computeEpipolarLine(point1, view1, view2, essentialMatrix)
+    if (!line) continue
+
+    const candidates = []
+
+    for (let j = 0; j < centerline2.length - 1; j++) {
+      const q1 = centerline2[j]
+      const q2 = centerline2[j + 1]
+      const d1 = distanceToEpipolarLine(q1, line)
+      const d2 = distanceToEpipolarLine(q2, line)
+
+      if (d1 * d2 > 0 || d1 === d2) continue
+
+      // Skip crossings where the vessel is nearly parallel to the epipolar line
+      const dx = q2.x - q1.x
+      const dy = q2.y - q1.y
+      const segmentLength = Math.sqrt(dx * dx + dy * dy)
+      if (segmentLength === 0) continue
+      const alongLine = Math.abs((dx * line.b - dy * line.a) / segmentLength)
+      if (alongLine > maxParallelCosine) continue
+
+      const t = d1 / (d1 - d2)
+      candidates.push({
+        position: j + t,
+        point: { x: q1.x + t * dx, y: q1.y + t * dy }
+      })
+    }
+
+    if (candidates.length === 0) continue
+
+    // Keep the match order consistent with the order along centerline 1
+    const expectedPosition = previousPosition !== null
+      ? previousPosition
+      : (i / (centerline1.length - 1)) * (centerline2.length - 1)
+
+    const forwardCandidates = previousPosition !== null
+      ? candidates.filter(candidate => candidate.position >= previousPosition)
+      : candidates
+    const pool = forwardCandidates.length > 0 ? forwardCandidates : candidates
+
+    const best = pool.reduce((closest, candidate) =>
+      Math.abs(candidate.position - expectedPosition) < Math.abs(closest.position - expectedPosition)
+        ? candidate
+        : closest
+    )
+
+    previousPosition = best.position
+    matches.push({
+      point1: { x: point1.x, y: point1.y },
+      point2: best.point,
+      index1: i,
+      position2: best.position
+    })
+  }
+
+  return matches
+}
+
+/**
+ * Triangulate a pair of corresponding pixels into a 3D point (mm)
+ * @param {Object} point1 - Point in image 1 pixels
+ * @param {Object} point2 - Point in image 2 pixels
+ * @param {Object} view1 - View geometry of image 1
+ * @param {Object} view2 - View geometry of image 2
+ * @returns {Object} 3D point {x, y, z} with reprojectionError in pixels
+ */
+export function triangulateCorrespondence(point1, point2, view1, view2) {
+  const normalized1 = imageToProjectionCoordinates(point1, view1.imageWidth, view1.imageHeight, view1.imagingOptions)
+  const normalized2 = imageToProjectionCoordinates(point2, view2.imageWidth, view2.imageHeight, view2.imagingOptions)
+
+  const [x, y, z] = triangulate3DPoint(normalized1, normalized2, view1.projectionMatrix, view2.projectionMatrix)
+
+  const reprojected1 = projectionToImageCoordinates(
+    projectPoint3D([x, y, z], view1.projectionMatrix),
+    view1.imageWidth, view1.imageHeight, view1.imagingOptions
+  )
+  const reprojected2 = projectionToImageCoordinates(
+    projectPoint3D([x, y, z], view2.projectionMatrix),
+    view2.imageWidth, view2.imageHeight, view2.imagingOptions
+  )
+
+  const reprojectionError = (distance2D(reprojected1, point1) + distance2D(reprojected2, point2)) / 2
+
+  return { x, y, z, reprojectionError }
+}
+
+/**
+ * Reconstruct 3D centerlines and vessel directions from two tracked angiograms
+ * @param {Object} image1VesselData - Vessel data from VesselTracker for the first image
+ * @param {Object} image2VesselData - Vessel data from VesselTracker for the second image
+ * @param {Object} options - Imaging geometry and reconstruction parameters
+ * @returns {Object} 3D centerlines (mm), bifurcation point, directions and quality metrics
+ */
+export function reconstructBifurcation3D(image1VesselData, image2VesselData, options = {}) {
+  const { segmentLength, minViewSeparation, sampleStep } = { ...DEFAULT_STEREO_OPTIONS, ...options }
+
+  const view1 = createViewGeometry(image1VesselData.projectionAngles, image1VesselData.imageSize, options)
+  const view2 = createViewGeometry(image2VesselData.projectionAngles, image2VesselData.imageSize, options)
+
+  const separation = viewSeparationDegrees(view1, view2)
+  if (separation < minViewSeparation) {
+    throw new Error(`Projections differ by only ${separation.toFixed(1)}° - at least ${minViewSeparation}° is needed for 3D reconstruction`)
+  }
+
+  const bifurcationPoint3D = triangulateCorrespondence(
+    image1VesselData.bifurcationPoint,
+    image2VesselData.bifurcationPoint,
+    view1,
+    view2
+  )
+
+  const centerlines3D = {}
+  const directions = {}
+  let totalError = 0
+  let totalMatched = 0
+  let totalSampled = 0
+
+  VESSEL_NAMES.forEach(vesselName => {
+    const centerline1 = getVesselCenterline(image1VesselData, vesselName)
+    const centerline2 = getVesselCenterline(image2VesselData, vesselName)
+
+    const matches = matchCenterlinePoints(centerline1, centerline2, view1, view2, options)
+    const points3D = matches.map(match => triangulateCorrespondence(match.point1, match.point2, view1, view2))
+
+    if (points3D.length < 2) {
+      throw new Error(`Could not match the ${vesselName} centerline between the two images`)
+    }
+
+    centerlines3D[vesselName] = points3D
+    directions[vesselName] = directionFromBifurcation3D(points3D, bifurcationPoint3D, segmentLength)
+
+    totalError += points3D.reduce((sum, point) => sum + point.reprojectionError, 0)
+    totalMatched += points3D.length
+    totalSampled += Math.ceil(centerline1.length / sampleStep)
+  })
+
+  return {
+    centerlines3D,
+    bifurcationPoint3D,
+    directions,
+    reprojectionError: totalError / totalMatched,
+    matchedFraction: totalMatched / totalSampled,
+    viewSeparation: separation,
+    segmentLength
+  }
+}
+
+/**
+ * Use the full tracked centerline when available, else the adjusted bifurcation segment
+ */
+function getVesselCenterline(vesselData, vesselName) {
+  const centerline = vesselData.vessels?.[vesselName]?.centerline
+  if (centerline && centerline.length >= 2) return centerline
+  return vesselData.adjustedSegments?.[vesselName] || []
+}
+
+/**
+ * Unit direction from the 3D bifurcation point along the longer arm of a 3D centerline
+ */
+function directionFromBifurcation3D(centerline, origin, segmentLength) {
+  let closestIndex = 0
+  let closestDistance = Infinity
+
+  centerline.forEach((point, index) => {
+    const distance = distance3D(point, origin)
+    if (distance < closestDistance) {
+      closestDistance = distance
+      closestIndex = index
+    }
+  })
+
+  const before = centerline.slice(0, closestIndex + 1).reverse()
+  const after = centerline.slice(closestIndex)
+  const beforeExtent = distance3D(before[before.length - 1], origin)
+  const afterExtent = distance3D(after[after.length - 1], origin)
+  const arm = afterExtent >= beforeExtent ? after : before
+
+  const target = arm.find(point => distance3D(point, origin) >= segmentLength) || arm[arm.length - 1]
+
+  const direction = [target.x - origin.x, target.y - origin.y, target.z - origin.z]
+  const length = Math.sqrt(direction[0] * direction[0] + direction[1] * direction[1] + direction[2] * direction[2])
+
+  if (length === 0) {
+    throw new Error('3D vessel segment has zero length')
+  }
+
+  return [direction[0] / length, direction[1] / length, direction[2] / length]
+}
+
+/**
+ * Angle between the viewing directions of two views (degrees)
+ */
+function viewSeparationDegrees(view1, view2) {
+  const v1 = view1.projectionMatrix[2].slice(0, 3)
+  const v2 = view2.projectionMatrix[2].slice(0, 3)
+  const dot = v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2]
+  return Math.acos(Math.max(-1, Math.min(1, dot))) * 180 / Math.PI
+}
+
+/**
+ * Helper functions
+ */
+
+function multiply3x3(A, B) {
+  const result = Array(3).fill().map(() => Array(3).fill(0))
+
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      for (let k = 0; k < 3; k++) {
+        result[i][j] += A[i][k] * B[k][j]
+      }
+    }
+  }
+
+  return result
+}
+
+function multiply3x3Vector(matrix, vector) {
+  return [
+    matrix[0][0] * vector[0] + matrix[0][1] * vector[1] + matrix[0][2] * vector[2],
+    matrix[1][0] * vector[0] + matrix[1][1] * vector[1] + matrix[1][2] * vector[2],
+    matrix[2][0] * vector[0] + matrix[2][1] * vector[1] + matrix[2][2] * vector[2]
+  ]
+}
+
+function transpose3x3(matrix) {
+  return [
+    [matrix[0][0], matrix[1][0], matrix[2][0]],
+    [matrix[0][1], matrix[1][1], matrix[2][1]],
+    [matrix[0][2], matrix[1][2], matrix[2][2]]
+  ]
+}
+
+function distance2D(p1, p2) {
+  const dx = p1.x - p2.x
+  const dy = p1.y - p2.y
+  return Math.sqrt(dx * dx + dy * dy)
+}
+
+function distance3D(p1, p2) {
+  const dx = p1.x - p2.x
+  const dy = p1.y - p2.y
+  const dz = p1.z - p2.z
+  return Math.sqrt(dx * dx + dy * dy + dz * dz)
+}
@@ -0,0 +1,534 @@
+/**
+ * Vessel Surface Meshes
+ * Turns segmented voxels into triangle surfaces for 3D printing and 3D viewers: the voxel
+ * mask is blurred slightly, its 0.5 isosurface is extracted with marching cubes, then
+ * Taubin smoothing removes the voxel staircase without shrinking the vessel and short edges
+ * are collapsed to decimate the mesh. Collapses that would make the surface non-manifold or
+ * fold it over are skipped, so meshes stay closed for 3D printing.
+ *
+ * The marching cubes triangle table is derived when the module loads: on each cube face the
+ * isoline separates the inside corners (diagonal inside corners stay apart), and the face
+ * segments are chained into closed loops. Neighbouring cubes therefore agree on every shared
+ * face and surfaces are closed. Triangles wind counter-clockwise seen from outside.
+ *
+ * Meshes are { positions, indices }: vertex positions in patient coordinates (LPS, mm) as
+ * a Float32Array of x, y, z triples and triangles as a Uint32Array of vertex indices.
+ */
+
+import { getVolumeAffine, voxelToPatient } from './dicomGeometry'
+
+// Voxels of padding around a mask so its surface closes inside the sampled grid
+const MASK_PADDING = 2
+
+// Decimation passes over the edges still shorter than the target length
+const DECIMATION_PASSES = 4
+
+// Smallest cosine between a triangle's normals before and after an edge collapse
+const MIN_COLLAPSE_NORMAL_COSINE = 0.5
+
+// Largest distance of a collapsed edge's midpoint from the planes of the triangles around it,
+// as a fraction of the target edge length
+const MAX_COLLAPSE_DEVIATION = 0.1
+
+// Cube corners (bit 0: x, bit 1: y, bit 2: z) and edges as corner pairs
+const CORNER_OFFSETS = Array.from({ length: 8 }, (_, corner) => [corner & 1, (corner >> 1) & 1, (corner >> 2) & 1])
+const { EDGE_CORNERS, TRIANGLE_TABLE } = buildMarchingCubesTables()
+
+/**
+ * Extract the smoothed, decimated surface of every segmented vessel
+ * @param {Array<Object>} vessels - Vessels from segmentCoronaryArteries (segmentedRegion.points)
+ * @param {Object} volume - Volume the vessels were segmented in
+ * @param {Object} options - See extractVoxelSurface, plus onProgress (callback (processed,
+ *   total) per vessel)
+ * @returns {Array<Object>} { id, positions, indices } per vessel with a surface
+ */
+export function extractVesselSurfaces(vessels, volume, options = {}) {
+  const { onProgress = null } = options
+  const meshes = []
+
+  vessels.forEach((vessel, index) => {
+    const mesh = extractVoxelSurface(vessel.segmentedRegion.points, volume, options)
+    if (mesh.indices.length > 0) meshes.push({ id: vessel.id, ...mesh })
+    if (onProgress) onProgress(index + 1, vessels.length)
+  })
+
+  return meshes
+}
+
+/**
+ * Surface mesh of a set of voxels
+ * @param {Array<Object>} points - Voxels {x, y, z}
+ * @param {Object} volume - Volume the voxels belong to (dimensions, spacing, affine)
+ * @param {Object} options - blurSigma (mask blur before extraction, voxels; 0 disables),
+ *   smoothingIterations (Taubin passes), decimationEdgeLength (edges shorter than this are
+ *   collapsed, mm; defaults to 1.5 times the smallest voxel spacing, 0 disables)
+ * @returns {Object} Mesh { positions, indices } in patient coordinates (mm)
+ */
+export function extractVoxelSurface(points, volume, options = {}) {
+  const {
+    blurSigma = 0.5,
+    smoothingIterations = 10,
+    decimationEdgeLength = 1.5 * Math.min(...volume.spacing.map(Math.abs))
+  } = options
+
+  if (points.length === 0) {
+    return { positions: new Float32Array(0), indices: new Uint32Array(0) }
+  }
+
+  const grid = createMaskGrid(points)
+  if (blurSigma > 0) blurGrid(grid, blurSigma)
+
+  let mesh = marchingCubes(grid, 0.5)
+  mesh = toPatientCoordinates(mesh, volume, grid.origin)
+  if (smoothingIterations > 0) mesh = smoothMesh(mesh, { iterations: smoothingIterations })
+  if (decimationEdgeLength > 0) mesh = decimateMesh(mesh, decimationEdgeLength)
+
+  return mesh
+}
+
+/**
+ * Taubin smoothing: alternating shrink (lambda) and inflate (mu) Laplacian steps, which
+ * smooth the surface without the shrinkage of plain Laplacian smoothing
+ * @param {Object} mesh - Mesh { positions, indices }
+ * @param {Object} options - iterations, lambda, mu
+ * @returns {Object} Smoothed mesh (same triangles)
+ */
+export function smoothMesh(mesh, options = {}) {
+  const { iterations = 10, lambda = 0.5, mu = -0.53 } = options
+  const neighbors = getVertexNeighbors(mesh)
+  let positions = mesh.positions
+
+  for (let i = 0; i < iterations; i++) {
+    positions = laplacianStep(positions, neighbors, lambda)
+    positions = laplacianStep(positions, neighbors, mu)
+  }
+
+  return { positions, indices: mesh.indices }
+}
+
+/**
+ * Decimate a closed mesh by collapsing short edges into their midpoints, shortest first
+ * An edge is only collapsed when its end vertices share no neighbors but the two opposite
+ * vertices (the link condition), neither opposite vertex drops below three neighbors and no
+ * remaining triangle turns over, so a closed manifold mesh stays closed and manifold. Edges
+ * whose midpoint lies off the surrounding surface are kept, so thin vessels do not shrink.
+ * @param {Object} mesh - Mesh { positions, indices }
+ * @param {number} edgeLength - Edges shorter than this are collapsed (mm)
+ * @returns {Object} Decimated mesh
+ */
+export function decimateMesh(mesh, edgeLength) {
+  const positions = Float32Array.from(mesh.positions)
+  const triangles = Uint32Array.from(mesh.indices)
+  const alive = new Uint8Array(triangles.length / 3).fill(1)
+  const vertexTriangles = Array.from({ length: positions.length / 3 }, () => [])
+  for (let t = 0; t < alive.length; t++) {
+    for (let k = 0; k < 3; k++) vertexTriangles[triangles[t * 3 + k]].push(t)
+  }
+
+  const incident = (v) => {
+    vertexTriangles[v] = vertexTriangles[v].filter(t => alive[t])
+    return vertexTriangles[v]
+  }
+  const neighborsOf = (v) => {
+    const neighbors = new Set()
+    incident(v).forEach(t => {
+      for (let k = 0; k < 3; k++) {
+        if (triangles[t * 3 + k] !== v) neighbors.add(triangles[t * 3 + k])
+      }
+    })
+    return neighbors
+  }
+
+  const collapse = (a, b) => {
+    if (vertexDistance(positions, a, b) >= edgeLength) return false
+
+    const shared = incident(a).filter(t => triangleHasVertex(triangles, t, b))
+    if (shared.length !== 2) return false
+
+    const neighborsA = neighborsOf(a)
+    const neighborsB = neighborsOf(b)
+    let common = 0
+    neighborsA.forEach(v => { if (neighborsB.has(v)) common++ })
+    if (common !== 2) return false
+
+    const opposite = shared.map(t => [0, 1, 2].map(k => triangles[t * 3 + k]).find(v => v !== a && v !== b))
+    if (opposite.some(v => neighborsOf(v).size <= 3)) return false
+
+    const midpoint = [0, 1, 2].map(axis => (positions[a * 3 + axis] + positions[b * 3 + axis]) / 2)
+    const moved = [...incident(a), ...incident(b)].filter(t => !shared.includes(t))
+    const distorts = moved.some(t => {
+      const corners = [0, 1, 2].map(k => triangles[t * 3 + k])
+      const before = corners.map(v => [0, 1, 2].map(axis => positions[v * 3 + axis]))
+      const after = corners.map((v, k) => (v === a || v === b ? midpoint : before[k]))
+      return normalCosine(before, after) < MIN_COLLAPSE_NORMAL_COSINE ||
+        planeDistance(before, midpoint) > MAX_COLLAPSE_DEVIATION * edgeLength
+    })
+    if (distorts) return false
+
+    midpoint.forEach((value, axis) => { positions[a * 3 + axis] = value })
+    shared.forEach(t => { alive[t] = 0 })
+    incident(b).forEach(t => {
+      for (let k = 0; k < 3; k++) {
+        if (triangles[t * 3 + k] === b) triangles[t * 3 + k] = a
+      }
+      vertexTriangles[a].push(t)
+    })
+    vertexTriangles[b] = []
+    return true
+  }
+
+  for (let pass = 0; pass < DECIMATION_PASSES; pass++) {
+    const edges = []
+    for (let t = 0; t < alive.length; t++) {
+      if (!alive[t]) continue
+      for (let k = 0; k < 3; k++) {
+        const a = triangles[t * 3 + k]
+        const b = triangles[t * 3 + (k + 1) % 3]
+        const length = vertexDistance(positions, a, b)
+        if (a < b && length < edgeLength) edges.push({ a, b, length })
+      }
+    }
+    edges.sort((p, q) => p.length - q.length)
+
+    let collapsed = 0
+    edges.forEach(({ a, b }) => {
+      if (collapse(a, b)) collapsed++
+    })
+    if (collapsed === 0) break
+  }
+
+  const kept = []
+  for (let t = 0; t < alive.length; t++) {
+    if (alive[t]) kept.push(triangles[t * 3], triangles[t * 3 + 1], triangles[t * 3 + 2])
+  }
+
+  return compactMesh({ positions, indices: Uint32Array.from(kept) })
+}
+
+/**
+ * Area-weighted vertex normals
+ * @param {Object} mesh - Mesh { positions, indices }
+ * @returns {Float32Array} Unit normal per vertex
+ */
+export function computeVertexNormals(mesh) {
+  const { positions, indices } = mesh
+  const normals = new Float32Array(positions.length)
+
+  for (let t = 0; t < indices.length; t += 3) {
+    const normal = triangleNormal(positions, indices[t], indices[t + 1], indices[t + 2])
+    for (let k = 0; k < 3; k++) {
+      const v = indices[t + k]
+      normals[v * 3] += normal[0]
+      normals[v * 3 + 1] += normal[1]
+      normals[v * 3 + 2] += normal[2]
+    }
+  }
+
+  for (let v = 0; v < normals.length; v += 3) {
+    const length = Math.hypot(normals[v], normals[v + 1], normals[v + 2]) || 1
+    normals[v] /= length
+    normals[v + 1] /= length
+    normals[v + 2] /= length
+  }
+
+  return normals
+}
+
+/**
+ * Helper functions
+ */
+
+// Binary mask of the voxels over their bounding box plus padding
+function createMaskGrid(points) {
+  const low = ['x', 'y', 'z'].map(axis => points.reduce((min, point) => Math.min(min, point[axis]), Infinity) - MASK_PADDING)
+  const high = ['x', 'y', 'z'].map(axis => points.reduce((max, point) => Math.max(max, point[axis]), -Infinity) + MASK_PADDING)
+  const size = [0, 1, 2].map(axis => high[axis] - low[axis] + 1)
+  const values = new Float32Array(size[0] * size[1] * size[2])
+
+  points.forEach(point => {
+    values[((point.z - low[2]) * size[1] + (point.y - low[1])) * size[0] + (point.x - low[0])] = 1
+  })
+
+  return { values, size, origin: low }
+}
+
+// Separable Gaussian blur in place (sigma in voxels)
+function blurGrid(grid, sigma) {
+  const radius = Math.ceil(2 * sigma)
+  const kernel = Array.from({ length: 2 * radius + 1 }, (_, i) => Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma)))
+  const total = kernel.reduce((sum, weight) => sum + weight, 0)
+  const weights = kernel.map(weight => weight / total)
+  const [w, h, d] = grid.size
+  const strides = [1, w, w * h]
+
+  for (let axis = 0; axis < 3; axis++) {
+    const source = grid.values.slice()
+    const length = grid.size[axis]
+    const stride = strides[axis]
+
+    for (let z = 0; z < d; z++) {
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const position = [x, y, z][axis]
+          const index = (z * h + y) * w + x
+          let sum = 0
+          for (let k = -radius; k <= radius; k++) {
+            const neighbor = position + k
+            if (neighbor >= 0 && neighbor < length) sum += weights[k + radius] * source[index + k * stride]
+          }
+          grid.values[index] = sum
+        }
+      }
+    }
+  }
+}
+
+// Isosurface of a grid in grid coordinates, with vertices shared between cubes
+function marchingCubes(grid, level) {
+  const { values, size } = grid
+  const [w, h, d] = size
+  const positions = []
+  const indices = []
+  const vertexOnEdge = new Map()
+
+  const valueAt = (x, y, z) => values[(z * h + y) * w + x]
+
+  const edgeVertex = (x, y, z, edge, cornerValues) => {
+    const [c0, c1] = EDGE_CORNERS[edge]
+    const axis = CORNER_OFFSETS[c0].findIndex((offset, i) => offset !== CORNER_OFFSETS[c1][i])
+    const lower = CORNER_OFFSETS[c0][axis] === 0 ? c0 : c1
+    const [lx, ly, lz] = CORNER_OFFSETS[lower]
+    const key = (((z + lz) * h + (y + ly)) * w + (x + lx)) * 3 + axis
+
+    let vertex = vertexOnEdge.get(key)
+    if (vertex === undefined) {
+      const v0 = cornerValues[c0]
+      const v1 = cornerValues[c1]
+      const t = v1 !== v0 ? (level - v0) / (v1 - v0) : 0.5
+      vertex = positions.length / 3
+      positions.push(
+        x + CORNER_OFFSETS[c0][0] + t * (CORNER_OFFSETS[c1][0] - CORNER_OFFSETS[c0][0]),
+        y + CORNER_OFFSETS[c0][1] + t * (CORNER_OFFSETS[c1][1] - CORNER_OFFSETS[c0][1]),
+        z + CORNER_OFFSETS[c0][2] + t * (CORNER_OFFSETS[c1][2] - CORNER_OFFSETS[c0][2])
+      )
+      vertexOnEdge.set(key, vertex)
+    }
+    return vertex
+  }
+
+  for (let z = 0; z < d - 1; z++) {
+    for (let y = 0; y < h - 1; y++) {
+      for (let x = 0; x < w - 1; x++) {
+        const cornerValues = CORNER_OFFSETS.map(([dx, dy, dz]) => valueAt(x + dx, y + dy, z + dz))
+        const cubeCase = cornerValues.reduce((bits, value, corner) => (value >= level ? bits | (1 << corner) : bits), 0)
+        const triangles = TRIANGLE_TABLE[cubeCase]
+
+        for (let i = 0; i < triangles.length; i++) {
+          indices.push(edgeVertex(x, y, z, triangles[i], cornerValues))
+        }
+      }
+    }
+  }
+
+  return { positions: Float32Array.from(positions), indices: Uint32Array.from(indices) }
+}
+
+// Grid coordinates to patient coordinates; mirrored voxel axes flip the winding back
+function toPatientCoordinates(mesh, volume, origin) {
+  const affine = getVolumeAffine(volume)
+  const positions = new Float32Array(mesh.positions.length)
+
+  for (let v = 0; v < positions.length; v += 3) {
+    const patient = voxelToPatient(affine, {
+      x: mesh.positions[v] + origin[0],
+      y: mesh.positions[v + 1] + origin[1],
+      z: mesh.positions[v + 2] + origin[2]
+    })
+    positions.set(patient, v)
+  }
+
+  const linear = [0, 1, 2].map(row => [0, 1, 2].map(column => affine[row][column]))
+  const determinant =
+    linear[0][0] * (linear[1][1] * linear[2][2] - linear[1][2] * linear[2][1]) -
+    linear[0][1] * (linear[1][0] * linear[2][2] - linear[1][2] * linear[2][0]) +
+    linear[0][2] * (linear[1][0] * linear[2][1] - linear[1][1] * linear[2][0])
+
+  const indices = mesh.indices.slice()
+  if (determinant < 0) {
+    for (let t = 0; t < indices.length; t += 3) {
+      [indices[t + 1], indices[t + 2]] = [indices[t + 2], indices[t + 1]]
+    }
+  }
+
+  return { positions, indices }
+}
+
+function getVertexNeighbors(mesh) {
+  const neighbors = Array.from({ length: mesh.positions.length / 3 }, () => new Set())
+  const { indices } = mesh
+
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[t + k]
+      const b = indices[t + ((k + 1) % 3)]
+      neighbors[a].add(b)
+      neighbors[b].add(a)
+    }
+  }
+
+  return neighbors.map(set => [...set])
+}
+
+// Move each vertex by factor times the offset to its neighbors' mean
+function laplacianStep(positions, neighbors, factor) {
+  const next = positions.slice()
+
+  neighbors.forEach((list, v) => {
+    if (list.length === 0) return
+    for (let axis = 0; axis < 3; axis++) {
+      const mean = list.reduce((sum, n) => sum + positions[n * 3 + axis], 0) / list.length
+      next[v * 3 + axis] = positions[v * 3 + axis] + factor * (mean - positions[v * 3 + axis])
+    }
+  })
+
+  return next
+}
+
+// Drop vertices no triangle uses
+function compactMesh(mesh) {
+  const remap = new Int32Array(mesh.positions.length / 3).fill(-1)
+  const positions = []
+  const indices = new Uint32Array(mesh.indices.length)
+
+  mesh.indices.forEach((vertex, i) => {
+    if (remap[vertex] === -1) {
+      remap[vertex] = positions.length / 3
+      positions.push(mesh.positions[vertex * 3], mesh.positions[vertex * 3 + 1], mesh.positions[vertex * 3 + 2])
+    }
+    indices[i] = remap[vertex]
+  })
+
+  return { positions: Float32Array.from(positions), indices }
+}
+
+function triangleHasVertex(triangles, t, v) {
+  return triangles[t * 3] === v || triangles[t * 3 + 1] === v || triangles[t * 3 + 2] === v
+}
+
+function vertexDistance(positions, a, b) {
+  return Math.hypot(
+    positions[a * 3] - positions[b * 3],
+    positions[a * 3 + 1] - positions[b * 3 + 1],
+    positions[a * 3 + 2] - positions[b * 3 + 2]
+  )
+}
+
+// Distance of a point from a triangle's plane (0 for degenerate triangles)
+function planeDistance([p, q, r], point) {
+  const u = [0, 1, 2].map(axis => q[axis] - p[axis])
+  const v = [0, 1, 2].map(axis => r[axis] - p[axis])
+  const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]]
+  const length = Math.hypot(...normal)
+  if (length === 0) return 0
+  return Math.abs(normal.reduce((sum, value, axis) => sum + value * (point[axis] - p[axis]), 0)) / length
+}
+
+// Cosine between the normals of a triangle before and after moving its corners
+function normalCosine(before, after) {
+  const normal = ([p, q, r]) => {
+    const u = [0, 1, 2].map(axis => q[axis] - p[axis])
+    const v = [0, 1, 2].map(axis => r[axis] - p[axis])
+    return [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]]
+  }
+  const n0 = normal(before)
+  const n1 = normal(after)
+  const lengths = Math.hypot(...n0) * Math.hypot(...n1)
+  return lengths > 0 ? (n0[0] * n1[0] + n0[1] * n1[1] + n0[2] * n1[2]) / lengths : -1
+}
+
+function triangleNormal(positions, a, b, c) {
+  const u = [0, 1, 2].map(axis => positions[b * 3 + axis] - positions[a * 3 + axis])
+  const v = [0, 1, 2].map(axis => positions[c * 3 + axis] - positions[a * 3 + axis])
+  return [
+    u[1] * v[2] - u[2] * v[1],
+    u[2] * v[0] - u[0] * v[2],
+    u[0] * v[1] - u[1] * v[0]
+  ]
+}
+
+// Marching cubes edge list and, per corner case, triangles as edge triples
+function buildMarchingCubesTables() {
+  const edgeCorners = []
+  const edgeIndex = new Map()
+  for (let c0 = 0; c0 < 8; c0++) {
+    for (let bit = 0; bit < 3; bit++) {
+      const c1 = c0 | (1 << bit)
+      if (c1 !== c0) {
+        edgeIndex.set(`${c0},${c1}`, edgeCorners.length)
+        edgeCorners.push([c0, c1])
+      }
+    }
+  }
+  const edgeBetween = (a, b) => edgeIndex.get(a < b ? `${a},${b}` : `${b},${a}`)
+
+  // Face corners counter-clockwise seen from outside the cube
+  const faces = []
+  for (let axis = 0; axis < 3; axis++) {
+    const [u, v] = [(axis + 1) % 3, (axis + 2) % 3]
+    for (const side of [0, 1]) {
+      const ring = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([du, dv]) => (side << axis) | (du << u) | (dv << v))
+      faces.push(side === 1 ? ring : [...ring].reverse())
+    }
+  }
+
+  const table = Array.from({ length: 256 }, (_, cubeCase) => {
+    const inside = (corner) => (cubeCase >> corner) & 1
+
+    // On each face, a segment runs from where the boundary enters an inside run to where it leaves
+    const next = new Map()
+    faces.forEach(ring => {
+      const crossings = []
+      ring.forEach((corner, k) => {
+        const following = ring[(k + 1) % 4]
+        if (inside(corner) !== inside(following)) {
+          crossings.push({ edge: edgeBetween(corner, following), entering: !inside(corner) })
+        }
+      })
+      crossings.forEach((crossing, k) => {
+        if (crossing.entering) next.set(crossing.edge, crossings[(k + 1) % crossings.length].edge)
+      })
+    })
+
+    // Chain segments into loops and fan-triangulate them
+    const triangles = []
+    const visited = new Set()
+    next.forEach((_, start) => {
+      if (visited.has(start)) return
+      const loop = []
+      for (let edge = start; !visited.has(edge); edge = next.get(edge)) {
+        visited.add(edge)
+        loop.push(edge)
+      }
+      for (let i = 1; i < loop.length - 1; i++) {
+        triangles.push(loop[0], loop[i], loop[i + 1])
+      }
+    })
+    return triangles
+  })
+
+  // Orient triangles to face away from inside corners: corner 0 alone must face +x+y+z
+  const [a, b, c] = table[1].map(edge => edgeCorners[edge].map(corner => CORNER_OFFSETS[corner])
+    .reduce((sum, offset) => sum.map((value, axis) => value + offset[axis] / 2), [0, 0, 0]))
+  const u = b.map((value, axis) => value - a[axis])
+  const v = c.map((value, axis) => value - a[axis])
+  const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]]
+  if (normal[0] + normal[1] + normal[2] < 0) {
+    table.forEach(triangles => {
+      for (let t = 0; t < triangles.length; t += 3) {
+        [triangles[t + 1], triangles[t + 2]] = [triangles[t + 2], triangles[t + 1]]
+      }
+    })
+  }
+
+  return { EDGE_CORNERS: edgeCorners, TRIANGLE_TABLE: table }
+}
@@ -3,6 +3,8 @@
  * Automatically traces vessel centerlines from seed points for accurate bifurcation analysis
  */
 
+import { createCameraRotation } from './angleEngine'
+
 /**
  * Extract vessel centerline from seed points using active contour method
  * @param {ImageData} imageData - Canvas image data
@@ -223,245 +225,34 @@ function smoothCenterline(points, windowSize = 3) {
  * @param {Array} centerlinePoints - Array of centerline points
  * @param {number} raoLao - RAO/LAO angle in degrees
  * @param {number} cranialCaudal - Cranial/caudal angle in degrees
- * @param {number} imageWidth - Image width in pixels
- * @param {number} imageHeight - Image height in pixels
- * @returns {Array} 3D direction vector [x, y, z]
+ * @returns {Array} 3D direction vector [x, y, z] in patient coordinates (see angleEngine)
  */
-export function calculate3DVesselDirection(centerlinePoints, raoLao, cranialCaudal, imageWidth, imageHeight) {
+export function calculate3DVesselDirection(centerlinePoints, raoLao, cranialCaudal) {
   if (centerlinePoints.length < 2) {
     throw new Error('At least 2 centerline points required')
   }
   
-  // Calculate 2D direction from first to last point
+  // Calculate 2D direction from first to last point (image y points down)
   const firstPoint = centerlinePoints[0]
   const lastPoint = centerlinePoints[centerlinePoints.length - 1]
+  const dx = lastPoint.x - firstPoint.x
+  const dy = lastPoint.y - firstPoint.y
   
-  // Normalize to [-1, 1] coordinate system (standard angiographic coordinates)
-  const dx = (2 * (lastPoint.x - firstPoint.x) / imageWidth)
-  const dy = -(2 * (lastPoint.y - firstPoint.y) / imageHeight) // Flip Y for screen coordinates
-  
-  // Normalize 2D direction
-  const length2D = Math.sqrt(dx * dx + dy * dy)
-  if (length2D === 0) {
+  if (dx === 0 && dy === 0) {
     throw new Error('Vessel direction is zero length')
   }
   
-  const normalizedDx = dx / length2D
-  const normalizedDy = dy / length2D
-  
-  // Convert projection angles to proper angiographic rotation matrices
-  const raoRad = (raoLao * Math.PI) / 180
-  const cranialRad = (cranialCaudal * Math.PI) / 180
-  
-  // Standard angiographic coordinate system transformations
-  const cosRao = Math.cos(raoRad)
-  const sinRao = Math.sin(raoRad)
-  const cosCranial = Math.cos(cranialRad)
-  const sinCranial = Math.sin(cranialRad)
-  
-  // Inverse transformation from image plane to 3D world coordinates
-  // This accounts for the angiographic viewing geometry
-  
-  // RAO/LAO inverse rotation (around Z-axis)
-  const invRaoMatrix = [
-    [cosRao, sinRao, 0],
-    [-sinRao, cosRao, 0],
-    [0, 0, 1]
-  ]
-  
-  // Cranial/Caudal inverse rotation (around X-axis)
-  const invCranialMatrix = [
-    [1, 0, 0],
-    [0, cosCranial, sinCranial],
-    [0, -sinCranial, cosCranial]
-  ]
-  
-  // Combined inverse transformation: inv(R_cranial * R_rao) = inv(R_rao) * inv(R_cranial)
-  const invRotation = multiplyMatrices3x3(invRaoMatrix, invCranialMatrix)
-  
-  // 2D image direction (assuming vessel lies in image plane initially)
-  const imageDirection = [normalizedDx, normalizedDy, 0]
-  
-  // Transform to 3D world coordinates
-  const worldDirection = [
-    invRotation[0][0] * imageDirection[0] + invRotation[0][1] * imageDirection[1] + invRotation[0][2] * imageDirection[2],
-    invRotation[1][0] * imageDirection[0] + invRotation[1][1] * imageDirection[1] + invRotation[1][2] * imageDirection[2],
-    invRotation[2][0] * imageDirection[0] + invRotation[2][1] * imageDirection[1] + invRotation[2][2] * imageDirection[2]
-  ]
+  // Back-project the image direction onto the detector plane in patient coordinates
+  // (assuming the vessel lies in the image plane)
+  const [xAxis, yAxis] = createCameraRotation(raoLao, cranialCaudal)
+  const worldDirection = [0, 1, 2].map(i => dx * xAxis[i] + dy * yAxis[i])
   
   // Normalize the 3D direction vector
   const length3D = Math.sqrt(worldDirection[0] * worldDirection[0] + worldDirection[1] * worldDirection[1] + worldDirection[2] * worldDirection[2])
   
-  if (length3D === 0) {
-    throw new Error('3D direction calculation resulted in zero vector')
-  }
-  
   return [
     worldDirection[0] / length3D,
     worldDirection[1] / length3D,
     worldDirection[2] / length3D
   ]
 }
-
-/**
- * Matrix multiplication helper for 3x3 matrices
- */
-function multiplyMatrices3x3(A, B) {
-  const result = Array(3).fill().map(() => Array(3).fill(0))
-  
-  for (let i = 0; i < 3; i++) {
-    for (let j = 0; j < 3; j++) {
-      for (let k = 0; k < 3; k++) {
-        result[i][j] += A[i][k] * B[k][j]
-      }
-    }
-  }
-  
-  return result
-}
-
-/**
- * Calculate optimal viewing angles that minimize foreshortening
- * @param {Array} vesselDirections - Array of 3D vessel direction vectors
- * @returns {Object} Optimal RAO/LAO and cranial/caudal angles
- */
-export function calculateOptimalViewingAngles(vesselDirections) {
-  if (vesselDirections.length !== 3) {
-    throw new Error('Exactly 3 vessel directions required (main + 2 branches)')
-  }
-  
-  let bestAngles = { raoLao: 0, cranialCaudal: 0 }
-  let bestScore = -Infinity
-  
-  // Grid search over possible angles
-  for (let raoLao = -90; raoLao <= 90; raoLao += 2) {
-    for (let cranialCaudal = -45; cranialCaudal <= 45; cranialCaudal += 2) {
-      const score = calculateForeshorteningScore(vesselDirections, raoLao, cranialCaudal)
-      
-      if (score > bestScore) {
-        bestScore = score
-        bestAngles = { raoLao, cranialCaudal }
-      }
-    }
-  }
-  
-  // Refine search around best angles
-  const refinedAngles = refineOptimalAngles(vesselDirections, bestAngles, 2, 0.5)
-  
-  return {
-    raoLao: Math.round(refinedAngles.raoLao * 10) / 10,
-    cranialCaudal: Math.round(refinedAngles.cranialCaudal * 10) / 10,
-    score: bestScore
-  }
-}
-
-/**
- * Calculate foreshortening score for given viewing angles
- * Higher score = less foreshortening (better view)
- */
-function calculateForeshorteningScore(vesselDirections, raoLao, cranialCaudal) {
-  const raoRad = (raoLao * Math.PI) / 180
-  const cranialRad = (cranialCaudal * Math.PI) / 180
-  
-  // Calculate viewing direction in standard angiographic coordinate system
-  // This is the direction from the patient toward the detector
-  const viewingDirection = [
-    -Math.sin(raoRad) * Math.cos(cranialRad),  // X: left-right (negative for RAO)
-    Math.cos(raoRad) * Math.cos(cranialRad),   // Y: anterior-posterior
-    Math.sin(cranialRad)                       // Z: head-foot (positive for cranial)
-  ]
-  
-  // Normalize viewing direction (should already be normalized, but ensure it)
-  const viewLength = Math.sqrt(viewingDirection[0] * viewingDirection[0] + 
-                              viewingDirection[1] * viewingDirection[1] + 
-                              viewingDirection[2] * viewingDirection[2])
-  
-  if (viewLength === 0) return 0
-  
-  const normalizedView = [
-    viewingDirection[0] / viewLength,
-    viewingDirection[1] / viewLength,
-    viewingDirection[2] / viewLength
-  ]
-  
-  let totalScore = 0
-  
-  // Calculate projected length for each vessel
-  vesselDirections.forEach((vesselDir, index) => {
-    // Ensure vessel direction is normalized
-    const vesselLength = Math.sqrt(vesselDir[0] * vesselDir[0] + 
-                                  vesselDir[1] * vesselDir[1] + 
-                                  vesselDir[2] * vesselDir[2])
-    
-    if (vesselLength === 0) return
-    
-    const normalizedVessel = [
-      vesselDir[0] / vesselLength,
-      vesselDir[1] / vesselLength,
-      vesselDir[2] / vesselLength
-    ]
-    
-    // Dot product gives cosine of angle between vessel and viewing direction
-    const dotProduct = normalizedVessel[0] * normalizedView[0] + 
-                      normalizedVessel[1] * normalizedView[1] + 
-                      normalizedVessel[2] * normalizedView[2]
-    
-    // Clamp dot product to [-1, 1] to avoid numerical errors
-    const clampedDot = Math.max(-1, Math.min(1, dotProduct))
-    
-    // Projected length factor = sin(angle) = sqrt(1 - cos²(angle))
-    // This represents how much of the vessel length is visible (not foreshortened)
-    const projectedLengthFactor = Math.sqrt(1 - clampedDot * clampedDot)
-    
-    // Weight vessels: main vessel gets higher priority
-    const weight = index === 0 ? 1.5 : 1.0  // Increased main vessel weight
-    
-    totalScore += projectedLengthFactor * weight
-  })
-  
-  return totalScore
-}
-
-/**
- * Refine optimal angles using gradient descent
- */
-function refineOptimalAngles(vesselDirections, initialAngles, searchRadius, stepSize) {
-  let currentAngles = { ...initialAngles }
-  let currentScore = calculateForeshorteningScore(vesselDirections, currentAngles.raoLao, currentAngles.cranialCaudal)
-  
-  const maxIterations = 20
-  const tolerance = 0.01
-  
-  for (let iter = 0; iter < maxIterations; iter++) {
-    let improved = false
-    
-    // Try small steps in each direction
-    const directions = [
-      { draoLao: stepSize, dcranialCaudal: 0 },
-      { draoLao: -stepSize, dcranialCaudal: 0 },
-      { draoLao: 0, dcranialCaudal: stepSize },
-      { draoLao: 0, dcranialCaudal: -stepSize }
-    ]
-    
-    for (const dir of directions) {
-      const testRaoLao = Math.max(-90, Math.min(90, currentAngles.raoLao + dir.draoLao))
-      const testCranialCaudal = Math.max(-45, Math.min(45, currentAngles.cranialCaudal + dir.dcranialCaudal))
-      
-      const testScore = calculateForeshorteningScore(vesselDirections, testRaoLao, testCranialCaudal)
-      
-      if (testScore > currentScore + tolerance) {
-        currentAngles.raoLao = testRaoLao
-        currentAngles.cranialCaudal = testCranialCaudal
-        currentScore = testScore
-        improved = true
-        break
-      }
-    }
-    
-    if (!improved) {
-      break
-    }
-  }
-  
-  return currentAngles
-}
@@ -0,0 +1,341 @@
+/**
+ * Hessian Vesselness
+ * Multi-scale Frangi vesselness for bright (contrast-filled) tubular structures in CT.
+ *
+ * At each Gaussian scale the Hessian eigenvalues, sorted by magnitude |l1| <= |l2| <= |l3|,
+ * describe the local shape: a bright tube has l1 ~ 0 along the vessel and two large negative
+ * eigenvalues across it. Plates (l2 ~ 0) and blobs such as the ventricles or calcium
+ * (|l1| ~ |l2| ~ |l3|) are suppressed. The response is the maximum over scales.
+ *
+ * The structure term uses one constant c for all scales, derived from the expected lumen
+ * contrast; a per-scale c would let large scales report the rims of big bright structures
+ * (aorta, ventricles) as vessels.
+ *
+ * The filter runs on a region of interest (around the seed points for previews, block by
+ * block along the growing vessel for segmentation). A region result is a volume of its own
+ * (data, dimensions, spacing, affine) so it can be sampled like the CT.
+ * Derivatives are taken along the voxel axes, which assumes an orthogonal voxel grid.
+ */
+
+import { getVolumeAffine } from './dicomGeometry'
+
+// Frangi sensitivity to the plate-like (Ra) and blob-like (Rb) measures
+const ALPHA = 0.5
+const BETA = 0.5
+
+// Largest region processed at once (voxels); the filter keeps four float copies in memory
+const MAX_REGION_VOXELS = 8000000
+
+// Edge length of the blocks computed on demand by createVesselnessField (voxels)
+const FIELD_BLOCK_SIZE = 48
+
+/**
+ * Voxel region around seed points
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Array<Object>} seedPoints - Seed points {x, y, z} in voxel coordinates
+ * @param {number} margin - Margin around the seeds (mm)
+ * @returns {Object} { origin: {x, y, z}, dimensions: {width, height, depth} }
+ */
+export function getSeedRegion(volume, seedPoints, margin = 20) {
+  if (seedPoints.length === 0) {
+    throw new Error('Place seed points before computing vesselness')
+  }
+
+  const { dimensions, spacing } = volume
+  const sizes = [dimensions.width, dimensions.height, dimensions.depth]
+  const ranges = ['x', 'y', 'z'].map((axis, index) => {
+    const values = seedPoints.map(point => point[axis])
+    const pad = Math.ceil(margin / spacing[index])
+    return [
+      Math.max(0, Math.floor(Math.min(...values)) - pad),
+      Math.min(sizes[index] - 1, Math.ceil(Math.max(...values)) + pad)
+    ]
+  })
+
+  return {
+    origin: { x: ranges[0][0], y: ranges[1][0], z: ranges[2][0] },
+    dimensions: {
+      width: ranges[0][1] - ranges[0][0] + 1,
+      height: ranges[1][1] - ranges[1][0] + 1,
+      depth: ranges[2][1] - ranges[2][0] + 1
+    }
+  }
+}
+
+/**
+ * Multi-scale Frangi vesselness in a region of a volume
+ * The region is padded by the Gaussian kernel radius, so values at its border match
+ * those of a larger region.
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Object} region - Region from getSeedRegion
+ * @param {Object} options - minRadius and maxRadius (mm) of the vessels to enhance,
+ *   scaleCount (Gaussian scales between them), contrast (expected HU difference between
+ *   contrast-filled lumen and the surrounding epicardial fat)
+ * @returns {Object} Vesselness volume { data (0-1), dimensions, spacing, affine, origin, scales }
+ */
+export function computeVesselness(volume, region, options = {}) {
+  const { minRadius = 0.5, maxRadius = 5, scaleCount = 4, contrast = 450 } = options
+  const { dimensions, spacing } = volume
+
+  // Logarithmically spaced radii; a solid tube of radius r responds most near sigma = r / sqrt(2)
+  const radii = scaleCount > 1
+    ? Array.from({ length: scaleCount }, (_, i) => minRadius * Math.pow(maxRadius / minRadius, i / (scaleCount - 1)))
+    : [minRadius]
+  const scales = radii.map(radius => radius / Math.SQRT2)
+
+  const sizes = [dimensions.width, dimensions.height, dimensions.depth]
+  const origin = [region.origin.x, region.origin.y, region.origin.z]
+  const extent = [region.dimensions.width, region.dimensions.height, region.dimensions.depth]
+  const padding = spacing.map(value => Math.ceil((3 * scales[scales.length - 1]) / value) + 1)
+  const paddedStart = origin.map((value, axis) => Math.max(0, value - padding[axis]))
+  const paddedEnd = origin.map((value, axis) => Math.min(sizes[axis], value + extent[axis] + padding[axis]))
+  const padded = {
+    origin: { x: paddedStart[0], y: paddedStart[1], z: paddedStart[2] },
+    dimensions: {
+      width: paddedEnd[0] - paddedStart[0],
+      height: paddedEnd[1] - paddedStart[1],
+      depth: paddedEnd[2] - paddedStart[2]
+    }
+  }
+
+  if (padded.dimensions.width * padded.dimensions.height * padded.dimensions.depth > MAX_REGION_VOXELS) {
+    throw new Error('Seed points span too large a region for vesselness: preview vessels in smaller groups of seeds')
+  }
+
+  const paddedVesselness = filterRegion(extractRegion(volume, padded), padded.dimensions, spacing, scales, contrast / 2)
+
+  // Crop to the requested region
+  const { width, height, depth } = region.dimensions
+  const vesselness = new Float32Array(width * height * depth)
+  const offset = origin.map((value, axis) => value - paddedStart[axis])
+  for (let k = 0; k < depth; k++) {
+    for (let j = 0; j < height; j++) {
+      const source = ((offset[2] + k) * padded.dimensions.height + offset[1] + j) * padded.dimensions.width + offset[0]
+      vesselness.set(paddedVesselness.subarray(source, source + width), (k * height + j) * width)
+    }
+  }
+
+  // Region affine: same axes as the volume, translated to the region origin
+  const affine = getVolumeAffine(volume)
+  const regionAffine = affine.map((row, axis) => axis < 3
+    ? [row[0], row[1], row[2], row[0] * origin[0] + row[1] * origin[1] + row[2] * origin[2] + row[3]]
+    : [...row]
+  )
+
+  return {
+    data: vesselness,
+    dimensions: region.dimensions,
+    spacing,
+    affine: regionAffine,
+    origin: region.origin,
+    scales
+  }
+}
+
+/**
+ * Vesselness around seed points, for previews
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Array<Object>} seedPoints - Seed points {x, y, z} in voxel coordinates
+ * @param {Object} options - margin (mm) plus computeVesselness options
+ * @returns {Object} Vesselness volume, see computeVesselness
+ */
+export function computeSeedVesselness(volume, seedPoints, options = {}) {
+  const { margin = 20, ...vesselnessOptions } = options
+  return computeVesselness(volume, getSeedRegion(volume, seedPoints, margin), vesselnessOptions)
+}
+
+/**
+ * Vesselness at a voxel of the full volume
+ * @param {Object} vesselness - Vesselness volume from computeVesselness
+ * @param {number} x - Column in the full volume
+ * @param {number} y - Row in the full volume
+ * @param {number} z - Slice in the full volume
+ * @returns {number} Vesselness, 0 outside the region
+ */
+export function getVesselnessAt(vesselness, x, y, z) {
+  const { origin, dimensions } = vesselness
+  const rx = x - origin.x
+  const ry = y - origin.y
+  const rz = z - origin.z
+
+  if (rx < 0 || ry < 0 || rz < 0 || rx >= dimensions.width || ry >= dimensions.height || rz >= dimensions.depth) {
+    return 0
+  }
+  return vesselness.data[rz * dimensions.width * dimensions.height + ry * dimensions.width + rx]
+}
+
+/**
+ * Vesselness over the whole volume, computed block by block on first access
+ * Region growing only touches blocks along the vessel, so segmentation is not limited
+ * to a region around the seeds.
+ * @param {Object} volume - Volume from create3DVolumeFromDicom
+ * @param {Object} options - computeVesselness options
+ * @returns {Object} { at(x, y, z) } returning the vesselness of a voxel (0 outside the volume)
+ */
+export function createVesselnessField(volume, options = {}) {
+  const { width, height, depth } = volume.dimensions
+  const blocks = new Map()
+
+  const getBlock = (bx, by, bz) => {
+    const key = `${bx},${by},${bz}`
+    if (!blocks.has(key)) {
+      const origin = { x: bx * FIELD_BLOCK_SIZE, y: by * FIELD_BLOCK_SIZE, z: bz * FIELD_BLOCK_SIZE }
+      blocks.set(key, computeVesselness(volume, {
+        origin,
+        dimensions: {
+          width: Math.min(FIELD_BLOCK_SIZE, width - origin.x),
+          height: Math.min(FIELD_BLOCK_SIZE, height - origin.y),
+          depth: Math.min(FIELD_BLOCK_SIZE, depth - origin.z)
+        }
+      }, options))
+    }
+    return blocks.get(key)
+  }
+
+  return {
+    at: (x, y, z) => {
+      if (x < 0 || y < 0 || z < 0 || x >= width || y >= height || z >= depth) return 0
+      const block = getBlock(Math.floor(x / FIELD_BLOCK_SIZE), Math.floor(y / FIELD_BLOCK_SIZE), Math.floor(z / FIELD_BLOCK_SIZE))
+      return getVesselnessAt(block, x, y, z)
+    }
+  }
+}
+
+/**
+ * Helper functions
+ */
+
+// Frangi filter over a whole region, maximum response over scales
+function filterRegion(input, dimensions, spacing, scales, c) {
+  const voxelCount = input.length
+  const smoothed = new Float32Array(voxelCount)
+  const buffer = new Float32Array(voxelCount)
+  const vesselness = new Float32Array(voxelCount)
+
+  scales.forEach(sigma => {
+    smoothed.set(input)
+    gaussianSmooth(smoothed, buffer, dimensions, spacing.map(value => sigma / value))
+
+    // Scale-normalized Hessian
+    const normalization = sigma * sigma
+
+    forEachHessian(smoothed, dimensions, spacing, (index, h) => {
+      const [l1, l2, l3] = symmetricEigenvalues(h).map(value => value * normalization)
+
+      // Bright tubes only
+      if (l2 >= 0 || l3 >= 0) return
+
+      const ra = Math.abs(l2) / Math.abs(l3)
+      const rb = Math.abs(l1) / Math.sqrt(Math.abs(l2 * l3))
+      const s2 = l1 * l1 + l2 * l2 + l3 * l3
+      const response = (1 - Math.exp(-(ra * ra) / (2 * ALPHA * ALPHA))) *
+        Math.exp(-(rb * rb) / (2 * BETA * BETA)) *
+        (1 - Math.exp(-s2 / (2 * c * c)))
+
+      if (response > vesselness[index]) vesselness[index] = response
+    })
+  })
+
+  return vesselness
+}
+
+function extractRegion(volume, region) {
+  const { data, dimensions } = volume
+  const { width, height, depth } = region.dimensions
+  const { x, y, z } = region.origin
+  const output = new Float32Array(width * height * depth)
+
+  for (let k = 0; k < depth; k++) {
+    for (let j = 0; j < height; j++) {
+      const source = (z + k) * dimensions.width * dimensions.height + (y + j) * dimensions.width + x
+      output.set(data.subarray(source, source + width), (k * height + j) * width)
+    }
+  }
+
+  return output
+}
+
+// Separable Gaussian blur in place; sigmas in voxels per axis, edges clamped
+function gaussianSmooth(data, buffer, dimensions, sigmas) {
+  const { width, height, depth } = dimensions
+  const sizes = [width, height, depth]
+  const strides = [1, width, width * height]
+
+  sigmas.forEach((sigma, axis) => {
+    if (sigma < 0.3 || sizes[axis] < 2) return
+
+    const radius = Math.ceil(3 * sigma)
+    const kernel = Array.from({ length: 2 * radius + 1 }, (_, i) => Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma)))
+    const total = kernel.reduce((sum, value) => sum + value, 0)
+    const weights = kernel.map(value => value / total)
+    const size = sizes[axis]
+    const stride = strides[axis]
+
+    for (let index = 0; index < data.length; index++) {
+      const position = Math.floor(index / stride) % size
+      let sum = 0
+      for (let k = -radius; k <= radius; k++) {
+        const neighbor = Math.min(size - 1, Math.max(0, position + k))
+        sum += weights[k + radius] * data[index + (neighbor - position) * stride]
+      }
+      buffer[index] = sum
+    }
+    data.set(buffer)
+  })
+}
+
+// Central-difference Hessian [xx, yy, zz, xy, xz, yz] in mm at every interior voxel
+function forEachHessian(data, dimensions, spacing, callback) {
+  const { width, height, depth } = dimensions
+  const [sx, sy, sz] = spacing
+  const dy = width
+  const dz = width * height
+  const h = new Float64Array(6)
+
+  for (let z = 1; z < depth - 1; z++) {
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = z * dz + y * dy + x
+        const center = 2 * data[i]
+
+        h[0] = (data[i + 1] - center + data[i - 1]) / (sx * sx)
+        h[1] = (data[i + dy] - center + data[i - dy]) / (sy * sy)
+        h[2] = (data[i + dz] - center + data[i - dz]) / (sz * sz)
+        h[3] = (data[i + 1 + dy] - data[i + 1 - dy] - data[i - 1 + dy] + data[i - 1 - dy]) / (4 * sx * sy)
+        h[4] = (data[i + 1 + dz] - data[i + 1 - dz] - data[i - 1 + dz] + data[i - 1 - dz]) / (4 * sx * sz)
+        h[5] = (data[i + dy + dz] - data[i + dy - dz] - data[i - dy + dz] + data[i - dy - dz]) / (4 * sy * sz)
+
+        callback(i, h)
+      }
+    }
+  }
+}
+
+// Eigenvalues of a symmetric 3x3 matrix [xx, yy, zz, xy, xz, yz], sorted by magnitude
+function symmetricEigenvalues([a, b, c, d, e, f]) {
+  const p1 = d * d + e * e + f * f
+  let eigenvalues
+
+  if (p1 < 1e-20) {
+    eigenvalues = [a, b, c]
+  } else {
+    const q = (a + b + c) / 3
+    const p2 = (a - q) ** 2 + (b - q) ** 2 + (c - q) ** 2 + 2 * p1
+    const p = Math.sqrt(p2 / 6)
+    // Determinant of (A - qI) / p
+    const ba = (a - q) / p
+    const bb = (b - q) / p
+    const bc = (c - q) / p
+    const bd = d / p
+    const be = e / p
+    const bf = f / p
+    const r = (ba * (bb * bc - bf * bf) - bd * (bd * bc - bf * be) + be * (bd * bf - bb * be)) / 2
+    const phi = Math.acos(Math.min(1, Math.max(-1, r))) / 3
+
+    const largest = q + 2 * p * Math.cos(phi)
+    const smallest = q + 2 * p * Math.cos(phi + (2 * Math.PI) / 3)
+    eigenvalues = [largest, 3 * q - largest - smallest, smallest]
+  }
+
+  return eigenvalues.sort((x, y) => Math.abs(x) - Math.abs(y))
+}
@@ -0,0 +1,503 @@
+/**
+ * NIfTI and NRRD Volume Loader
+ * Reads CT volumes and labelmaps stored as NIfTI-1/NIfTI-2 (.nii, .nii.gz) or NRRD (.nrrd
+ * with raw, gzip or ascii encoding) into the dataset and volume objects the DICOM path
+ * builds (see dicomLoader.js). The voxel-to-world geometry of the header becomes the
+ * voxel-to-patient affine in LPS; NIfTI world coordinates are RAS, NRRD states its space.
+ */
+
+import { getSliceNormal, getVolumeAffine } from './dicomGeometry'
+
+// Range of the Int16Array holding the HU volume
+const INT16_RANGE = [-32768, 32767]
+
+// CT volumes whose darkest voxel is brighter than this do not contain air in HU
+const AIR_HU = -900
+
+// Progress once the file is read, decompressed and parsed; converting slices takes the rest
+const READ_PROGRESS = { read: 0.1, decompressed: 0.3, parsed: 0.4 }
+
+// Typed arrays and DataView getters per sample type
+const SAMPLE_TYPES = {
+  int8: { size: 1, ArrayType: Int8Array, getter: 'getInt8' },
+  uint8: { size: 1, ArrayType: Uint8Array, getter: 'getUint8' },
+  int16: { size: 2, ArrayType: Int16Array, getter: 'getInt16' },
+  uint16: { size: 2, ArrayType: Uint16Array, getter: 'getUint16' },
+  int32: { size: 4, ArrayType: Int32Array, getter: 'getInt32' },
+  uint32: { size: 4, ArrayType: Uint32Array, getter: 'getUint32' },
+  float32: { size: 4, ArrayType: Float32Array, getter: 'getFloat32' },
+  float64: { size: 8, ArrayType: Float64Array, getter: 'getFloat64' }
+}
+
+// NIfTI datatype codes
+const NIFTI_TYPES = {
+  2: 'uint8',
+  4: 'int16',
+  8: 'int32',
+  16: 'float32',
+  64: 'float64',
+  256: 'int8',
+  512: 'uint16',
+  768: 'uint32'
+}
+
+// Header field offsets and types of NIfTI-1 (348-byte header) and NIfTI-2 (540-byte header)
+const NIFTI_LAYOUTS = {
+  348: {
+    magic: 344,
+    dim: [40, 'int16'],
+    datatype: [70, 'int16'],
+    pixdim: [76, 'float32'],
+    voxOffset: [108, 'float32'],
+    sclSlope: [112, 'float32'],
+    sclInter: [116, 'float32'],
+    xyztUnits: [123, 'uint8'],
+    qformCode: [252, 'int16'],
+    sformCode: [254, 'int16'],
+    quatern: [256, 'float32'],
+    qoffset: [268, 'float32'],
+    srow: [280, 'float32']
+  },
+  540: {
+    magic: 4,
+    dim: [16, 'int64'],
+    datatype: [12, 'int16'],
+    pixdim: [104, 'float64'],
+    voxOffset: [168, 'int64'],
+    sclSlope: [176, 'float64'],
+    sclInter: [184, 'float64'],
+    xyztUnits: [500, 'int32'],
+    qformCode: [344, 'int32'],
+    sformCode: [348, 'int32'],
+    quatern: [352, 'float64'],
+    qoffset: [376, 'float64'],
+    srow: [400, 'float64']
+  }
+}
+
+// NIfTI spatial units (xyzt_units & 7) in mm; unknown units are taken as mm
+const NIFTI_UNITS_MM = { 1: 1000, 2: 1, 3: 0.001 }
+
+// NRRD type names
+const NRRD_TYPES = {
+  'signed char': 'int8', int8: 'int8', int8_t: 'int8',
+  uchar: 'uint8', 'unsigned char': 'uint8', uint8: 'uint8', uint8_t: 'uint8',
+  short: 'int16', 'short int': 'int16', 'signed short': 'int16', 'signed short int': 'int16', int16: 'int16', int16_t: 'int16',
+  ushort: 'uint16', 'unsigned short': 'uint16', 'unsigned short int': 'uint16', uint16: 'uint16', uint16_t: 'uint16',
+  int: 'int32', 'signed int': 'int32', int32: 'int32', int32_t: 'int32',
+  uint: 'uint32', 'unsigned int': 'uint32', uint32: 'uint32', uint32_t: 'uint32',
+  float: 'float32',
+  double: 'float64'
+}
+
+// Sign flips from NRRD anatomical spaces to LPS
+const NRRD_SPACES = {
+  'left-posterior-superior': [1, 1, 1],
+  lps: [1, 1, 1],
+  'right-anterior-superior': [-1, -1, 1],
+  ras: [-1, -1, 1],
+  'left-anterior-superior': [1, -1, 1],
+  las: [1, -1, 1]
+}
+
+/**
+ * Whether a file is a NIfTI or NRRD volume, by name
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for .nii, .nii.gz and .nrrd files
+ */
+export function isVolumeFile(file) {
+  return /\.(nii|nii\.gz|nrrd)$/i.test(file.name)
+}
+
+/**
+ * Load a CT volume from a NIfTI or NRRD file
+ * Values are scaled to HU with the NIfTI slope and intercept; NRRD values are taken as HU.
+ * @param {File} file - .nii, .nii.gz or .nrrd file
+ * @param {Object} options - onProgress (callback (progress 0-1)), signal (AbortSignal checked
+ *   between reading, decompressing, parsing and converting slices)
+ * @returns {Promise<Object>} { dataset, volume } shaped like loadDicomCTDataset and
+ *   create3DVolumeFromDicom results, with the file format and name as the series
+ */
+export async function loadVolumeFile(file, options = {}) {
+  const { onProgress = null, signal = null } = options
+  const image = await readVolumeImage(file, signal, onProgress)
+
+  const { width, height, depth } = image.dimensions
+  const sliceSize = width * height
+  const data = new Int16Array(sliceSize * depth)
+  let minimum = Infinity
+  for (let z = 0; z < depth; z++) {
+    signal?.throwIfAborted()
+    for (let i = z * sliceSize; i < (z + 1) * sliceSize; i++) {
+      const value = Math.round(image.values[i] * image.slope + image.intercept)
+      data[i] = Math.max(INT16_RANGE[0], Math.min(INT16_RANGE[1], value))
+      if (data[i] < minimum) minimum = data[i]
+    }
+    if (onProgress) onProgress(READ_PROGRESS.parsed + ((z + 1) / depth) * (1 - READ_PROGRESS.parsed))
+  }
+
+  const geometry = describeGeometry(image)
+  geometry.warnings.forEach(warning => console.warn(`${image.format} geometry: ${warning}`))
+
+  // Neither format records that values are HU; CT in HU contains air around the patient
+  const calibrationWarnings = minimum > AIR_HU
+    ? [`No voxel below ${AIR_HU} HU: values may not be Hounsfield units and HU thresholds may not apply`]
+    : []
+  const calibration = { calibrated: calibrationWarnings.length === 0, rescaleType: 'HU', warnings: calibrationWarnings }
+
+  const dimensions = {
+    width,
+    height,
+    depth,
+    pixelSpacing: [geometry.spacing[1], geometry.spacing[0]],
+    sliceThickness: geometry.sliceSpacing,
+    sliceSpacing: geometry.sliceSpacing
+  }
+
+  return {
+    dataset: {
+      format: image.format,
+      metadata: [],
+      geometry,
+      calibration,
+      dimensions,
+      series: { description: file.name, phase: null }
+    },
+    volume: {
+      data,
+      dimensions,
+      metadata: [],
+      spacing: geometry.spacing,
+      affine: geometry.affine,
+      geometry,
+      calibration
+    }
+  }
+}
+
+/**
+ * Load a labelmap matching a CT volume
+ * The labelmap must have the volume's grid: the same size and voxel positions within half
+ * a voxel.
+ * @param {File} file - .nii, .nii.gz or .nrrd labelmap
+ * @param {Object} volume - CT volume the labels belong to
+ * @param {Object} options - onProgress (callback (progress 0-1)), signal (AbortSignal checked
+ *   between reading, decompressing, parsing and converting slices)
+ * @returns {Promise<Object>} { data (label per voxel), dimensions, labels (nonzero values) }
+ */
+export async function loadLabelmapFile(file, volume, options = {}) {
+  const { onProgress = null, signal = null } = options
+  const image = await readVolumeImage(file, signal, onProgress)
+  const { width, height, depth } = image.dimensions
+  const expected = volume.dimensions
+
+  if (width !== expected.width || height !== expected.height || depth !== expected.depth) {
+    throw new Error(`Labelmap size ${width}×${height}×${depth} does not match the CT volume (${expected.width}×${expected.height}×${expected.depth})`)
+  }
+
+  // Compare the positions of the grid corners
+  const volumeAffine = getVolumeAffine(volume)
+  const tolerance = Math.min(...volume.spacing) / 2
+  const corners = [0, 1, 2, 3, 4, 5, 6, 7].map(corner => [
+    corner & 1 ? width - 1 : 0,
+    corner & 2 ? height - 1 : 0,
+    corner & 4 ? depth - 1 : 0
+  ])
+  const misaligned = corners.some(corner => {
+    const a = applyAffine(image.affine, corner)
+    const b = applyAffine(volumeAffine, corner)
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]) > tolerance
+  })
+  if (misaligned) {
+    throw new Error('Labelmap geometry does not match the CT volume: it must be resampled to the CT grid first')
+  }
+
+  const sliceSize = width * height
+  const data = new Int32Array(image.values.length)
+  const labels = new Set()
+  for (let z = 0; z < depth; z++) {
+    signal?.throwIfAborted()
+    for (let i = z * sliceSize; i < (z + 1) * sliceSize; i++) {
+      data[i] = Math.round(image.values[i] * image.slope + image.intercept)
+      if (data[i] !== 0) labels.add(data[i])
+    }
+    if (onProgress) onProgress(READ_PROGRESS.parsed + ((z + 1) / depth) * (1 - READ_PROGRESS.parsed))
+  }
+
+  if (labels.size === 0) {
+    throw new Error('The labelmap contains no labeled voxels')
+  }
+
+  return { data, dimensions: image.dimensions, labels: [...labels].sort((a, b) => a - b) }
+}
+
+/**
+ * Helper functions
+ */
+
+// Decompress if needed and parse by content: NRRD starts with its magic, NIfTI with its header size
+async function readVolumeImage(file, signal = null, onProgress = null) {
+  let bytes = new Uint8Array(await file.arrayBuffer())
+  signal?.throwIfAborted()
+  if (onProgress) onProgress(READ_PROGRESS.read)
+
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    bytes = await gunzip(bytes)
+    signal?.throwIfAborted()
+  }
+  if (onProgress) onProgress(READ_PROGRESS.decompressed)
+
+  const image = readString(bytes, 0, 4) === 'NRRD' ? await parseNrrd(bytes) : parseNifti(bytes)
+  signal?.throwIfAborted()
+  if (onProgress) onProgress(READ_PROGRESS.parsed)
+  return image
+}
+
+async function gunzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+function parseNifti(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const headerSize = [348, 540].find(size => view.getInt32(0, true) === size || view.getInt32(0, false) === size)
+  if (!headerSize) {
+    throw new Error('Not a NIfTI or NRRD file')
+  }
+
+  const layout = NIFTI_LAYOUTS[headerSize]
+  const littleEndian = view.getInt32(0, true) === headerSize
+  const read = ([offset, type], index = 0) => readHeaderValue(view, offset, type, index, littleEndian)
+
+  const magic = readString(bytes, layout.magic, 3)
+  if (magic === 'ni1' || magic === 'ni2') {
+    throw new Error('NIfTI header/image pairs (.hdr/.img) are not supported: save the volume as a single .nii file')
+  }
+
+  const dim = Array.from({ length: 8 }, (_, index) => read(layout.dim, index))
+  if (dim[0] < 3 || dim.slice(4, dim[0] + 1).some(size => size > 1)) {
+    throw new Error(`Only 3D volumes are supported (the file has ${dim.slice(1, dim[0] + 1).join('×')} voxels)`)
+  }
+
+  const type = NIFTI_TYPES[read(layout.datatype)]
+  if (!type) {
+    throw new Error(`Unsupported NIfTI datatype ${read(layout.datatype)}`)
+  }
+
+  const [width, height, depth] = dim.slice(1, 4)
+  const pixdim = Array.from({ length: 8 }, (_, index) => read(layout.pixdim, index))
+  const unitScale = NIFTI_UNITS_MM[read(layout.xyztUnits) & 7] || 1
+  const slope = read(layout.sclSlope)
+  const warnings = []
+
+  // sform, else qform, else the axial convention of DICOM series without position
+  let rasAffine = null
+  if (read(layout.sformCode) > 0) {
+    rasAffine = [0, 1, 2].map(row => [0, 1, 2, 3].map(column => read(layout.srow, row * 4 + column)))
+  } else if (read(layout.qformCode) > 0) {
+    rasAffine = quaternionAffine(
+      [0, 1, 2].map(index => read(layout.quatern, index)),
+      [0, 1, 2].map(index => read(layout.qoffset, index)),
+      pixdim
+    )
+  }
+
+  let affine
+  if (rasAffine) {
+    // RAS to LPS, header units to mm
+    affine = rasAffine.map((row, axis) => row.map(value => value * unitScale * (axis < 2 ? -1 : 1)))
+      .concat([[0, 0, 0, 1]])
+  } else {
+    warnings.push('No sform or qform orientation: assuming axial slices at the voxel size')
+    affine = axialAffine(pixdim.slice(1, 4).map(size => Math.abs(size * unitScale) || 1))
+  }
+
+  return {
+    format: 'NIfTI',
+    dimensions: { width, height, depth },
+    values: readSamples(bytes, read(layout.voxOffset), type, width * height * depth, littleEndian),
+    slope: Number.isFinite(slope) && slope !== 0 ? slope : 1,
+    intercept: Number.isFinite(slope) && slope !== 0 ? read(layout.sclInter) : 0,
+    affine,
+    hasOrientation: rasAffine !== null,
+    warnings
+  }
+}
+
+// NIfTI qform: rotation from the quaternion (b, c, d), qfac in pixdim[0] flips the slice axis
+function quaternionAffine([b, c, d], offset, pixdim) {
+  const a = Math.sqrt(Math.max(0, 1 - b * b - c * c - d * d))
+  const qfac = pixdim[0] < 0 ? -1 : 1
+  const rotation = [
+    [a * a + b * b - c * c - d * d, 2 * (b * c - a * d), 2 * (b * d + a * c)],
+    [2 * (b * c + a * d), a * a + c * c - b * b - d * d, 2 * (c * d - a * b)],
+    [2 * (b * d - a * c), 2 * (c * d + a * b), a * a + d * d - b * b - c * c]
+  ]
+  const scale = [pixdim[1], pixdim[2], qfac * pixdim[3]]
+
+  return rotation.map((row, axis) => [...row.map((value, column) => value * scale[column]), offset[axis]])
+}
+
+async function parseNrrd(bytes) {
+  // The header ends at the first blank line
+  let headerEnd = -1
+  let dataStart = -1
+  for (let i = 0; i < bytes.length - 1; i++) {
+    if (bytes[i] === 10 && bytes[i + 1] === 10) {
+      headerEnd = i
+      dataStart = i + 2
+      break
+    }
+    if (bytes[i] === 10 && bytes[i + 1] === 13 && bytes[i + 2] === 10) {
+      headerEnd = i
+      dataStart = i + 3
+      break
+    }
+  }
+  if (headerEnd === -1) {
+    throw new Error('NRRD header has no end')
+  }
+
+  const fields = {}
+  new TextDecoder().decode(bytes.subarray(0, headerEnd)).split(/\r?\n/).slice(1).forEach(line => {
+    if (line.startsWith('#') || line.includes(':=')) return
+    const separator = line.indexOf(': ')
+    if (separator > 0) fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 2).trim()
+  })
+
+  if (fields['data file'] || fields.datafile) {
+    throw new Error('Detached NRRD headers (.nhdr) are not supported: save the volume as a single .nrrd file')
+  }
+  if (Number(fields.dimension) !== 3) {
+    throw new Error(`Only 3D volumes are supported (the file has ${fields.dimension} dimensions)`)
+  }
+
+  const type = NRRD_TYPES[fields.type?.toLowerCase()]
+  if (!type) {
+    throw new Error(`Unsupported NRRD type ${fields.type}`)
+  }
+
+  const [width, height, depth] = fields.sizes.split(/\s+/).map(Number)
+  const count = width * height * depth
+  const littleEndian = (fields.endian || 'little').toLowerCase() !== 'big'
+  const encoding = (fields.encoding || 'raw').toLowerCase()
+  const byteSkip = Number(fields['byte skip'] || fields.byteskip || 0)
+  const warnings = []
+
+  let values
+  if (encoding === 'raw' || encoding === 'gzip' || encoding === 'gz') {
+    let data = bytes.subarray(dataStart)
+    if (encoding !== 'raw') data = await gunzip(data)
+    const offset = byteSkip === -1 ? data.byteLength - count * SAMPLE_TYPES[type].size : byteSkip
+    values = readSamples(data, offset, type, count, littleEndian)
+  } else if (['ascii', 'text', 'txt'].includes(encoding)) {
+    const tokens = new TextDecoder().decode(bytes.subarray(dataStart)).trim().split(/\s+/)
+    if (tokens.length < count) {
+      throw new Error('File is shorter than its header describes')
+    }
+    values = Float64Array.from(tokens.slice(0, count), Number)
+  } else {
+    throw new Error(`Unsupported NRRD encoding ${fields.encoding}`)
+  }
+
+  const signs = NRRD_SPACES[(fields.space || '').toLowerCase()]
+  const directions = [...(fields['space directions'] || '').matchAll(/\(([^)]*)\)/g)]
+    .map(match => match[1].split(',').map(Number))
+
+  const hasOrientation = Boolean(signs) && directions.length === 3
+  let affine
+  if (hasOrientation) {
+    const origin = fields['space origin']?.match(/\(([^)]*)\)/)?.[1].split(',').map(Number) || [0, 0, 0]
+    affine = [0, 1, 2].map(axis => [
+      ...directions.map(direction => direction[axis] * signs[axis]),
+      origin[axis] * signs[axis]
+    ]).concat([[0, 0, 0, 1]])
+  } else {
+    const spacings = (fields.spacings || '').split(/\s+/).map(Number)
+    warnings.push(fields.space
+      ? `Space ${fields.space} is not an anatomical patient space: assuming axial slices at the voxel size`
+      : 'No space directions: assuming axial slices at the voxel size')
+    affine = axialAffine([0, 1, 2].map(axis => Math.abs(spacings[axis]) || 1))
+  }
+
+  return {
+    format: 'NRRD',
+    dimensions: { width, height, depth },
+    values,
+    slope: 1,
+    intercept: 0,
+    affine,
+    hasOrientation,
+    warnings
+  }
+}
+
+// Geometry in the form computeSliceGeometry gives for DICOM series
+function describeGeometry(image) {
+  const { affine, hasOrientation, warnings } = image
+  const columns = [0, 1, 2].map(column => [0, 1, 2].map(row => affine[row][column]))
+  const spacing = columns.map(vector => Math.hypot(...vector))
+
+  // Row and column directions as Image Orientation (Patient)
+  const orientation = [...columns[0], ...columns[1]].map((value, index) => value / spacing[Math.floor(index / 3)])
+  const normal = getSliceNormal(orientation)
+  const along = columns[2].reduce((sum, value, axis) => sum + value * normal[axis], 0)
+  const gantryTilt = Math.acos(Math.min(1, Math.abs(along) / spacing[2])) * 180 / Math.PI
+
+  return {
+    spacing,
+    sliceSpacing: Math.abs(along),
+    uniformSpacing: true,
+    gantryTilt,
+    affine,
+    hasPatientGeometry: hasOrientation,
+    warnings
+  }
+}
+
+// Columns to the left, rows posterior, slices toward the head, as getVolumeAffine assumes
+function axialAffine([columnSpacing, rowSpacing, sliceSpacing]) {
+  return [
+    [columnSpacing, 0, 0, 0],
+    [0, rowSpacing, 0, 0],
+    [0, 0, sliceSpacing, 0],
+    [0, 0, 0, 1]
+  ]
+}
+
+function applyAffine(affine, [x, y, z]) {
+  return [0, 1, 2].map(row => affine[row][0] * x + affine[row][1] * y + affine[row][2] * z + affine[row][3])
+}
+
+function readHeaderValue(view, offset, type, index, littleEndian) {
+  if (type === 'int64') {
+    return Number(view.getBigInt64(offset + index * 8, littleEndian))
+  }
+  const { size, getter } = SAMPLE_TYPES[type]
+  return view[getter](offset + index * size, littleEndian)
+}
+
+// Samples as a typed array; big-endian data is byte-swapped (browsers are little-endian)
+function readSamples(bytes, offset, type, count, littleEndian) {
+  const { size, ArrayType, getter } = SAMPLE_TYPES[type]
+  const start = bytes.byteOffset + offset
+  const length = count * size
+
+  if (offset < 0 || offset + length > bytes.byteLength) {
+    throw new Error('File is shorter than its header describes')
+  }
+  if (littleEndian || size === 1) {
+    return new ArrayType(bytes.buffer.slice(start, start + length))
+  }
+
+  const view = new DataView(bytes.buffer, start, length)
+  const samples = new ArrayType(count)
+  for (let i = 0; i < count; i++) {
+    samples[i] = view[getter](i * size, false)
+  }
+  return samples
+}
+
+function readString(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length))
+}
@@ -0,0 +1,132 @@
+/**
+ * CT Processing Worker
+ * Loads DICOM series and NIfTI/NRRD files and runs coronary segmentation, centerline
+ * re-extraction after editing, angiographic projection, overlap maps and surface meshing
+ * off the main thread for the pool in lib/ctWorkerPool.js. The pool sends the volume once,
+ * as a transferred copy of its voxel buffer, then tasks that work on it; loading tasks need
+ * no volume and transfer the one they read back, while labelmaps are read against the
+ * loaded volume. Each task posts its progress (0-1), partial results and finally its result
+ * or error.
+ */
+
+import {
+  calculateOverlapMap,
+  generateSimulatedProjection,
+  segmentCoronaryArteries,
+  segmentFromLabelmap
+} from '../lib/dicomProcessor'
+import { extractVesselSurfaces } from '../lib/surfaceMesh'
+import { reextractEditedVessels } from '../lib/segmentationEditing'
+import { readDicomVolume } from '../lib/dicomVolumeDecoder'
+import { loadLabelmapFile, loadVolumeFile } from '../lib/volumeFileLoader'
+
+let loadedVolume = null
+
+// Tasks that read a volume by name: (args, report) -> Promise<{ result, transfer }>
+const LOAD_TASKS = {
+  readDicomVolume: async ([files], report) => {
+    const result = await readDicomVolume(files, { onProgress: (progress) => report(progress, null) })
+    return { result, transfer: result.volume ? [result.volume.data.buffer] : [] }
+  },
+  loadVolumeFile: async ([file], report) => {
+    const result = await loadVolumeFile(file, { onProgress: (progress) => report(progress, null) })
+    return { result, transfer: [result.volume.data.buffer] }
+  }
+}
+
+// Tasks on the loaded volume by name: (volume, args, report) -> { result, transfer }, or a
+// promise of it for tasks that read files
+const TASKS = {
+  loadLabelmapFile: async (volume, [file], report) => {
+    const result = await loadLabelmapFile(file, volume, { onProgress: (progress) => report(progress, null) })
+    return { result, transfer: [result.data.buffer] }
+  },
+  segmentCoronaryArteries: (volume, [seedPoints, options], report) => {
+    const result = segmentCoronaryArteries(volume, seedPoints, {
+      ...options,
+      onProgress: (processed, total, vessel) => report(processed / total, vessel ? { vessel } : null)
+    })
+
+    // The caller already holds the volume
+    return { result: { ...result, volume: null }, transfer: [] }
+  },
+
+  segmentFromLabelmap: (volume, [labelmap, options], report) => {
+    const result = segmentFromLabelmap(volume, labelmap, {
+      ...options,
+      onProgress: (processed, total, vessel) => report(processed / total, vessel ? { vessel } : null)
+    })
+
+    return { result: { ...result, volume: null }, transfer: [] }
+  },
+
+  reextractEditedVessels: (volume, [vessels, edited, options], report) => {
+    const result = reextractEditedVessels(volume, vessels, edited, {
+      ...options,
+      onProgress: (processed, total) => report(processed / total, null)
+    })
+
+    return { result, transfer: [] }
+  },
+
+  generateSimulatedProjection: (volume, [vessels, raoLao, cranialCaudal, options], report) => {
+    const result = generateSimulatedProjection(volume, vessels, raoLao, cranialCaudal, {
+      ...options,
+      onProgress: (rows, total, imageData) =>
+        report(rows / total, { imageData, width: imageData.length / total, height: total }, [imageData.buffer])
+    })
+
+    return { result, transfer: [result.imageData.buffer, result.rayValues.buffer] }
+  },
+
+  calculateOverlapMap: (volume, [vessels, bifurcation, options], report) => {
+    const result = calculateOverlapMap({ ...vessels, volume }, bifurcation, {
+      ...options,
+      onProgress: (rows, total) => report(rows / total, null)
+    })
+
+    return { result, transfer: [] }
+  },
+
+  extractVesselSurfaces: (volume, [vessels, options], report) => {
+    const meshes = extractVesselSurfaces(vessels, volume, {
+      ...options,
+      onProgress: (processed, total) => report(processed / total, null)
+    })
+
+    return { result: meshes, transfer: meshes.flatMap(mesh => [mesh.positions.buffer, mesh.indices.buffer]) }
+  }
+}
+
+self.onmessage = async (event) => {
+  const message = event.data
+
+  if (message.type === 'volume') {
+    loadedVolume = message.volume
+    return
+  }
+
+  const { taskId, task, args } = message
+  const report = (progress, partial, transfer = []) =>
+    self.postMessage({ type: 'progress', taskId, progress, partial }, transfer)
+
+  try {
+    let output
+    if (LOAD_TASKS[task]) {
+      output = await LOAD_TASKS[task](args, report)
+    } else {
+      if (!loadedVolume) {
+        throw new Error('No volume loaded in the worker')
+      }
+      if (!TASKS[task]) {
+        throw new Error(`Unknown worker task: ${task}`)
+      }
+      output = await TASKS[task](loadedVolume, args, report)
+    }
+
+    const { result, transfer } = output
+    self.postMessage({ type: 'result', taskId, result }, transfer)
+  } catch (error) {
+    self.postMessage({ type: 'error', taskId, message: error.message })
+  }
+}